@@ -0,0 +1,277 @@
+'use server';
+
+import { headers } from 'next/headers';
+import { redirect } from 'next/navigation';
+
+import { getClient, withTransaction } from '@/backend/dbConnect';
+import { captureException } from '../instrumentation';
+import { limitBenewAPI } from '@/backend/rateLimiter';
+import { isEmailConfigured, sendEmailWithRetry } from '@/backend/emailService';
+import { renderEmail } from '@/backend/emailTemplates';
+import {
+  LOGIN_TOKEN_MINUTES,
+  consumeLoginToken,
+  createLoginToken,
+  deleteSession,
+  isLoginTokenFormat,
+} from '@/backend/customerAccounts';
+import {
+  clearSessionCookie,
+  getCurrentCustomer,
+  getSessionToken,
+  setSessionCookie,
+} from '@/backend/customerSession';
+import { generateOrderInvoice } from '@/backend/orderInvoice';
+import { sanitizeAndValidateUUID } from '@/utils/validation';
+import {
+  validateLoginRequest,
+  formatValidationErrors,
+} from '@/utils/schemas/schema';
+
+/**
+ * Envoie un lien de connexion à l'adresse saisie
+ * Même réponse que l'adresse soit connue ou non (aucune énumération possible)
+ */
+export async function requestLoginLink(formData) {
+  let client = null;
+
+  try {
+    const headersList = await headers();
+    const rateLimitCheck = await limitBenewAPI('login')({
+      headers: headersList,
+      url: '/account/login',
+      method: 'POST',
+    });
+
+    if (rateLimitCheck) {
+      return {
+        success: false,
+        message: 'Trop de demandes de connexion. Veuillez patienter.',
+        code: 'RATE_LIMITED',
+      };
+    }
+
+    const validation = await validateLoginRequest({
+      email: formData.get('email') || '',
+    });
+
+    if (!validation.success) {
+      return {
+        success: false,
+        message: formatValidationErrors(validation.errors),
+        code: 'VALIDATION_FAILED',
+        errors: validation.errors,
+      };
+    }
+
+    if (!isEmailConfigured()) {
+      throw new Error('Configuration email manquante');
+    }
+
+    client = await getClient();
+    const token = await createLoginToken(client, validation.data.email);
+    const loginUrl = `${process.env.NEXT_PUBLIC_SITE_URL}/account/login/verify?token=${token}`;
+
+    const sendResult = await sendEmailWithRetry(
+      {
+        to: [validation.data.email],
+        ...renderEmail('loginLink', {
+          loginUrl,
+          validMinutes: LOGIN_TOKEN_MINUTES,
+        }),
+      },
+      { emailType: 'login_link' },
+    );
+
+    // Échec déjà journalisé par sendEmailWithRetry
+    if (!sendResult.success) {
+      return {
+        success: false,
+        message:
+          "Impossible d'envoyer le lien de connexion pour le moment. Veuillez réessayer plus tard.",
+        code: 'EMAIL_FAILED',
+      };
+    }
+
+    return {
+      success: true,
+      message:
+        'Si cette adresse est valide, un lien de connexion vient de vous être envoyé.',
+    };
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'account_actions', operation: 'request_login_link' },
+    });
+
+    return {
+      success: false,
+      message:
+        "Impossible d'envoyer le lien de connexion pour le moment. Veuillez réessayer plus tard.",
+      code: 'SYSTEM_ERROR',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message,
+    };
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * Ouvre la session à partir du lien reçu par email
+ * Appelée depuis la page de confirmation (app/account/login/verify) : un simple
+ * GET sur le lien, par un antivirus de messagerie ou un préchargement, ne
+ * consomme jamais le jeton
+ */
+export async function verifyLoginLink(formData) {
+  let client = null;
+
+  const invalidLinkResponse = {
+    success: false,
+    message:
+      'Ce lien de connexion est invalide, expiré ou déjà utilisé. Demandez-en un nouveau.',
+    code: 'INVALID_LINK',
+  };
+
+  try {
+    const headersList = await headers();
+    const rateLimitCheck = await limitBenewAPI('loginVerify')({
+      headers: headersList,
+      url: '/account/login/verify',
+      method: 'POST',
+    });
+
+    if (rateLimitCheck) {
+      return {
+        success: false,
+        message: 'Trop de tentatives de connexion. Veuillez patienter.',
+        code: 'RATE_LIMITED',
+      };
+    }
+
+    const token = formData.get('token');
+    if (!isLoginTokenFormat(token)) {
+      return invalidLinkResponse;
+    }
+
+    client = await getClient();
+    const session = await withTransaction(client, (tx) =>
+      consumeLoginToken(tx, token),
+    );
+
+    if (!session) {
+      return invalidLinkResponse;
+    }
+
+    await setSessionCookie(session.sessionToken);
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'account_actions', operation: 'verify_link' },
+    });
+
+    return {
+      success: false,
+      message:
+        'Connexion impossible pour le moment. Veuillez réessayer plus tard.',
+      code: 'SYSTEM_ERROR',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message,
+    };
+  } finally {
+    if (client) client.release();
+  }
+
+  // Hors du try : redirect() interrompt l'action par une exception
+  redirect('/account');
+}
+
+/**
+ * Déconnexion : supprime la session en base et le cookie
+ */
+export async function logout() {
+  const sessionToken = await getSessionToken();
+
+  if (sessionToken) {
+    let client = null;
+
+    try {
+      client = await getClient();
+      await deleteSession(client, sessionToken);
+    } catch (error) {
+      // Le cookie est supprimé quoi qu'il arrive
+      captureException(error, {
+        tags: { component: 'account_actions', operation: 'logout' },
+      });
+    } finally {
+      if (client) client.release();
+    }
+  }
+
+  await clearSessionCookie();
+  redirect('/account/login');
+}
+
+/**
+ * Facture PDF d'une commande du client connecté
+ */
+export async function downloadAccountInvoice(formData) {
+  let client = null;
+
+  const notFoundResponse = {
+    success: false,
+    message: 'Facture introuvable.',
+    code: 'ORDER_NOT_FOUND',
+  };
+
+  try {
+    const customer = await getCurrentCustomer();
+    if (!customer) {
+      return {
+        success: false,
+        message: 'Votre session a expiré. Veuillez vous reconnecter.',
+        code: 'UNAUTHENTICATED',
+      };
+    }
+
+    const orderId = sanitizeAndValidateUUID(formData.get('orderId'));
+    if (!orderId) {
+      return notFoundResponse;
+    }
+
+    client = await getClient();
+
+    const ownership = await client.query(
+      `SELECT order_id FROM admin.orders
+      WHERE order_id = $1 AND order_customer_id = $2`,
+      [orderId, customer.customerId],
+    );
+
+    if (ownership.rows.length === 0) {
+      return notFoundResponse;
+    }
+
+    const invoice = await generateOrderInvoice(client, orderId);
+
+    if (!invoice) {
+      return notFoundResponse;
+    }
+
+    // Les Server Actions ne transportent pas de binaire : PDF encodé en base64
+    return {
+      success: true,
+      filename: invoice.filename,
+      content: invoice.buffer.toString('base64'),
+    };
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'account_actions', operation: 'download_invoice' },
+    });
+
+    return {
+      success: false,
+      message:
+        'Impossible de générer votre facture pour le moment. Veuillez réessayer plus tard.',
+      code: 'SYSTEM_ERROR',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message,
+    };
+  } finally {
+    if (client) client.release();
+  }
+}
@@ -0,0 +1,70 @@
+'use server';
+
+import { headers } from 'next/headers';
+import { getClient } from '@/backend/dbConnect';
+import { captureException } from '../instrumentation';
+import { limitBenewAPI } from '@/backend/rateLimiter';
+import { saveAbandonedCheckout } from '@/backend/abandonedCheckouts';
+import {
+  validateAbandonedCheckout,
+  CART_MAX_ITEMS,
+} from '@/utils/schemas/schema';
+
+// Commande abandonnée dans OrderModal (fermeture, onglet quitté)
+// Enregistrée seulement si le client a saisi son email, pour une relance
+export async function recordAbandonedCheckout(formData) {
+  let client = null;
+
+  try {
+    const headersList = await headers();
+    const rateLimitCheck = await limitBenewAPI('checkout')({
+      headers: headersList,
+      url: '/order/checkout',
+      method: 'POST',
+    });
+
+    if (rateLimitCheck) {
+      return {
+        success: false,
+        message: 'Trop de tentatives. Veuillez patienter.',
+        code: 'RATE_LIMITED',
+      };
+    }
+
+    const validation = await validateAbandonedCheckout({
+      sessionKey: formData.get('sessionKey') || '',
+      email: formData.get('email') || '',
+      firstName: formData.get('firstName') || '',
+      lastName: formData.get('lastName') || '',
+      phone: formData.get('phone') || '',
+      applicationIds: formData.getAll('applicationId').slice(0, CART_MAX_ITEMS),
+      step: formData.get('step'),
+      timeSpentSeconds: formData.get('timeSpentSeconds') || 0,
+    });
+
+    if (!validation.success) {
+      return {
+        success: false,
+        message: 'Données incomplètes.',
+        code: 'VALIDATION_FAILED',
+      };
+    }
+
+    client = await getClient();
+    await saveAbandonedCheckout(client, validation.data);
+
+    return { success: true };
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'checkout_actions', operation: 'abandoned_checkout' },
+    });
+
+    return {
+      success: false,
+      message: 'Erreur lors de l’enregistrement.',
+      code: 'SYSTEM_ERROR',
+    };
+  } finally {
+    if (client) client.release();
+  }
+}
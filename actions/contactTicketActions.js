@@ -0,0 +1,84 @@
+'use server';
+
+import { headers } from 'next/headers';
+
+import { getClient } from '@/backend/dbConnect';
+import { captureException } from '../instrumentation';
+import { limitBenewAPI } from '@/backend/rateLimiter';
+import { getTicket } from '@/backend/contactTickets';
+import {
+  validateTicketLookup,
+  formatValidationErrors,
+} from '@/utils/schemas/schema';
+
+/**
+ * Suivi d'un ticket de contact avec son numéro et l'email de l'expéditeur
+ */
+export async function lookupContactTicket(formData) {
+  let client = null;
+
+  // Message unique pour ne jamais révéler si un ticket existe
+  const notFoundResponse = {
+    success: false,
+    message: 'Aucun ticket ne correspond à ce numéro et à cette adresse email.',
+    code: 'TICKET_NOT_FOUND',
+  };
+
+  try {
+    const headersList = await headers();
+    const rateLimitCheck = await limitBenewAPI('ticketLookup')({
+      headers: headersList,
+      url: '/contact/ticket',
+      method: 'POST',
+    });
+
+    if (rateLimitCheck) {
+      return {
+        success: false,
+        message: 'Trop de recherches de ticket. Veuillez patienter.',
+        code: 'RATE_LIMITED',
+      };
+    }
+
+    const validation = await validateTicketLookup({
+      reference: formData.get('reference') || '',
+      email: formData.get('email') || '',
+    });
+
+    if (!validation.success) {
+      return {
+        success: false,
+        message: formatValidationErrors(validation.errors),
+        code: 'VALIDATION_FAILED',
+        errors: validation.errors,
+      };
+    }
+
+    client = await getClient();
+    const ticket = await getTicket(
+      client,
+      validation.data.reference,
+      validation.data.email,
+    );
+
+    if (!ticket) {
+      return notFoundResponse;
+    }
+
+    return { success: true, ticket };
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'contact_tickets', operation: 'lookup_ticket' },
+    });
+
+    return {
+      success: false,
+      message:
+        'Impossible de récupérer votre ticket pour le moment. Veuillez réessayer plus tard.',
+      code: 'SYSTEM_ERROR',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message,
+    };
+  } finally {
+    if (client) client.release();
+  }
+}
@@ -0,0 +1,296 @@
+'use server';
+
+import { headers } from 'next/headers';
+import { after } from 'next/server';
+
+import { getClient, withTransaction } from '@/backend/dbConnect';
+import { captureException } from '../instrumentation';
+import { limitBenewAPI } from '@/backend/rateLimiter';
+import { isEmailConfigured, sendEmailWithRetry } from '@/backend/emailService';
+import { renderEmail } from '@/backend/emailTemplates';
+import { saveFile, removeFile } from '@/backend/fileStorage';
+import { getCurrentCustomer } from '@/backend/customerSession';
+import {
+  getCustomerOrder,
+  getOrderOnboarding,
+  lockOnboardingOrder,
+  markOnboardingCompleted,
+  saveOrderOnboarding,
+} from '@/backend/orderOnboarding';
+import {
+  computeOnboardingProgress,
+  isOnboardingEditable,
+} from '@/utils/orderOnboarding';
+import { sanitizeAndValidateUUID } from '@/utils/validation';
+import {
+  validateOnboarding,
+  formatValidationErrors,
+} from '@/utils/schemas/schema';
+import { matchesFileSignature } from '@/utils/schemas/paymentProofSchema';
+import {
+  ONBOARDING_LOGO_CONFIG,
+  validateOnboardingLogoFile,
+} from '@/utils/schemas/onboardingLogoSchema';
+
+// Notification interne : la fiche est complète, l'installation peut commencer
+async function sendOnboardingCompletedEmail(order, onboarding, customerEmail) {
+  if (!isEmailConfigured()) {
+    captureException(new Error('Configuration email manquante'), {
+      tags: { component: 'onboarding_actions', operation: 'completed_email' },
+    });
+    return;
+  }
+
+  await sendEmailWithRetry(
+    {
+      to: [process.env.RESEND_TO_EMAIL],
+      ...renderEmail('onboardingCompleted', {
+        order,
+        onboarding,
+        customerEmail,
+      }),
+      replyTo: customerEmail,
+      headers: { 'X-Order-Id': String(order.id) },
+    },
+    { emailType: 'onboarding_completed' },
+  );
+}
+
+/**
+ * Enregistre la fiche de mise en service d'une commande du client connecté
+ * Enregistrement partiel possible ; l'équipe est notifiée une seule fois,
+ * quand toutes les étapes sont remplies
+ */
+export async function saveOnboarding(formData) {
+  let client = null;
+  let stored = null;
+
+  try {
+    const headersList = await headers();
+    const rateLimitCheck = await limitBenewAPI('onboarding')({
+      headers: headersList,
+      url: '/account/onboarding',
+      method: 'POST',
+    });
+
+    if (rateLimitCheck) {
+      return {
+        success: false,
+        message:
+          "Trop d'enregistrements de la fiche de mise en service. Veuillez patienter.",
+        code: 'RATE_LIMITED',
+      };
+    }
+
+    const customer = await getCurrentCustomer();
+    if (!customer) {
+      return {
+        success: false,
+        message: 'Votre session a expiré. Veuillez vous reconnecter.',
+        code: 'UNAUTHENTICATED',
+      };
+    }
+
+    const orderId = sanitizeAndValidateUUID(formData.get('orderId'));
+    if (!orderId) {
+      return {
+        success: false,
+        message: 'Commande introuvable.',
+        code: 'ORDER_NOT_FOUND',
+      };
+    }
+
+    const validation = await validateOnboarding({
+      domain: formData.get('domain') || '',
+      domainOwned: formData.get('domainOwned') === 'true',
+      professionalEmail: formData.get('professionalEmail') || '',
+      primaryColor: formData.get('primaryColor') || '',
+      secondaryColor: formData.get('secondaryColor') || '',
+      businessName: formData.get('businessName') || '',
+      businessActivity: formData.get('businessActivity') || '',
+      businessPhone: formData.get('businessPhone') || '',
+      businessAddress: formData.get('businessAddress') || '',
+      hostingPreference: formData.get('hostingPreference') || '',
+      hostingDetails: formData.get('hostingDetails') || '',
+    });
+
+    if (!validation.success) {
+      return {
+        success: false,
+        message: formatValidationErrors(validation.errors),
+        code: 'VALIDATION_FAILED',
+        errors: validation.errors,
+      };
+    }
+
+    // Logo facultatif à chaque enregistrement : type, taille, puis contenu réel
+    const logoFile = formData.get('logo');
+    let logoBuffer = null;
+
+    if (logoFile && typeof logoFile === 'object' && logoFile.size > 0) {
+      const fileCheck = validateOnboardingLogoFile(logoFile);
+      if (!fileCheck.valid) {
+        return {
+          success: false,
+          message: fileCheck.error,
+          code: 'INVALID_FILE',
+          errors: { logo: fileCheck.error },
+        };
+      }
+
+      logoBuffer = await logoFile.arrayBuffer();
+      if (!matchesFileSignature(logoBuffer, logoFile.type)) {
+        return {
+          success: false,
+          message: 'Le contenu du fichier ne correspond pas à son format.',
+          code: 'INVALID_FILE',
+          errors: {
+            logo: 'Le contenu du fichier ne correspond pas à son format.',
+          },
+        };
+      }
+    }
+
+    client = await getClient();
+
+    const order = await getCustomerOrder(client, orderId, customer.customerId);
+
+    if (!order) {
+      return {
+        success: false,
+        message: 'Commande introuvable.',
+        code: 'ORDER_NOT_FOUND',
+      };
+    }
+
+    if (!isOnboardingEditable(order.status)) {
+      return {
+        success: false,
+        message:
+          "La fiche de mise en service n'est plus modifiable pour cette commande.",
+        code: 'ORDER_NOT_ELIGIBLE',
+      };
+    }
+
+    if (logoBuffer) {
+      stored = await saveFile({
+        buffer: logoBuffer,
+        mimeType: logoFile.type,
+        extension: ONBOARDING_LOGO_CONFIG.allowedTypes[logoFile.type],
+        folder: `onboarding/${order.id}`,
+      });
+    }
+
+    const { eligible, onboarding, replacedLogo, notifyTeam } =
+      await withTransaction(client, async (tx) => {
+        // Statut revérifié sous verrou : la commande a pu changer entre-temps
+        const status = await lockOnboardingOrder(tx, order.id);
+        if (!isOnboardingEditable(status)) {
+          return { eligible: false };
+        }
+
+        const saved = await saveOrderOnboarding(
+          tx,
+          order.id,
+          validation.data,
+          stored && {
+            ...stored,
+            mimeType: logoFile.type,
+            name: (logoFile.name || '').substring(0, 255),
+          },
+        );
+
+        const progress = computeOnboardingProgress(saved.onboarding);
+        const firstCompletion =
+          progress.isComplete && (await markOnboardingCompleted(tx, order.id));
+
+        return {
+          eligible: true,
+          // Relue après markOnboardingCompleted pour renvoyer completedAt
+          onboarding: firstCompletion
+            ? await getOrderOnboarding(tx, order.id)
+            : saved.onboarding,
+          replacedLogo: saved.replacedLogo,
+          notifyTeam: firstCompletion,
+        };
+      });
+
+    if (!eligible) {
+      // Logo stocké pour rien : la commande n'accepte plus la fiche
+      if (stored) {
+        removeFile(stored).catch((removeError) => {
+          captureException(removeError, {
+            tags: { component: 'onboarding_actions', operation: 'rollback' },
+          });
+        });
+      }
+
+      return {
+        success: false,
+        message:
+          "La fiche de mise en service n'est plus modifiable pour cette commande.",
+        code: 'ORDER_NOT_ELIGIBLE',
+      };
+    }
+
+    // Fichier remplacé : supprimé une fois la nouvelle référence enregistrée
+    if (replacedLogo) {
+      after(() =>
+        removeFile(replacedLogo).catch((removeError) => {
+          captureException(removeError, {
+            tags: { component: 'onboarding_actions', operation: 'remove_logo' },
+          });
+        }),
+      );
+    }
+
+    if (notifyTeam) {
+      after(() =>
+        sendOnboardingCompletedEmail(order, onboarding, customer.email).catch(
+          (emailError) => {
+            captureException(emailError, {
+              tags: {
+                component: 'onboarding_actions',
+                operation: 'completed_email',
+              },
+            });
+          },
+        ),
+      );
+    }
+
+    const progress = computeOnboardingProgress(onboarding);
+
+    return {
+      success: true,
+      message: progress.isComplete
+        ? 'Fiche complète : notre équipe prépare la mise en service de votre application.'
+        : 'Fiche enregistrée. Vous pouvez la compléter à tout moment.',
+      onboarding,
+      progress,
+    };
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'onboarding_actions', operation: 'save_onboarding' },
+    });
+
+    // Nettoyer le logo si l'enregistrement en base a échoué
+    if (stored) {
+      removeFile(stored).catch((removeError) => {
+        captureException(removeError, {
+          tags: { component: 'onboarding_actions', operation: 'rollback' },
+        });
+      });
+    }
+
+    return {
+      success: false,
+      message:
+        "Impossible d'enregistrer votre fiche pour le moment. Veuillez réessayer plus tard.",
+      code: 'SYSTEM_ERROR',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message,
+    };
+  } finally {
+    if (client) client.release();
+  }
+}
@@ -1,26 +1,343 @@
 'use server';
 
-import { getClient } from '@/backend/dbConnect';
+import { getClient, withTransaction } from '@/backend/dbConnect';
+import {
+  ORDER_STATUSES,
+  ORDER_ACTORS,
+  recordOrderEvent,
+  transitionOrder,
+  getOrderEvents,
+} from '@/backend/orderLifecycle';
 import { captureException } from '../instrumentation';
 import {
   validateOrderServer,
+  validateOrderLookup,
+  validateOrderItems,
   prepareOrderDataFromFormData,
   formatValidationErrors,
 } from '@/utils/schemas/schema';
 import {
   sanitizeOrderData,
   validateBusinessRules,
-  validateSanitizedDataSafety,
 } from '@/utils/sanitizers/orderSanitizer';
-import { limitBenewAPI } from '@/backend/rateLimiter';
+import { limitBenewAPI, getForwardedIP } from '@/backend/rateLimiter';
+import { sanitizeAndValidateUUID } from '@/utils/validation';
+import { isEmailConfigured, sendEmailWithRetry } from '@/backend/emailService';
+import { renderEmail } from '@/backend/emailTemplates';
+import {
+  assignInvoiceNumber,
+  generateOrderInvoice,
+} from '@/backend/orderInvoice';
+import { evaluatePromoCode, redeemPromoCode } from '@/backend/promoCodes';
+import { insertOrderItems } from '@/backend/orderItems';
+import { markCheckoutConverted } from '@/backend/abandonedCheckouts';
+import {
+  PLATFORM_RULE_COLUMNS,
+  normalizeAccountNumber,
+  validatePaymentAccount,
+} from '@/utils/schemas/paymentAccountSchema';
+import { assessOrderRisk, recordFailedOrderAttempt } from '@/backend/orderRisk';
+import {
+  createOrderCancelUrl,
+  verifyOrderCancelLink,
+  verifyQuoteLink,
+} from '@/backend/orderLinks';
+import { QUOTE_STATUSES, getQuote, markQuoteConverted } from '@/backend/quotes';
+import { computePrepaidRent, getOrderPlan } from '@/utils/orderPlans';
 import { headers } from 'next/headers';
+import { after } from 'next/server';
 
-export async function createOrder(formData, applicationId, applicationFee) {
+// Noms des applications d'une commande (repli pour les commandes sans lignes)
+const ORDER_APPLICATION_NAMES_SQL = `COALESCE(
+  (SELECT string_agg(i.item_application_name, ', ' ORDER BY i.item_position)
+   FROM admin.order_items i WHERE i.item_order_id = o.order_id),
+  a.application_name
+)`;
+
+// Refus comptés comme tentatives échouées dans le score de risque
+// (hors limitation de débit et erreurs système)
+const FAILED_ATTEMPT_CODES = new Set([
+  'VALIDATION_FAILED',
+  'SANITIZATION_FAILED',
+  'BUSINESS_RULES_FAILED',
+  'APPLICATION_NOT_FOUND',
+  'PLATFORM_NOT_FOUND',
+  'PAYMENT_ACCOUNT_INVALID',
+  'PRICE_MISMATCH',
+  'PLAN_NOT_AVAILABLE',
+  'PROMO_INVALID',
+  'PROMO_EXPIRED',
+  'PROMO_NOT_APPLICABLE',
+  'PROMO_ALREADY_USED',
+  'QUOTE_INVALID',
+]);
+
+/**
+ * Facture PDF en pièce jointe de la confirmation
+ * En cas d'échec, la confirmation part sans pièce jointe
+ */
+async function buildInvoiceAttachment(orderId) {
   let client = null;
 
   try {
-    // Rate Limiting simple
+    client = await getClient();
+    const invoice = await generateOrderInvoice(client, orderId);
+
+    return invoice
+      ? [{ filename: invoice.filename, content: invoice.buffer }]
+      : undefined;
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'order_actions', operation: 'invoice_attachment' },
+      extra: { orderId },
+    });
+    return undefined;
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * Envoie la confirmation au client et la notification à l'équipe
+ * Les échecs sont journalisés mais n'affectent jamais la commande
+ */
+async function sendOrderEmails(order) {
+  if (!isEmailConfigured()) {
+    captureException(new Error('Configuration email manquante'), {
+      tags: { component: 'order_actions', operation: 'order_emails' },
+    });
+    return;
+  }
+
+  const attachments = await buildInvoiceAttachment(order.id);
+
+  const orderHeaders = {
+    'X-Order-Source': 'Benew-Order-Modal',
+    'X-Order-Id': String(order.id),
+  };
+
+  await Promise.allSettled([
+    sendEmailWithRetry(
+      {
+        to: [order.customer.email],
+        ...renderEmail('orderConfirmation', {
+          ...order,
+          invoiceAttached: !!attachments,
+          cancelUrl: createOrderCancelUrl(order.id),
+        }),
+        replyTo: process.env.RESEND_TO_EMAIL,
+        headers: orderHeaders,
+        attachments,
+      },
+      { emailType: 'order_confirmation' },
+    ),
+    sendEmailWithRetry(
+      {
+        to: [process.env.RESEND_TO_EMAIL],
+        ...renderEmail('orderNotification', order),
+        replyTo: order.customer.email,
+        headers: orderHeaders,
+      },
+      { emailType: 'order_notification' },
+    ),
+  ]);
+}
+
+/**
+ * Retrouve une commande déjà créée avec la même clé d'idempotence
+ * L'email doit correspondre pour ne jamais renvoyer la commande d'un autre client
+ */
+async function findOrderByIdempotencyKey(client, idempotencyKey, email) {
+  const result = await client.query(
+    `SELECT
+      o.order_id,
+      o.order_created,
+      o.order_payment_status,
+      o.order_price,
+      ${ORDER_APPLICATION_NAMES_SQL} AS application_name,
+      p.platform_name
+    FROM admin.orders o
+    JOIN catalog.applications a ON o.order_application_id = a.application_id
+    LEFT JOIN admin.platforms p ON o.order_platform_id = p.platform_id
+    WHERE o.order_idempotency_key = $1
+      AND LOWER(o.order_client[3]) = $2`,
+    [idempotencyKey, email],
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const order = result.rows[0];
+
+  return {
+    success: true,
+    message: 'Commande créée avec succès',
+    replayed: true,
+    orderId: order.order_id,
+    orderDetails: {
+      id: order.order_id,
+      status: order.order_payment_status,
+      created: order.order_created,
+      applicationName: order.application_name,
+      amount: parseFloat(order.order_price),
+      platform: order.platform_name,
+    },
+  };
+}
+
+/**
+ * Enregistre une tentative refusée (après la réponse, sans impact sur le client)
+ */
+async function trackFailedAttempt(attempt) {
+  let client = null;
+
+  try {
+    client = await getClient();
+    await recordFailedOrderAttempt(client, attempt);
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'order_actions', operation: 'failed_attempt' },
+    });
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * Devis à l'origine de la commande (lien signé reçu par email)
+ * Le devis doit porter sur l'unique application commandée
+ *
+ * @returns {Promise<{quote: Object|null, error?: Object}>}
+ */
+async function loadOrderQuote(client, formData, items) {
+  if (!formData.get('quoteId')) {
+    return { quote: null };
+  }
+
+  const quoteId = sanitizeAndValidateUUID(formData.get('quoteId'));
+  const link = quoteId
+    ? verifyQuoteLink(
+        quoteId,
+        formData.get('quoteExpires'),
+        formData.get('quoteSignature'),
+      )
+    : { valid: false, reason: 'INVALID_LINK' };
+  const quote = link.valid ? await getQuote(client, quoteId) : null;
+
+  if (
+    link.reason === 'LINK_EXPIRED' ||
+    quote?.status === QUOTE_STATUSES.EXPIRED
+  ) {
+    return {
+      error: {
+        success: false,
+        message:
+          'Ce devis a expiré. Demandez un nouveau devis pour commander aux prix actuels.',
+        code: 'QUOTE_EXPIRED',
+      },
+    };
+  }
+
+  if (
+    !quote ||
+    items.length !== 1 ||
+    items[0].applicationId !== quote.applicationId
+  ) {
+    return {
+      error: {
+        success: false,
+        message:
+          "Ce devis n'est pas valide. Utilisez le lien reçu par email avec votre devis.",
+        code: 'QUOTE_INVALID',
+      },
+    };
+  }
+
+  if (quote.status === QUOTE_STATUSES.CONVERTED) {
+    return {
+      error: {
+        success: false,
+        message: 'Ce devis a déjà donné lieu à une commande.',
+        code: 'QUOTE_ALREADY_CONVERTED',
+      },
+    };
+  }
+
+  return { quote };
+}
+
+/**
+ * Traitement d'une commande avec suivi des tentatives refusées
+ *
+ * @param {FormData} formData - Client, paiement, idempotencyKey, promoCode
+ * @param {Array<{applicationId: string, applicationFee: number}>} requestedItems
+ */
+async function submitOrder(formData, requestedItems) {
+  const ip = getForwardedIP({ headers: await headers() });
+  const result = await processOrder(formData, requestedItems, ip);
+
+  if (!result.success && FAILED_ATTEMPT_CODES.has(result.code)) {
+    after(() =>
+      trackFailedAttempt({
+        email: String(formData.get('email') || '').trim(),
+        phone: String(formData.get('phone') || ''),
+        ip,
+        code: result.code,
+      }),
+    );
+  }
+
+  return result;
+}
+
+/**
+ * Traitement commun d'une commande : application seule ou panier
+ * Chaque ligne est recalculée à partir de catalog.applications
+ */
+async function processOrder(formData, requestedItems, ip) {
+  let client = null;
+
+  try {
+    // Rejeu d'une soumission déjà traitée (double-clic, retry après lenteur) :
+    // vérifié avant le rate limit des commandes pour ne pas bloquer le client,
+    // derrière une limite plus souple propre aux rejeux
     const headersList = headers();
+    const idempotencyKey = sanitizeAndValidateUUID(
+      formData.get('idempotencyKey'),
+    );
+    const submittedEmail = String(formData.get('email') || '')
+      .trim()
+      .toLowerCase();
+
+    if (idempotencyKey && submittedEmail) {
+      const replayLimitCheck = await limitBenewAPI('orderReplay')({
+        headers: headersList,
+        url: '/order/create',
+        method: 'POST',
+      });
+
+      if (replayLimitCheck) {
+        return {
+          success: false,
+          message: 'Trop de tentatives de commande. Veuillez patienter.',
+          code: 'RATE_LIMITED',
+        };
+      }
+
+      client = await getClient();
+      const replay = await findOrderByIdempotencyKey(
+        client,
+        idempotencyKey,
+        submittedEmail,
+      );
+
+      if (replay) {
+        return replay;
+      }
+    }
+
+    // Rate Limiting simple
     const rateLimitCheck = await limitBenewAPI('order')({
       headers: headersList,
       url: '/order/create',
@@ -35,11 +352,24 @@ export async function createOrder(formData, applicationId, applicationFee) {
       };
     }
 
-    // Préparer et valider les données
+    // Lignes demandées : format, doublons, nombre maximum
+    const itemsValidation = await validateOrderItems(requestedItems);
+    if (!itemsValidation.success) {
+      return {
+        success: false,
+        message: formatValidationErrors(itemsValidation.errors),
+        code: 'VALIDATION_FAILED',
+        errors: itemsValidation.errors,
+      };
+    }
+
+    const items = itemsValidation.data;
+
+    // Préparer et valider les données (première ligne pour le schéma commun)
     const rawData = prepareOrderDataFromFormData(
       formData,
-      applicationId,
-      applicationFee,
+      items[0].applicationId,
+      items[0].applicationFee,
     );
 
     // Sanitization simple
@@ -76,36 +406,34 @@ export async function createOrder(formData, applicationId, applicationFee) {
       };
     }
 
-    // Vérification de sécurité finale
-    const safetyCheck = validateSanitizedDataSafety(yupValidation.data);
-    if (!safetyCheck.safe) {
-      return {
-        success: false,
-        message: 'Erreur de sécurité des données. Veuillez réessayer.',
-        code: 'SAFETY_CHECK_FAILED',
-      };
-    }
-
     // Insertion en base de données
-    client = await getClient();
+    client = client || (await getClient());
 
-    // Vérifier que l'application existe
+    // Vérifier que les applications existent
     const appCheck = await client.query(
-      'SELECT application_name, application_fee FROM catalog.applications WHERE application_id = $1 AND is_active = true',
-      [yupValidation.data.applicationId],
+      `SELECT application_id, application_name, application_fee,
+        application_rent, application_level
+      FROM catalog.applications
+      WHERE application_id = ANY($1::uuid[]) AND is_active = true`,
+      [items.map((item) => item.applicationId)],
     );
 
-    if (appCheck.rows.length === 0) {
+    if (appCheck.rows.length !== items.length) {
       return {
         success: false,
-        message: "L'application sélectionnée n'est pas disponible.",
+        message:
+          items.length > 1
+            ? "Une application de votre panier n'est plus disponible."
+            : "L'application sélectionnée n'est pas disponible.",
         code: 'APPLICATION_NOT_FOUND',
       };
     }
 
     // Vérifier que la plateforme de paiement existe
     const platformCheck = await client.query(
-      'SELECT platform_name FROM admin.platforms WHERE platform_id = $1 AND is_active = true',
+      `SELECT platform_name, platform_number, ${PLATFORM_RULE_COLUMNS}
+      FROM admin.platforms
+      WHERE platform_id = $1 AND is_active = true`,
       [yupValidation.data.paymentMethod],
     );
 
@@ -117,15 +445,150 @@ export async function createOrder(formData, applicationId, applicationFee) {
       };
     }
 
-    // Vérifier le montant
-    const expectedFee = parseFloat(appCheck.rows[0].application_fee);
-    if (Math.abs(yupValidation.data.applicationFee - expectedFee) > 0.01) {
+    // Compte de paiement : règles propres à la plateforme choisie
+    const accountCheck = validatePaymentAccount(platformCheck.rows[0], {
+      accountName: yupValidation.data.accountName,
+      accountNumber: yupValidation.data.accountNumber,
+    });
+
+    if (!accountCheck.valid) {
+      return {
+        success: false,
+        message: formatValidationErrors(accountCheck.errors),
+        code: 'PAYMENT_ACCOUNT_INVALID',
+        errors: accountCheck.errors,
+      };
+    }
+
+    // Numéro enregistré tel que validé, sans séparateurs de saisie
+    const accountNumber = normalizeAccountNumber(
+      yupValidation.data.accountNumber,
+    );
+
+    // Commande depuis un devis : prix figés à la date du devis
+    const { quote, error: quoteError } = await loadOrderQuote(
+      client,
+      formData,
+      items,
+    );
+
+    if (quoteError) {
+      return quoteError;
+    }
+
+    // Lignes au prix catalogue (ou du devis), dans l'ordre demandé
+    const catalog = new Map(
+      appCheck.rows.map((row) => [row.application_id, row]),
+    );
+    const lines = items.map((item) => {
+      const app = catalog.get(item.applicationId);
+
+      return {
+        applicationId: app.application_id,
+        applicationName: app.application_name,
+        applicationLevel: app.application_level,
+        requestedPrice: item.applicationFee,
+        originalPrice: quote
+          ? quote.applicationFee
+          : parseFloat(app.application_fee),
+        monthlyRent: quote
+          ? quote.applicationRent
+          : parseFloat(app.application_rent) || 0,
+      };
+    });
+
+    // Formule : la gestion prépayée suppose des frais de gestion
+    const plan = getOrderPlan(yupValidation.data.plan);
+    if (plan.prepaidMonths > 0 && !lines.some((line) => line.monthlyRent > 0)) {
+      return {
+        success: false,
+        message:
+          "Cette formule n'est pas disponible pour votre commande. Veuillez choisir une autre formule.",
+        code: 'PLAN_NOT_AVAILABLE',
+      };
+    }
+
+    // Vérifier le montant de chaque ligne (page obsolète)
+    if (
+      lines.some(
+        (line) => Math.abs(line.requestedPrice - line.originalPrice) > 0.01,
+      )
+    ) {
+      return {
+        success: false,
+        message: 'Erreur de montant. Veuillez actualiser la page et réessayer.',
+        code: 'PRICE_MISMATCH',
+      };
+    }
+
+    // Code promo : remise calculée sur les frais d'acquisition (prix catalogue)
+    let promo = null;
+    if (yupValidation.data.promoCode) {
+      promo = await evaluatePromoCode(client, {
+        code: yupValidation.data.promoCode,
+        items: lines.map((line) => ({
+          applicationId: line.applicationId,
+          applicationLevel: line.applicationLevel,
+          amount: line.originalPrice,
+        })),
+        email: yupValidation.data.email,
+      });
+
+      if (!promo.valid) {
+        return {
+          success: false,
+          message: promo.message,
+          code: promo.code,
+          errors: { promoCode: promo.message },
+        };
+      }
+    }
+
+    lines.forEach((line, index) => {
+      Object.assign(line, computePrepaidRent(line.monthlyRent, plan.id));
+      line.discount = promo ? promo.itemDiscounts[index] : 0;
+      line.price = line.originalPrice - line.discount + line.prepaidAmount;
+    });
+
+    const originalTotal = lines.reduce(
+      (sum, line) => sum + line.originalPrice + line.prepaidAmount,
+      0,
+    );
+    const prepaidAmount = lines.reduce(
+      (sum, line) => sum + line.prepaidAmount,
+      0,
+    );
+    const discount = promo ? promo.discount : 0;
+    const finalPrice = originalTotal - discount;
+
+    // Montant affiché dans OrderModal : formule ou remise obsolète
+    if (
+      yupValidation.data.expectedAmount != null &&
+      Math.abs(yupValidation.data.expectedAmount - finalPrice) > 0.01
+    ) {
       return {
         success: false,
         message: 'Erreur de montant. Veuillez actualiser la page et réessayer.',
         code: 'PRICE_MISMATCH',
       };
     }
+    const applicationName = lines
+      .map((line) => line.applicationName)
+      .join(', ');
+    const orderItems = lines.map((line) => ({
+      applicationName: line.applicationName,
+      price: line.price,
+    }));
+
+    // Score de risque : une commande suspecte est signalée, jamais refusée
+    const risk = await assessOrderRisk(client, {
+      email: yupValidation.data.email,
+      phone: yupValidation.data.phone,
+      firstName: yupValidation.data.firstName,
+      lastName: yupValidation.data.lastName,
+      accountName: yupValidation.data.accountName,
+      ip,
+    });
 
     // Insertion de la commande
     const clientInfo = [
@@ -135,22 +598,108 @@ export async function createOrder(formData, applicationId, applicationFee) {
       yupValidation.data.phone,
     ];
 
-    const insertResult = await client.query(
-      `INSERT INTO admin.orders (
-        order_client, order_platform_id, order_payment_name, 
-        order_payment_number, order_application_id, order_price, order_payment_status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7) 
-      RETURNING order_id, order_created, order_payment_status`,
-      [
-        clientInfo,
-        yupValidation.data.paymentMethod,
-        yupValidation.data.accountName,
-        yupValidation.data.accountNumber,
-        yupValidation.data.applicationId,
-        yupValidation.data.applicationFee,
-        'unpaid',
-      ],
-    );
+    // Commande + premier événement dans une même transaction
+    const insertResult = await withTransaction(client, async (tx) => {
+      const result = await tx.query(
+        `INSERT INTO admin.orders (
+          order_client, order_platform_id, order_payment_name,
+          order_payment_number, order_application_id, order_price, order_payment_status,
+          order_idempotency_key, order_promo_code, order_original_price,
+          order_discount_amount, order_risk_score, order_risk_level,
+          order_risk_signals, order_needs_review, order_customer_id, order_plan
+        ) VALUES (
+          $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+          -- Compte client dont l'email correspond, s'il existe
+          (SELECT customer_id FROM admin.customers WHERE customer_email = $16),
+          $17
+        )
+        ON CONFLICT (order_idempotency_key) DO NOTHING
+        RETURNING order_id, order_created, order_payment_status`,
+        [
+          clientInfo,
+          yupValidation.data.paymentMethod,
+          yupValidation.data.accountName,
+          accountNumber,
+          lines[0].applicationId,
+          finalPrice,
+          ORDER_STATUSES.UNPAID,
+          idempotencyKey,
+          promo ? promo.promo.code : null,
+          originalTotal,
+          discount,
+          risk.score,
+          risk.level,
+          JSON.stringify(risk.signals),
+          risk.needsReview,
+          clientInfo[2].toLowerCase(),
+          plan.id,
+        ],
+      );
+
+      if (result.rows.length > 0) {
+        // Limite globale ou par client atteinte par une commande concurrente :
+        // tout annuler
+        if (promo) {
+          const redemption = await redeemPromoCode(tx, promo.promo.id, {
+            email: yupValidation.data.email,
+            orderId: result.rows[0].order_id,
+          });
+
+          if (!redemption.success) {
+            const refused = new Error('Promo code usage limit reached');
+            refused.code = redemption.code;
+            throw refused;
+          }
+        }
+
+        // Devis converti par une commande concurrente : tout annuler
+        if (
+          quote &&
+          !(await markQuoteConverted(tx, quote.id, result.rows[0].order_id))
+        ) {
+          const converted = new Error('Quote already converted');
+          converted.code = 'QUOTE_ALREADY_CONVERTED';
+          throw converted;
+        }
+
+        await insertOrderItems(tx, result.rows[0].order_id, lines);
+        await markCheckoutConverted(
+          tx,
+          idempotencyKey,
+          result.rows[0].order_id,
+        );
+
+        await recordOrderEvent(tx, {
+          orderId: result.rows[0].order_id,
+          toStatus: ORDER_STATUSES.UNPAID,
+          actor: ORDER_ACTORS.CUSTOMER,
+          note: [
+            quote
+              ? `Commande créée depuis le devis ${quote.number}`
+              : 'Commande créée depuis le site',
+            risk.needsReview && `à vérifier (score de risque ${risk.score})`,
+          ]
+            .filter(Boolean)
+            .join(' - '),
+        });
+        await assignInvoiceNumber(tx, result.rows[0].order_id);
+      }
+
+      return result;
+    });
+
+    // Conflit : une soumission concurrente avec la même clé vient d'aboutir
+    if (insertResult.rows.length === 0 && idempotencyKey) {
+      const replay = await findOrderByIdempotencyKey(
+        client,
+        idempotencyKey,
+        yupValidation.data.email,
+      );
+
+      if (replay) {
+        return replay;
+      }
+    }
 
     const newOrder = insertResult.rows[0];
 
@@ -163,6 +712,38 @@ export async function createOrder(formData, applicationId, applicationFee) {
       };
     }
 
+    // Emails de confirmation envoyés après la réponse (un échec n'annule pas la commande)
+    after(() =>
+      sendOrderEmails({
+        id: newOrder.order_id,
+        created: newOrder.order_created,
+        applicationName,
+        items: orderItems,
+        amount: finalPrice,
+        originalAmount: originalTotal,
+        discount,
+        promoCode: promo ? promo.promo.code : null,
+        plan,
+        prepaidAmount,
+        quoteNumber: quote ? quote.number : null,
+        risk,
+        platformName: platformCheck.rows[0].platform_name,
+        platformNumber: platformCheck.rows[0].platform_number,
+        accountName: yupValidation.data.accountName,
+        accountNumber,
+        customer: {
+          lastName: yupValidation.data.lastName,
+          firstName: yupValidation.data.firstName,
+          email: yupValidation.data.email,
+          phone: yupValidation.data.phone,
+        },
+      }).catch((emailError) => {
+        captureException(emailError, {
+          tags: { component: 'order_actions', operation: 'order_emails' },
+        });
+      }),
+    );
+
     return {
       success: true,
       message: 'Commande créée avec succès',
@@ -171,16 +752,50 @@ export async function createOrder(formData, applicationId, applicationFee) {
         id: newOrder.order_id,
         status: newOrder.order_payment_status,
         created: newOrder.order_created,
-        applicationName: appCheck.rows[0].application_name,
-        amount: yupValidation.data.applicationFee,
+        applicationName,
+        items: orderItems,
+        amount: finalPrice,
+        originalAmount: originalTotal,
+        discount,
+        promoCode: promo ? promo.promo.code : null,
+        plan: plan.id,
+        prepaidAmount,
         platform: platformCheck.rows[0].platform_name,
       },
     };
   } catch (error) {
+    if (error.code === 'QUOTE_ALREADY_CONVERTED') {
+      return {
+        success: false,
+        message: 'Ce devis a déjà donné lieu à une commande.',
+        code: 'QUOTE_ALREADY_CONVERTED',
+      };
+    }
+
+    if (error.code === 'PROMO_ALREADY_USED') {
+      return {
+        success: false,
+        message: 'Vous avez déjà utilisé ce code promo.',
+        code: 'PROMO_ALREADY_USED',
+        errors: { promoCode: 'Vous avez déjà utilisé ce code promo.' },
+      };
+    }
+
+    if (error.code === 'PROMO_EXHAUSTED') {
+      return {
+        success: false,
+        message: "Ce code promo a atteint sa limite d'utilisation.",
+        code: 'PROMO_EXHAUSTED',
+        errors: {
+          promoCode: "Ce code promo a atteint sa limite d'utilisation.",
+        },
+      };
+    }
+
     // Log de l'erreur
     captureException(error, {
       tags: { component: 'order_actions', operation: 'create_order' },
-      extra: { applicationId, applicationFee },
+      extra: { items: requestedItems },
     });
 
     // Message d'erreur selon le type
@@ -214,6 +829,31 @@ export async function createOrder(formData, applicationId, applicationFee) {
   }
 }
 
+export async function createOrder(formData, applicationId, applicationFee) {
+  return submitOrder(formData, [{ applicationId, applicationFee }]);
+}
+
+// Commande du panier : une seule commande, une ligne par application
+export async function createCartOrder(formData) {
+  let requestedItems;
+
+  try {
+    requestedItems = JSON.parse(String(formData.get('items') || '[]'));
+  } catch {
+    requestedItems = null;
+  }
+
+  if (!Array.isArray(requestedItems)) {
+    return {
+      success: false,
+      message: 'Panier invalide. Veuillez actualiser la page.',
+      code: 'VALIDATION_FAILED',
+    };
+  }
+
+  return submitOrder(formData, requestedItems);
+}
+
 export async function createOrderFromObject(data) {
   try {
     const formData = new FormData();
@@ -227,6 +867,13 @@ export async function createOrderFromObject(data) {
       'paymentMethod',
       'accountName',
       'accountNumber',
+      'idempotencyKey',
+      'promoCode',
+      'plan',
+      'expectedAmount',
+      'quoteId',
+      'quoteExpires',
+      'quoteSignature',
     ];
 
     fields.forEach((field) => {
@@ -252,3 +899,377 @@ export async function createOrderFromObject(data) {
     };
   }
 }
+
+export async function lookupOrder(formData) {
+  let client = null;
+
+  // Message unique pour ne jamais révéler si une commande existe
+  const notFoundResponse = {
+    success: false,
+    message:
+      'Aucune commande ne correspond à ce numéro et à cette adresse email.',
+    code: 'ORDER_NOT_FOUND',
+  };
+
+  try {
+    // Rate Limiting
+    const headersList = await headers();
+    const rateLimitCheck = await limitBenewAPI('orderLookup')({
+      headers: headersList,
+      url: '/order/lookup',
+      method: 'POST',
+    });
+
+    if (rateLimitCheck) {
+      return {
+        success: false,
+        message: 'Trop de recherches de commande. Veuillez patienter.',
+        code: 'RATE_LIMITED',
+      };
+    }
+
+    // Validation Yup
+    const validation = await validateOrderLookup({
+      orderId: formData.get('orderId') || '',
+      email: formData.get('email') || '',
+    });
+
+    if (!validation.success) {
+      return {
+        success: false,
+        message: formatValidationErrors(validation.errors),
+        code: 'VALIDATION_FAILED',
+        errors: validation.errors,
+      };
+    }
+
+    client = await getClient();
+
+    // La commande n'est renvoyée que si l'email correspond à celui du client
+    // (order_client = [nom, prénom, email, téléphone])
+    const result = await client.query(
+      `SELECT
+        o.order_id,
+        o.order_payment_status,
+        o.order_price,
+        o.order_created,
+        ${ORDER_APPLICATION_NAMES_SQL} AS application_name,
+        p.platform_name,
+        (SELECT COUNT(*) FROM admin.order_payment_proofs
+         WHERE proof_order_id = o.order_id) as proofs_count
+      FROM admin.orders o
+      JOIN catalog.applications a ON o.order_application_id = a.application_id
+      LEFT JOIN admin.platforms p ON o.order_platform_id = p.platform_id
+      WHERE o.order_id = $1
+        AND LOWER(o.order_client[3]) = $2`,
+      [validation.data.orderId, validation.data.email],
+    );
+
+    if (result.rows.length === 0) {
+      return notFoundResponse;
+    }
+
+    const order = result.rows[0];
+    const events = await getOrderEvents(client, order.order_id);
+
+    return {
+      success: true,
+      order: {
+        id: order.order_id,
+        status: order.order_payment_status,
+        applicationName: order.application_name,
+        amount: parseFloat(order.order_price),
+        platform: order.platform_name,
+        created: order.order_created,
+        paymentProofsCount: Number(order.proofs_count),
+        // Historique sans les notes internes
+        history: events.map((event) => ({
+          status: event.event_to_status,
+          date: event.event_created,
+        })),
+      },
+    };
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'order_actions', operation: 'lookup_order' },
+    });
+
+    return {
+      success: false,
+      message:
+        'Impossible de récupérer votre commande pour le moment. Veuillez réessayer plus tard.',
+      code: 'SYSTEM_ERROR',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message,
+    };
+  } finally {
+    if (client) {
+      try {
+        await client.release();
+      } catch (releaseError) {
+        captureException(releaseError, {
+          tags: { component: 'order_actions', operation: 'client_release' },
+        });
+      }
+    }
+  }
+}
+
+export async function downloadOrderInvoice(formData) {
+  let client = null;
+
+  // Même message que lookupOrder pour ne jamais révéler si une commande existe
+  const notFoundResponse = {
+    success: false,
+    message:
+      'Aucune commande ne correspond à ce numéro et à cette adresse email.',
+    code: 'ORDER_NOT_FOUND',
+  };
+
+  try {
+    // Rate Limiting (même quota que le suivi de commande)
+    const headersList = await headers();
+    const rateLimitCheck = await limitBenewAPI('orderLookup')({
+      headers: headersList,
+      url: '/order/lookup',
+      method: 'POST',
+    });
+
+    if (rateLimitCheck) {
+      return {
+        success: false,
+        message: 'Trop de demandes. Veuillez patienter.',
+        code: 'RATE_LIMITED',
+      };
+    }
+
+    const validation = await validateOrderLookup({
+      orderId: formData.get('orderId') || '',
+      email: formData.get('email') || '',
+    });
+
+    if (!validation.success) {
+      return {
+        success: false,
+        message: formatValidationErrors(validation.errors),
+        code: 'VALIDATION_FAILED',
+        errors: validation.errors,
+      };
+    }
+
+    client = await getClient();
+
+    const ownership = await client.query(
+      `SELECT order_id FROM admin.orders
+      WHERE order_id = $1 AND LOWER(order_client[3]) = $2`,
+      [validation.data.orderId, validation.data.email],
+    );
+
+    if (ownership.rows.length === 0) {
+      return notFoundResponse;
+    }
+
+    const invoice = await generateOrderInvoice(
+      client,
+      ownership.rows[0].order_id,
+    );
+
+    if (!invoice) {
+      return notFoundResponse;
+    }
+
+    // Les Server Actions ne transportent pas de binaire : PDF encodé en base64
+    return {
+      success: true,
+      filename: invoice.filename,
+      content: invoice.buffer.toString('base64'),
+    };
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'order_actions', operation: 'download_invoice' },
+    });
+
+    return {
+      success: false,
+      message:
+        'Impossible de générer votre facture pour le moment. Veuillez réessayer plus tard.',
+      code: 'SYSTEM_ERROR',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message,
+    };
+  } finally {
+    if (client) {
+      try {
+        await client.release();
+      } catch (releaseError) {
+        captureException(releaseError, {
+          tags: { component: 'order_actions', operation: 'client_release' },
+        });
+      }
+    }
+  }
+}
+
+// Notification interne d'une annulation par le client
+async function sendCancellationNotification(order) {
+  if (!isEmailConfigured()) return;
+
+  await sendEmailWithRetry(
+    {
+      to: [process.env.RESEND_TO_EMAIL],
+      ...renderEmail('orderCancellationNotification', {
+        ...order,
+        cancelled: new Date(),
+      }),
+      replyTo: order.customer.email,
+      headers: { 'X-Order-Id': String(order.id) },
+    },
+    { emailType: 'order_cancellation_notification' },
+  );
+}
+
+/**
+ * Annulation d'une commande depuis le lien signé de l'email de confirmation
+ * Possible uniquement tant que la commande est en attente de paiement
+ */
+export async function cancelOrderWithLink(formData) {
+  let client = null;
+
+  try {
+    const headersList = await headers();
+    const rateLimitCheck = await limitBenewAPI('orderLookup')({
+      headers: headersList,
+      url: '/order/cancel',
+      method: 'POST',
+    });
+
+    if (rateLimitCheck) {
+      return {
+        success: false,
+        message: 'Trop de demandes. Veuillez patienter.',
+        code: 'RATE_LIMITED',
+      };
+    }
+
+    const orderId = sanitizeAndValidateUUID(formData.get('orderId'));
+    const link = orderId
+      ? verifyOrderCancelLink(
+          orderId,
+          formData.get('expires'),
+          formData.get('signature'),
+        )
+      : { valid: false, reason: 'INVALID_LINK' };
+
+    if (!link.valid) {
+      return {
+        success: false,
+        message:
+          link.reason === 'LINK_EXPIRED'
+            ? "Ce lien d'annulation a expiré."
+            : "Ce lien d'annulation n'est pas valide.",
+        code: link.reason,
+      };
+    }
+
+    client = await getClient();
+
+    const outcome = await withTransaction(client, async (tx) => {
+      const result = await tx.query(
+        `SELECT
+          o.order_id, o.order_payment_status, o.order_price, o.order_client,
+          ${ORDER_APPLICATION_NAMES_SQL} AS application_name
+        FROM admin.orders o
+        JOIN catalog.applications a ON o.order_application_id = a.application_id
+        WHERE o.order_id = $1
+        FOR UPDATE OF o`,
+        [orderId],
+      );
+
+      if (result.rows.length === 0) {
+        return { code: 'ORDER_NOT_FOUND' };
+      }
+
+      const row = result.rows[0];
+
+      if (row.order_payment_status === ORDER_STATUSES.CANCELLED) {
+        return { code: 'ALREADY_CANCELLED', row };
+      }
+
+      // Paiement envoyé ou reçu : remboursement sur demande uniquement
+      if (row.order_payment_status !== ORDER_STATUSES.UNPAID) {
+        return { code: 'ORDER_NOT_CANCELLABLE', row };
+      }
+
+      await transitionOrder(tx, orderId, ORDER_STATUSES.CANCELLED, {
+        actor: ORDER_ACTORS.CUSTOMER,
+        note: "Annulée par le client via le lien de l'email de confirmation",
+      });
+
+      return { code: 'ORDER_CANCELLED', row };
+    });
+
+    if (outcome.code === 'ORDER_NOT_FOUND') {
+      return {
+        success: false,
+        message: "Ce lien d'annulation n'est pas valide.",
+        code: 'INVALID_LINK',
+      };
+    }
+
+    if (outcome.code === 'ORDER_NOT_CANCELLABLE') {
+      return {
+        success: false,
+        message:
+          'Votre paiement a déjà été envoyé : la commande ne peut plus être annulée en ligne.',
+        code: 'ORDER_NOT_CANCELLABLE',
+        status: outcome.row.order_payment_status,
+      };
+    }
+
+    if (outcome.code === 'ORDER_CANCELLED') {
+      const [lastName, firstName, email] = outcome.row.order_client || [];
+
+      after(() =>
+        sendCancellationNotification({
+          id: orderId,
+          applicationName: outcome.row.application_name,
+          amount: outcome.row.order_price,
+          customer: { lastName, firstName, email },
+        }).catch((emailError) => {
+          captureException(emailError, {
+            tags: {
+              component: 'order_actions',
+              operation: 'cancellation_email',
+            },
+          });
+        }),
+      );
+    }
+
+    return {
+      success: true,
+      message: 'Votre commande a bien été annulée.',
+      code: outcome.code,
+    };
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'order_actions', operation: 'cancel_order' },
+    });
+
+    return {
+      success: false,
+      message:
+        "Impossible d'annuler votre commande pour le moment. Veuillez réessayer plus tard.",
+      code: 'SYSTEM_ERROR',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message,
+    };
+  } finally {
+    if (client) {
+      try {
+        await client.release();
+      } catch (releaseError) {
+        captureException(releaseError, {
+          tags: { component: 'order_actions', operation: 'client_release' },
+        });
+      }
+    }
+  }
+}
@@ -0,0 +1,250 @@
+'use server';
+
+import { headers } from 'next/headers';
+import { getClient, withTransaction } from '@/backend/dbConnect';
+import {
+  ORDER_STATUSES,
+  ORDER_ACTORS,
+  transitionOrder,
+} from '@/backend/orderLifecycle';
+import { captureException } from '../instrumentation';
+import { limitBenewAPI } from '@/backend/rateLimiter';
+import { saveFile, removeFile } from '@/backend/fileStorage';
+import {
+  validateOrderLookup,
+  formatValidationErrors,
+} from '@/utils/schemas/schema';
+import {
+  PAYMENT_PROOF_CONFIG,
+  validatePaymentProofFile,
+  matchesFileSignature,
+} from '@/utils/schemas/paymentProofSchema';
+
+export async function uploadPaymentProof(formData) {
+  let client = null;
+  let stored = null;
+
+  const notEligibleResponse = {
+    success: false,
+    message: "Cette commande n'attend plus de justificatif de paiement.",
+    code: 'ORDER_NOT_ELIGIBLE',
+  };
+
+  const tooManyProofsResponse = {
+    success: false,
+    message:
+      'Nombre maximum de justificatifs atteint. Contactez-nous si besoin.',
+    code: 'TOO_MANY_PROOFS',
+  };
+
+  try {
+    // Rate Limiting
+    const headersList = await headers();
+    const rateLimitCheck = await limitBenewAPI('upload')({
+      headers: headersList,
+      url: '/order/payment-proof',
+      method: 'POST',
+    });
+
+    if (rateLimitCheck) {
+      return {
+        success: false,
+        message: "Trop d'envois de fichiers. Veuillez patienter.",
+        code: 'RATE_LIMITED',
+      };
+    }
+
+    // Validation de la commande (numéro + email du client)
+    const validation = await validateOrderLookup({
+      orderId: formData.get('orderId') || '',
+      email: formData.get('email') || '',
+    });
+
+    if (!validation.success) {
+      return {
+        success: false,
+        message: formatValidationErrors(validation.errors),
+        code: 'VALIDATION_FAILED',
+        errors: validation.errors,
+      };
+    }
+
+    // Validation du fichier : type et taille déclarés, puis contenu réel
+    const file = formData.get('proof');
+    const fileCheck = validatePaymentProofFile(file);
+    if (!fileCheck.valid) {
+      return {
+        success: false,
+        message: fileCheck.error,
+        code: 'INVALID_FILE',
+      };
+    }
+
+    const buffer = await file.arrayBuffer();
+    if (!matchesFileSignature(buffer, file.type)) {
+      return {
+        success: false,
+        message: 'Le contenu du fichier ne correspond pas à son format.',
+        code: 'INVALID_FILE',
+      };
+    }
+
+    client = await getClient();
+
+    const orderResult = await client.query(
+      `SELECT
+        o.order_id,
+        o.order_payment_status,
+        (SELECT COUNT(*) FROM admin.order_payment_proofs
+         WHERE proof_order_id = o.order_id) as proofs_count
+      FROM admin.orders o
+      WHERE o.order_id = $1
+        AND LOWER(o.order_client[3]) = $2`,
+      [validation.data.orderId, validation.data.email],
+    );
+
+    if (orderResult.rows.length === 0) {
+      return {
+        success: false,
+        message:
+          'Aucune commande ne correspond à ce numéro et à cette adresse email.',
+        code: 'ORDER_NOT_FOUND',
+      };
+    }
+
+    const order = orderResult.rows[0];
+
+    // Justificatifs acceptés tant que le paiement n'est pas validé
+    if (
+      ![ORDER_STATUSES.UNPAID, ORDER_STATUSES.PAYMENT_SUBMITTED].includes(
+        order.order_payment_status,
+      )
+    ) {
+      return notEligibleResponse;
+    }
+
+    if (Number(order.proofs_count) >= PAYMENT_PROOF_CONFIG.maxFilesPerOrder) {
+      return tooManyProofsResponse;
+    }
+
+    // Stockage du fichier
+    stored = await saveFile({
+      buffer,
+      mimeType: file.type,
+      extension: PAYMENT_PROOF_CONFIG.allowedTypes[file.type],
+      folder: `payment-proofs/${order.order_id}`,
+    });
+
+    // Justificatif + passage en "paiement soumis" dans une même transaction
+    // Commande verrouillée : statut et nombre de justificatifs revérifiés,
+    // deux envois simultanés ne peuvent pas dépasser la limite
+    const outcome = await withTransaction(client, async (tx) => {
+      await tx.query(
+        'SELECT order_id FROM admin.orders WHERE order_id = $1 FOR UPDATE',
+        [order.order_id],
+      );
+
+      // Compté après le verrou : inclut les envois validés entre-temps
+      const countResult = await tx.query(
+        `SELECT COUNT(*)::int AS proofs_count FROM admin.order_payment_proofs
+        WHERE proof_order_id = $1`,
+        [order.order_id],
+      );
+
+      if (
+        countResult.rows[0].proofs_count >=
+        PAYMENT_PROOF_CONFIG.maxFilesPerOrder
+      ) {
+        return { code: 'TOO_MANY_PROOFS' };
+      }
+
+      const transition = await transitionOrder(
+        tx,
+        order.order_id,
+        ORDER_STATUSES.PAYMENT_SUBMITTED,
+        {
+          actor: ORDER_ACTORS.CUSTOMER,
+          note: 'Justificatif de paiement envoyé',
+        },
+      );
+
+      // Paiement validé ou commande annulée depuis la vérification
+      if (!transition.success) {
+        return { code: 'ORDER_NOT_ELIGIBLE' };
+      }
+
+      const insertResult = await tx.query(
+        `INSERT INTO admin.order_payment_proofs (
+          proof_order_id, proof_storage_provider, proof_storage_key,
+          proof_url, proof_mime_type, proof_size_bytes, proof_original_name
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING proof_id, proof_created`,
+        [
+          order.order_id,
+          stored.provider,
+          stored.key,
+          stored.url,
+          file.type,
+          file.size,
+          (file.name || '').substring(0, 255),
+        ],
+      );
+
+      return { code: 'PROOF_SAVED', proof: insertResult.rows[0] };
+    });
+
+    if (outcome.code !== 'PROOF_SAVED') {
+      // Rien n'est enregistré en base : le fichier stocké n'a plus d'usage
+      removeFile(stored).catch((removeError) => {
+        captureException(removeError, {
+          tags: { component: 'payment_proof_actions', operation: 'rollback' },
+        });
+      });
+
+      return outcome.code === 'TOO_MANY_PROOFS'
+        ? tooManyProofsResponse
+        : notEligibleResponse;
+    }
+
+    return {
+      success: true,
+      message:
+        'Justificatif reçu. Notre équipe va vérifier votre paiement rapidement.',
+      proofId: outcome.proof.proof_id,
+    };
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'payment_proof_actions', operation: 'upload' },
+    });
+
+    // Nettoyer le fichier si l'enregistrement en base a échoué
+    if (stored) {
+      removeFile(stored).catch((removeError) => {
+        captureException(removeError, {
+          tags: { component: 'payment_proof_actions', operation: 'rollback' },
+        });
+      });
+    }
+
+    return {
+      success: false,
+      message:
+        "Impossible d'enregistrer votre justificatif pour le moment. Veuillez réessayer plus tard.",
+      code: 'SYSTEM_ERROR',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message,
+    };
+  } finally {
+    if (client) {
+      try {
+        await client.release();
+      } catch (releaseError) {
+        captureException(releaseError, {
+          tags: {
+            component: 'payment_proof_actions',
+            operation: 'client_release',
+          },
+        });
+      }
+    }
+  }
+}
@@ -0,0 +1,125 @@
+'use server';
+
+import { headers } from 'next/headers';
+import { getClient } from '@/backend/dbConnect';
+import { captureException } from '../instrumentation';
+import { limitBenewAPI } from '@/backend/rateLimiter';
+import { evaluatePromoCode, normalizePromoCode } from '@/backend/promoCodes';
+import { sanitizeAndValidateUUID } from '@/utils/validation';
+import { CART_MAX_ITEMS } from '@/utils/schemas/schema';
+
+// Aperçu de la remise dans OrderModal (application seule ou panier)
+// Le prix définitif est recalculé par createOrder, cet aperçu n'engage rien
+export async function checkPromoCode(formData) {
+  let client = null;
+
+  try {
+    // Rate Limiting : empêche de tester des codes en masse
+    const headersList = await headers();
+    const rateLimitCheck = await limitBenewAPI('promo')({
+      headers: headersList,
+      url: '/order/promo',
+      method: 'POST',
+    });
+
+    if (rateLimitCheck) {
+      return {
+        success: false,
+        message: 'Trop de tentatives. Veuillez patienter.',
+        code: 'RATE_LIMITED',
+      };
+    }
+
+    const code = normalizePromoCode(formData.get('promoCode'));
+    // Un champ applicationId par application commandée
+    const applicationIds = formData
+      .getAll('applicationId')
+      .slice(0, CART_MAX_ITEMS)
+      .map((id) => sanitizeAndValidateUUID(id));
+
+    if (
+      !code ||
+      !/^[A-Z0-9_-]{1,30}$/.test(code) ||
+      applicationIds.length === 0 ||
+      applicationIds.some((id) => !id)
+    ) {
+      return {
+        success: false,
+        message: 'Code promo invalide.',
+        code: 'PROMO_INVALID',
+      };
+    }
+
+    client = await getClient();
+
+    // Prix et niveau lus en base, jamais fournis par le client
+    const appCheck = await client.query(
+      `SELECT application_id, application_fee, application_level
+      FROM catalog.applications
+      WHERE application_id = ANY($1::uuid[]) AND is_active = true`,
+      [applicationIds],
+    );
+
+    if (appCheck.rows.length === 0) {
+      return {
+        success: false,
+        message: "L'application sélectionnée n'est pas disponible.",
+        code: 'APPLICATION_NOT_FOUND',
+      };
+    }
+
+    const items = appCheck.rows.map((row) => ({
+      applicationId: row.application_id,
+      applicationLevel: row.application_level,
+      amount: parseFloat(row.application_fee),
+    }));
+    const originalPrice = items.reduce((sum, item) => sum + item.amount, 0);
+    const email = String(formData.get('email') || '')
+      .trim()
+      .toLowerCase();
+
+    const result = await evaluatePromoCode(client, {
+      code,
+      items,
+      email: email || null,
+    });
+
+    if (!result.valid) {
+      return {
+        success: false,
+        message: result.message,
+        code: result.code,
+      };
+    }
+
+    return {
+      success: true,
+      promoCode: result.promo.code,
+      description: result.promo.description,
+      originalPrice,
+      discount: result.discount,
+      finalPrice: result.finalPrice,
+    };
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'promo_actions', operation: 'check_promo_code' },
+    });
+
+    return {
+      success: false,
+      message: 'Impossible de vérifier ce code pour le moment.',
+      code: 'SYSTEM_ERROR',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message,
+    };
+  } finally {
+    if (client) {
+      try {
+        await client.release();
+      } catch (releaseError) {
+        captureException(releaseError, {
+          tags: { component: 'promo_actions', operation: 'client_release' },
+        });
+      }
+    }
+  }
+}
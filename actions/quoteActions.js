@@ -0,0 +1,207 @@
+'use server';
+
+import { headers } from 'next/headers';
+import { after } from 'next/server';
+
+import { getClient } from '@/backend/dbConnect';
+import { captureException } from '../instrumentation';
+import { limitBenewAPI } from '@/backend/rateLimiter';
+import { isEmailConfigured, sendEmailWithRetry } from '@/backend/emailService';
+import { renderEmail } from '@/backend/emailTemplates';
+import {
+  createQuote,
+  generateQuotePdf,
+  renderQuotePdf,
+} from '@/backend/quotes';
+import { createQuoteUrl, verifyQuoteLink } from '@/backend/orderLinks';
+import { sanitizeAndValidateUUID } from '@/utils/validation';
+import {
+  validateQuoteRequest,
+  formatValidationErrors,
+} from '@/utils/schemas/schema';
+
+/**
+ * Envoie le devis au demandeur et la notification à l'équipe
+ * Les échecs sont journalisés mais n'affectent jamais le devis
+ */
+async function sendQuoteEmails(quote) {
+  if (!isEmailConfigured()) {
+    captureException(new Error('Configuration email manquante'), {
+      tags: { component: 'quote_actions', operation: 'quote_emails' },
+    });
+    return;
+  }
+
+  const quoteHeaders = {
+    'X-Quote-Source': 'Benew-Quote-Modal',
+    'X-Quote-Id': String(quote.id),
+  };
+
+  const quoteUrl = createQuoteUrl(quote.id, quote.validUntil);
+  const pdf = await renderQuotePdf(quote);
+
+  await Promise.allSettled([
+    sendEmailWithRetry(
+      {
+        to: [quote.contact.email],
+        ...renderEmail('quoteRequest', { ...quote, quoteUrl }),
+        replyTo: process.env.RESEND_TO_EMAIL,
+        headers: quoteHeaders,
+        attachments: [{ filename: `devis-${quote.number}.pdf`, content: pdf }],
+      },
+      { emailType: 'quote' },
+    ),
+    sendEmailWithRetry(
+      {
+        to: [process.env.RESEND_TO_EMAIL],
+        ...renderEmail('quoteNotification', quote),
+        replyTo: quote.contact.email,
+        headers: quoteHeaders,
+      },
+      { emailType: 'quote_notification' },
+    ),
+  ]);
+}
+
+/**
+ * Demande de devis depuis une page application
+ * Prix figés pendant la validité du devis, envoyé par email en PDF
+ */
+export async function requestQuote(formData) {
+  let client = null;
+
+  try {
+    const headersList = await headers();
+    const rateLimitCheck = await limitBenewAPI('quote')({
+      headers: headersList,
+      url: '/quote/request',
+      method: 'POST',
+    });
+
+    if (rateLimitCheck) {
+      return {
+        success: false,
+        message: 'Trop de demandes de devis. Veuillez patienter.',
+        code: 'RATE_LIMITED',
+      };
+    }
+
+    const validation = await validateQuoteRequest({
+      companyName: formData.get('companyName') || '',
+      taxId: formData.get('taxId') || '',
+      address: formData.get('address') || '',
+      contactName: formData.get('contactName') || '',
+      email: formData.get('email') || '',
+      phone: formData.get('phone') || '',
+      applicationId: formData.get('applicationId') || '',
+    });
+
+    if (!validation.success) {
+      return {
+        success: false,
+        message: formatValidationErrors(validation.errors),
+        code: 'VALIDATION_FAILED',
+        errors: validation.errors,
+      };
+    }
+
+    client = await getClient();
+    const quote = await createQuote(client, validation.data);
+
+    if (!quote) {
+      return {
+        success: false,
+        message: "L'application sélectionnée n'est pas disponible.",
+        code: 'APPLICATION_NOT_FOUND',
+      };
+    }
+
+    after(() =>
+      sendQuoteEmails(quote).catch((emailError) => {
+        captureException(emailError, {
+          tags: { component: 'quote_actions', operation: 'quote_emails' },
+        });
+      }),
+    );
+
+    return {
+      success: true,
+      message: `Votre devis ${quote.number} vous a été envoyé par email.`,
+      quoteNumber: quote.number,
+      validUntil: quote.validUntil,
+      quoteUrl: createQuoteUrl(quote.id, quote.validUntil),
+    };
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'quote_actions', operation: 'request_quote' },
+    });
+
+    return {
+      success: false,
+      message:
+        'Impossible de créer votre devis pour le moment. Veuillez réessayer plus tard.',
+      code: 'SYSTEM_ERROR',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message,
+    };
+  } finally {
+    if (client) client.release();
+  }
+}
+
+/**
+ * PDF d'un devis depuis son lien signé
+ */
+export async function downloadQuote(formData) {
+  let client = null;
+
+  const notFoundResponse = {
+    success: false,
+    message: 'Devis introuvable.',
+    code: 'QUOTE_NOT_FOUND',
+  };
+
+  try {
+    const quoteId = sanitizeAndValidateUUID(formData.get('quoteId'));
+    if (!quoteId) {
+      return notFoundResponse;
+    }
+
+    const link = verifyQuoteLink(
+      quoteId,
+      formData.get('expires'),
+      formData.get('signature'),
+    );
+
+    if (!link.valid) {
+      return notFoundResponse;
+    }
+
+    client = await getClient();
+    const pdf = await generateQuotePdf(client, quoteId);
+
+    if (!pdf) {
+      return notFoundResponse;
+    }
+
+    // Les Server Actions ne transportent pas de binaire : PDF encodé en base64
+    return {
+      success: true,
+      filename: pdf.filename,
+      content: pdf.buffer.toString('base64'),
+    };
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'quote_actions', operation: 'download_quote' },
+    });
+
+    return {
+      success: false,
+      message:
+        'Impossible de générer votre devis pour le moment. Veuillez réessayer plus tard.',
+      code: 'SYSTEM_ERROR',
+      error: process.env.NODE_ENV === 'production' ? undefined : error.message,
+    };
+  } finally {
+    if (client) client.release();
+  }
+}
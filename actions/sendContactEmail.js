@@ -1,18 +1,26 @@
 'use server';
 
-import { Resend } from 'resend';
 import { headers } from 'next/headers';
-import { captureException, captureEmailError } from '../instrumentation';
+import { after } from 'next/server';
+
+import { getClient } from '@/backend/dbConnect';
+import { captureException } from '../instrumentation';
 import {
   validateContactEmail,
   prepareContactDataFromFormData,
   formatContactValidationErrors,
-  detectBotBehavior,
 } from '@/utils/schemas/contactEmailSchema';
 import { limitBenewAPI } from '@/backend/rateLimiter';
-
-// Initialisation Resend simple
-const resend = new Resend(process.env.RESEND_API_KEY);
+import {
+  ACK_STATUSES,
+  createContactMessage,
+  deliverPendingMessages,
+  recordSpamMessage,
+} from '@/backend/contactMessages';
+import {
+  assessContactSpam,
+  createContactFormToken,
+} from '@/backend/contactSpam';
 
 // Anti-doublons simple
 const recentEmails = new Map();
@@ -39,53 +47,41 @@ function isDuplicateEmail(data) {
   return { isDuplicate: false };
 }
 
-// Génération du contenu email
-function generateEmailContent(data) {
-  const timestamp = new Date().toLocaleString('fr-FR', {
-    timeZone: 'Europe/Paris',
-    year: 'numeric',
-    month: '2-digit',
-    day: '2-digit',
-    hour: '2-digit',
-    minute: '2-digit',
-  });
-
-  return `NOUVEAU MESSAGE DE CONTACT - BENEW
-======================================
-
-📧 Reçu le : ${timestamp}
+/**
+ * Livraison immédiate d'un message enregistré, après la réponse au visiteur
+ * En cas d'échec le message reste en attente pour scripts/contact-outbox.mjs
+ * L'accusé de réception éventuel part avec la livraison réussie à l'équipe,
+ * immédiate ou rattrapée par l'outbox
+ */
+async function deliverContactMessage(messageId) {
+  let client = null;
 
-👤 EXPÉDITEUR
-Nom : ${data.name}
-Email : ${data.email}
-
-📋 DÉTAILS
-Sujet : ${data.subject}
-
-💬 MESSAGE
-${data.message}
-
----
-Cet email a été envoyé automatiquement depuis le formulaire de contact du site Benew.
-Vous pouvez répondre directement à cet email pour contacter ${data.name}.
+  try {
+    client = await getClient();
+    await deliverPendingMessages(client, { messageId });
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'contact_email', operation: 'deliver' },
+    });
+  } finally {
+    if (client) client.release();
+  }
+}
 
-🔒 ID de référence : ${Date.now().toString(36).toUpperCase()}
-`;
+/**
+ * Jeton signé remis à l'affichage du formulaire (délai de remplissage)
+ * Demandé par le navigateur : la page de contact est mise en cache
+ */
+export async function getContactFormToken() {
+  return createContactFormToken();
 }
 
 export async function sendContactEmail(formData) {
-  try {
-    // Vérifier la configuration
-    if (
-      !process.env.RESEND_API_KEY ||
-      !process.env.RESEND_FROM_EMAIL ||
-      !process.env.RESEND_TO_EMAIL
-    ) {
-      throw new Error('Configuration email manquante');
-    }
+  let client = null;
 
+  try {
     // Rate Limiting
-    const headersList = headers();
+    const headersList = await headers();
     const rateLimitCheck = await limitBenewAPI('contact')({
       headers: headersList,
       url: '/contact',
@@ -116,18 +112,23 @@ export async function sendContactEmail(formData) {
 
     const validatedData = validationResult.data;
 
-    // Détection de bot simple
-    const botAnalysis = detectBotBehavior(validatedData, {
-      fillTime: formData.get('_fillTime'),
+    // Anti-spam : message écarté sans prévenir l'expéditeur (réponse
+    // identique à un envoi réussi), conservé pour vérification
+    const spam = assessContactSpam(validatedData, {
+      honeypot: formData.get('website'),
+      token: formData.get('_formToken'),
     });
 
-    if (botAnalysis.isSuspicious) {
+    if (spam.isSpam) {
+      client = await getClient();
+      const message = await recordSpamMessage(client, validatedData, spam);
+
       return {
-        success: false,
+        success: true,
         message:
-          "Votre message n'a pas pu être envoyé. Veuillez réessayer plus tard.",
-        code: 'BOT_DETECTED',
-        reference: Date.now().toString(36).toUpperCase(),
+          'Votre message a été envoyé avec succès. Nous vous répondrons dans les plus brefs délais.',
+        reference: message.reference,
+        acknowledgement: false,
       };
     }
 
@@ -142,62 +143,38 @@ export async function sendContactEmail(formData) {
       };
     }
 
-    // Génération et envoi de l'email
-    const emailContent = generateEmailContent(validatedData);
-    const emailSubject = `[Contact Benew] ${validatedData.subject}`;
-
-    // Tentative d'envoi avec retry simple
-    let lastError;
-    const maxRetries = 2;
-
-    for (let attempt = 0; attempt <= maxRetries; attempt++) {
-      try {
-        const emailResult = await resend.emails.send({
-          from: process.env.RESEND_FROM_EMAIL,
-          to: [process.env.RESEND_TO_EMAIL],
-          subject: emailSubject,
-          text: emailContent,
-          replyTo: validatedData.email,
-          headers: {
-            'X-Contact-Source': 'Benew-Contact-Form',
-            'X-Contact-Version': '2.0',
-            'X-Contact-Timestamp': new Date().toISOString(),
-          },
-        });
-
-        return {
-          success: true,
-          message:
-            'Votre message a été envoyé avec succès. Nous vous répondrons dans les plus brefs délais.',
-          emailId: emailResult.data?.id,
-          reference: Date.now().toString(36).toUpperCase(),
-        };
-      } catch (error) {
-        lastError = error;
-
-        if (attempt < maxRetries) {
-          // Attendre avant le retry
-          await new Promise((resolve) =>
-            setTimeout(resolve, 2000 * (attempt + 1)),
-          );
-        }
-      }
+    // Message enregistré avant tout envoi (numéro de ticket attribué une
+    // seule fois, repris dans les emails) : il n'est jamais perdu, même si
+    // Resend est indisponible (relances par l'outbox)
+    // Accusé de réception : limite par IP propre, en plus de la limite par
+    // adresse appliquée à l'envoi. Refusé, il n'empêche pas l'envoi du message
+    let ackStatus = null;
+    if (validatedData.sendCopy) {
+      const ackLimitCheck = await limitBenewAPI('contactAck')({
+        headers: headersList,
+        url: '/contact/acknowledgement',
+        method: 'POST',
+      });
+      ackStatus = ackLimitCheck
+        ? ACK_STATUSES.THROTTLED
+        : ACK_STATUSES.REQUESTED;
     }
 
-    // Échec final après tous les retries
-    captureEmailError(lastError, {
-      emailType: 'contact',
-      tags: { contact_email_retry: true, attempts: maxRetries + 1 },
-    });
+    client = await getClient();
+    const message = await createContactMessage(
+      client,
+      validatedData,
+      ackStatus,
+    );
+
+    after(() => deliverContactMessage(message.id));
 
     return {
-      success: false,
+      success: true,
       message:
-        "Impossible d'envoyer votre message pour le moment. Veuillez réessayer plus tard.",
-      code: 'SEND_FAILED',
-      reference: Date.now().toString(36).toUpperCase(),
-      error:
-        process.env.NODE_ENV === 'production' ? undefined : lastError?.message,
+        'Votre message a été envoyé avec succès. Nous vous répondrons dans les plus brefs délais.',
+      reference: message.reference,
+      acknowledgement: ackStatus === ACK_STATUSES.REQUESTED,
     };
   } catch (error) {
     // Log de l'erreur
@@ -209,9 +186,9 @@ export async function sendContactEmail(formData) {
     let errorMessage =
       "Une erreur est survenue lors de l'envoi de votre message.";
 
-    if (/resend|email|send/i.test(error.message)) {
+    if (/base de données|database/i.test(error.message)) {
       errorMessage =
-        "Service d'email temporairement indisponible. Veuillez réessayer plus tard.";
+        'Service temporairement indisponible. Veuillez réessayer plus tard.';
     } else if (/validation/i.test(error.message)) {
       errorMessage =
         'Erreur de validation des données. Veuillez vérifier votre saisie.';
@@ -224,8 +201,9 @@ export async function sendContactEmail(formData) {
       success: false,
       message: errorMessage,
       code: 'SYSTEM_ERROR',
-      reference: Date.now().toString(36).toUpperCase(),
       error: process.env.NODE_ENV === 'production' ? undefined : error.message,
     };
+  } finally {
+    if (client) client.release();
   }
 }
@@ -0,0 +1,31 @@
+// app/account/login/page.jsx
+// Server Component de connexion à l'espace client (lien envoyé par email)
+
+import { redirect } from 'next/navigation';
+
+import LoginForm from '@/components/account/LoginForm';
+import { getCurrentCustomer } from '@/backend/customerSession';
+
+// Erreurs renvoyées par app/account/login/verify/page.jsx
+const LOGIN_ERRORS = {
+  invalid_link:
+    'Ce lien de connexion est invalide, expiré ou déjà utilisé. Demandez-en un nouveau.',
+};
+
+export default async function LoginPage({ searchParams }) {
+  if (await getCurrentCustomer()) {
+    redirect('/account');
+  }
+
+  const { error } = await searchParams;
+
+  return <LoginForm initialError={LOGIN_ERRORS[error] || ''} />;
+}
+
+export const metadata = {
+  title: 'Connexion - Benew',
+  description: 'Accédez à vos commandes et factures Benew.',
+  robots: { index: false, follow: false },
+};
+
+export const dynamic = 'force-dynamic';
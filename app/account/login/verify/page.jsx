@@ -0,0 +1,29 @@
+// app/account/login/verify/page.jsx
+// Lien de connexion reçu par email : page de confirmation
+// Le jeton n'est consommé qu'au clic (Server Action verifyLoginLink) : les
+// antivirus de messagerie et préchargements qui ouvrent le lien ne l'usent pas
+
+import { redirect } from 'next/navigation';
+
+import LoginVerification from '@/components/account/LoginVerification';
+import { isLoginTokenFormat } from '@/backend/customerAccounts';
+
+export default async function LoginVerifyPage({ searchParams }) {
+  const { token } = await searchParams;
+
+  if (!isLoginTokenFormat(token)) {
+    redirect('/account/login?error=invalid_link');
+  }
+
+  return <LoginVerification token={token} />;
+}
+
+export const metadata = {
+  title: 'Connexion - Benew',
+  description: 'Connexion à votre espace client Benew.',
+  robots: { index: false, follow: false },
+  // Le jeton figure dans l'URL : jamais transmis aux sites externes
+  referrer: 'no-referrer',
+};
+
+export const dynamic = 'force-dynamic';
@@ -0,0 +1,86 @@
+// app/account/orders/[id]/onboarding/page.jsx
+// Server Component de la fiche de mise en service d'une commande payée
+// Réservé au client connecté propriétaire de la commande
+
+import { notFound, redirect } from 'next/navigation';
+
+import OnboardingPage from '@/components/account/OnboardingPage';
+import { getClient } from '@/backend/dbConnect';
+import { getCurrentCustomer } from '@/backend/customerSession';
+import {
+  getCustomerOrder,
+  getOrderOnboarding,
+} from '@/backend/orderOnboarding';
+import { captureDatabaseError } from '../../../../../instrumentation';
+import { sanitizeAndValidateUUID } from '@/utils/validation';
+
+/**
+ * Commande et fiche de mise en service
+ * Une erreur affiche la page avec un message plutôt qu'une page d'erreur
+ */
+async function getOnboardingData(orderId, customerId) {
+  let client;
+  try {
+    client = await getClient();
+    const order = await getCustomerOrder(client, orderId, customerId);
+
+    if (!order) {
+      return { order: null, onboarding: null, loadError: false };
+    }
+
+    const onboarding = await getOrderOnboarding(client, order.id);
+    return { order, onboarding, loadError: false };
+  } catch (error) {
+    captureDatabaseError(error, {
+      table: 'admin.order_onboarding',
+      operation: 'fetch_order_onboarding',
+      queryType: 'SELECT',
+      tags: { component: 'onboarding_page' },
+    });
+    return { order: null, onboarding: null, loadError: true };
+  } finally {
+    if (client) client.release();
+  }
+}
+
+export default async function OrderOnboarding({ params }) {
+  const customer = await getCurrentCustomer();
+
+  if (!customer) {
+    redirect('/account/login');
+  }
+
+  const { id } = await params;
+  const orderId = sanitizeAndValidateUUID(id);
+  if (!orderId) {
+    notFound();
+  }
+
+  const { order, onboarding, loadError } = await getOnboardingData(
+    orderId,
+    customer.customerId,
+  );
+
+  // Commande d'un autre client : même réponse qu'une commande inexistante
+  if (!order && !loadError) {
+    notFound();
+  }
+
+  return (
+    <OnboardingPage
+      order={order}
+      onboarding={onboarding}
+      loadError={loadError}
+    />
+  );
+}
+
+export const metadata = {
+  title: 'Mise en service - Benew',
+  description:
+    'Informations nécessaires à la mise en service de votre application.',
+  robots: { index: false, follow: false },
+};
+
+// Page personnelle : jamais mise en cache
+export const dynamic = 'force-dynamic';
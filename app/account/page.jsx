@@ -0,0 +1,54 @@
+// app/account/page.jsx
+// Server Component de l'espace client : commandes, factures et abonnements
+// Réservé aux clients connectés (cookie de session HttpOnly)
+
+import { redirect } from 'next/navigation';
+
+import AccountPage from '@/components/account/AccountPage';
+import { getClient } from '@/backend/dbConnect';
+import { getCustomerOverview } from '@/backend/customerAccounts';
+import { getCurrentCustomer } from '@/backend/customerSession';
+import { captureDatabaseError } from '../../instrumentation';
+
+/**
+ * Données de l'espace client
+ * Une erreur affiche l'espace vide avec un message plutôt qu'une page d'erreur
+ */
+async function getOverview(customerId) {
+  let client;
+  try {
+    client = await getClient();
+    return await getCustomerOverview(client, customerId);
+  } catch (error) {
+    captureDatabaseError(error, {
+      table: 'admin.orders',
+      operation: 'fetch_customer_overview',
+      queryType: 'SELECT',
+      tags: { component: 'account_page' },
+    });
+    return null;
+  } finally {
+    if (client) client.release();
+  }
+}
+
+export default async function Account() {
+  const customer = await getCurrentCustomer();
+
+  if (!customer) {
+    redirect('/account/login');
+  }
+
+  const overview = await getOverview(customer.customerId);
+
+  return <AccountPage email={customer.email} overview={overview} />;
+}
+
+export const metadata = {
+  title: 'Mon compte - Benew',
+  description: 'Vos commandes, factures et abonnements Benew.',
+  robots: { index: false, follow: false },
+};
+
+// Page personnelle : jamais mise en cache
+export const dynamic = 'force-dynamic';
@@ -0,0 +1,30 @@
+// app/api/dev/emails/[template]/route.js
+// Aperçu d'un gabarit d'email avec des données fictives (développement uniquement)
+
+import { EMAIL_TEMPLATE_NAMES, renderEmail } from '@/backend/emailTemplates';
+import { EMAIL_FIXTURES } from '@/backend/emailTemplates/fixtures';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+  const { template } = await params;
+
+  if (
+    process.env.NODE_ENV !== 'development' ||
+    !EMAIL_TEMPLATE_NAMES.includes(template)
+  ) {
+    return Response.json({ error: 'Not found' }, { status: 404 });
+  }
+
+  const email = renderEmail(template, EMAIL_FIXTURES[template]);
+
+  if (new URL(request.url).searchParams.get('format') === 'text') {
+    return new Response(`Objet : ${email.subject}\n\n${email.text}`, {
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+    });
+  }
+
+  return new Response(email.html, {
+    headers: { 'Content-Type': 'text/html; charset=utf-8' },
+  });
+}
@@ -0,0 +1,23 @@
+// app/api/dev/emails/route.js
+// Aperçu des gabarits d'email (développement uniquement) : liste des gabarits
+// Aperçu : /api/dev/emails/<gabarit>, version texte : ?format=text
+
+import { EMAIL_TEMPLATE_NAMES } from '@/backend/emailTemplates';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET() {
+  if (process.env.NODE_ENV !== 'development') {
+    return Response.json({ error: 'Not found' }, { status: 404 });
+  }
+
+  const links = EMAIL_TEMPLATE_NAMES.map(
+    (name) =>
+      `<li><a href="/api/dev/emails/${name}">${name}</a> (<a href="/api/dev/emails/${name}?format=text">texte</a>)</li>`,
+  ).join('');
+
+  return new Response(
+    `<!DOCTYPE html><html lang="fr"><head><meta charset="utf-8"><title>Gabarits d'email</title></head><body><h1>Gabarits d'email</h1><ul>${links}</ul></body></html>`,
+    { headers: { 'Content-Type': 'text/html; charset=utf-8' } },
+  );
+}
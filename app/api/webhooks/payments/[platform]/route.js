@@ -0,0 +1,92 @@
+// app/api/webhooks/payments/[platform]/route.js
+// Confirmation de paiement envoyée par une plateforme (webhook signé HMAC)
+// Test local : npm run webhook:fake -- --platform=<slug> --order=<id> --amount=<montant>
+
+import { getClient } from '@/backend/dbConnect';
+import {
+  getWebhookPlatform,
+  processPaymentWebhook,
+} from '@/backend/paymentWebhooks';
+import {
+  SIGNATURE_HEADER,
+  getWebhookSecret,
+  verifyWebhookSignature,
+} from '@/backend/webhookSignature';
+import { validatePaymentWebhook } from '@/utils/schemas/schema';
+import {
+  captureException,
+  captureMessage,
+} from '../../../../../instrumentation';
+
+export const dynamic = 'force-dynamic';
+
+const json = (body, status = 200) => Response.json(body, { status });
+
+export async function POST(request, { params }) {
+  const { platform: slug } = await params;
+
+  // Plateforme sans secret configuré : webhook inexistant
+  const secret = /^[a-z0-9-]+$/.test(slug) ? getWebhookSecret(slug) : null;
+  if (!secret) {
+    return json({ error: 'Not found' }, 404);
+  }
+
+  // La signature porte sur le corps brut, avant tout parsing
+  const rawBody = await request.text();
+  const signature = verifyWebhookSignature(
+    secret,
+    rawBody,
+    request.headers.get(SIGNATURE_HEADER),
+  );
+
+  if (!signature.valid) {
+    captureMessage(
+      `Webhook de paiement ${slug} refusé : ${signature.reason}`,
+      'warning',
+    );
+    return json({ error: signature.reason }, 401);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch {
+    return json({ error: 'INVALID_JSON' }, 400);
+  }
+
+  const validation = await validatePaymentWebhook(payload);
+  if (!validation.success) {
+    return json({ error: 'INVALID_PAYLOAD', errors: validation.errors }, 400);
+  }
+
+  let client = null;
+
+  try {
+    client = await getClient();
+
+    const platform = await getWebhookPlatform(client, slug);
+    if (!platform) {
+      return json({ error: 'Not found' }, 404);
+    }
+
+    // Réponse 200 même pour une anomalie : l'événement est enregistré et
+    // signalé, une nouvelle tentative de la plateforme n'y changerait rien
+    const outcome = await processPaymentWebhook(
+      client,
+      platform,
+      validation.data,
+    );
+
+    return json({ received: true, ...outcome });
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'payment_webhooks', operation: 'receive' },
+      extra: { platform: slug, eventId: validation.data.id },
+    });
+
+    // 500 : la plateforme renverra l'événement
+    return json({ error: 'INTERNAL_ERROR' }, 500);
+  } finally {
+    if (client) client.release();
+  }
+}
@@ -0,0 +1,55 @@
+// app/cart/page.jsx
+// Server Component du panier : seules les plateformes de paiement sont chargées ici,
+// le contenu du panier est conservé côté client (CartContext)
+
+import CartPage from '@/components/cart/CartPage';
+import { getClient } from '@/backend/dbConnect';
+import { captureDatabaseError } from '../../instrumentation';
+import { PLATFORM_RULE_COLUMNS } from '@/utils/schemas/paymentAccountSchema';
+
+/**
+ * Plateformes de paiement actives
+ * Une erreur n'empêche pas l'affichage du panier : la commande est simplement désactivée
+ */
+async function getPlatforms() {
+  let client;
+  try {
+    client = await getClient();
+    const result = await client.query(
+      `SELECT
+        platform_id,
+        platform_name,
+        platform_number,
+        ${PLATFORM_RULE_COLUMNS}
+      FROM admin.platforms
+      WHERE is_active = true
+      ORDER BY platform_name ASC`,
+    );
+    return result.rows;
+  } catch (error) {
+    captureDatabaseError(error, {
+      table: 'admin.platforms',
+      operation: 'fetch_platforms',
+      queryType: 'SELECT',
+      tags: { component: 'cart_page' },
+    });
+    return [];
+  } finally {
+    if (client) client.release();
+  }
+}
+
+export default async function Cart() {
+  const platforms = await getPlatforms();
+
+  return <CartPage platforms={platforms} />;
+}
+
+export const metadata = {
+  title: 'Mon panier - Benew',
+  description: 'Commandez plusieurs applications Benew en une seule fois.',
+  robots: { index: false, follow: false },
+};
+
+// Panier propre au visiteur : jamais mis en cache
+export const dynamic = 'force-dynamic';
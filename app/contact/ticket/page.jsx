@@ -0,0 +1,27 @@
+// app/contact/ticket/page.jsx
+// Server Component de suivi d'un ticket de contact
+// Le ticket n'est renvoyé qu'après vérification de l'email (Server Action)
+
+import TicketLookup from '@/components/contact/TicketLookup';
+
+/**
+ * Le numéro peut être prérempli depuis le lien des emails (?ref=TKT-…)
+ */
+export default async function TicketPage({ searchParams }) {
+  const { ref } = await searchParams;
+
+  return (
+    <TicketLookup
+      initialReference={typeof ref === 'string' ? ref.slice(0, 30) : ''}
+    />
+  );
+}
+
+export const metadata = {
+  title: 'Suivi de ma demande - Benew',
+  description: 'Consultez le suivi de votre message et nos réponses.',
+  robots: { index: false, follow: false },
+};
+
+// Page personnelle : jamais mise en cache
+export const dynamic = 'force-dynamic';
@@ -6,6 +6,7 @@ import AnalyticsInitializer from '../components/analytics/AnalyticsInitializer';
 // import AudioPlayer from '../components/layouts/audio'; // 🎵 NOUVEAU
 import { HydrationFix } from '@/components/layouts/hydrationFix';
 import { AudioProvider } from 'contexts/AudioContext';
+import { CartProvider } from 'contexts/CartContext';
 
 // =============================
 // MÉTADONNÉES GLOBALES
@@ -129,16 +130,18 @@ export default function RootLayout({ children }) {
       </head>
       <body>
         <AudioProvider>
-          {/* GTM EN PREMIER - CRITIQUE */}
-          {/* {gtmId && <GoogleTagManager gtmId={gtmId} />} */}
-          <Navbar />
-          {children}
-          {/* AnalyticsInitializer peut rester après */}
-          {gtmId && (
-            <AnalyticsInitializer
-              isDevelopment={process.env.NODE_ENV === 'development'}
-            />
-          )}
+          <CartProvider>
+            {/* GTM EN PREMIER - CRITIQUE */}
+            {/* {gtmId && <GoogleTagManager gtmId={gtmId} />} */}
+            <Navbar />
+            {children}
+            {/* AnalyticsInitializer peut rester après */}
+            {gtmId && (
+              <AnalyticsInitializer
+                isDevelopment={process.env.NODE_ENV === 'development'}
+              />
+            )}
+          </CartProvider>
         </AudioProvider>
       </body>
     </html>
@@ -0,0 +1,88 @@
+// app/orders/[id]/cancel/page.jsx
+// Server Component d'annulation d'une commande depuis le lien signé de l'email
+// La commande n'est chargée qu'après vérification de la signature
+
+import { notFound } from 'next/navigation';
+
+import OrderCancellation from '@/components/orders/OrderCancellation';
+import { getClient } from '@/backend/dbConnect';
+import { verifyOrderCancelLink } from '@/backend/orderLinks';
+import { captureDatabaseError } from '../../../../instrumentation';
+import { sanitizeAndValidateUUID } from '@/utils/validation';
+
+/**
+ * Résumé de la commande affiché avant confirmation
+ * Une erreur affiche la page sans résumé : l'annulation reste possible
+ */
+async function getOrderSummary(orderId) {
+  let client;
+  try {
+    client = await getClient();
+    const result = await client.query(
+      `SELECT
+        o.order_payment_status,
+        o.order_price,
+        COALESCE(
+          (SELECT string_agg(i.item_application_name, ', ' ORDER BY i.item_position)
+           FROM admin.order_items i WHERE i.item_order_id = o.order_id),
+          a.application_name
+        ) AS application_name
+      FROM admin.orders o
+      JOIN catalog.applications a ON o.order_application_id = a.application_id
+      WHERE o.order_id = $1`,
+      [orderId],
+    );
+
+    const order = result.rows[0];
+
+    return order
+      ? {
+          status: order.order_payment_status,
+          amount: parseFloat(order.order_price),
+          applicationName: order.application_name,
+        }
+      : null;
+  } catch (error) {
+    captureDatabaseError(error, {
+      table: 'admin.orders',
+      operation: 'fetch_order_summary',
+      queryType: 'SELECT',
+      tags: { component: 'order_cancel_page' },
+    });
+    return null;
+  } finally {
+    if (client) client.release();
+  }
+}
+
+export default async function OrderCancelPage({ params, searchParams }) {
+  const { id } = await params;
+  const { expires, signature } = await searchParams;
+
+  const orderId = sanitizeAndValidateUUID(id);
+  if (!orderId) {
+    notFound();
+  }
+
+  const link = verifyOrderCancelLink(orderId, expires, signature);
+  const order = link.valid ? await getOrderSummary(orderId) : null;
+
+  return (
+    <OrderCancellation
+      orderId={orderId}
+      expires={String(expires)}
+      signature={String(signature)}
+      linkError={link.valid ? null : link.reason}
+      order={order}
+    />
+  );
+}
+
+export const metadata = {
+  title: 'Annuler ma commande - Benew',
+  description: 'Annulation de votre commande Benew.',
+  robots: { index: false, follow: false },
+};
+
+// Page personnelle : jamais mise en cache
+export const dynamic = 'force-dynamic';
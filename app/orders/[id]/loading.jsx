@@ -0,0 +1,11 @@
+import ParallaxSkeleton from '@/components/layouts/parallax/ParallaxSkeleton';
+
+const Loading = () => {
+  return (
+    <section className="first">
+      <ParallaxSkeleton titleWidth="short" />
+    </section>
+  );
+};
+
+export default Loading;
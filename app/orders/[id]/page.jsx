@@ -0,0 +1,44 @@
+// app/orders/[id]/page.jsx
+// Server Component pour le suivi d'une commande client
+// Next.js 15 - Les données ne sont renvoyées qu'après vérification de l'email (Server Action)
+
+import { Suspense } from 'react';
+import { notFound } from 'next/navigation';
+
+import OrderTracking from '@/components/orders/OrderTracking';
+import { captureMessage } from '../../../instrumentation';
+import { sanitizeAndValidateUUID } from '@/utils/validation';
+import Loading from './loading';
+
+/**
+ * Page de suivi : seul l'identifiant est lu ici, aucune donnée de commande
+ * n'est chargée avant que le client ait saisi son email
+ */
+export default async function OrderTrackingPage({ params }) {
+  const { id } = await params;
+
+  const orderId = sanitizeAndValidateUUID(id);
+  if (!orderId) {
+    captureMessage('Invalid order ID format in tracking page', {
+      level: 'info',
+      tags: { component: 'order_tracking_page', validation: true },
+    });
+
+    notFound();
+  }
+
+  return (
+    <Suspense fallback={<Loading />}>
+      <OrderTracking initialOrderId={orderId} />
+    </Suspense>
+  );
+}
+
+export const metadata = {
+  title: 'Suivi de commande - Benew',
+  description: 'Consultez le statut de votre commande Benew.',
+  robots: { index: false, follow: false },
+};
+
+// Page personnelle : jamais mise en cache
+export const dynamic = 'force-dynamic';
@@ -0,0 +1,86 @@
+// app/quotes/[id]/page.jsx
+// Server Component de consultation d'un devis depuis le lien signé de l'email
+// Le devis n'est chargé qu'après vérification de la signature
+
+import { notFound } from 'next/navigation';
+
+import QuotePage from '@/components/quotes/QuotePage';
+import { getClient } from '@/backend/dbConnect';
+import { verifyQuoteLink } from '@/backend/orderLinks';
+import { getQuote } from '@/backend/quotes';
+import { captureDatabaseError } from '../../../instrumentation';
+import { sanitizeAndValidateUUID } from '@/utils/validation';
+import { PLATFORM_RULE_COLUMNS } from '@/utils/schemas/paymentAccountSchema';
+
+/**
+ * Devis et plateformes de paiement (commande au prix du devis)
+ * Une erreur affiche la page sans devis
+ */
+async function getQuoteData(quoteId) {
+  let client;
+  try {
+    client = await getClient();
+
+    const [quote, platforms] = await Promise.all([
+      getQuote(client, quoteId),
+      client.query(
+        `SELECT platform_id, platform_name, platform_number, ${PLATFORM_RULE_COLUMNS}
+        FROM admin.platforms
+        WHERE is_active = true
+        ORDER BY platform_name ASC`,
+      ),
+    ]);
+
+    return { quote, platforms: platforms.rows };
+  } catch (error) {
+    captureDatabaseError(error, {
+      table: 'admin.quotes',
+      operation: 'fetch_quote',
+      queryType: 'SELECT',
+      tags: { component: 'quote_page' },
+    });
+    return { quote: null, platforms: [], loadError: true };
+  } finally {
+    if (client) client.release();
+  }
+}
+
+export default async function QuoteDetailPage({ params, searchParams }) {
+  const { id } = await params;
+  const { expires, signature } = await searchParams;
+
+  const quoteId = sanitizeAndValidateUUID(id);
+  if (!quoteId) {
+    notFound();
+  }
+
+  const link = verifyQuoteLink(quoteId, expires, signature);
+  const data = link.valid ? await getQuoteData(quoteId) : null;
+
+  if (link.valid && !data.quote && !data.loadError) {
+    notFound();
+  }
+
+  return (
+    <QuotePage
+      link={{
+        id: quoteId,
+        expires: String(expires),
+        signature: String(signature),
+      }}
+      linkError={link.valid ? null : link.reason}
+      quote={data?.quote || null}
+      platforms={data?.platforms || []}
+      loadError={!!data?.loadError}
+    />
+  );
+}
+
+export const metadata = {
+  title: 'Mon devis - Benew',
+  description: 'Consultation de votre devis Benew.',
+  robots: { index: false, follow: false },
+};
+
+// Page personnelle : jamais mise en cache
+export const dynamic = 'force-dynamic';
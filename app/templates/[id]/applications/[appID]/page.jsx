@@ -13,6 +13,7 @@ import {
   captureMessage,
 } from '../../../../../instrumentation';
 import { sanitizeAndValidateUUID } from '@/utils/validation';
+import { PLATFORM_RULE_COLUMNS } from '@/utils/schemas/paymentAccountSchema';
 import Loading from './loading';
 
 // Configuration étendue avec timeouts et gestion d'erreurs
@@ -366,7 +367,8 @@ async function getApplicationData(applicationId, templateId) {
             `SELECT 
               platform_id,
               platform_name,
-              platform_number
+              platform_number,
+              ${PLATFORM_RULE_COLUMNS}
             FROM admin.platforms 
             WHERE is_active = true 
             ORDER BY platform_name ASC`,
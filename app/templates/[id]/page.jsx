@@ -11,6 +11,7 @@ import SingleTemplateShops from '@/components/templates/SingleTemplateShops';
 import { getClient } from '@/backend/dbConnect';
 import { captureException, captureMessage } from '../../../instrumentation';
 import { sanitizeAndValidateUUID } from '@/utils/validation';
+import { PLATFORM_RULE_COLUMNS } from '@/utils/schemas/paymentAccountSchema';
 import Loading from './loading';
 
 // Configuration étendue avec timeouts
@@ -255,7 +256,8 @@ async function getTemplateData(templateId) {
             `SELECT 
               platform_id, 
               platform_name, 
-              platform_number
+              platform_number,
+              ${PLATFORM_RULE_COLUMNS}
             FROM admin.platforms
             WHERE is_active = true
             ORDER BY platform_name ASC`,
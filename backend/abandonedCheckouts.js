@@ -0,0 +1,59 @@
+// backend/abandonedCheckouts.js
+// Commandes abandonnées dans OrderModal : enregistrement et conversion
+// La clé de session est la clé d'idempotence de la commande (une par ouverture de la modal)
+
+/**
+ * Enregistre ou met à jour un abandon (étape atteinte, temps passé)
+ * Sans effet si la commande a déjà été passée avec cette clé
+ * (requête tardive envoyée après la confirmation)
+ */
+export async function saveAbandonedCheckout(client, checkout) {
+  await client.query(
+    `INSERT INTO admin.abandoned_checkouts (
+      checkout_session_key, checkout_email, checkout_first_name,
+      checkout_last_name, checkout_phone, checkout_application_ids,
+      checkout_step, checkout_time_spent_seconds
+    )
+    SELECT $1, $2, $3, $4, $5, $6::uuid[], $7, $8
+    WHERE NOT EXISTS (
+      SELECT 1 FROM admin.orders WHERE order_idempotency_key = $1
+    )
+    ON CONFLICT (checkout_session_key) DO UPDATE SET
+      checkout_email = EXCLUDED.checkout_email,
+      checkout_first_name = EXCLUDED.checkout_first_name,
+      checkout_last_name = EXCLUDED.checkout_last_name,
+      checkout_phone = EXCLUDED.checkout_phone,
+      checkout_step = GREATEST(abandoned_checkouts.checkout_step, EXCLUDED.checkout_step),
+      checkout_time_spent_seconds = GREATEST(
+        abandoned_checkouts.checkout_time_spent_seconds,
+        EXCLUDED.checkout_time_spent_seconds
+      ),
+      checkout_updated = NOW()
+    WHERE abandoned_checkouts.checkout_order_id IS NULL`,
+    [
+      checkout.sessionKey,
+      checkout.email,
+      checkout.firstName || null,
+      checkout.lastName || null,
+      checkout.phone || null,
+      checkout.applicationIds,
+      checkout.step,
+      checkout.timeSpentSeconds,
+    ],
+  );
+}
+
+/**
+ * Rattache un abandon à la commande finalement passée
+ * À appeler dans la transaction de création de la commande
+ */
+export async function markCheckoutConverted(client, sessionKey, orderId) {
+  if (!sessionKey) return;
+
+  await client.query(
+    `UPDATE admin.abandoned_checkouts
+    SET checkout_order_id = $2, checkout_updated = NOW()
+    WHERE checkout_session_key = $1`,
+    [sessionKey, orderId],
+  );
+}
@@ -0,0 +1,429 @@
+// backend/contactMessages.js
+// Outbox des messages de contact : chaque message validé est enregistré avant
+// l'envoi, puis livré à l'équipe par email avec relances espacées
+// Livraison immédiate depuis sendContactEmail, rattrapage par scripts/contact-outbox.mjs
+// L'accusé de réception éventuel ne part qu'une fois le message livré à l'équipe
+// Les messages écartés par l'anti-spam sont conservés avec le statut "spam"
+// Chaque message est un ticket (backend/contactTickets.js)
+
+import { getClient, withTransaction } from './dbConnect.js';
+import { isEmailConfigured, sendEmailWithRetry } from './emailService.js';
+import { renderEmail } from './emailTemplates/index.js';
+import { formatTicketNumber, getTicketUrl } from './contactTickets.js';
+import { captureException, captureMessage } from '../instrumentation.js';
+
+const CONFIG = {
+  // Délai avant chaque nouvelle tentative (la dernière valeur est réutilisée)
+  retryDelaysMinutes: [1, 5, 15, 60, 180, 360],
+  maxAttempts: 8, // ~16h de relances avant abandon
+  // Un message en cours d'envoi n'est pas repris avant ce délai
+  deliveryLeaseMinutes: 10,
+  batchSize: 20,
+  acknowledgement: {
+    // Délai de réponse annoncé dans l'accusé de réception
+    responseTime: 'sous 24 heures ouvrées',
+    // Accusés envoyés au plus à une même adresse sur la période
+    maxPerAddress: 3,
+    periodHours: 24,
+  },
+};
+
+export const ACK_STATUSES = {
+  REQUESTED: 'requested',
+  SENT: 'sent',
+  THROTTLED: 'throttled',
+  FAILED: 'failed',
+};
+
+const MESSAGE_COLUMNS = `
+  message_id, message_ticket_number, message_name, message_email,
+  message_phone, message_subject, message_content, message_attempts,
+  message_ack_status, message_created`;
+
+// Référence du ticket, attribuée une seule fois à l'enregistrement
+const getReference = (row) =>
+  formatTicketNumber(row.message_ticket_number, row.message_created);
+
+function getRetryDelayMinutes(attempts) {
+  const delays = CONFIG.retryDelaysMinutes;
+  return delays[Math.min(attempts - 1, delays.length - 1)];
+}
+
+// =============================================
+// ENREGISTREMENT
+// =============================================
+
+/**
+ * Enregistre un message validé, à livrer
+ *
+ * @param {string|null} ackStatus - Statut initial de l'accusé de réception,
+ *   null si l'expéditeur ne l'a pas demandé
+ * @returns {Promise<{id: string, reference: string}>}
+ */
+export async function createContactMessage(client, data, ackStatus = null) {
+  const result = await client.query(
+    `INSERT INTO admin.messages (
+      message_name, message_email, message_phone, message_subject,
+      message_content, message_ack_status
+    ) VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING message_id, message_ticket_number, message_created`,
+    [
+      data.name,
+      data.email.toLowerCase(),
+      data.phone || null,
+      data.subject,
+      data.message,
+      ackStatus,
+    ],
+  );
+
+  const row = result.rows[0];
+  return { id: row.message_id, reference: getReference(row) };
+}
+
+/**
+ * Enregistre un message écarté par l'anti-spam (backend/contactSpam.js)
+ * Jamais livré ni acquitté : conservé pour vérification
+ *
+ * @returns {Promise<{id: string, reference: string}>}
+ */
+export async function recordSpamMessage(client, data, spam) {
+  const result = await client.query(
+    `INSERT INTO admin.messages (
+      message_name, message_email, message_phone, message_subject,
+      message_content, message_status, message_spam_score, message_spam_signals
+    ) VALUES ($1, $2, $3, $4, $5, 'spam', $6, $7)
+    RETURNING message_id, message_ticket_number, message_created`,
+    [
+      data.name,
+      data.email.toLowerCase(),
+      data.phone || null,
+      data.subject,
+      data.message,
+      spam.score,
+      JSON.stringify(spam.signals),
+    ],
+  );
+
+  const row = result.rows[0];
+  return { id: row.message_id, reference: getReference(row) };
+}
+
+// =============================================
+// LIVRAISON
+// =============================================
+
+// Données des gabarits contact (backend/emailTemplates/contact.js)
+function toTemplateMessage(message) {
+  return {
+    reference: getReference(message),
+    name: message.message_name,
+    email: message.message_email,
+    phone: message.message_phone,
+    subject: message.message_subject,
+    content: message.message_content,
+    created: message.message_created,
+  };
+}
+
+/**
+ * Réserve des messages à livrer : tentative comptée et message repoussé le
+ * temps de l'envoi, pour qu'un autre passage ne le livre pas en double
+ *
+ * @param {Object} options - messageId pour un message précis, sinon les plus anciens dus
+ */
+async function claimMessages(client, { messageId = null } = {}) {
+  const result = await client.query(
+    `UPDATE admin.messages
+    SET message_attempts = message_attempts + 1,
+      message_next_attempt_at = NOW() + make_interval(mins => $1)
+    WHERE message_id IN (
+      SELECT message_id FROM admin.messages
+      WHERE message_status = 'pending'
+        AND message_next_attempt_at <= NOW()
+        AND ($2::uuid IS NULL OR message_id = $2)
+      ORDER BY message_next_attempt_at
+      LIMIT $3
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING ${MESSAGE_COLUMNS}`,
+    [CONFIG.deliveryLeaseMinutes, messageId, CONFIG.batchSize],
+  );
+
+  return result.rows;
+}
+
+/**
+ * Envoie un message réservé et enregistre le résultat
+ *
+ * @returns {Promise<'sent'|'retry'|'failed'>}
+ */
+async function deliverMessage(client, message) {
+  // Une seule tentative Resend : les relances sont espacées par l'outbox
+  const sendResult = await sendEmailWithRetry(
+    {
+      to: [process.env.RESEND_TO_EMAIL],
+      ...renderEmail('contactNotification', toTemplateMessage(message)),
+      replyTo: message.message_email,
+      headers: {
+        'X-Contact-Source': 'Benew-Contact-Form',
+        'X-Contact-Version': '2.0',
+        'X-Contact-Id': String(message.message_id),
+      },
+    },
+    { emailType: 'contact', maxRetries: 0 },
+  );
+
+  if (sendResult.success) {
+    await client.query(
+      `UPDATE admin.messages
+      SET message_status = 'sent', message_sent_at = NOW(),
+        message_email_id = $2, message_last_error = NULL
+      WHERE message_id = $1`,
+      [message.message_id, sendResult.emailId || null],
+    );
+    return 'sent';
+  }
+
+  const errorMessage = (sendResult.error?.message || 'Envoi échoué').substring(
+    0,
+    500,
+  );
+
+  if (message.message_attempts >= CONFIG.maxAttempts) {
+    await client.query(
+      `UPDATE admin.messages
+      SET message_status = 'failed', message_last_error = $2
+      WHERE message_id = $1`,
+      [message.message_id, errorMessage],
+    );
+
+    // Le message reste consultable en base : l'équipe doit le traiter à la main
+    captureMessage(
+      `Message de contact non livré après ${message.message_attempts} tentatives (ticket ${getReference(message)})`,
+      'error',
+    );
+    return 'failed';
+  }
+
+  await client.query(
+    `UPDATE admin.messages
+    SET message_next_attempt_at = NOW() + make_interval(mins => $2),
+      message_last_error = $3
+    WHERE message_id = $1`,
+    [
+      message.message_id,
+      getRetryDelayMinutes(message.message_attempts),
+      errorMessage,
+    ],
+  );
+  return 'retry';
+}
+
+/**
+ * Livre les messages dus (ou un message précis), puis l'accusé de réception
+ * des messages livrés qui l'ont demandé
+ * Sans configuration email, les messages restent en attente
+ *
+ * @returns {Promise<{claimed: number, sent: number, retry: number, failed: number, acknowledged: number}>}
+ */
+export async function deliverPendingMessages(client, options = {}) {
+  const stats = { claimed: 0, sent: 0, retry: 0, failed: 0, acknowledged: 0 };
+
+  if (!isEmailConfigured()) {
+    captureException(new Error('Configuration email manquante'), {
+      tags: { component: 'contact_outbox', operation: 'deliver' },
+    });
+    return stats;
+  }
+
+  const messages = await claimMessages(client, options);
+  stats.claimed = messages.length;
+
+  for (const message of messages) {
+    const outcome = await deliverMessage(client, message);
+    stats[outcome]++;
+
+    if (
+      outcome === 'sent' &&
+      message.message_ack_status === ACK_STATUSES.REQUESTED
+    ) {
+      const ackOutcome = await sendContactAcknowledgement(
+        client,
+        message.message_id,
+      );
+      if (ackOutcome === ACK_STATUSES.SENT) stats.acknowledged++;
+    }
+  }
+
+  return stats;
+}
+
+// =============================================
+// ACCUSÉ DE RÉCEPTION
+// =============================================
+
+/**
+ * Réserve l'envoi de l'accusé d'un message livré, ou le marque limité
+ * Le verrou consultatif sur l'adresse (levé au COMMIT) sérialise les
+ * réservations concurrentes vers une même adresse : le comptage voit toujours
+ * les accusés réservés juste avant
+ *
+ * @returns {Promise<{status: 'sent'|'throttled', message: Object}|null>}
+ *   null si aucun accusé n'est attendu pour ce message
+ */
+async function claimAcknowledgement(client, messageId) {
+  const { maxPerAddress, periodHours } = CONFIG.acknowledgement;
+
+  return withTransaction(client, async (tx) => {
+    const target = await tx.query(
+      `SELECT LOWER(message_email) AS email FROM admin.messages
+      WHERE message_id = $1
+        AND message_status = 'sent'
+        AND message_ack_status = 'requested'`,
+      [messageId],
+    );
+
+    if (target.rows.length === 0) {
+      return null;
+    }
+
+    const { email } = target.rows[0];
+    await tx.query('SELECT pg_advisory_xact_lock(hashtext($1))', [email]);
+
+    const recent = await tx.query(
+      `SELECT COUNT(*)::int AS count FROM admin.messages
+      WHERE LOWER(message_email) = $1
+        AND message_ack_sent_at > NOW() - make_interval(hours => $2)`,
+      [email, periodHours],
+    );
+
+    const status =
+      recent.rows[0].count < maxPerAddress
+        ? ACK_STATUSES.SENT
+        : ACK_STATUSES.THROTTLED;
+
+    // Statut relu sous verrou : un autre passage a pu traiter le message
+    const claimed = await tx.query(
+      `UPDATE admin.messages
+      SET message_ack_status = $2,
+        message_ack_sent_at = CASE WHEN $2 = 'sent' THEN NOW() END
+      WHERE message_id = $1 AND message_ack_status = 'requested'
+      RETURNING ${MESSAGE_COLUMNS}`,
+      [messageId, status],
+    );
+
+    return claimed.rows.length > 0
+      ? { status, message: claimed.rows[0] }
+      : null;
+  });
+}
+
+/**
+ * Envoie l'accusé de réception demandé par l'expéditeur, une fois son message
+ * livré à l'équipe
+ * Jamais plus d'un envoi par message, et au plus
+ * CONFIG.acknowledgement.maxPerAddress par adresse sur la période
+ * Pas de relance : l'accusé est un confort, le message est déjà enregistré
+ *
+ * @returns {Promise<'sent'|'throttled'|'failed'|null>} null si rien à envoyer
+ */
+export async function sendContactAcknowledgement(client, messageId) {
+  // Reste demandé : l'absence de configuration est déjà signalée par la livraison
+  if (!isEmailConfigured()) {
+    return null;
+  }
+
+  const claim = await claimAcknowledgement(client, messageId);
+
+  if (!claim || claim.status === ACK_STATUSES.THROTTLED) {
+    return claim?.status || null;
+  }
+
+  const { message } = claim;
+
+  const sendResult = await sendEmailWithRetry(
+    {
+      to: [message.message_email],
+      ...renderEmail('contactAcknowledgement', {
+        ...toTemplateMessage(message),
+        responseTime: CONFIG.acknowledgement.responseTime,
+        ticketUrl: getTicketUrl(getReference(message)),
+      }),
+      replyTo: process.env.RESEND_TO_EMAIL,
+      headers: {
+        'X-Contact-Source': 'Benew-Contact-Form',
+        'X-Contact-Id': String(message.message_id),
+      },
+    },
+    { emailType: 'contact_acknowledgement', maxRetries: 1 },
+  );
+
+  if (!sendResult.success) {
+    await client.query(
+      `UPDATE admin.messages
+      SET message_ack_status = 'failed', message_ack_sent_at = NULL
+      WHERE message_id = $1`,
+      [message.message_id],
+    );
+    return ACK_STATUSES.FAILED;
+  }
+
+  return ACK_STATUSES.SENT;
+}
+
+// =============================================
+// JOB PLANIFIÉ
+// =============================================
+
+/**
+ * Accusés restés demandés sur des messages déjà livrés (livraison immédiate
+ * interrompue entre l'envoi à l'équipe et l'accusé)
+ *
+ * @returns {Promise<number>} Nombre d'accusés envoyés
+ */
+async function sendPendingAcknowledgements(client) {
+  if (!isEmailConfigured()) {
+    return 0;
+  }
+
+  const pending = await client.query(
+    `SELECT message_id FROM admin.messages
+    WHERE message_status = 'sent' AND message_ack_status = 'requested'
+    ORDER BY message_sent_at
+    LIMIT $1`,
+    [CONFIG.batchSize],
+  );
+
+  let sent = 0;
+  for (const { message_id: messageId } of pending.rows) {
+    const outcome = await sendContactAcknowledgement(client, messageId);
+    if (outcome === ACK_STATUSES.SENT) sent++;
+  }
+
+  return sent;
+}
+
+/**
+ * Passage de rattrapage : livre les messages en attente dont la relance est
+ * due, puis les accusés de réception restés en suspens
+ * Peut être lancé aussi souvent que voulu (réservation SKIP LOCKED)
+ */
+export async function runContactOutboxJob() {
+  let client = null;
+
+  try {
+    client = await getClient();
+    const stats = await deliverPendingMessages(client);
+    stats.acknowledged += await sendPendingAcknowledgements(client);
+    return { success: true, ...stats };
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'contact_outbox', operation: 'outbox_job' },
+    });
+
+    return { success: false, error: error.message };
+  } finally {
+    if (client) client.release();
+  }
+}
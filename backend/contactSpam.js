@@ -0,0 +1,222 @@
+// backend/contactSpam.js
+// Anti-spam du formulaire de contact : addition de signaux pondérés
+// Au-delà du seuil, le message est écarté sans prévenir l'expéditeur et
+// conservé avec le statut "spam" pour vérification (admin.messages)
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+const CONFIG = {
+  // Score à partir duquel le message est écarté (CONTACT_SPAM_THRESHOLD)
+  threshold: Number(process.env.CONTACT_SPAM_THRESHOLD) || 50,
+  minFillSeconds: 4, // Un humain met plus longtemps à remplir le formulaire
+  tokenMaxAgeHours: 12, // Au-delà, formulaire ouvert trop longtemps (onglet oublié)
+  allCapsMinLetters: 20, // Texte trop court : les majuscules ne veulent rien dire
+  allCapsRatio: 0.7,
+};
+
+// Points attribués par signal (paliers : le plus élevé atteint s'applique)
+const SIGNAL_WEIGHTS = {
+  HONEYPOT: 100,
+  TOKEN_MISSING: 40,
+  TOKEN_INVALID: 60,
+  TOKEN_EXPIRED: 20,
+  TOO_FAST: 50,
+  LINKS: [
+    { min: 2, points: 20 },
+    { min: 4, points: 40 },
+    { min: 6, points: 60 },
+  ],
+  ALL_CAPS: 25,
+  REPEATED_TEXT: 25,
+  SUSPICIOUS_EMAIL: 30,
+};
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+/gi;
+
+const SUSPICIOUS_EMAIL_PATTERNS = ['test@test', 'admin@admin'];
+
+const getSecret = () => process.env.CONTACT_FORM_SECRET || null;
+
+const sign = (secret, issuedAt) =>
+  createHmac('sha256', secret).update(`contact:${issuedAt}`).digest('hex');
+
+function tieredPoints(tiers, count) {
+  return tiers.reduce(
+    (points, tier) => (count >= tier.min ? tier.points : points),
+    0,
+  );
+}
+
+// =============================================
+// JETON DE FORMULAIRE
+// =============================================
+
+/**
+ * Jeton "<horodatage ms>.<signature>" remis à l'affichage du formulaire
+ * Signé côté serveur : le délai de remplissage ne peut pas être falsifié
+ * null si le secret n'est pas configuré (contrôle ignoré)
+ */
+export function createContactFormToken(now = Date.now()) {
+  const secret = getSecret();
+  if (!secret) return null;
+
+  return `${now}.${sign(secret, now)}`;
+}
+
+/**
+ * @returns {{status: 'valid'|'missing'|'invalid'|'expired'|'unconfigured', ageSeconds?: number}}
+ */
+function verifyContactFormToken(token, now = Date.now()) {
+  const secret = getSecret();
+  if (!secret) return { status: 'unconfigured' };
+  if (!token) return { status: 'missing' };
+
+  const [issuedAtValue, signature] = String(token).split('.');
+  const issuedAt = Number(issuedAtValue);
+
+  if (
+    !Number.isInteger(issuedAt) ||
+    !/^[0-9a-f]{64}$/.test(String(signature || ''))
+  ) {
+    return { status: 'invalid' };
+  }
+
+  const expected = Buffer.from(sign(secret, issuedAt), 'hex');
+  if (!timingSafeEqual(expected, Buffer.from(signature, 'hex'))) {
+    return { status: 'invalid' };
+  }
+
+  const ageSeconds = (now - issuedAt) / 1000;
+
+  // Horodatage dans le futur : impossible avec un jeton émis par le serveur
+  if (ageSeconds < 0) return { status: 'invalid' };
+  if (ageSeconds > CONFIG.tokenMaxAgeHours * 3600) {
+    return { status: 'expired', ageSeconds };
+  }
+
+  return { status: 'valid', ageSeconds };
+}
+
+// =============================================
+// HEURISTIQUES DE CONTENU
+// =============================================
+
+function countLinks(text) {
+  return (String(text || '').match(LINK_PATTERN) || []).length;
+}
+
+// Liens ignorés : une adresse en minuscules ne doit pas fausser le ratio
+function isMostlyUpperCase(text) {
+  const letters = String(text || '')
+    .replace(LINK_PATTERN, '')
+    .replace(/[^\p{L}]/gu, '');
+  if (letters.length < CONFIG.allCapsMinLetters) return false;
+
+  const upper = letters.replace(/[^\p{Lu}]/gu, '').length;
+  return upper / letters.length >= CONFIG.allCapsRatio;
+}
+
+/**
+ * Texte répétitif : caractère répété ("!!!!!!!!!!"), ou quelques mots
+ * répétés en boucle ("promo promo promo…")
+ */
+function isRepetitive(text) {
+  const value = String(text || '').toLowerCase();
+
+  if (/(.)\1{9,}/u.test(value)) return true;
+
+  const words = value.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (words.length < 12) return false;
+
+  return new Set(words).size / words.length < 0.3;
+}
+
+// =============================================
+// ÉVALUATION
+// =============================================
+
+/**
+ * Calcule le score de spam d'un message validé
+ *
+ * @param {Object} data - Données validées (name, email, subject, message)
+ * @param {Object} form - honeypot (champ caché), token (jeton de formulaire)
+ * @returns {{score: number, isSpam: boolean, signals: Array<{code: string, points: number, detail: string}>}}
+ */
+export function assessContactSpam(data, { honeypot, token }, now = Date.now()) {
+  const signals = [];
+  const addSignal = (code, points, detail) => {
+    if (points > 0) signals.push({ code, points, detail });
+  };
+
+  if (String(honeypot || '').trim()) {
+    addSignal('HONEYPOT', SIGNAL_WEIGHTS.HONEYPOT, 'Champ caché rempli');
+  }
+
+  const formToken = verifyContactFormToken(token, now);
+
+  if (formToken.status === 'missing') {
+    addSignal(
+      'TOKEN_MISSING',
+      SIGNAL_WEIGHTS.TOKEN_MISSING,
+      'Jeton de formulaire absent',
+    );
+  } else if (formToken.status === 'invalid') {
+    addSignal(
+      'TOKEN_INVALID',
+      SIGNAL_WEIGHTS.TOKEN_INVALID,
+      'Jeton de formulaire invalide',
+    );
+  } else if (formToken.status === 'expired') {
+    addSignal(
+      'TOKEN_EXPIRED',
+      SIGNAL_WEIGHTS.TOKEN_EXPIRED,
+      `Formulaire affiché depuis plus de ${CONFIG.tokenMaxAgeHours} h`,
+    );
+  } else if (
+    formToken.status === 'valid' &&
+    formToken.ageSeconds < CONFIG.minFillSeconds
+  ) {
+    addSignal(
+      'TOO_FAST',
+      SIGNAL_WEIGHTS.TOO_FAST,
+      `Formulaire envoyé en ${formToken.ageSeconds.toFixed(1)} s`,
+    );
+  }
+
+  const text = `${data.subject}\n${data.message}`;
+  const links = countLinks(text);
+
+  addSignal(
+    'LINKS',
+    tieredPoints(SIGNAL_WEIGHTS.LINKS, links),
+    `${links} liens dans le message`,
+  );
+
+  if (isMostlyUpperCase(text)) {
+    addSignal('ALL_CAPS', SIGNAL_WEIGHTS.ALL_CAPS, 'Message en majuscules');
+  }
+
+  if (isRepetitive(data.message)) {
+    addSignal('REPEATED_TEXT', SIGNAL_WEIGHTS.REPEATED_TEXT, 'Texte répétitif');
+  }
+
+  const email = data.email.toLowerCase();
+  if (SUSPICIOUS_EMAIL_PATTERNS.some((pattern) => email.includes(pattern))) {
+    addSignal(
+      'SUSPICIOUS_EMAIL',
+      SIGNAL_WEIGHTS.SUSPICIOUS_EMAIL,
+      'Adresse email de test',
+    );
+  }
+
+  const score = Math.min(
+    signals.reduce((sum, signal) => sum + signal.points, 0),
+    100,
+  );
+
+  return {
+    score,
+    isSpam: score >= CONFIG.threshold,
+    signals,
+  };
+}
@@ -0,0 +1,256 @@
+// backend/contactTickets.js
+// Tickets du formulaire de contact : numéro attribué à l'enregistrement du
+// message (admin.messages), suivi par le visiteur avec numéro + email,
+// réponses de l'équipe rattachées au ticket et envoyées par email
+// Réponse depuis le terminal : scripts/ticket-reply.mjs
+
+import { getClient, withTransaction } from './dbConnect.js';
+import { isEmailConfigured, sendEmailWithRetry } from './emailService.js';
+import { renderEmail } from './emailTemplates/index.js';
+import { captureException } from '../instrumentation.js';
+
+export const TICKET_STATUSES = {
+  OPEN: 'open',
+  ANSWERED: 'answered',
+  CLOSED: 'closed',
+};
+
+// =============================================
+// NUMÉRO DE TICKET
+// =============================================
+
+// Année du numéro à l'heure de Djibouti, indépendante du fuseau du serveur
+const TICKET_TIME_ZONE = 'Africa/Djibouti';
+
+/**
+ * Numéro affiché : TKT-2025-000042
+ */
+export function formatTicketNumber(number, created) {
+  const year = new Date(created).toLocaleDateString('fr-FR', {
+    timeZone: TICKET_TIME_ZONE,
+    year: 'numeric',
+  });
+  return `TKT-${year}-${String(number).padStart(6, '0')}`;
+}
+
+/**
+ * Numéro en base à partir de la référence saisie, null si invalide
+ * L'année n'est qu'indicative : seul le numéro identifie le ticket
+ */
+export function parseTicketNumber(reference) {
+  const match = /^TKT-\d{4}-(\d{1,12})$/i.exec(String(reference || '').trim());
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Lien de suivi communiqué au visiteur (accusé de réception, réponses)
+ */
+export function getTicketUrl(reference) {
+  return `${process.env.NEXT_PUBLIC_SITE_URL}/contact/ticket?ref=${encodeURIComponent(reference)}`;
+}
+
+// =============================================
+// SUIVI PAR LE VISITEUR
+// =============================================
+
+/**
+ * Ticket et réponses de l'équipe, uniquement si l'email correspond
+ * Un message écarté par l'anti-spam apparaît comme un ticket ouvert
+ *
+ * @returns {Promise<Object|null>}
+ */
+export async function getTicket(client, reference, email) {
+  const number = parseTicketNumber(reference);
+  if (!number) return null;
+
+  const result = await client.query(
+    `SELECT message_id, message_ticket_number, message_ticket_status,
+      message_ticket_updated, message_subject, message_content, message_created
+    FROM admin.messages
+    WHERE message_ticket_number = $1 AND LOWER(message_email) = $2`,
+    [number, email.toLowerCase()],
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  const replies = await client.query(
+    `SELECT reply_id, reply_author, reply_content, reply_created
+    FROM admin.message_replies
+    WHERE reply_message_id = $1
+    ORDER BY reply_created`,
+    [row.message_id],
+  );
+
+  return {
+    reference: formatTicketNumber(
+      row.message_ticket_number,
+      row.message_created,
+    ),
+    status: row.message_ticket_status,
+    subject: row.message_subject,
+    content: row.message_content,
+    created: row.message_created,
+    updated: row.message_ticket_updated,
+    replies: replies.rows.map((reply) => ({
+      id: reply.reply_id,
+      author: reply.reply_author,
+      content: reply.reply_content,
+      created: reply.reply_created,
+    })),
+  };
+}
+
+// =============================================
+// RÉPONSES DE L'ÉQUIPE
+// =============================================
+
+/**
+ * Enregistre une réponse sur le ticket et met à jour son statut
+ *
+ * @param {Object} reply - author, content, close (clôture le ticket)
+ * @returns {Promise<{replyId: string, message: Object}|null>} null si ticket introuvable
+ */
+async function insertTicketReply(client, number, { author, content, close }) {
+  return withTransaction(client, async (tx) => {
+    const ticket = await tx.query(
+      `UPDATE admin.messages
+      SET message_ticket_status = $2, message_ticket_updated = NOW()
+      WHERE message_ticket_number = $1
+      RETURNING message_id, message_ticket_number, message_name,
+        message_email, message_subject, message_content, message_created`,
+      [number, close ? TICKET_STATUSES.CLOSED : TICKET_STATUSES.ANSWERED],
+    );
+
+    if (ticket.rows.length === 0) {
+      return null;
+    }
+
+    const message = ticket.rows[0];
+    const inserted = await tx.query(
+      `INSERT INTO admin.message_replies (
+        reply_message_id, reply_author, reply_content
+      ) VALUES ($1, $2, $3)
+      RETURNING reply_id`,
+      [message.message_id, author, content],
+    );
+
+    return { replyId: inserted.rows[0].reply_id, message };
+  });
+}
+
+/**
+ * Envoie la réponse au visiteur, avec le lien de suivi du ticket
+ * Sans succès, la réponse reste consultable sur la page de suivi
+ */
+async function sendTicketReply(client, replyId, message, reply) {
+  if (!isEmailConfigured()) {
+    return false;
+  }
+
+  const reference = formatTicketNumber(
+    message.message_ticket_number,
+    message.message_created,
+  );
+
+  const sendResult = await sendEmailWithRetry(
+    {
+      to: [message.message_email],
+      ...renderEmail('contactReply', {
+        reference,
+        name: message.message_name,
+        subject: message.message_subject,
+        content: message.message_content,
+        reply: reply.content,
+        author: reply.author,
+        closed: reply.close,
+        ticketUrl: getTicketUrl(reference),
+      }),
+      replyTo: process.env.RESEND_TO_EMAIL,
+      headers: {
+        'X-Contact-Source': 'Benew-Contact-Form',
+        'X-Contact-Id': String(message.message_id),
+      },
+    },
+    { emailType: 'contact_reply' },
+  );
+
+  if (!sendResult.success) {
+    return false;
+  }
+
+  await client.query(
+    `UPDATE admin.message_replies
+    SET reply_email_id = $2, reply_sent_at = NOW()
+    WHERE reply_id = $1`,
+    [replyId, sendResult.emailId || null],
+  );
+
+  return true;
+}
+
+/**
+ * Répond à un ticket : réponse enregistrée, puis envoyée par email
+ *
+ * @param {string} reference - Numéro de ticket (TKT-2025-000042)
+ * @param {Object} reply - author, content, close
+ */
+export async function replyToTicket(reference, reply) {
+  const number = parseTicketNumber(reference);
+
+  if (!number) {
+    return {
+      success: false,
+      message: 'Numéro de ticket invalide',
+      code: 'INVALID_TICKET',
+    };
+  }
+
+  if (!reply.author?.trim() || !reply.content?.trim()) {
+    return {
+      success: false,
+      message: 'Auteur et contenu de la réponse obligatoires',
+      code: 'VALIDATION_FAILED',
+    };
+  }
+
+  const normalizedReply = {
+    author: reply.author.trim().substring(0, 100),
+    content: reply.content.trim(),
+    close: !!reply.close,
+  };
+
+  let client = null;
+
+  try {
+    client = await getClient();
+    const inserted = await insertTicketReply(client, number, normalizedReply);
+
+    if (!inserted) {
+      return {
+        success: false,
+        message: 'Ticket introuvable',
+        code: 'TICKET_NOT_FOUND',
+      };
+    }
+
+    const emailSent = await sendTicketReply(
+      client,
+      inserted.replyId,
+      inserted.message,
+      normalizedReply,
+    );
+
+    return { success: true, replyId: inserted.replyId, emailSent };
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'contact_tickets', operation: 'reply' },
+    });
+
+    return { success: false, message: error.message, code: 'SYSTEM_ERROR' };
+  } finally {
+    if (client) client.release();
+  }
+}
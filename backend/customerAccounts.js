@@ -0,0 +1,245 @@
+// backend/customerAccounts.js
+// Comptes clients sans mot de passe : liens de connexion, sessions et espace client
+// Les jetons circulent en clair (email, cookie) mais ne sont stockés que hachés
+
+import { createHash, randomBytes } from 'crypto';
+import { getOrderItems } from './orderItems.js';
+import { formatInvoiceNumber } from './orderInvoice.js';
+import { getOrdersOnboarding } from './orderOnboarding.js';
+import {
+  computeOnboardingProgress,
+  isOnboardingEditable,
+} from '../utils/orderOnboarding.js';
+
+const CONFIG = {
+  loginTokenMinutes: 15, // Validité d'un lien de connexion
+  sessionDays: 30, // Durée d'une session
+};
+
+export const SESSION_MAX_AGE_SECONDS = CONFIG.sessionDays * 24 * 3600;
+export const LOGIN_TOKEN_MINUTES = CONFIG.loginTokenMinutes;
+
+// =============================================
+// UTILITAIRES
+// =============================================
+
+const generateToken = () => randomBytes(32).toString('base64url');
+
+// 32 octets en base64url : 43 caractères
+export const isLoginTokenFormat = (token) =>
+  typeof token === 'string' && /^[\w-]{43}$/.test(token);
+
+export function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
+
+// =============================================
+// CONNEXION
+// =============================================
+
+/**
+ * Crée un lien de connexion à usage unique pour une adresse email
+ * Le compte n'est créé qu'à la première utilisation du lien
+ *
+ * @returns {Promise<string>} Jeton à placer dans le lien envoyé par email
+ */
+export async function createLoginToken(client, email) {
+  const token = generateToken();
+
+  await client.query(
+    `INSERT INTO admin.customer_login_tokens (token_hash, token_email, token_expires)
+    VALUES ($1, $2, NOW() + make_interval(mins => $3))`,
+    [hashToken(token), email.toLowerCase(), CONFIG.loginTokenMinutes],
+  );
+
+  return token;
+}
+
+/**
+ * Rattache au compte les commandes passées avec son adresse email
+ */
+export async function attachOrdersToCustomer(client, customerId, email) {
+  const result = await client.query(
+    `UPDATE admin.orders
+    SET order_customer_id = $1
+    WHERE order_customer_id IS NULL AND LOWER(order_client[3]) = $2`,
+    [customerId, email.toLowerCase()],
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Utilise un lien de connexion : crée le compte si besoin et ouvre une session
+ * Le client doit être dans une transaction
+ *
+ * @returns {Promise<{customerId: string, email: string, sessionToken: string}|null>}
+ *   null si le lien est inconnu, expiré ou déjà utilisé
+ */
+export async function consumeLoginToken(client, token) {
+  const used = await client.query(
+    `UPDATE admin.customer_login_tokens
+    SET token_used_at = NOW()
+    WHERE token_hash = $1 AND token_used_at IS NULL AND token_expires > NOW()
+    RETURNING token_email`,
+    [hashToken(token)],
+  );
+
+  if (used.rows.length === 0) {
+    return null;
+  }
+
+  const email = used.rows[0].token_email;
+
+  const customer = await client.query(
+    `INSERT INTO admin.customers (customer_email, customer_last_login)
+    VALUES ($1, NOW())
+    ON CONFLICT (customer_email) DO UPDATE SET customer_last_login = NOW()
+    RETURNING customer_id`,
+    [email],
+  );
+
+  const customerId = customer.rows[0].customer_id;
+  await attachOrdersToCustomer(client, customerId, email);
+
+  const sessionToken = generateToken();
+  await client.query(
+    `INSERT INTO admin.customer_sessions (
+      session_hash, session_customer_id, session_expires
+    ) VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+    [hashToken(sessionToken), customerId, CONFIG.sessionDays],
+  );
+
+  return { customerId, email, sessionToken };
+}
+
+// =============================================
+// SESSIONS
+// =============================================
+
+/**
+ * Client connecté correspondant au jeton de session
+ *
+ * @returns {Promise<{customerId: string, email: string}|null>}
+ */
+export async function getSessionCustomer(client, sessionToken) {
+  if (!sessionToken) return null;
+
+  const result = await client.query(
+    `SELECT c.customer_id, c.customer_email
+    FROM admin.customer_sessions s
+    JOIN admin.customers c ON c.customer_id = s.session_customer_id
+    WHERE s.session_hash = $1 AND s.session_expires > NOW()`,
+    [hashToken(sessionToken)],
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return {
+    customerId: result.rows[0].customer_id,
+    email: result.rows[0].customer_email,
+  };
+}
+
+export async function deleteSession(client, sessionToken) {
+  await client.query(
+    'DELETE FROM admin.customer_sessions WHERE session_hash = $1',
+    [hashToken(sessionToken)],
+  );
+}
+
+// =============================================
+// ESPACE CLIENT
+// =============================================
+
+/**
+ * Commandes, factures, mise en service et abonnements aux frais de gestion d'un client
+ */
+export async function getCustomerOverview(client, customerId) {
+  const [orders, subscriptions] = await Promise.all([
+    client.query(
+      `SELECT
+        o.order_id, o.order_payment_status, o.order_price, o.order_created,
+        p.platform_name,
+        i.order_invoice_number, i.order_invoice_issued
+      FROM admin.orders o
+      LEFT JOIN admin.platforms p ON o.order_platform_id = p.platform_id
+      LEFT JOIN admin.order_invoices i ON i.order_invoice_order_id = o.order_id
+      WHERE o.order_customer_id = $1
+      ORDER BY o.order_created DESC`,
+      [customerId],
+    ),
+    client.query(
+      `SELECT
+        s.subscription_id, s.subscription_order_id, s.subscription_monthly_rent,
+        s.subscription_start_date, s.subscription_status,
+        a.application_name,
+        COALESCE(
+          json_agg(
+            json_build_object(
+              'id', r.invoice_id,
+              'periodStart', r.invoice_period_start,
+              'periodEnd', r.invoice_period_end,
+              'amount', r.invoice_amount,
+              'dueDate', r.invoice_due_date,
+              'status', r.invoice_status
+            ) ORDER BY r.invoice_period_start DESC
+          ) FILTER (WHERE r.invoice_id IS NOT NULL),
+          '[]'
+        ) AS invoices
+      FROM admin.subscriptions s
+      JOIN admin.orders o ON o.order_id = s.subscription_order_id
+      JOIN catalog.applications a ON a.application_id = s.subscription_application_id
+      LEFT JOIN admin.rent_invoices r ON r.invoice_subscription_id = s.subscription_id
+      WHERE o.order_customer_id = $1
+      GROUP BY s.subscription_id, a.application_name
+      ORDER BY s.subscription_start_date DESC`,
+      [customerId],
+    ),
+  ]);
+
+  const [items, onboardings] = await Promise.all([
+    Promise.all(
+      orders.rows.map((order) => getOrderItems(client, order.order_id)),
+    ),
+    getOrdersOnboarding(
+      client,
+      orders.rows.map((order) => order.order_id),
+    ),
+  ]);
+
+  return {
+    orders: orders.rows.map((order, index) => ({
+      id: order.order_id,
+      status: order.order_payment_status,
+      amount: parseFloat(order.order_price),
+      created: order.order_created,
+      platform: order.platform_name,
+      applications: items[index].map((item) => item.applicationName),
+      invoiceNumber: order.order_invoice_number
+        ? formatInvoiceNumber(
+            order.order_invoice_number,
+            order.order_invoice_issued,
+          )
+        : null,
+      // Progression de la mise en service, tant qu'elle est modifiable
+      onboarding: isOnboardingEditable(order.order_payment_status)
+        ? computeOnboardingProgress(onboardings.get(order.order_id) || null)
+        : null,
+    })),
+    subscriptions: subscriptions.rows.map((subscription) => ({
+      id: subscription.subscription_id,
+      orderId: subscription.subscription_order_id,
+      applicationName: subscription.application_name,
+      monthlyRent: parseFloat(subscription.subscription_monthly_rent),
+      startDate: subscription.subscription_start_date,
+      status: subscription.subscription_status,
+      invoices: subscription.invoices.map((invoice) => ({
+        ...invoice,
+        amount: parseFloat(invoice.amount),
+      })),
+    })),
+  };
+}
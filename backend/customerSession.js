@@ -0,0 +1,60 @@
+// backend/customerSession.js
+// Cookie de session des comptes clients (HttpOnly, jamais lisible côté navigateur)
+// Lecture possible partout côté serveur, écriture uniquement dans une Server Action
+// ou un Route Handler
+
+import { cookies } from 'next/headers';
+import { getClient } from './dbConnect.js';
+import {
+  SESSION_MAX_AGE_SECONDS,
+  getSessionCustomer,
+} from './customerAccounts.js';
+import { captureException } from '../instrumentation.js';
+
+export const SESSION_COOKIE = 'benew_session';
+
+export async function getSessionToken() {
+  const cookieStore = await cookies();
+  return cookieStore.get(SESSION_COOKIE)?.value || null;
+}
+
+export async function setSessionCookie(sessionToken) {
+  const cookieStore = await cookies();
+  cookieStore.set(SESSION_COOKIE, sessionToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    path: '/',
+    maxAge: SESSION_MAX_AGE_SECONDS,
+  });
+}
+
+export async function clearSessionCookie() {
+  const cookieStore = await cookies();
+  cookieStore.delete(SESSION_COOKIE);
+}
+
+/**
+ * Client connecté, null sans session valide
+ * Une erreur de base de données est traitée comme une absence de session
+ *
+ * @returns {Promise<{customerId: string, email: string}|null>}
+ */
+export async function getCurrentCustomer() {
+  const sessionToken = await getSessionToken();
+  if (!sessionToken) return null;
+
+  let client = null;
+
+  try {
+    client = await getClient();
+    return await getSessionCustomer(client, sessionToken);
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'customer_session', operation: 'get_customer' },
+    });
+    return null;
+  } finally {
+    if (client) client.release();
+  }
+}
@@ -485,11 +485,34 @@ export const getClient = async () => {
   }
 };
 
+/**
+ * Exécute une fonction dans une transaction (BEGIN / COMMIT / ROLLBACK)
+ * Le client est fourni par l'appelant, qui reste responsable de sa libération
+ */
+export const withTransaction = async (client, callback) => {
+  await client.query('BEGIN');
+
+  try {
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      captureException(rollbackError, {
+        tags: { component: 'database_pool', error_type: 'rollback_failed' },
+      });
+    }
+    throw error;
+  }
+};
+
 // =============================================
 // GRACEFUL SHUTDOWN
 // =============================================
 
-async function shutdown() {
+export async function shutdown() {
   console.log(`[${getTimestamp()}] 🛑 Arrêt du pool...`);
 
   // Arrêter le monitoring
@@ -0,0 +1,85 @@
+// backend/emailService.js
+// Envoi d'emails via Resend avec retry simple
+// Partagé par le formulaire de contact et les commandes
+
+import { Resend } from 'resend';
+import { captureEmailError } from '../instrumentation.js';
+
+// Initialisation Resend différée : le constructeur lève une erreur sans clé,
+// ce qui empêcherait d'importer ce module hors Next.js (scripts planifiés)
+let resend = null;
+
+function getResend() {
+  if (!resend) {
+    resend = new Resend(process.env.RESEND_API_KEY);
+  }
+  return resend;
+}
+
+const CONFIG = {
+  maxRetries: 2, // 3 tentatives au total
+  retryDelay: 2000, // 2s, puis 4s
+};
+
+/**
+ * Vérifie que la configuration Resend est complète
+ */
+export function isEmailConfigured() {
+  return !!(
+    process.env.RESEND_API_KEY &&
+    process.env.RESEND_FROM_EMAIL &&
+    process.env.RESEND_TO_EMAIL
+  );
+}
+
+/**
+ * Envoie un email avec retry simple
+ * Ne lève jamais d'exception : le résultat indique le succès ou l'échec
+ *
+ * @param {Object} payload - Options Resend (to, subject, text, ...), from par défaut
+ * @param {Object} options - emailType pour le monitoring, maxRetries optionnel
+ * @returns {Promise<{success: boolean, emailId?: string, error?: Error}>}
+ */
+export async function sendEmailWithRetry(payload, options = {}) {
+  const { emailType = 'generic', maxRetries = CONFIG.maxRetries } = options;
+  let lastError;
+
+  for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    try {
+      const emailResult = await getResend().emails.send({
+        from: process.env.RESEND_FROM_EMAIL,
+        ...payload,
+      });
+
+      // Resend renvoie les erreurs d'API sans lever d'exception
+      if (emailResult.error) {
+        throw new Error(emailResult.error.message || 'Resend send error');
+      }
+
+      return {
+        success: true,
+        emailId: emailResult.data?.id,
+      };
+    } catch (error) {
+      lastError = error;
+
+      if (attempt < maxRetries) {
+        // Attendre avant le retry
+        await new Promise((resolve) =>
+          setTimeout(resolve, CONFIG.retryDelay * (attempt + 1)),
+        );
+      }
+    }
+  }
+
+  // Échec final après tous les retries
+  captureEmailError(lastError, {
+    emailType,
+    tags: { email_retry: true, attempts: maxRetries + 1 },
+  });
+
+  return {
+    success: false,
+    error: lastError,
+  };
+}
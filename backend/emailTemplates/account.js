@@ -0,0 +1,46 @@
+// backend/emailTemplates/account.js
+// Emails de l'espace client : lien de connexion
+// Données construites par actions/accountActions.js
+
+import {
+  button,
+  heading,
+  html,
+  muted,
+  paragraph,
+  renderLayout,
+} from './layout.js';
+
+// loginUrl (lien à usage unique) et validMinutes (durée de validité)
+export const loginLink = {
+  subject: () => 'Votre lien de connexion Benew',
+
+  text: (data) => `Bonjour,
+
+Voici votre lien de connexion à votre espace client Benew :
+${data.loginUrl}
+
+Ce lien est valable ${data.validMinutes} minutes et ne peut être utilisé qu'une fois.
+
+Si vous n'êtes pas à l'origine de cette demande, ignorez simplement cet email :
+personne ne pourra se connecter sans ce lien.
+
+---
+L'équipe Benew
+`,
+
+  html: (data) =>
+    renderLayout({
+      title: 'Votre lien de connexion Benew',
+      preheader: `Lien valable ${data.validMinutes} minutes`,
+      body: html` ${heading('Bonjour,')}
+      ${paragraph('Voici votre lien de connexion à votre espace client Benew.')}
+      ${button(data.loginUrl, 'Me connecter')}
+      ${muted(
+        `Ce lien est valable ${data.validMinutes} minutes et ne peut être utilisé qu'une fois.`,
+      )}
+      ${muted(
+        "Si vous n'êtes pas à l'origine de cette demande, ignorez simplement cet email : personne ne pourra se connecter sans ce lien.",
+      )}`,
+    }),
+};
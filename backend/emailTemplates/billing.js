@@ -0,0 +1,111 @@
+// backend/emailTemplates/billing.js
+// Emails de facturation des frais de gestion : rappel avant échéance, relance
+// Données construites par backend/rentBilling.js
+
+import {
+  detailsTable,
+  formatAmount,
+  formatDate,
+  heading,
+  html,
+  muted,
+  notice,
+  paragraph,
+  renderLayout,
+  section,
+} from './layout.js';
+
+// Colonnes DATE : affichées telles quelles, sans conversion de fuseau
+const formatInvoiceDate = (value) => formatDate(value, 'UTC');
+
+const getIntroduction = (invoice) =>
+  invoice.overdue
+    ? "Sauf erreur de notre part, les frais de gestion de votre application ne sont pas encore réglés. Merci de procéder au paiement dès que possible afin d'éviter une suspension du service."
+    : 'Les frais de gestion mensuels de votre application arrivent bientôt à échéance.';
+
+/**
+ * @typedef {Object} RentInvoice
+ * @property {boolean} overdue - Relance d'impayé plutôt que rappel
+ * @property {string} firstName
+ * @property {string} lastName
+ * @property {string} applicationName
+ * @property {string|Date} periodStart
+ * @property {string|Date} periodEnd
+ * @property {number|string} amount
+ * @property {string|Date} dueDate
+ * @property {string} platformName
+ * @property {string} platformNumber
+ * @property {string} orderId
+ */
+
+export const rentReminder = {
+  subject: (invoice) =>
+    invoice.overdue
+      ? `Relance : frais de gestion impayés - ${invoice.applicationName}`
+      : `Rappel : frais de gestion à régler - ${invoice.applicationName}`,
+
+  text: (invoice) => `Bonjour ${invoice.firstName} ${invoice.lastName},
+
+${
+  invoice.overdue
+    ? `Sauf erreur de notre part, les frais de gestion de votre application ne sont pas encore réglés.
+Merci de procéder au paiement dès que possible afin d'éviter une suspension du service.`
+    : `Les frais de gestion mensuels de votre application arrivent bientôt à échéance.`
+}
+
+🧾 FACTURE
+Application : ${invoice.applicationName}
+Période : du ${formatInvoiceDate(invoice.periodStart)} au ${formatInvoiceDate(invoice.periodEnd)}
+Montant : ${formatAmount(invoice.amount)}
+Échéance : ${formatInvoiceDate(invoice.dueDate)}
+
+💳 PAIEMENT
+Moyen de paiement : ${invoice.platformName}
+Numéro à créditer : ${invoice.platformNumber}
+
+Merci d'indiquer votre numéro de commande (${invoice.orderId}) lors du transfert.
+Si vous avez déjà réglé cette facture, vous pouvez ignorer ce message.
+
+---
+L'équipe Benew
+`,
+
+  html: (invoice) =>
+    renderLayout({
+      title: invoice.overdue
+        ? 'Relance : frais de gestion impayés'
+        : 'Rappel : frais de gestion à régler',
+      preheader: `${formatAmount(invoice.amount)} à régler avant le ${formatInvoiceDate(invoice.dueDate)}`,
+      body: html` ${heading(
+        `Bonjour ${invoice.firstName} ${invoice.lastName},`,
+      )}
+      ${invoice.overdue
+        ? notice(getIntroduction(invoice))
+        : paragraph(getIntroduction(invoice))}
+      ${section(
+        'Facture',
+        detailsTable([
+          ['Application', invoice.applicationName],
+          [
+            'Période',
+            `du ${formatInvoiceDate(invoice.periodStart)} au ${formatInvoiceDate(invoice.periodEnd)}`,
+          ],
+          ['Montant', formatAmount(invoice.amount)],
+          ['Échéance', formatInvoiceDate(invoice.dueDate)],
+        ]),
+      )}
+      ${section(
+        'Paiement',
+        html`${detailsTable([
+          ['Moyen de paiement', invoice.platformName],
+          ['Numéro à créditer', invoice.platformNumber],
+        ])}
+        ${paragraph(
+          `Merci d'indiquer votre numéro de commande (${invoice.orderId}) lors du transfert.`,
+        )}`,
+      )}
+      ${muted(
+        'Si vous avez déjà réglé cette facture, vous pouvez ignorer ce message.',
+      )}`,
+    }),
+};
@@ -0,0 +1,181 @@
+// backend/emailTemplates/contact.js
+// Emails des tickets de contact : notification à l'équipe, accusé de réception,
+// réponse de l'équipe
+
+import { formatPhoneNumber } from '../../utils/phone.js';
+import {
+  button,
+  detailsTable,
+  formatDateTime,
+  heading,
+  html,
+  multiline,
+  muted,
+  paragraph,
+  quote,
+  renderLayout,
+  section,
+} from './layout.js';
+
+/**
+ * @typedef {Object} ContactMessage
+ * @property {string} reference - Numéro de ticket (formatTicketNumber)
+ * @property {string} name
+ * @property {string} email
+ * @property {string|null} phone - Format E.164
+ * @property {string} subject
+ * @property {string} content
+ * @property {string|Date} created
+ */
+
+// Heure de Paris : l'équipe traite les messages depuis la France
+const formatReceivedAt = (value) => formatDateTime(value, 'Europe/Paris');
+
+export const contactNotification = {
+  subject: (message) =>
+    `[Contact Benew] [${message.reference}] ${message.subject}`,
+
+  text: (message) => `NOUVEAU MESSAGE DE CONTACT - BENEW
+======================================
+
+📧 Reçu le : ${formatReceivedAt(message.created)}
+
+👤 EXPÉDITEUR
+Nom : ${message.name}
+Email : ${message.email}
+${message.phone ? `Téléphone : ${formatPhoneNumber(message.phone)}\n` : ''}
+📋 DÉTAILS
+Sujet : ${message.subject}
+
+💬 MESSAGE
+${message.content}
+
+---
+Cet email a été envoyé automatiquement depuis le formulaire de contact du site Benew.
+Vous pouvez répondre directement à cet email pour contacter ${message.name}.
+
+🔒 Ticket : ${message.reference}
+`,
+
+  html: (message) =>
+    renderLayout({
+      title: `Nouveau message de contact - ${message.subject}`,
+      preheader: `${message.name} : ${message.subject}`,
+      body: html` ${heading('Nouveau message de contact')}
+      ${section(
+        'Expéditeur',
+        detailsTable([
+          ['Nom', message.name],
+          ['Email', message.email],
+          message.phone && ['Téléphone', formatPhoneNumber(message.phone)],
+          ['Reçu le', formatReceivedAt(message.created)],
+        ]),
+      )}
+      ${section('Sujet', paragraph(message.subject))}
+      ${section('Message', quote(multiline(message.content)))}
+      ${muted(
+        `Répondez directement à cet email pour contacter ${message.name}. Référence : ${message.reference}`,
+      )}`,
+      footer:
+        'Envoyé automatiquement depuis le formulaire de contact du site Benew.',
+    }),
+};
+
+// Mêmes données que la notification, plus le délai de réponse annoncé
+// (responseTime) et le lien de suivi du ticket (ticketUrl)
+export const contactAcknowledgement = {
+  // Sujet fixe : le contenu saisi n'apparaît jamais dans l'objet de l'email
+  subject: (message) =>
+    `Nous avons bien reçu votre message (réf. ${message.reference})`,
+
+  text: (message) => `Bonjour ${message.name},
+
+Nous avons bien reçu votre message et vous en remercions.
+Notre équipe vous répondra ${message.responseTime}.
+
+🔒 Référence : ${message.reference}
+Rappelez cette référence si vous nous recontactez à ce sujet.
+Suivez votre demande et nos réponses : ${message.ticketUrl}
+
+📋 VOTRE MESSAGE
+Sujet : ${message.subject}
+
+${message.content}
+
+---
+Vous recevez cet email car vous avez demandé une copie de votre message
+depuis le formulaire de contact du site Benew.
+L'équipe Benew
+`,
+
+  html: (message) =>
+    renderLayout({
+      title: 'Nous avons bien reçu votre message',
+      preheader: `Réponse ${message.responseTime} - référence ${message.reference}`,
+      body: html` ${heading(`Bonjour ${message.name},`)}
+      ${paragraph(
+        `Nous avons bien reçu votre message et vous en remercions. Notre équipe vous répondra ${message.responseTime}.`,
+      )}
+      ${detailsTable([['Référence', message.reference]])}
+      ${muted('Rappelez cette référence si vous nous recontactez à ce sujet.')}
+      ${button(message.ticketUrl, 'Suivre ma demande')}
+      ${section(
+        'Votre message',
+        html`${paragraph(html`<strong>${message.subject}</strong>`)}${quote(
+          multiline(message.content),
+        )}`,
+      )}`,
+      footer:
+        "Vous recevez cet email car vous avez demandé une copie de votre message depuis le formulaire de contact du site Benew. L'équipe Benew",
+    }),
+};
+
+// Réponse de l'équipe : reply, author, closed (ticket clos), ticketUrl
+// en plus de reference, name, subject et content du message d'origine
+export const contactReply = {
+  subject: (message) => `Réponse à votre message (réf. ${message.reference})`,
+
+  text: (message) => `Bonjour ${message.name},
+
+${message.reply}
+
+${message.author}
+L'équipe Benew
+
+---
+🔒 Référence : ${message.reference}
+${
+  message.closed
+    ? 'Cette demande est désormais close. Écrivez-nous depuis le formulaire de contact pour toute nouvelle question.'
+    : 'Pour nous répondre, il vous suffit de répondre à cet email.'
+}
+Suivez votre demande : ${message.ticketUrl}
+
+📋 VOTRE MESSAGE
+Sujet : ${message.subject}
+
+${message.content}
+`,
+
+  html: (message) =>
+    renderLayout({
+      title: 'Réponse à votre message',
+      preheader: `Réponse de l'équipe Benew - référence ${message.reference}`,
+      body: html`${heading(`Bonjour ${message.name},`)}
+      ${paragraph(multiline(message.reply))}
+      ${paragraph(html`<strong>${message.author}</strong><br />L'équipe Benew`)}
+      ${detailsTable([['Référence', message.reference]])}
+      ${muted(
+        message.closed
+          ? 'Cette demande est désormais close. Écrivez-nous depuis le formulaire de contact pour toute nouvelle question.'
+          : 'Pour nous répondre, il vous suffit de répondre à cet email.',
+      )}
+      ${button(message.ticketUrl, 'Suivre ma demande')}
+      ${section(
+        'Votre message',
+        html`${paragraph(html`<strong>${message.subject}</strong>`)}${quote(
+          multiline(message.content),
+        )}`,
+      )}`,
+    }),
+};
@@ -0,0 +1,139 @@
+// backend/emailTemplates/fixtures.js
+// Données fictives pour l'aperçu des gabarits (app/api/dev/emails)
+// Les champs saisis contiennent du HTML pour vérifier l'échappement
+
+const contactMessage = {
+  reference: 'TKT-2026-000042',
+  name: 'Amina Hassan',
+  email: 'amina.hassan@example.com',
+  phone: '+25377123456',
+  subject: 'Demande de devis <site vitrine>',
+  content:
+    'Bonjour,\n\nJe souhaite un site pour mon restaurant à Djibouti.\nPouvez-vous me rappeler ? <script>alert("test")</script>\n\nMerci',
+  created: '2026-10-19T08:30:00Z',
+};
+
+const order = {
+  id: '8d1f5c2e-4b7a-4c3e-9a61-2f0e7d9b4a10',
+  created: '2026-10-19T09:15:00Z',
+  applicationName: 'Boutique en ligne, Site vitrine',
+  items: [
+    { applicationName: 'Boutique en ligne', price: 150000 },
+    { applicationName: 'Site vitrine', price: 60000 },
+  ],
+  amount: 231000,
+  originalAmount: 210000,
+  discount: 21000,
+  promoCode: 'BIENVENUE10',
+  plan: { label: 'Gestion prépayée 3 mois', prepaidMonths: 3 },
+  prepaidAmount: 42000,
+  quoteNumber: null,
+  risk: {
+    needsReview: true,
+    score: 62,
+    signals: [
+      { detail: 'Adresse email jetable' },
+      { detail: '3 tentatives refusées en 1 heure' },
+    ],
+  },
+  platformName: 'Waafi',
+  platformNumber: '77 00 00 00',
+  accountName: 'Amina Hassan',
+  accountNumber: '77123456',
+  customer: {
+    lastName: 'Hassan',
+    firstName: 'Amina',
+    email: 'amina.hassan@example.com',
+    phone: '+25377123456',
+  },
+  invoiceAttached: true,
+  cancelUrl: 'https://benew-dj.com/orders/cancel?token=apercu',
+};
+
+const quote = {
+  id: '3b6e9f10-7c2d-4e8a-b5f4-9d1a0c6e2f73',
+  number: 'DEV-2026-000017',
+  company: {
+    name: 'Restaurant Le Palmier <SARL>',
+    taxId: '123456789',
+    address: 'Avenue 13, Plateau du Serpent, Djibouti',
+  },
+  contact: {
+    name: 'Amina Hassan',
+    email: 'amina.hassan@example.com',
+    phone: '+25377123456',
+  },
+  applicationName: 'Site vitrine',
+  applicationFee: 60000,
+  applicationRent: 5000,
+  validUntil: '2026-11-18T00:00:00Z',
+  created: '2026-10-19T09:00:00Z',
+};
+
+const onboarding = {
+  domain: 'lepalmier.dj',
+  domainOwned: false,
+  professionalEmail: 'contact@lepalmier.dj',
+  logo: { name: 'logo-palmier.png', mimeType: 'image/png' },
+  primaryColor: '#1B5E20',
+  secondaryColor: '',
+  businessName: 'Restaurant Le Palmier',
+  businessActivity: 'Restauration <traditionnelle>',
+  businessPhone: '+25377123456',
+  businessAddress: '',
+  hostingPreference: 'own',
+  hostingDetails: 'Hébergeur : OVH\nAccès transmis par téléphone',
+};
+
+export const EMAIL_FIXTURES = {
+  contactNotification: contactMessage,
+  contactAcknowledgement: {
+    ...contactMessage,
+    responseTime: 'sous 24 heures ouvrées',
+    ticketUrl: 'https://benew-dj.com/contact/ticket?ref=TKT-2026-000042',
+  },
+  contactReply: {
+    ...contactMessage,
+    reply:
+      'Bonjour,\n\nMerci pour votre demande. Un site vitrine pour restaurant est tout à fait possible : nous vous appelons demain matin pour en parler.\n\nBonne journée',
+    author: 'Moussa <Équipe commerciale>',
+    closed: false,
+    ticketUrl: 'https://benew-dj.com/contact/ticket?ref=TKT-2026-000042',
+  },
+  orderConfirmation: order,
+  orderNotification: order,
+  orderCancellationNotification: {
+    ...order,
+    cancelled: '2026-10-19T10:02:00Z',
+  },
+  onboardingCompleted: {
+    order: {
+      id: order.id,
+      applications: ['Boutique en ligne', 'Site vitrine'],
+    },
+    onboarding,
+    customerEmail: order.customer.email,
+  },
+  quoteRequest: {
+    ...quote,
+    quoteUrl: `https://benew-dj.com/quotes/${quote.id}?expires=1795046400&signature=apercu`,
+  },
+  quoteNotification: quote,
+  rentReminder: {
+    overdue: true,
+    firstName: 'Amina',
+    lastName: 'Hassan',
+    applicationName: 'Boutique en ligne',
+    periodStart: '2026-10-01',
+    periodEnd: '2026-10-31',
+    amount: 15000,
+    dueDate: '2026-10-10',
+    platformName: 'Waafi',
+    platformNumber: '77 00 00 00',
+    orderId: order.id,
+  },
+  loginLink: {
+    loginUrl: 'https://benew-dj.com/account/login/verify?token=apercu',
+    validMinutes: 15,
+  },
+};
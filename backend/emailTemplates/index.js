@@ -0,0 +1,55 @@
+// backend/emailTemplates/index.js
+// Registre des gabarits d'email : chaque gabarit fournit l'objet, le HTML
+// et la version texte à partir des mêmes données
+
+import { loginLink } from './account.js';
+import { rentReminder } from './billing.js';
+import {
+  contactAcknowledgement,
+  contactNotification,
+  contactReply,
+} from './contact.js';
+import {
+  orderCancellationNotification,
+  orderConfirmation,
+  orderNotification,
+} from './orders.js';
+import { onboardingCompleted } from './onboarding.js';
+import { quoteNotification, quoteRequest } from './quotes.js';
+
+const TEMPLATES = {
+  contactNotification,
+  contactAcknowledgement,
+  contactReply,
+  orderConfirmation,
+  orderNotification,
+  orderCancellationNotification,
+  onboardingCompleted,
+  quoteRequest,
+  quoteNotification,
+  rentReminder,
+  loginLink,
+};
+
+export const EMAIL_TEMPLATE_NAMES = Object.keys(TEMPLATES);
+
+/**
+ * Produit le contenu d'un email, à passer tel quel à sendEmailWithRetry
+ *
+ * @param {string} name - Nom du gabarit (EMAIL_TEMPLATE_NAMES)
+ * @param {Object} data - Données attendues par le gabarit
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export function renderEmail(name, data) {
+  const template = TEMPLATES[name];
+
+  if (!template) {
+    throw new Error(`Gabarit d'email inconnu : ${name}`);
+  }
+
+  return {
+    subject: template.subject(data),
+    html: template.html(data),
+    text: template.text(data),
+  };
+}
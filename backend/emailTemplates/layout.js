@@ -0,0 +1,270 @@
+// backend/emailTemplates/layout.js
+// Mise en page commune des emails HTML et échappement des variables
+// Styles en ligne et tableaux : seule mise en page fiable dans les clients mail
+
+const BRAND = {
+  name: 'Benew',
+  dark: '#0c0c1a',
+  primary: '#f6a037',
+  text: '#222222',
+  muted: '#6b6b6b',
+  border: '#e6e6e6',
+  background: '#f4f4f6',
+  warning: '#b45309',
+  warningBackground: '#fff7ed',
+};
+
+const FONT = "Arial, 'Helvetica Neue', Helvetica, sans-serif";
+
+// =============================================
+// ÉCHAPPEMENT
+// =============================================
+
+// HTML déjà construit (composants, gabarits) : jamais ré-échappé
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Marque une chaîne comme HTML sûr (à réserver au HTML écrit dans le code)
+ */
+export const raw = (value) => new SafeHtml(String(value));
+
+function renderValue(value) {
+  if (value === null || value === undefined || value === false) return '';
+  if (Array.isArray(value)) return value.map(renderValue).join('');
+  if (value instanceof SafeHtml) return value.value;
+  return escapeHtml(value);
+}
+
+/**
+ * Gabarit HTML : toutes les variables interpolées sont échappées,
+ * sauf le HTML produit par html`` ou raw()
+ */
+export function html(strings, ...values) {
+  return new SafeHtml(
+    strings.reduce(
+      (output, string, index) =>
+        output +
+        string +
+        (index < values.length ? renderValue(values[index]) : ''),
+      '',
+    ),
+  );
+}
+
+/**
+ * Texte saisi sur plusieurs lignes (message de contact) : échappé, retours conservés
+ */
+export const multiline = (value) =>
+  raw(escapeHtml(value || '').replace(/\r?\n/g, '<br>'));
+
+// =============================================
+// FORMATAGE
+// =============================================
+
+export const formatAmount = (value) =>
+  `${Number(value).toLocaleString('fr-FR', { maximumFractionDigits: 2 })} FDJ`;
+
+export const formatDateTime = (value, timeZone = 'Africa/Djibouti') =>
+  new Date(value).toLocaleString('fr-FR', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+export const formatDate = (value, timeZone = 'Africa/Djibouti') =>
+  new Date(value).toLocaleDateString('fr-FR', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  });
+
+// =============================================
+// COMPOSANTS
+// =============================================
+
+export const heading = (text) =>
+  html`<h1
+    style="margin:0 0 16px;font-size:20px;line-height:28px;color:${BRAND.text};"
+  >
+    ${text}
+  </h1>`;
+
+export const paragraph = (content) =>
+  html`<p
+    style="margin:0 0 16px;font-size:15px;line-height:22px;color:${BRAND.text};"
+  >
+    ${content}
+  </p>`;
+
+export const muted = (content) =>
+  html`<p
+    style="margin:0 0 16px;font-size:13px;line-height:19px;color:${BRAND.muted};"
+  >
+    ${content}
+  </p>`;
+
+/**
+ * Bloc titré (ex : « Votre commande », « Paiement »)
+ */
+export const section = (title, content) =>
+  html` <h2
+      style="margin:24px 0 8px;font-size:13px;letter-spacing:1px;text-transform:uppercase;color:${BRAND.muted};"
+    >
+      ${title}
+    </h2>
+    ${content}`;
+
+/**
+ * Tableau libellé / valeur, les lignes vides (null, false) sont ignorées
+ *
+ * @param {Array<[string, string|SafeHtml]|null|false>} rows
+ */
+export const detailsTable = (rows) =>
+  html` <table
+    role="presentation"
+    width="100%"
+    cellpadding="0"
+    cellspacing="0"
+    style="border-collapse:collapse;margin:0 0 16px;"
+  >
+    ${rows.filter(Boolean).map(
+      ([label, value]) =>
+        html` <tr>
+          <td
+            style="padding:8px 0;border-bottom:1px solid ${BRAND.border};font-size:14px;color:${BRAND.muted};vertical-align:top;"
+          >
+            ${label}
+          </td>
+          <td
+            style="padding:8px 0 8px 16px;border-bottom:1px solid ${BRAND.border};font-size:14px;color:${BRAND.text};text-align:right;font-weight:bold;"
+          >
+            ${value}
+          </td>
+        </tr>`,
+    )}
+  </table>`;
+
+export const button = (url, label) =>
+  html` <table
+    role="presentation"
+    cellpadding="0"
+    cellspacing="0"
+    style="margin:8px 0 24px;"
+  >
+    <tr>
+      <td style="border-radius:8px;background:${BRAND.primary};">
+        <a
+          href="${url}"
+          style="display:inline-block;padding:12px 24px;font-size:15px;font-weight:bold;color:${BRAND.dark};text-decoration:none;"
+          >${label}</a
+        >
+      </td>
+    </tr>
+  </table>`;
+
+export const notice = (content) =>
+  html` <div
+    style="margin:0 0 16px;padding:12px 16px;border-left:4px solid ${BRAND.warning};background:${BRAND.warningBackground};font-size:14px;line-height:20px;color:${BRAND.text};"
+  >
+    ${content}
+  </div>`;
+
+export const quote = (content) =>
+  html` <div
+    style="margin:0 0 16px;padding:12px 16px;border-left:4px solid ${BRAND.primary};background:${BRAND.background};font-size:14px;line-height:20px;color:${BRAND.text};"
+  >
+    ${content}
+  </div>`;
+
+// =============================================
+// MISE EN PAGE
+// =============================================
+
+/**
+ * Document HTML complet d'un email
+ *
+ * @param {Object} options - title (balise title), preheader (aperçu dans la
+ *   boîte de réception), body (html``), footer (texte facultatif)
+ * @returns {string}
+ */
+export function renderLayout({ title, preheader = '', body, footer }) {
+  return html`<!DOCTYPE html>
+    <html lang="fr">
+      <head>
+        <meta charset="utf-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <meta name="color-scheme" content="light" />
+        <title>${title}</title>
+      </head>
+      <body
+        style="margin:0;padding:0;background:${BRAND.background};font-family:${raw(
+          FONT,
+        )};"
+      >
+        <div style="display:none;max-height:0;overflow:hidden;opacity:0;">
+          ${preheader}
+        </div>
+        <table
+          role="presentation"
+          width="100%"
+          cellpadding="0"
+          cellspacing="0"
+          style="background:${BRAND.background};"
+        >
+          <tr>
+            <td align="center" style="padding:24px 12px;">
+              <table
+                role="presentation"
+                width="100%"
+                cellpadding="0"
+                cellspacing="0"
+                style="max-width:600px;background:#ffffff;border-radius:12px;overflow:hidden;"
+              >
+                <tr>
+                  <td style="padding:20px 32px;background:${BRAND.dark};">
+                    <span
+                      style="font-size:24px;font-weight:bold;color:${BRAND.primary};"
+                      >${BRAND.name}</span
+                    >
+                  </td>
+                </tr>
+                <tr>
+                  <td style="padding:32px;font-family:${raw(FONT)};">
+                    ${body}
+                  </td>
+                </tr>
+                <tr>
+                  <td
+                    style="padding:16px 32px;border-top:1px solid ${BRAND.border};font-size:12px;line-height:18px;color:${BRAND.muted};"
+                  >
+                    ${footer || `L'équipe ${BRAND.name}`}
+                  </td>
+                </tr>
+              </table>
+            </td>
+          </tr>
+        </table>
+      </body>
+    </html>`.toString();
+}
@@ -0,0 +1,102 @@
+// backend/emailTemplates/onboarding.js
+// Notification à l'équipe : fiche de mise en service complète
+// Données construites par actions/onboardingActions.js
+
+import { HOSTING_PREFERENCES } from '../../utils/orderOnboarding.js';
+import { formatPhoneNumber } from '../../utils/phone.js';
+import {
+  detailsTable,
+  heading,
+  html,
+  multiline,
+  paragraph,
+  renderLayout,
+  section,
+} from './layout.js';
+
+// order (id, applications), onboarding (fiche complète), customerEmail
+export const onboardingCompleted = {
+  subject: ({ order, onboarding }) =>
+    `[Mise en service Benew] ${order.applications.join(', ')} - ${onboarding.businessName}`,
+
+  text: ({ order, onboarding, customerEmail }) => {
+    return `FICHE DE MISE EN SERVICE COMPLÈTE - BENEW
+======================================
+
+📦 Commande : ${order.id}
+Applications : ${order.applications.join(', ')}
+Client : ${customerEmail}
+
+🔗 DOMAINE
+Nom de domaine : ${onboarding.domain} (${onboarding.domainOwned ? 'déjà détenu par le client' : 'à enregistrer'})
+Email professionnel : ${onboarding.professionalEmail || '—'}
+
+🎨 IDENTITÉ VISUELLE
+Logo : ${onboarding.logo.name || 'envoyé'} (stockage : onboarding/${order.id})
+Couleur principale : ${onboarding.primaryColor}
+Couleur secondaire : ${onboarding.secondaryColor || '—'}
+
+🏢 ENTREPRISE
+Nom : ${onboarding.businessName}
+Activité : ${onboarding.businessActivity}
+Téléphone : ${formatPhoneNumber(onboarding.businessPhone)}
+Adresse : ${onboarding.businessAddress || '—'}
+
+🌐 HÉBERGEMENT
+${HOSTING_PREFERENCES[onboarding.hostingPreference].label}
+${onboarding.hostingDetails || ''}
+`;
+  },
+
+  html: ({ order, onboarding, customerEmail }) =>
+    renderLayout({
+      title: `Fiche de mise en service complète - ${onboarding.businessName}`,
+      preheader: `${order.applications.join(', ')} : ${onboarding.domain}`,
+      body: html` ${heading('Fiche de mise en service complète')}
+      ${detailsTable([
+        ['Commande', order.id],
+        ['Applications', order.applications.join(', ')],
+        ['Client', customerEmail],
+      ])}
+      ${section(
+        'Domaine',
+        detailsTable([
+          [
+            'Nom de domaine',
+            `${onboarding.domain} (${onboarding.domainOwned ? 'déjà détenu par le client' : 'à enregistrer'})`,
+          ],
+          ['Email professionnel', onboarding.professionalEmail || '—'],
+        ]),
+      )}
+      ${section(
+        'Identité visuelle',
+        detailsTable([
+          [
+            'Logo',
+            `${onboarding.logo.name || 'envoyé'} (stockage : onboarding/${order.id})`,
+          ],
+          ['Couleur principale', onboarding.primaryColor],
+          ['Couleur secondaire', onboarding.secondaryColor || '—'],
+        ]),
+      )}
+      ${section(
+        'Entreprise',
+        detailsTable([
+          ['Nom', onboarding.businessName],
+          ['Activité', onboarding.businessActivity],
+          ['Téléphone', formatPhoneNumber(onboarding.businessPhone)],
+          ['Adresse', onboarding.businessAddress || '—'],
+        ]),
+      )}
+      ${section(
+        'Hébergement',
+        html`${paragraph(
+          html`<strong
+            >${HOSTING_PREFERENCES[onboarding.hostingPreference].label}</strong
+          >`,
+        )}
+        ${onboarding.hostingDetails &&
+        paragraph(multiline(onboarding.hostingDetails))}`,
+      )}`,
+    }),
+};
@@ -0,0 +1,312 @@
+// backend/emailTemplates/orders.js
+// Emails des commandes : confirmation au client, notifications à l'équipe
+// Données construites par actions/orderActions.js
+
+import { formatPhoneNumber } from '../../utils/phone.js';
+import {
+  button,
+  detailsTable,
+  formatAmount,
+  formatDateTime,
+  heading,
+  html,
+  muted,
+  notice,
+  paragraph,
+  renderLayout,
+  section,
+} from './layout.js';
+
+const getTrackingUrl = (order) =>
+  `${process.env.NEXT_PUBLIC_SITE_URL}/orders/${order.id}`;
+
+// Une ligne par application commandée
+const formatOrderItems = (items) =>
+  items
+    .map((item) => `- ${item.applicationName} : ${formatAmount(item.price)}`)
+    .join('\n');
+
+// Formule choisie, avec la gestion prépayée comprise dans le montant
+const formatOrderPlan = (order) =>
+  order.prepaidAmount > 0
+    ? `Formule : ${order.plan.label}
+Gestion prépayée incluse : ${formatAmount(order.prepaidAmount)}, facturation mensuelle à l'issue des ${order.plan.prepaidMonths} mois
+`
+    : `Formule : ${order.plan.label}
+`;
+
+// Lignes communes du récapitulatif HTML (applications, formule, devis)
+const orderSummaryRows = (order) => [
+  ...order.items.map((item) => [
+    item.applicationName,
+    formatAmount(item.price),
+  ]),
+  ['Formule', order.plan.label],
+  order.prepaidAmount > 0 && [
+    'Gestion prépayée incluse',
+    formatAmount(order.prepaidAmount),
+  ],
+  order.quoteNumber && ['Devis', order.quoteNumber],
+];
+
+// =============================================
+// CONFIRMATION AU CLIENT
+// =============================================
+
+export const orderConfirmation = {
+  subject: (order) =>
+    `Confirmation de votre commande Benew - ${order.applicationName}`,
+
+  text: (order) => {
+    const promoLines = order.promoCode
+      ? `Prix catalogue : ${formatAmount(order.originalAmount)}
+Code promo ${order.promoCode} : -${formatAmount(order.discount)}
+`
+      : '';
+
+    return `Bonjour ${order.customer.firstName} ${order.customer.lastName},
+
+Merci pour votre commande sur Benew ! Nous l'avons bien reçue.
+
+🧾 VOTRE COMMANDE
+Numéro de commande : ${order.id}
+Date : ${formatDateTime(order.created)}
+${
+  order.items.length > 1
+    ? `Applications :\n${formatOrderItems(order.items)}`
+    : `Application : ${order.applicationName}`
+}
+${formatOrderPlan(order)}${
+      order.quoteNumber
+        ? `Prix du devis ${order.quoteNumber}
+`
+        : ''
+    }${promoLines}Montant : ${formatAmount(order.amount)}
+
+💳 PAIEMENT
+Moyen de paiement : ${order.platformName}
+Numéro à créditer : ${order.platformNumber}
+Montant à envoyer : ${formatAmount(order.amount)}
+
+Merci d'indiquer votre numéro de commande lors du transfert.
+Votre commande sera traitée dès réception du paiement.
+${order.invoiceAttached ? 'Votre facture est jointe à cet email au format PDF.\n' : ''}
+📦 SUIVI
+Vous pouvez suivre votre commande à tout moment avec votre numéro de commande
+et cette adresse email : ${getTrackingUrl(order)}
+${
+  order.cancelUrl
+    ? `
+❌ ANNULATION
+Vous vous êtes trompé d'application ? Tant que votre paiement n'est pas envoyé,
+vous pouvez annuler votre commande depuis ce lien (valable 7 jours) :
+${order.cancelUrl}
+`
+    : ''
+}
+---
+L'équipe Benew
+`;
+  },
+
+  html: (order) =>
+    renderLayout({
+      title: 'Confirmation de votre commande Benew',
+      preheader: `Commande reçue : ${formatAmount(order.amount)} à régler via ${order.platformName}`,
+      body: html` ${heading(
+        `Bonjour ${order.customer.firstName} ${order.customer.lastName},`,
+      )}
+      ${paragraph(
+        "Merci pour votre commande sur Benew ! Nous l'avons bien reçue.",
+      )}
+      ${section(
+        'Votre commande',
+        detailsTable([
+          ['Numéro de commande', order.id],
+          ['Date', formatDateTime(order.created)],
+          ...orderSummaryRows(order),
+          order.promoCode && [
+            'Prix catalogue',
+            formatAmount(order.originalAmount),
+          ],
+          order.promoCode && [
+            `Code promo ${order.promoCode}`,
+            `-${formatAmount(order.discount)}`,
+          ],
+          ['Montant', formatAmount(order.amount)],
+        ]),
+      )}
+      ${section(
+        'Paiement',
+        html`${detailsTable([
+          ['Moyen de paiement', order.platformName],
+          ['Numéro à créditer', order.platformNumber],
+          ['Montant à envoyer', formatAmount(order.amount)],
+        ])}
+        ${paragraph(
+          "Merci d'indiquer votre numéro de commande lors du transfert. Votre commande sera traitée dès réception du paiement.",
+        )}
+        ${order.invoiceAttached &&
+        muted('Votre facture est jointe à cet email au format PDF.')}`,
+      )}
+      ${section(
+        'Suivi',
+        html`${paragraph(
+          'Suivez votre commande à tout moment avec votre numéro de commande et cette adresse email.',
+        )}
+        ${button(getTrackingUrl(order), 'Suivre ma commande')}`,
+      )}
+      ${order.cancelUrl &&
+      section(
+        'Annulation',
+        html`${paragraph(
+          "Vous vous êtes trompé d'application ? Tant que votre paiement n'est pas envoyé, vous pouvez annuler votre commande (lien valable 7 jours).",
+        )}
+        ${muted(
+          html`<a href="${order.cancelUrl}" style="color:inherit;"
+            >Annuler ma commande</a
+          >`,
+        )}`,
+      )}`,
+    }),
+};
+
+// =============================================
+// NOTIFICATIONS À L'ÉQUIPE
+// =============================================
+
+export const orderNotification = {
+  subject: (order) =>
+    `[Commande Benew]${order.risk?.needsReview ? ' [À VÉRIFIER]' : ''} ${order.applicationName} - ${order.customer.lastName}`,
+
+  text: (order) => {
+    const maskedNumber = order.accountNumber.slice(-4).padStart(8, '*');
+    const promoLine = order.promoCode
+      ? `Code promo : ${order.promoCode} (-${formatAmount(order.discount)} sur ${formatAmount(order.originalAmount)})
+`
+      : '';
+
+    const riskBlock = order.risk?.needsReview
+      ? `⚠️ COMMANDE À VÉRIFIER (score de risque ${order.risk.score}/100)
+${order.risk.signals.map((signal) => `- ${signal.detail}`).join('\n')}
+
+`
+      : '';
+
+    return `NOUVELLE COMMANDE - BENEW
+======================================
+
+${riskBlock}🧾 Commande : ${order.id}
+📅 Reçue le : ${formatDateTime(order.created)}
+
+👤 CLIENT
+Nom : ${order.customer.lastName} ${order.customer.firstName}
+Email : ${order.customer.email}
+Téléphone : ${formatPhoneNumber(order.customer.phone)}
+
+📦 APPLICATION${order.items.length > 1 ? 'S' : ''}
+${formatOrderItems(order.items)}
+${formatOrderPlan(order)}${
+      order.quoteNumber
+        ? `Devis : ${order.quoteNumber}
+`
+        : ''
+    }Montant : ${formatAmount(order.amount)}
+${promoLine}
+💳 PAIEMENT ATTENDU
+Plateforme : ${order.platformName}
+Titulaire du compte : ${order.accountName}
+Numéro du compte : ${maskedNumber}
+
+---
+Statut initial : non payée
+`;
+  },
+
+  html: (order) =>
+    renderLayout({
+      title: 'Nouvelle commande Benew',
+      preheader: `${order.applicationName} - ${formatAmount(order.amount)}`,
+      body: html` ${heading('Nouvelle commande')}
+      ${order.risk?.needsReview &&
+      notice(
+        html`<strong>Commande à vérifier</strong> (score de risque
+          ${order.risk.score}/100)
+          <ul style="margin:8px 0 0;padding-left:20px;">
+            ${order.risk.signals.map(
+              (signal) => html`<li>${signal.detail}</li>`,
+            )}
+          </ul>`,
+      )}
+      ${detailsTable([
+        ['Commande', order.id],
+        ['Reçue le', formatDateTime(order.created)],
+        ['Statut initial', 'Non payée'],
+      ])}
+      ${section(
+        'Client',
+        detailsTable([
+          ['Nom', `${order.customer.lastName} ${order.customer.firstName}`],
+          ['Email', order.customer.email],
+          ['Téléphone', formatPhoneNumber(order.customer.phone)],
+        ]),
+      )}
+      ${section(
+        order.items.length > 1 ? 'Applications' : 'Application',
+        detailsTable([
+          ...orderSummaryRows(order),
+          order.promoCode && [
+            `Code promo ${order.promoCode}`,
+            `-${formatAmount(order.discount)} sur ${formatAmount(order.originalAmount)}`,
+          ],
+          ['Montant', formatAmount(order.amount)],
+        ]),
+      )}
+      ${section(
+        'Paiement attendu',
+        detailsTable([
+          ['Plateforme', order.platformName],
+          ['Titulaire du compte', order.accountName],
+          ['Numéro du compte', order.accountNumber.slice(-4).padStart(8, '*')],
+        ]),
+      )}`,
+    }),
+};
+
+export const orderCancellationNotification = {
+  subject: (order) =>
+    `[Commande Benew] Annulée par le client - ${order.applicationName} - ${order.customer.lastName}`,
+
+  text: (order) => `COMMANDE ANNULÉE PAR LE CLIENT - BENEW
+======================================
+
+🧾 Commande : ${order.id}
+📅 Annulée le : ${formatDateTime(order.cancelled)}
+
+👤 CLIENT
+Nom : ${order.customer.lastName} ${order.customer.firstName}
+Email : ${order.customer.email}
+
+📦 ${order.applicationName}
+Montant : ${formatAmount(order.amount)}
+
+---
+Annulation via le lien reçu dans l'email de confirmation
+`,
+
+  html: (order) =>
+    renderLayout({
+      title: 'Commande annulée par le client',
+      preheader: `${order.applicationName} - ${order.customer.lastName}`,
+      body: html` ${heading('Commande annulée par le client')}
+      ${detailsTable([
+        ['Commande', order.id],
+        ['Annulée le', formatDateTime(order.cancelled)],
+        ['Client', `${order.customer.lastName} ${order.customer.firstName}`],
+        ['Email', order.customer.email],
+        ['Application', order.applicationName],
+        ['Montant', formatAmount(order.amount)],
+      ])}
+      ${muted("Annulation via le lien reçu dans l'email de confirmation.")}`,
+    }),
+};
@@ -0,0 +1,145 @@
+// backend/emailTemplates/quotes.js
+// Emails des devis : envoi au demandeur, notification à l'équipe
+// Devis tel que renvoyé par createQuote (backend/quotes.js)
+
+import { formatPhoneNumber } from '../../utils/phone.js';
+import {
+  button,
+  detailsTable,
+  formatAmount,
+  formatDate,
+  heading,
+  html,
+  muted,
+  paragraph,
+  renderLayout,
+  section,
+} from './layout.js';
+
+// =============================================
+// DEVIS AU DEMANDEUR
+// =============================================
+
+// Devis plus quoteUrl : lien signé pour commander au prix du devis
+export const quoteRequest = {
+  subject: (quote) =>
+    `Votre devis Benew ${quote.number} - ${quote.applicationName}`,
+
+  text: (quote) => `Bonjour ${quote.contact.name},
+
+Merci pour votre demande. Vous trouverez ci-joint le devis ${quote.number}
+pour ${quote.company.name}.
+
+🧾 VOTRE DEVIS
+Application : ${quote.applicationName}
+Frais d'acquisition : ${formatAmount(quote.applicationFee)}
+${quote.applicationRent > 0 ? `Frais de gestion : ${formatAmount(quote.applicationRent)} / mois\n` : ''}Valable jusqu'au : ${formatDate(quote.validUntil)}
+${
+  quote.quoteUrl
+    ? `
+🛒 COMMANDER
+Ces prix vous sont garantis jusqu'à cette date. Pour passer commande au prix
+du devis, utilisez ce lien :
+${quote.quoteUrl}
+`
+    : ''
+}
+---
+L'équipe Benew
+`,
+
+  html: (quote) =>
+    renderLayout({
+      title: `Votre devis Benew ${quote.number}`,
+      preheader: `Devis valable jusqu'au ${formatDate(quote.validUntil)}`,
+      body: html` ${heading(`Bonjour ${quote.contact.name},`)}
+      ${paragraph(
+        `Merci pour votre demande. Vous trouverez ci-joint le devis ${quote.number} pour ${quote.company.name}.`,
+      )}
+      ${section(
+        'Votre devis',
+        detailsTable([
+          ['Application', quote.applicationName],
+          ["Frais d'acquisition", formatAmount(quote.applicationFee)],
+          quote.applicationRent > 0 && [
+            'Frais de gestion',
+            `${formatAmount(quote.applicationRent)} / mois`,
+          ],
+          ["Valable jusqu'au", formatDate(quote.validUntil)],
+        ]),
+      )}
+      ${quote.quoteUrl &&
+      section(
+        'Commander',
+        html`${paragraph(
+          "Ces prix vous sont garantis jusqu'à cette date. Passez commande au prix du devis depuis ce lien.",
+        )}
+        ${button(quote.quoteUrl, 'Commander au prix du devis')}`,
+      )}`,
+    }),
+};
+
+// =============================================
+// NOTIFICATION À L'ÉQUIPE
+// =============================================
+
+export const quoteNotification = {
+  subject: (quote) =>
+    `[Devis Benew] ${quote.applicationName} - ${quote.company.name}`,
+
+  text: (quote) => `NOUVELLE DEMANDE DE DEVIS - BENEW
+======================================
+
+🧾 Devis : ${quote.number}
+📅 Valable jusqu'au : ${formatDate(quote.validUntil)}
+
+🏢 ENTREPRISE
+Raison sociale : ${quote.company.name}
+NIF : ${quote.company.taxId || '—'}
+Adresse : ${quote.company.address || '—'}
+
+👤 CONTACT
+Nom : ${quote.contact.name}
+Email : ${quote.contact.email}
+Téléphone : ${formatPhoneNumber(quote.contact.phone)}
+
+📦 APPLICATION
+${quote.applicationName} : ${formatAmount(quote.applicationFee)}
+Frais de gestion : ${formatAmount(quote.applicationRent)} / mois
+`,
+
+  html: (quote) =>
+    renderLayout({
+      title: `Nouvelle demande de devis - ${quote.number}`,
+      preheader: `${quote.company.name} : ${quote.applicationName}`,
+      body: html` ${heading('Nouvelle demande de devis')}
+      ${detailsTable([
+        ['Devis', quote.number],
+        ["Valable jusqu'au", formatDate(quote.validUntil)],
+      ])}
+      ${section(
+        'Entreprise',
+        detailsTable([
+          ['Raison sociale', quote.company.name],
+          ['NIF', quote.company.taxId || '—'],
+          ['Adresse', quote.company.address || '—'],
+        ]),
+      )}
+      ${section(
+        'Contact',
+        detailsTable([
+          ['Nom', quote.contact.name],
+          ['Email', quote.contact.email],
+          ['Téléphone', formatPhoneNumber(quote.contact.phone)],
+        ]),
+      )}
+      ${section(
+        'Application',
+        detailsTable([
+          [quote.applicationName, formatAmount(quote.applicationFee)],
+          ['Frais de gestion', `${formatAmount(quote.applicationRent)} / mois`],
+        ]),
+      )}
+      ${muted('Répondez directement à cet email pour contacter le demandeur.')}`,
+    }),
+};
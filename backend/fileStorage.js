@@ -0,0 +1,175 @@
+// backend/fileStorage.js
+// Stockage des fichiers envoyés par les clients
+// Cloudinary en production, disque local en développement
+
+import { promises as fs } from 'fs';
+import { createHash, randomUUID } from 'crypto';
+import path from 'path';
+
+const CONFIG = {
+  // STORAGE_DRIVER permet de forcer un adaptateur (ex: cloudinary en local)
+  driver:
+    process.env.STORAGE_DRIVER ||
+    (process.env.NODE_ENV === 'production' ? 'cloudinary' : 'local'),
+  cloudinary: {
+    cloudName: process.env.NEXT_PUBLIC_CLOUDINARY_CLOUD_NAME,
+    apiKey: process.env.NEXT_PUBLIC_CLOUDINARY_API_KEY,
+    apiSecret: process.env.CLOUDINARY_API_SECRET,
+    rootFolder: 'benew',
+  },
+  local: {
+    // Hors de public/ : les fichiers ne sont jamais servis directement
+    rootDir: path.join(process.cwd(), 'uploads'),
+  },
+};
+
+// =============================================
+// ADAPTATEUR CLOUDINARY
+// =============================================
+
+/**
+ * Signature des paramètres d'upload Cloudinary (triés alphabétiquement)
+ */
+function signCloudinaryParams(params) {
+  const toSign = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join('&');
+
+  return createHash('sha1')
+    .update(toSign + CONFIG.cloudinary.apiSecret)
+    .digest('hex');
+}
+
+const cloudinaryAdapter = {
+  name: 'cloudinary',
+
+  async save({ buffer, mimeType, folder }) {
+    const { cloudName, apiKey, apiSecret, rootFolder } = CONFIG.cloudinary;
+
+    if (!cloudName || !apiKey || !apiSecret) {
+      throw new Error('Configuration Cloudinary manquante');
+    }
+
+    // Type "authenticated" : fichier non accessible publiquement
+    const params = {
+      folder: `${rootFolder}/${folder}`,
+      public_id: randomUUID(),
+      timestamp: Math.floor(Date.now() / 1000),
+      type: 'authenticated',
+    };
+
+    const body = new FormData();
+    body.append('file', new Blob([buffer], { type: mimeType }));
+    Object.entries(params).forEach(([key, value]) => body.append(key, value));
+    body.append('api_key', apiKey);
+    body.append('signature', signCloudinaryParams(params));
+
+    const response = await fetch(
+      `https://api.cloudinary.com/v1_1/${cloudName}/auto/upload`,
+      { method: 'POST', body },
+    );
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(
+        `Cloudinary upload failed: ${result.error?.message || response.status}`,
+      );
+    }
+
+    return {
+      provider: 'cloudinary',
+      key: result.public_id,
+      url: result.secure_url,
+      resourceType: result.resource_type,
+    };
+  },
+
+  async remove({ key, resourceType = 'image' }) {
+    const { cloudName, apiKey } = CONFIG.cloudinary;
+    const params = {
+      public_id: key,
+      timestamp: Math.floor(Date.now() / 1000),
+      type: 'authenticated',
+    };
+
+    const body = new FormData();
+    Object.entries(params).forEach(([name, value]) => body.append(name, value));
+    body.append('api_key', apiKey);
+    body.append('signature', signCloudinaryParams(params));
+
+    await fetch(
+      `https://api.cloudinary.com/v1_1/${cloudName}/${resourceType}/destroy`,
+      { method: 'POST', body },
+    );
+  },
+};
+
+// =============================================
+// ADAPTATEUR DISQUE LOCAL (DÉVELOPPEMENT)
+// =============================================
+
+const localAdapter = {
+  name: 'local',
+
+  async save({ buffer, extension, folder }) {
+    const key = path.posix.join(folder, `${randomUUID()}.${extension}`);
+    const filePath = path.join(CONFIG.local.rootDir, key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, Buffer.from(buffer));
+
+    return {
+      provider: 'local',
+      key,
+      url: null,
+    };
+  },
+
+  async remove({ key }) {
+    await fs.unlink(path.join(CONFIG.local.rootDir, key));
+  },
+};
+
+const ADAPTERS = {
+  cloudinary: cloudinaryAdapter,
+  local: localAdapter,
+};
+
+// =============================================
+// API PUBLIQUE
+// =============================================
+
+/**
+ * Retourne l'adaptateur configuré
+ */
+export function getStorageAdapter() {
+  const adapter = ADAPTERS[CONFIG.driver];
+
+  if (!adapter) {
+    throw new Error(`Storage driver inconnu: ${CONFIG.driver}`);
+  }
+
+  return adapter;
+}
+
+/**
+ * Enregistre un fichier et retourne sa référence de stockage
+ *
+ * @param {Object} file - { buffer, mimeType, extension, folder }
+ * @returns {Promise<{provider: string, key: string, url: string|null}>}
+ */
+export async function saveFile(file) {
+  return getStorageAdapter().save(file);
+}
+
+/**
+ * Supprime un fichier stocké (best effort, utilisé pour les rollbacks)
+ */
+export async function removeFile(stored) {
+  const adapter = ADAPTERS[stored?.provider];
+  if (!adapter) return;
+
+  await adapter.remove(stored);
+}
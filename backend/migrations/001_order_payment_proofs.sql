@@ -0,0 +1,18 @@
+-- backend/migrations/001_order_payment_proofs.sql
+-- Justificatifs de paiement (captures D-Money / Waafi) rattachés aux commandes
+-- À exécuter sur la base partagée avec l'application d'administration
+
+CREATE TABLE IF NOT EXISTS admin.order_payment_proofs (
+  proof_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  proof_order_id UUID NOT NULL REFERENCES admin.orders (order_id) ON DELETE CASCADE,
+  proof_storage_provider VARCHAR(20) NOT NULL,
+  proof_storage_key TEXT NOT NULL,
+  proof_url TEXT,
+  proof_mime_type VARCHAR(50) NOT NULL,
+  proof_size_bytes INTEGER NOT NULL CHECK (proof_size_bytes > 0),
+  proof_original_name VARCHAR(255),
+  proof_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_payment_proofs_order
+  ON admin.order_payment_proofs (proof_order_id);
@@ -0,0 +1,6 @@
+-- backend/migrations/002_order_idempotency_key.sql
+-- Clé d'idempotence par session de commande (OrderModal)
+-- Un double-clic ou un retry renvoie la commande existante au lieu d'en créer une seconde
+
+ALTER TABLE admin.orders
+  ADD COLUMN IF NOT EXISTS order_idempotency_key UUID UNIQUE;
@@ -0,0 +1,30 @@
+-- backend/migrations/003_order_events.sql
+-- Cycle de vie des commandes et historique des transitions
+-- Les transitions autorisées sont définies dans backend/orderLifecycle.js
+
+-- NOT VALID : les anciennes lignes ne sont pas revérifiées
+ALTER TABLE admin.orders
+  ADD CONSTRAINT orders_payment_status_check CHECK (
+    order_payment_status IN (
+      'unpaid',
+      'payment_submitted',
+      'paid',
+      'in_setup',
+      'delivered',
+      'cancelled',
+      'refunded'
+    )
+  ) NOT VALID;
+
+CREATE TABLE IF NOT EXISTS admin.order_events (
+  event_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  event_order_id UUID NOT NULL REFERENCES admin.orders (order_id) ON DELETE CASCADE,
+  event_from_status VARCHAR(30),
+  event_to_status VARCHAR(30) NOT NULL,
+  event_actor VARCHAR(50) NOT NULL,
+  event_note TEXT,
+  event_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_events_order
+  ON admin.order_events (event_order_id, event_created);
@@ -0,0 +1,41 @@
+-- backend/migrations/004_rent_subscriptions.sql
+-- Abonnements aux frais de gestion (application_rent) et factures mensuelles
+-- Abonnement créé au passage d'une commande en "paid" (backend/orderLifecycle.js)
+-- Factures générées par scripts/rent-billing.mjs (backend/rentBilling.js)
+
+CREATE TABLE IF NOT EXISTS admin.subscriptions (
+  subscription_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_order_id UUID NOT NULL UNIQUE REFERENCES admin.orders (order_id),
+  subscription_application_id UUID NOT NULL REFERENCES catalog.applications (application_id),
+  subscription_customer_email VARCHAR(100) NOT NULL,
+  subscription_monthly_rent NUMERIC(10, 2) NOT NULL CHECK (subscription_monthly_rent >= 0),
+  subscription_start_date DATE NOT NULL,
+  -- Nombre de mois déjà facturés : prochaine échéance = début + N mois
+  subscription_periods_billed INTEGER NOT NULL DEFAULT 0,
+  subscription_status VARCHAR(20) NOT NULL DEFAULT 'active'
+    CHECK (subscription_status IN ('active', 'suspended', 'cancelled')),
+  subscription_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  subscription_updated TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_email
+  ON admin.subscriptions (subscription_customer_email);
+
+CREATE TABLE IF NOT EXISTS admin.rent_invoices (
+  invoice_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  invoice_subscription_id UUID NOT NULL REFERENCES admin.subscriptions (subscription_id) ON DELETE CASCADE,
+  invoice_period_start DATE NOT NULL,
+  invoice_period_end DATE NOT NULL,
+  invoice_amount NUMERIC(10, 2) NOT NULL,
+  invoice_due_date DATE NOT NULL,
+  invoice_status VARCHAR(20) NOT NULL DEFAULT 'due'
+    CHECK (invoice_status IN ('due', 'overdue', 'paid', 'cancelled')),
+  invoice_reminder_count INTEGER NOT NULL DEFAULT 0,
+  invoice_last_reminder_at TIMESTAMPTZ,
+  invoice_paid_at TIMESTAMPTZ,
+  invoice_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (invoice_subscription_id, invoice_period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rent_invoices_status
+  ON admin.rent_invoices (invoice_status, invoice_due_date);
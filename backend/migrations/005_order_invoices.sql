@@ -0,0 +1,16 @@
+-- backend/migrations/005_order_invoices.sql
+-- Numérotation séquentielle des factures de commande (PDF généré à la demande)
+-- Numéro attribué dans la transaction de création de la commande
+
+CREATE SEQUENCE IF NOT EXISTS admin.order_invoice_number_seq START 1;
+
+CREATE TABLE IF NOT EXISTS admin.order_invoices (
+  order_invoice_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  order_invoice_order_id UUID NOT NULL UNIQUE REFERENCES admin.orders (order_id),
+  order_invoice_number BIGINT NOT NULL UNIQUE
+    DEFAULT nextval('admin.order_invoice_number_seq'),
+  order_invoice_issued TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER SEQUENCE admin.order_invoice_number_seq
+  OWNED BY admin.order_invoices.order_invoice_number;
@@ -0,0 +1,33 @@
+-- backend/migrations/006_promo_codes.sql
+-- Codes promo (pourcentage ou montant fixe en FDJ) appliqués dans createOrder
+-- La commande conserve le code, le prix d'origine et la remise appliquée
+
+CREATE TABLE IF NOT EXISTS admin.promo_codes (
+  promo_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  promo_code VARCHAR(30) NOT NULL UNIQUE CHECK (promo_code = UPPER(promo_code)),
+  promo_description VARCHAR(255),
+  promo_type VARCHAR(20) NOT NULL CHECK (promo_type IN ('percentage', 'fixed')),
+  promo_value NUMERIC(10, 2) NOT NULL CHECK (promo_value > 0),
+  promo_starts_at TIMESTAMPTZ,
+  promo_ends_at TIMESTAMPTZ,
+  -- NULL = illimité
+  promo_max_uses INTEGER CHECK (promo_max_uses > 0),
+  promo_max_uses_per_email INTEGER CHECK (promo_max_uses_per_email > 0),
+  promo_uses_count INTEGER NOT NULL DEFAULT 0,
+  -- Restrictions optionnelles (NULL = toutes les applications / tous les niveaux)
+  promo_application_ids UUID[],
+  promo_application_levels INTEGER[],
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  promo_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (promo_type <> 'percentage' OR promo_value <= 100),
+  CHECK (promo_ends_at IS NULL OR promo_starts_at IS NULL OR promo_ends_at > promo_starts_at)
+);
+
+ALTER TABLE admin.orders
+  ADD COLUMN IF NOT EXISTS order_promo_code VARCHAR(30),
+  ADD COLUMN IF NOT EXISTS order_original_price NUMERIC(10, 2),
+  ADD COLUMN IF NOT EXISTS order_discount_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_orders_promo_code
+  ON admin.orders (order_promo_code)
+  WHERE order_promo_code IS NOT NULL;
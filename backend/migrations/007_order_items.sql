@@ -0,0 +1,29 @@
+-- backend/migrations/007_order_items.sql
+-- Lignes de commande : une commande peut regrouper plusieurs applications (panier)
+-- order_application_id reste renseigné avec la première ligne pour l'administration
+-- Les commandes antérieures sans lignes restent lues via order_application_id
+
+CREATE TABLE IF NOT EXISTS admin.order_items (
+  item_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  item_order_id UUID NOT NULL REFERENCES admin.orders (order_id) ON DELETE CASCADE,
+  item_application_id UUID NOT NULL REFERENCES catalog.applications (application_id),
+  -- Instantané du catalogue au moment de la commande
+  item_application_name VARCHAR(255) NOT NULL,
+  item_original_price NUMERIC(10, 2) NOT NULL,
+  item_discount_amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  item_price NUMERIC(10, 2) NOT NULL CHECK (item_price >= 0),
+  item_monthly_rent NUMERIC(10, 2) NOT NULL DEFAULT 0,
+  item_position SMALLINT NOT NULL DEFAULT 0,
+  UNIQUE (item_order_id, item_application_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_items_order
+  ON admin.order_items (item_order_id);
+
+-- Un abonnement par application commandée (et non plus par commande)
+ALTER TABLE admin.subscriptions
+  DROP CONSTRAINT IF EXISTS subscriptions_subscription_order_id_key;
+
+ALTER TABLE admin.subscriptions
+  ADD CONSTRAINT subscriptions_order_application_key
+  UNIQUE (subscription_order_id, subscription_application_id);
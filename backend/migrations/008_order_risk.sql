@@ -0,0 +1,33 @@
+-- backend/migrations/008_order_risk.sql
+-- Score de risque des commandes (calculé par backend/orderRisk.js)
+-- Les commandes à risque sont signalées pour vérification, jamais bloquées
+
+ALTER TABLE admin.orders
+  ADD COLUMN IF NOT EXISTS order_risk_score INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS order_risk_level VARCHAR(10) NOT NULL DEFAULT 'low'
+    CHECK (order_risk_level IN ('low', 'medium', 'high')),
+  -- Détail des signaux : [{ "code": "...", "points": 20, "detail": "..." }]
+  ADD COLUMN IF NOT EXISTS order_risk_signals JSONB NOT NULL DEFAULT '[]',
+  ADD COLUMN IF NOT EXISTS order_needs_review BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_orders_needs_review
+  ON admin.orders (order_created DESC)
+  WHERE order_needs_review = true;
+
+-- Vélocité par client
+CREATE INDEX IF NOT EXISTS idx_orders_client_email
+  ON admin.orders (LOWER(order_client[3]), order_created);
+
+-- Tentatives de commande refusées (validation, montant, code promo...)
+-- L'IP est conservée sous forme de hash uniquement
+CREATE TABLE IF NOT EXISTS admin.order_attempts (
+  attempt_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  attempt_email VARCHAR(255),
+  attempt_phone VARCHAR(30),
+  attempt_ip_hash CHAR(64),
+  attempt_code VARCHAR(50) NOT NULL,
+  attempt_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_attempts_created
+  ON admin.order_attempts (attempt_created);
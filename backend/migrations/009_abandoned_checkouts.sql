@@ -0,0 +1,26 @@
+-- backend/migrations/009_abandoned_checkouts.sql
+-- Commandes commencées puis abandonnées dans OrderModal (relance commerciale)
+-- Enregistrées uniquement quand le client a saisi son email
+-- Une ligne par ouverture de la modal (clé d'idempotence de la commande)
+
+CREATE TABLE IF NOT EXISTS admin.abandoned_checkouts (
+  checkout_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  checkout_session_key UUID NOT NULL UNIQUE,
+  checkout_email VARCHAR(100) NOT NULL,
+  checkout_first_name VARCHAR(50),
+  checkout_last_name VARCHAR(50),
+  checkout_phone VARCHAR(20),
+  checkout_application_ids UUID[] NOT NULL,
+  checkout_step SMALLINT NOT NULL CHECK (checkout_step BETWEEN 1 AND 2),
+  checkout_time_spent_seconds INTEGER NOT NULL DEFAULT 0,
+  -- Renseigné si la commande est finalement passée avec la même clé
+  checkout_order_id UUID REFERENCES admin.orders (order_id) ON DELETE SET NULL,
+  checkout_followed_up_at TIMESTAMPTZ,
+  checkout_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  checkout_updated TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Relances à faire : paniers non convertis, les plus récents d'abord
+CREATE INDEX IF NOT EXISTS idx_abandoned_checkouts_pending
+  ON admin.abandoned_checkouts (checkout_updated DESC)
+  WHERE checkout_order_id IS NULL AND checkout_followed_up_at IS NULL;
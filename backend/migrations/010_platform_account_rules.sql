@@ -0,0 +1,28 @@
+-- backend/migrations/010_platform_account_rules.sql
+-- Règles de validation du compte de paiement propres à chaque plateforme
+-- Appliquées dans OrderModal et dans createOrder (utils/schemas/paymentAccountSchema.js)
+-- NULL = pas de contrainte supplémentaire
+
+ALTER TABLE admin.platforms
+  -- Format du numéro après suppression des espaces, tirets et points
+  ADD COLUMN IF NOT EXISTS platform_account_format VARCHAR(20) NOT NULL DEFAULT 'any'
+    CHECK (platform_account_format IN ('any', 'digits', 'alphanumeric')),
+  ADD COLUMN IF NOT EXISTS platform_account_min_length INTEGER
+    CHECK (platform_account_min_length > 0),
+  ADD COLUMN IF NOT EXISTS platform_account_max_length INTEGER
+    CHECK (platform_account_max_length > 0),
+  -- Préfixes acceptés, ex. {77} pour les numéros mobiles de Djibouti
+  ADD COLUMN IF NOT EXISTS platform_account_prefixes TEXT[],
+  -- Expressions régulières (syntaxe JavaScript, sans délimiteurs)
+  ADD COLUMN IF NOT EXISTS platform_account_pattern VARCHAR(200),
+  ADD COLUMN IF NOT EXISTS platform_account_name_pattern VARCHAR(200),
+  -- Aide affichée sous les champs du compte
+  ADD COLUMN IF NOT EXISTS platform_account_hint VARCHAR(200),
+  ADD COLUMN IF NOT EXISTS platform_account_name_hint VARCHAR(200),
+  -- Instructions de paiement affichées à la sélection de la plateforme
+  ADD COLUMN IF NOT EXISTS platform_instructions TEXT,
+  ADD CONSTRAINT platforms_account_length_check CHECK (
+    platform_account_min_length IS NULL
+    OR platform_account_max_length IS NULL
+    OR platform_account_max_length >= platform_account_min_length
+  );
@@ -0,0 +1,28 @@
+-- backend/migrations/011_payment_webhooks.sql
+-- Confirmations de paiement envoyées par les plateformes (webhooks signés)
+-- Reçues par app/api/webhooks/payments/[platform]/route.js
+-- Secret de signature par plateforme : PAYMENT_WEBHOOK_SECRET_<SLUG>
+
+ALTER TABLE admin.platforms
+  -- Segment d'URL du webhook, ex. "waafi" → /api/webhooks/payments/waafi
+  ADD COLUMN IF NOT EXISTS platform_webhook_slug VARCHAR(50) UNIQUE
+    CHECK (platform_webhook_slug ~ '^[a-z0-9-]+$');
+
+-- Un enregistrement par événement reçu : une notification renvoyée par la
+-- plateforme (même identifiant) n'est traitée qu'une fois
+CREATE TABLE IF NOT EXISTS admin.payment_webhook_events (
+  webhook_event_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_platform_id UUID NOT NULL REFERENCES admin.platforms (platform_id),
+  -- Identifiant de l'événement côté plateforme
+  webhook_external_id VARCHAR(100) NOT NULL,
+  webhook_order_id UUID REFERENCES admin.orders (order_id),
+  webhook_payload JSONB NOT NULL,
+  -- paid, already_paid, rent_paid, ignored, order_not_found, platform_mismatch,
+  -- amount_mismatch, invalid_transition
+  webhook_result VARCHAR(30),
+  webhook_received TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (webhook_platform_id, webhook_external_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_order
+  ON admin.payment_webhook_events (webhook_order_id);
@@ -0,0 +1,44 @@
+-- backend/migrations/012_customer_accounts.sql
+-- Comptes clients : connexion sans mot de passe par lien envoyé par email
+-- Jetons et sessions stockés hachés (SHA-256), jamais en clair
+-- Compte créé à la première connexion (backend/customerAccounts.js)
+
+CREATE TABLE IF NOT EXISTS admin.customers (
+  customer_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- Toujours en minuscules
+  customer_email VARCHAR(100) NOT NULL UNIQUE,
+  customer_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  customer_last_login TIMESTAMPTZ
+);
+
+-- Liens de connexion : usage unique, durée de vie courte
+CREATE TABLE IF NOT EXISTS admin.customer_login_tokens (
+  token_hash CHAR(64) PRIMARY KEY,
+  token_email VARCHAR(100) NOT NULL,
+  token_expires TIMESTAMPTZ NOT NULL,
+  token_used_at TIMESTAMPTZ,
+  token_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_login_tokens_expires
+  ON admin.customer_login_tokens (token_expires);
+
+-- Sessions : identifiant dans un cookie HttpOnly
+CREATE TABLE IF NOT EXISTS admin.customer_sessions (
+  session_hash CHAR(64) PRIMARY KEY,
+  session_customer_id UUID NOT NULL REFERENCES admin.customers (customer_id) ON DELETE CASCADE,
+  session_expires TIMESTAMPTZ NOT NULL,
+  session_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_customer_sessions_customer
+  ON admin.customer_sessions (session_customer_id);
+
+-- Commandes rattachées au compte dont l'email correspond
+-- (à la commande si le compte existe, sinon à la création du compte)
+ALTER TABLE admin.orders
+  ADD COLUMN IF NOT EXISTS order_customer_id UUID REFERENCES admin.customers (customer_id);
+
+CREATE INDEX IF NOT EXISTS idx_orders_customer
+  ON admin.orders (order_customer_id, order_created DESC)
+  WHERE order_customer_id IS NOT NULL;
@@ -0,0 +1,42 @@
+-- backend/migrations/013_normalize_phones.sql
+-- Téléphones enregistrés au format E.164 (utils/phone.js) depuis cette version
+-- Reprise des numéros existants : numéros djiboutiens sans indicatif (8 chiffres)
+-- et numéros internationaux saisis avec "00" ou des séparateurs
+-- Les numéros non reconnus sont laissés tels quels
+
+-- Commandes (order_client = [nom, prénom, email, téléphone])
+UPDATE admin.orders
+SET order_client[4] = CASE
+  WHEN regexp_replace(order_client[4], '[\s.\-()/]', '', 'g') ~ '^\d{8}$'
+    THEN '+253' || regexp_replace(order_client[4], '\D', '', 'g')
+  WHEN regexp_replace(order_client[4], '[\s.\-()/]', '', 'g') ~ '^253\d{8}$'
+    THEN '+' || regexp_replace(order_client[4], '\D', '', 'g')
+  WHEN regexp_replace(order_client[4], '[\s.\-()/]', '', 'g') ~ '^(\+|00)\d{8,15}$'
+    THEN '+' || regexp_replace(
+      regexp_replace(order_client[4], '^\s*00', ''), '\D', '', 'g'
+    )
+  ELSE order_client[4]
+END
+WHERE order_client[4] IS NOT NULL
+  AND order_client[4] !~ '^\+\d{8,15}$';
+
+-- Commandes abandonnées
+UPDATE admin.abandoned_checkouts
+SET checkout_phone = CASE
+  WHEN regexp_replace(checkout_phone, '[\s.\-()/]', '', 'g') ~ '^\d{8}$'
+    THEN '+253' || regexp_replace(checkout_phone, '\D', '', 'g')
+  WHEN regexp_replace(checkout_phone, '[\s.\-()/]', '', 'g') ~ '^253\d{8}$'
+    THEN '+' || regexp_replace(checkout_phone, '\D', '', 'g')
+  WHEN regexp_replace(checkout_phone, '[\s.\-()/]', '', 'g') ~ '^(\+|00)\d{8,15}$'
+    THEN '+' || regexp_replace(
+      regexp_replace(checkout_phone, '^\s*00', ''), '\D', '', 'g'
+    )
+  ELSE checkout_phone
+END
+WHERE checkout_phone IS NOT NULL
+  AND checkout_phone !~ '^\+\d{8,15}$';
+
+-- Tentatives refusées : chiffres du numéro E.164 (backend/orderRisk.js)
+UPDATE admin.order_attempts
+SET attempt_phone = '253' || attempt_phone
+WHERE attempt_phone ~ '^\d{8}$';
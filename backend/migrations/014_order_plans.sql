@@ -0,0 +1,15 @@
+-- backend/migrations/014_order_plans.sql
+-- Formule choisie à la commande : acquisition + gestion mensuelle (standard)
+-- ou frais de gestion prépayés (6 ou 12 mois) avec remise (utils/orderPlans.js)
+-- L'abonnement créé au paiement ne facture qu'après la période prépayée
+
+ALTER TABLE admin.orders
+  ADD COLUMN IF NOT EXISTS order_plan VARCHAR(20) NOT NULL DEFAULT 'standard'
+    CHECK (order_plan IN ('standard', 'prepaid_6', 'prepaid_12'));
+
+-- Gestion prépayée comprise dans item_price (instantané de la commande)
+ALTER TABLE admin.order_items
+  ADD COLUMN IF NOT EXISTS item_prepaid_months SMALLINT NOT NULL DEFAULT 0
+    CHECK (item_prepaid_months >= 0),
+  ADD COLUMN IF NOT EXISTS item_prepaid_amount NUMERIC(10, 2) NOT NULL DEFAULT 0
+    CHECK (item_prepaid_amount >= 0);
@@ -0,0 +1,35 @@
+-- backend/migrations/015_quotes.sql
+-- Devis demandés depuis les pages applications (backend/quotes.js)
+-- Prix du catalogue figés à la demande : la commande issue du devis les reprend
+-- même si le catalogue change pendant la durée de validité
+
+CREATE SEQUENCE IF NOT EXISTS admin.quote_number_seq START 1;
+
+CREATE TABLE IF NOT EXISTS admin.quotes (
+  quote_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  quote_number BIGINT NOT NULL UNIQUE DEFAULT nextval('admin.quote_number_seq'),
+  -- Entreprise et contact
+  quote_company_name VARCHAR(100) NOT NULL,
+  quote_company_tax_id VARCHAR(30),
+  quote_company_address VARCHAR(200),
+  quote_contact_name VARCHAR(100) NOT NULL,
+  quote_email VARCHAR(100) NOT NULL,
+  quote_phone VARCHAR(20) NOT NULL,
+  -- Instantané du catalogue au moment de la demande
+  quote_application_id UUID NOT NULL REFERENCES catalog.applications (application_id),
+  quote_application_name VARCHAR(255) NOT NULL,
+  quote_application_fee NUMERIC(10, 2) NOT NULL CHECK (quote_application_fee >= 0),
+  quote_application_rent NUMERIC(10, 2) NOT NULL DEFAULT 0
+    CHECK (quote_application_rent >= 0),
+  quote_valid_until DATE NOT NULL,
+  -- Commande créée à partir du devis (une seule)
+  quote_order_id UUID UNIQUE REFERENCES admin.orders (order_id),
+  quote_converted_at TIMESTAMPTZ,
+  quote_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+ALTER SEQUENCE admin.quote_number_seq
+  OWNED BY admin.quotes.quote_number;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_email
+  ON admin.quotes (LOWER(quote_email));
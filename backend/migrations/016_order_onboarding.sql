@@ -0,0 +1,38 @@
+-- backend/migrations/016_order_onboarding.sql
+-- Mise en service après achat : informations nécessaires à l'installation
+-- (domaine, logo, couleurs, entreprise, hébergement) saisies depuis l'espace client
+-- Une fiche par commande, complétée progressivement (backend/orderOnboarding.js)
+
+CREATE TABLE IF NOT EXISTS admin.order_onboarding (
+  onboarding_order_id UUID PRIMARY KEY REFERENCES admin.orders (order_id) ON DELETE CASCADE,
+  -- Domaine et email professionnel
+  onboarding_domain VARCHAR(253),
+  onboarding_domain_owned BOOLEAN NOT NULL DEFAULT false,
+  onboarding_professional_email VARCHAR(100),
+  -- Logo (même stockage que les justificatifs de paiement)
+  onboarding_logo_provider VARCHAR(20),
+  onboarding_logo_key TEXT,
+  onboarding_logo_url TEXT,
+  onboarding_logo_mime_type VARCHAR(50),
+  onboarding_logo_original_name VARCHAR(255),
+  -- Couleurs de la marque (#rrggbb)
+  onboarding_primary_color CHAR(7),
+  onboarding_secondary_color CHAR(7),
+  -- Entreprise
+  onboarding_business_name VARCHAR(100),
+  onboarding_business_activity VARCHAR(500),
+  onboarding_business_phone VARCHAR(20),
+  onboarding_business_address VARCHAR(200),
+  -- Hébergement
+  onboarding_hosting_preference VARCHAR(20)
+    CHECK (onboarding_hosting_preference IN ('managed', 'own')),
+  onboarding_hosting_details VARCHAR(500),
+  -- Renseigné une seule fois, quand toutes les étapes sont remplies
+  onboarding_completed_at TIMESTAMPTZ,
+  onboarding_created TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  onboarding_updated TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_onboarding_pending
+  ON admin.order_onboarding (onboarding_updated)
+  WHERE onboarding_completed_at IS NULL;
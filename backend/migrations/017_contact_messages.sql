@@ -0,0 +1,30 @@
+-- backend/migrations/017_contact_messages.sql
+-- Messages du formulaire de contact : enregistrés avant tout envoi (outbox)
+-- L'email à l'équipe est livré ensuite, avec relances espacées en cas d'échec
+-- (backend/contactMessages.js, scripts/contact-outbox.mjs)
+
+CREATE TABLE IF NOT EXISTS admin.messages (
+  message_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  message_name VARCHAR(50) NOT NULL,
+  message_email VARCHAR(100) NOT NULL,
+  message_phone VARCHAR(20),
+  message_subject VARCHAR(100) NOT NULL,
+  message_content TEXT NOT NULL,
+  -- pending : à livrer (ou en cours), sent : livré, failed : abandonné
+  message_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+    CHECK (message_status IN ('pending', 'sent', 'failed')),
+  message_attempts INTEGER NOT NULL DEFAULT 0,
+  -- Prochaine tentative ; repoussée pendant un envoi pour éviter les doublons
+  message_next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  message_last_error TEXT,
+  message_email_id VARCHAR(100),
+  message_sent_at TIMESTAMPTZ,
+  message_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_pending
+  ON admin.messages (message_next_attempt_at)
+  WHERE message_status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_messages_email
+  ON admin.messages (LOWER(message_email), message_created DESC);
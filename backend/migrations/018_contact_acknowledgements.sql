@@ -0,0 +1,14 @@
+-- backend/migrations/018_contact_acknowledgements.sql
+-- Accusé de réception facultatif envoyé à l'expéditeur d'un message de contact
+-- Limité par adresse (backend/contactMessages.js) en plus de la limite par IP
+
+-- requested : demandé, à envoyer ; sent : envoyé ;
+-- throttled : refusé par les limites ; failed : envoi échoué (pas de relance)
+ALTER TABLE admin.messages
+  ADD COLUMN IF NOT EXISTS message_ack_status VARCHAR(20)
+    CHECK (message_ack_status IN ('requested', 'sent', 'throttled', 'failed')),
+  ADD COLUMN IF NOT EXISTS message_ack_sent_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_messages_ack_sent
+  ON admin.messages (LOWER(message_email), message_ack_sent_at)
+  WHERE message_ack_sent_at IS NOT NULL;
@@ -0,0 +1,18 @@
+-- backend/migrations/019_contact_spam.sql
+-- Anti-spam du formulaire de contact (backend/contactSpam.js)
+-- Un message écarté n'est jamais livré : il est conservé avec le statut
+-- "spam", son score et ses signaux, pour vérification
+
+ALTER TABLE admin.messages
+  DROP CONSTRAINT IF EXISTS messages_message_status_check;
+
+ALTER TABLE admin.messages
+  ADD CONSTRAINT messages_message_status_check
+    CHECK (message_status IN ('pending', 'sent', 'failed', 'spam')),
+  ADD COLUMN IF NOT EXISTS message_spam_score INTEGER NOT NULL DEFAULT 0,
+  -- Détail des signaux : [{ "code": "...", "points": 20, "detail": "..." }]
+  ADD COLUMN IF NOT EXISTS message_spam_signals JSONB NOT NULL DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS idx_messages_spam
+  ON admin.messages (message_created DESC)
+  WHERE message_status = 'spam';
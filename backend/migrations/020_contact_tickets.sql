@@ -0,0 +1,34 @@
+-- backend/migrations/020_contact_tickets.sql
+-- Messages de contact suivis comme tickets (backend/contactTickets.js)
+-- Numéro attribué une seule fois à l'enregistrement : c'est la référence
+-- affichée au visiteur, reprise dans les emails et utilisée pour le suivi
+
+CREATE SEQUENCE IF NOT EXISTS admin.message_ticket_seq START 1;
+
+-- Les messages existants reçoivent un numéro à l'ajout de la colonne
+ALTER TABLE admin.messages
+  ADD COLUMN IF NOT EXISTS message_ticket_number BIGINT NOT NULL UNIQUE
+    DEFAULT nextval('admin.message_ticket_seq'),
+  -- open : en attente de réponse ; answered : répondu ; closed : clos
+  ADD COLUMN IF NOT EXISTS message_ticket_status VARCHAR(20) NOT NULL DEFAULT 'open'
+    CHECK (message_ticket_status IN ('open', 'answered', 'closed')),
+  ADD COLUMN IF NOT EXISTS message_ticket_updated TIMESTAMPTZ NOT NULL DEFAULT NOW();
+
+ALTER SEQUENCE admin.message_ticket_seq
+  OWNED BY admin.messages.message_ticket_number;
+
+-- Réponses de l'équipe, rattachées au ticket
+CREATE TABLE IF NOT EXISTS admin.message_replies (
+  reply_id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  reply_message_id UUID NOT NULL
+    REFERENCES admin.messages (message_id) ON DELETE CASCADE,
+  reply_author VARCHAR(100) NOT NULL,
+  reply_content TEXT NOT NULL,
+  -- Envoi de la réponse par email au visiteur
+  reply_email_id VARCHAR(100),
+  reply_sent_at TIMESTAMPTZ,
+  reply_created TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_replies_message
+  ON admin.message_replies (reply_message_id, reply_created);
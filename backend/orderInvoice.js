@@ -0,0 +1,333 @@
+// backend/orderInvoice.js
+// Factures PDF des commandes : numérotation séquentielle et rendu côté serveur
+// Rendu avec pdf-lib (polices standard, aucun service externe)
+
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { ORDER_STATUSES } from './orderLifecycle.js';
+import { getOrderItems } from './orderItems.js';
+import { formatPhoneNumber } from '../utils/phone.js';
+
+const SELLER = {
+  name: 'Benew',
+  address: 'Djibouti, République de Djibouti',
+};
+
+const PAGE = { width: 595.28, height: 841.89, margin: 50 }; // A4 en points
+
+const COLORS = {
+  text: rgb(0.13, 0.13, 0.13),
+  muted: rgb(0.45, 0.45, 0.45),
+  accent: rgb(0.96, 0.55, 0.13),
+  line: rgb(0.85, 0.85, 0.85),
+};
+
+// Mention ajoutée selon le statut de la commande
+const STATUS_STAMPS = {
+  [ORDER_STATUSES.PAID]: 'ACQUITTÉE',
+  [ORDER_STATUSES.IN_SETUP]: 'ACQUITTÉE',
+  [ORDER_STATUSES.DELIVERED]: 'ACQUITTÉE',
+  [ORDER_STATUSES.CANCELLED]: 'ANNULÉE',
+  [ORDER_STATUSES.REFUNDED]: 'REMBOURSÉE',
+};
+
+const PAID_STATUSES = [
+  ORDER_STATUSES.PAID,
+  ORDER_STATUSES.IN_SETUP,
+  ORDER_STATUSES.DELIVERED,
+];
+
+// =============================================
+// NUMÉROTATION
+// =============================================
+
+/**
+ * Attribue un numéro de facture à la commande (séquence PostgreSQL)
+ * Sans effet si la commande a déjà un numéro
+ */
+export async function assignInvoiceNumber(client, orderId) {
+  await client.query(
+    `INSERT INTO admin.order_invoices (order_invoice_order_id)
+    VALUES ($1)
+    ON CONFLICT (order_invoice_order_id) DO NOTHING`,
+    [orderId],
+  );
+}
+
+/**
+ * Numéro affiché : FAC-2025-000042
+ */
+export function formatInvoiceNumber(number, issued) {
+  // Même fuseau que la date d'émission imprimée sur la facture
+  const year = new Date(issued).toLocaleDateString('fr-FR', {
+    timeZone: 'Africa/Djibouti',
+    year: 'numeric',
+  });
+  return `FAC-${year}-${String(number).padStart(6, '0')}`;
+}
+
+// =============================================
+// DONNÉES
+// =============================================
+
+/**
+ * Rassemble les données de facturation d'une commande
+ * Attribue un numéro aux commandes créées avant la numérotation
+ */
+export async function getOrderInvoiceData(client, orderId) {
+  await assignInvoiceNumber(client, orderId);
+
+  const result = await client.query(
+    `SELECT
+      o.order_id, o.order_client, o.order_price, o.order_payment_status,
+      o.order_created, o.order_original_price, o.order_discount_amount,
+      o.order_promo_code,
+      p.platform_name, p.platform_number,
+      i.order_invoice_number, i.order_invoice_issued
+    FROM admin.orders o
+    LEFT JOIN admin.platforms p ON o.order_platform_id = p.platform_id
+    JOIN admin.order_invoices i ON i.order_invoice_order_id = o.order_id
+    WHERE o.order_id = $1`,
+    [orderId],
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  const [lastName, firstName, email, phone] = row.order_client || [];
+  const items = await getOrderItems(client, orderId);
+
+  return {
+    number: formatInvoiceNumber(
+      row.order_invoice_number,
+      row.order_invoice_issued,
+    ),
+    issued: row.order_invoice_issued,
+    orderId: row.order_id,
+    orderCreated: row.order_created,
+    status: row.order_payment_status,
+    customer: { lastName, firstName, email, phone },
+    // Lignes au prix catalogue du jour de la commande
+    items,
+    discount: parseFloat(row.order_discount_amount) || 0,
+    promoCode: row.order_promo_code,
+    total: parseFloat(row.order_price),
+    monthlyRent: items.reduce((sum, item) => sum + item.monthlyRent, 0),
+    prepaidMonths: Math.max(0, ...items.map((item) => item.prepaidMonths)),
+    platformName: row.platform_name,
+    platformNumber: row.platform_number,
+  };
+}
+
+// =============================================
+// RENDU PDF
+// =============================================
+
+// Les polices standard (WinAnsi) ne couvrent que l'alphabet latin :
+// espaces insécables remplacés, caractères non encodables remplacés par "?"
+// Partagé avec les devis (backend/quotes.js)
+export function toPdfText(value) {
+  return String(value ?? '')
+    .normalize('NFC')
+    .replace(/[\u00A0\u202F]/g, ' ')
+    .replace(/[^\x20-\x7E\xA1-\xFF\u20AC\u2019\u2013\u2014]/g, '?');
+}
+
+const formatAmount = (value) =>
+  `${Number(value).toLocaleString('fr-FR', { maximumFractionDigits: 2 })} FDJ`;
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('fr-FR', {
+    timeZone: 'Africa/Djibouti',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  });
+
+/**
+ * Génère le PDF d'une facture
+ *
+ * @param {Object} invoice - Données renvoyées par getOrderInvoiceData
+ * @returns {Promise<Buffer>}
+ */
+export async function renderInvoicePdf(invoice) {
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(`Facture ${invoice.number}`);
+  pdf.setAuthor(SELLER.name);
+  pdf.setCreator(SELLER.name);
+
+  const page = pdf.addPage([PAGE.width, PAGE.height]);
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+
+  const left = PAGE.margin;
+  const right = PAGE.width - PAGE.margin;
+  let y = PAGE.height - PAGE.margin;
+
+  const text = (value, x, options = {}) => {
+    const { font = regular, size = 10, color = COLORS.text } = options;
+    page.drawText(toPdfText(value), { x, y, font, size, color });
+  };
+
+  const textRight = (value, x, options = {}) => {
+    const { font = regular, size = 10 } = options;
+    const width = font.widthOfTextAtSize(toPdfText(value), size);
+    text(value, x - width, options);
+  };
+
+  const line = () => {
+    page.drawLine({
+      start: { x: left, y },
+      end: { x: right, y },
+      thickness: 0.5,
+      color: COLORS.line,
+    });
+  };
+
+  // En-tête vendeur / facture
+  text(SELLER.name, left, { font: bold, size: 22, color: COLORS.accent });
+  textRight('FACTURE', right, { font: bold, size: 18 });
+  y -= 18;
+  text(SELLER.address, left, { color: COLORS.muted });
+  textRight(`N° ${invoice.number}`, right, { font: bold });
+  y -= 14;
+  if (process.env.NEXT_PUBLIC_SITE_URL) {
+    text(process.env.NEXT_PUBLIC_SITE_URL, left, { color: COLORS.muted });
+  }
+  textRight(`Date : ${formatDate(invoice.issued)}`, right);
+
+  const stamp = STATUS_STAMPS[invoice.status];
+  if (stamp) {
+    y -= 14;
+    textRight(stamp, right, { font: bold, color: COLORS.accent });
+  }
+
+  // Client
+  y -= 40;
+  text('FACTURÉ À', left, { font: bold, size: 9, color: COLORS.muted });
+  y -= 16;
+  text(`${invoice.customer.firstName} ${invoice.customer.lastName}`, left, {
+    font: bold,
+  });
+  y -= 14;
+  text(invoice.customer.email, left);
+  y -= 14;
+  text(formatPhoneNumber(invoice.customer.phone), left);
+
+  y -= 24;
+  text(`Commande : ${invoice.orderId}`, left, { color: COLORS.muted });
+  y -= 14;
+  text(`Passée le : ${formatDate(invoice.orderCreated)}`, left, {
+    color: COLORS.muted,
+  });
+
+  // Lignes de facture
+  y -= 36;
+  text('DÉSIGNATION', left, { font: bold, size: 9, color: COLORS.muted });
+  textRight('MONTANT', right, { font: bold, size: 9, color: COLORS.muted });
+  y -= 8;
+  line();
+
+  for (const item of invoice.items) {
+    y -= 20;
+    text(`Acquisition de l'application ${item.applicationName}`, left);
+    textRight(formatAmount(item.originalPrice), right);
+
+    if (item.prepaidAmount > 0) {
+      y -= 18;
+      text(
+        `Gestion prépayée ${item.prepaidMonths} mois - ${item.applicationName}`,
+        left,
+      );
+      textRight(formatAmount(item.prepaidAmount), right);
+    }
+  }
+
+  if (invoice.discount > 0) {
+    y -= 18;
+    text(`Remise - code promo ${invoice.promoCode}`, left);
+    textRight(`-${formatAmount(invoice.discount)}`, right);
+  }
+
+  y -= 10;
+  line();
+
+  // Récapitulatif
+  y -= 24;
+  text('Total', right - 220, { font: bold, size: 12 });
+  textRight(formatAmount(invoice.total), right, { font: bold, size: 12 });
+
+  const isPaid = PAID_STATUSES.includes(invoice.status);
+  y -= 18;
+  text('Reste à payer', right - 220, { color: COLORS.muted });
+  textRight(formatAmount(isPaid ? 0 : invoice.total), right, {
+    color: COLORS.muted,
+  });
+
+  // Frais de gestion facturés séparément chaque mois
+  if (invoice.monthlyRent > 0) {
+    y -= 36;
+    text('FRAIS DE GESTION', left, {
+      font: bold,
+      size: 9,
+      color: COLORS.muted,
+    });
+    y -= 16;
+    text(
+      `Frais de gestion mensuels : ${formatAmount(invoice.monthlyRent)} / mois`,
+      left,
+    );
+    y -= 14;
+    text(
+      invoice.prepaidMonths > 0
+        ? `Facturés séparément chaque mois à l'issue des ${invoice.prepaidMonths} mois prépayés.`
+        : 'Facturés séparément chaque mois à compter du paiement de la commande.',
+      left,
+      { color: COLORS.muted, size: 9 },
+    );
+  }
+
+  // Paiement
+  if (!isPaid && invoice.platformName) {
+    y -= 36;
+    text('PAIEMENT', left, { font: bold, size: 9, color: COLORS.muted });
+    y -= 16;
+    text(`Moyen de paiement : ${invoice.platformName}`, left);
+    y -= 14;
+    text(`Numéro à créditer : ${invoice.platformNumber}`, left);
+    y -= 14;
+    text('Merci d’indiquer votre numéro de commande lors du transfert.', left, {
+      color: COLORS.muted,
+      size: 9,
+    });
+  }
+
+  // Pied de page
+  y = PAGE.margin;
+  text(`${SELLER.name} - Montants exprimés en francs Djibouti (FDJ)`, left, {
+    color: COLORS.muted,
+    size: 8,
+  });
+
+  return Buffer.from(await pdf.save());
+}
+
+/**
+ * Génère la facture PDF d'une commande
+ *
+ * @returns {Promise<{number: string, filename: string, buffer: Buffer}|null>}
+ */
+export async function generateOrderInvoice(client, orderId) {
+  const invoice = await getOrderInvoiceData(client, orderId);
+
+  if (!invoice) {
+    return null;
+  }
+
+  return {
+    number: invoice.number,
+    filename: `facture-${invoice.number}.pdf`,
+    buffer: await renderInvoicePdf(invoice),
+  };
+}
@@ -0,0 +1,83 @@
+// backend/orderItems.js
+// Lignes de commande (panier multi-applications)
+// Les commandes antérieures au panier sont lues comme une ligne unique
+
+/**
+ * Enregistre les lignes d'une commande (dans la transaction de création)
+ *
+ * @param {Array<{applicationId, applicationName, originalPrice, discount, price,
+ *   monthlyRent, prepaidMonths, prepaidAmount}>} items
+ *   price = acquisition remisée + gestion prépayée
+ */
+export async function insertOrderItems(client, orderId, items) {
+  for (const [position, item] of items.entries()) {
+    await client.query(
+      `INSERT INTO admin.order_items (
+        item_order_id, item_application_id, item_application_name,
+        item_original_price, item_discount_amount, item_price,
+        item_monthly_rent, item_prepaid_months, item_prepaid_amount,
+        item_position
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        orderId,
+        item.applicationId,
+        item.applicationName,
+        item.originalPrice,
+        item.discount,
+        item.price,
+        item.monthlyRent,
+        item.prepaidMonths || 0,
+        item.prepaidAmount || 0,
+        position,
+      ],
+    );
+  }
+}
+
+/**
+ * Lignes d'une commande, dans l'ordre du panier
+ * Repli sur order_application_id pour les commandes sans lignes
+ */
+export async function getOrderItems(client, orderId) {
+  const result = await client.query(
+    `SELECT item_application_id, item_application_name, item_original_price,
+      item_discount_amount, item_price, item_monthly_rent,
+      item_prepaid_months, item_prepaid_amount
+    FROM admin.order_items
+    WHERE item_order_id = $1
+    ORDER BY item_position ASC`,
+    [orderId],
+  );
+
+  let rows = result.rows;
+
+  if (rows.length === 0) {
+    const legacy = await client.query(
+      `SELECT
+        o.order_application_id AS item_application_id,
+        a.application_name AS item_application_name,
+        COALESCE(o.order_original_price, o.order_price) AS item_original_price,
+        o.order_discount_amount AS item_discount_amount,
+        o.order_price AS item_price,
+        a.application_rent AS item_monthly_rent,
+        0 AS item_prepaid_months,
+        0 AS item_prepaid_amount
+      FROM admin.orders o
+      JOIN catalog.applications a ON a.application_id = o.order_application_id
+      WHERE o.order_id = $1`,
+      [orderId],
+    );
+    rows = legacy.rows;
+  }
+
+  return rows.map((row) => ({
+    applicationId: row.item_application_id,
+    applicationName: row.item_application_name,
+    originalPrice: parseFloat(row.item_original_price),
+    discount: parseFloat(row.item_discount_amount) || 0,
+    price: parseFloat(row.item_price),
+    monthlyRent: parseFloat(row.item_monthly_rent) || 0,
+    prepaidMonths: Number(row.item_prepaid_months) || 0,
+    prepaidAmount: parseFloat(row.item_prepaid_amount) || 0,
+  }));
+}
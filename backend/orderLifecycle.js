@@ -0,0 +1,148 @@
+// backend/orderLifecycle.js
+// Cycle de vie des commandes : statuts, transitions autorisées et historique
+// Seul point d'entrée pour modifier order_payment_status
+
+import {
+  createSubscriptionsForOrder,
+  cancelSubscriptionsForOrder,
+} from './rentBilling.js';
+import { releasePromoCode } from './promoCodes.js';
+
+// =============================================
+// STATUTS ET TRANSITIONS
+// =============================================
+
+export const ORDER_STATUSES = {
+  UNPAID: 'unpaid',
+  PAYMENT_SUBMITTED: 'payment_submitted',
+  PAID: 'paid',
+  IN_SETUP: 'in_setup',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled',
+  REFUNDED: 'refunded',
+};
+
+export const ORDER_ACTORS = {
+  CUSTOMER: 'customer',
+  SYSTEM: 'system',
+  ADMIN: 'admin',
+};
+
+const S = ORDER_STATUSES;
+
+// unpaid → payment_submitted → paid → in_setup → delivered
+// + annulation avant paiement, remboursement après paiement
+const TRANSITIONS = {
+  [S.UNPAID]: [S.PAYMENT_SUBMITTED, S.PAID, S.CANCELLED],
+  [S.PAYMENT_SUBMITTED]: [S.PAID, S.UNPAID, S.CANCELLED],
+  [S.PAID]: [S.IN_SETUP, S.REFUNDED],
+  [S.IN_SETUP]: [S.DELIVERED, S.REFUNDED],
+  [S.DELIVERED]: [S.REFUNDED],
+  [S.CANCELLED]: [],
+  [S.REFUNDED]: [],
+};
+
+/**
+ * Indique si une transition de statut est autorisée
+ */
+export function canTransition(fromStatus, toStatus) {
+  return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+// =============================================
+// HISTORIQUE
+// =============================================
+
+/**
+ * Enregistre un événement dans l'historique de la commande
+ * À appeler dans la même transaction que la modification du statut
+ */
+export async function recordOrderEvent(
+  client,
+  { orderId, fromStatus = null, toStatus, actor, note = null },
+) {
+  const result = await client.query(
+    `INSERT INTO admin.order_events (
+      event_order_id, event_from_status, event_to_status, event_actor, event_note
+    ) VALUES ($1, $2, $3, $4, $5)
+    RETURNING event_id, event_created`,
+    [orderId, fromStatus, toStatus, actor, note],
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Change le statut d'une commande si la transition est autorisée
+ * Le client doit être dans une transaction (verrou FOR UPDATE sur la commande)
+ *
+ * @returns {Promise<{success: boolean, code?: string, fromStatus?: string, toStatus?: string}>}
+ */
+export async function transitionOrder(
+  client,
+  orderId,
+  toStatus,
+  { actor, note = null },
+) {
+  const current = await client.query(
+    'SELECT order_payment_status FROM admin.orders WHERE order_id = $1 FOR UPDATE',
+    [orderId],
+  );
+
+  if (current.rows.length === 0) {
+    return { success: false, code: 'ORDER_NOT_FOUND' };
+  }
+
+  const fromStatus = current.rows[0].order_payment_status;
+
+  // Transition déjà appliquée : rien à faire
+  if (fromStatus === toStatus) {
+    return { success: true, unchanged: true, fromStatus, toStatus };
+  }
+
+  if (!canTransition(fromStatus, toStatus)) {
+    return { success: false, code: 'INVALID_TRANSITION', fromStatus, toStatus };
+  }
+
+  await client.query(
+    'UPDATE admin.orders SET order_payment_status = $1 WHERE order_id = $2',
+    [toStatus, orderId],
+  );
+
+  await recordOrderEvent(client, {
+    orderId,
+    fromStatus,
+    toStatus,
+    actor,
+    note,
+  });
+
+  // Frais de gestion : abonnement ouvert au paiement, clôturé au remboursement
+  if (toStatus === S.PAID) {
+    await createSubscriptionsForOrder(client, orderId);
+  } else if (toStatus === S.REFUNDED) {
+    await cancelSubscriptionsForOrder(client, orderId);
+  }
+
+  // Code promo : une commande annulée ou remboursée rend son utilisation
+  if (toStatus === S.CANCELLED || toStatus === S.REFUNDED) {
+    await releasePromoCode(client, orderId);
+  }
+
+  return { success: true, fromStatus, toStatus };
+}
+
+/**
+ * Historique d'une commande, du plus ancien au plus récent
+ */
+export async function getOrderEvents(client, orderId) {
+  const result = await client.query(
+    `SELECT event_from_status, event_to_status, event_actor, event_note, event_created
+    FROM admin.order_events
+    WHERE event_order_id = $1
+    ORDER BY event_created ASC`,
+    [orderId],
+  );
+
+  return result.rows;
+}
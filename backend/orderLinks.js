@@ -0,0 +1,95 @@
+// backend/orderLinks.js
+// Liens signés envoyés au client (annulation de commande, consultation d'un devis)
+// Signature HMAC-SHA256 de "<action>:<identifiant>:<expiration>" avec ORDER_LINK_SECRET
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+const CONFIG = {
+  cancelLinkDays: 7, // Validité du lien d'annulation envoyé à la confirmation
+};
+
+const getSecret = () => process.env.ORDER_LINK_SECRET || null;
+
+function sign(secret, action, id, expires) {
+  return createHmac('sha256', secret)
+    .update(`${action}:${id}:${expires}`)
+    .digest('hex');
+}
+
+function buildLinkParams(secret, action, id, expires) {
+  return new URLSearchParams({
+    expires: String(expires),
+    signature: sign(secret, action, id, expires),
+  });
+}
+
+/**
+ * Vérifie la signature puis l'expiration d'un lien
+ *
+ * @returns {{valid: boolean, reason?: 'INVALID_LINK'|'LINK_EXPIRED'}}
+ */
+function verifyLink(action, id, expires, signature) {
+  const secret = getSecret();
+  const expiresAt = Number(expires);
+
+  if (
+    !secret ||
+    !Number.isInteger(expiresAt) ||
+    !/^[0-9a-f]{64}$/.test(String(signature || ''))
+  ) {
+    return { valid: false, reason: 'INVALID_LINK' };
+  }
+
+  const expected = Buffer.from(sign(secret, action, id, expiresAt), 'hex');
+
+  if (!timingSafeEqual(expected, Buffer.from(signature, 'hex'))) {
+    return { valid: false, reason: 'INVALID_LINK' };
+  }
+
+  // Expiration vérifiée après la signature : une date modifiée est invalide
+  if (expiresAt < Date.now() / 1000) {
+    return { valid: false, reason: 'LINK_EXPIRED' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Lien d'annulation d'une commande, null si le secret n'est pas configuré
+ */
+export function createOrderCancelUrl(orderId, now = Date.now()) {
+  const secret = getSecret();
+  if (!secret) return null;
+
+  const expires = Math.floor(now / 1000) + CONFIG.cancelLinkDays * 24 * 3600;
+  const params = buildLinkParams(secret, 'cancel', orderId, expires);
+
+  return `${process.env.NEXT_PUBLIC_SITE_URL}/orders/${orderId}/cancel?${params}`;
+}
+
+/**
+ * Vérifie un lien d'annulation
+ */
+export function verifyOrderCancelLink(orderId, expires, signature) {
+  return verifyLink('cancel', orderId, expires, signature);
+}
+
+/**
+ * Lien de consultation d'un devis, valable jusqu'à la fin de sa validité
+ * null si le secret n'est pas configuré
+ *
+ * @param {Date|string} validUntil - Dernier jour de validité du devis
+ */
+export function createQuoteUrl(quoteId, validUntil) {
+  const secret = getSecret();
+  if (!secret) return null;
+
+  const expires = Math.floor(new Date(validUntil).getTime() / 1000) + 24 * 3600;
+  const params = buildLinkParams(secret, 'quote', quoteId, expires);
+
+  return `${process.env.NEXT_PUBLIC_SITE_URL}/quotes/${quoteId}?${params}`;
+}
+
+export function verifyQuoteLink(quoteId, expires, signature) {
+  return verifyLink('quote', quoteId, expires, signature);
+}
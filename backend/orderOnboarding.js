@@ -0,0 +1,223 @@
+// backend/orderOnboarding.js
+// Fiche de mise en service d'une commande payée, remplie depuis l'espace client
+// Le logo est stocké via backend/fileStorage.js, seule sa référence est en base
+
+import { getOrderItems } from './orderItems.js';
+
+const ONBOARDING_COLUMNS = `
+  onboarding_order_id, onboarding_domain, onboarding_domain_owned,
+  onboarding_professional_email, onboarding_logo_key, onboarding_logo_mime_type,
+  onboarding_logo_original_name, onboarding_primary_color,
+  onboarding_secondary_color, onboarding_business_name,
+  onboarding_business_activity, onboarding_business_phone,
+  onboarding_business_address, onboarding_hosting_preference,
+  onboarding_hosting_details, onboarding_completed_at, onboarding_updated`;
+
+// La référence de stockage du logo ne quitte jamais le serveur
+function mapOnboarding(row) {
+  return {
+    orderId: row.onboarding_order_id,
+    domain: row.onboarding_domain || '',
+    domainOwned: row.onboarding_domain_owned,
+    professionalEmail: row.onboarding_professional_email || '',
+    logo: row.onboarding_logo_key
+      ? {
+          name: row.onboarding_logo_original_name,
+          mimeType: row.onboarding_logo_mime_type,
+        }
+      : null,
+    primaryColor: row.onboarding_primary_color || '',
+    secondaryColor: row.onboarding_secondary_color || '',
+    businessName: row.onboarding_business_name || '',
+    businessActivity: row.onboarding_business_activity || '',
+    businessPhone: row.onboarding_business_phone || '',
+    businessAddress: row.onboarding_business_address || '',
+    hostingPreference: row.onboarding_hosting_preference || '',
+    hostingDetails: row.onboarding_hosting_details || '',
+    completedAt: row.onboarding_completed_at,
+    updated: row.onboarding_updated,
+  };
+}
+
+/**
+ * Commande d'un client connecté, avec ses applications
+ *
+ * @returns {Promise<{id: string, status: string, created: string,
+ *   applications: string[]}|null>} null si la commande n'appartient pas au client
+ */
+export async function getCustomerOrder(client, orderId, customerId) {
+  const result = await client.query(
+    `SELECT order_id, order_payment_status, order_created
+    FROM admin.orders
+    WHERE order_id = $1 AND order_customer_id = $2`,
+    [orderId, customerId],
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const order = result.rows[0];
+  const items = await getOrderItems(client, order.order_id);
+
+  return {
+    id: order.order_id,
+    status: order.order_payment_status,
+    created: order.order_created,
+    applications: items.map((item) => item.applicationName),
+  };
+}
+
+/**
+ * Fiche de mise en service d'une commande, null si jamais remplie
+ */
+export async function getOrderOnboarding(client, orderId) {
+  const result = await client.query(
+    `SELECT ${ONBOARDING_COLUMNS}
+    FROM admin.order_onboarding
+    WHERE onboarding_order_id = $1`,
+    [orderId],
+  );
+
+  return result.rows[0] ? mapOnboarding(result.rows[0]) : null;
+}
+
+/**
+ * Fiches de plusieurs commandes (espace client), indexées par commande
+ */
+export async function getOrdersOnboarding(client, orderIds) {
+  if (orderIds.length === 0) {
+    return new Map();
+  }
+
+  const result = await client.query(
+    `SELECT ${ONBOARDING_COLUMNS}
+    FROM admin.order_onboarding
+    WHERE onboarding_order_id = ANY($1::uuid[])`,
+    [orderIds],
+  );
+
+  return new Map(
+    result.rows.map((row) => [row.onboarding_order_id, mapOnboarding(row)]),
+  );
+}
+
+/**
+ * Verrouille la commande jusqu'à la fin de la transaction
+ * Sérialise les enregistrements d'une même fiche : sans ligne existante, le
+ * verrou sur order_onboarding ne protège pas le premier enregistrement
+ *
+ * @returns {Promise<string|null>} Statut de la commande, null si introuvable
+ */
+export async function lockOnboardingOrder(client, orderId) {
+  const result = await client.query(
+    'SELECT order_payment_status FROM admin.orders WHERE order_id = $1 FOR UPDATE',
+    [orderId],
+  );
+
+  return result.rows[0]?.order_payment_status || null;
+}
+
+/**
+ * Enregistre la fiche (création ou mise à jour complète des champs saisis)
+ * Le client doit être dans une transaction, commande verrouillée
+ * (lockOnboardingOrder)
+ *
+ * @param {Object} data - Champs validés par validateOnboarding
+ * @param {Object|null} logo - Nouveau logo stocké { provider, key, url, mimeType, name }
+ * @returns {Promise<{onboarding: Object, replacedLogo: Object|null}>}
+ *   replacedLogo : ancien fichier à supprimer après la transaction
+ */
+export async function saveOrderOnboarding(client, orderId, data, logo = null) {
+  let replacedLogo = null;
+
+  if (logo) {
+    const previous = await client.query(
+      `SELECT onboarding_logo_provider, onboarding_logo_key
+      FROM admin.order_onboarding
+      WHERE onboarding_order_id = $1 AND onboarding_logo_key IS NOT NULL
+      FOR UPDATE`,
+      [orderId],
+    );
+
+    if (previous.rows[0]) {
+      replacedLogo = {
+        provider: previous.rows[0].onboarding_logo_provider,
+        key: previous.rows[0].onboarding_logo_key,
+      };
+    }
+  }
+
+  // Sans nouveau logo, l'ancien est conservé (COALESCE sur les colonnes logo)
+  const result = await client.query(
+    `INSERT INTO admin.order_onboarding (
+      onboarding_order_id, onboarding_domain, onboarding_domain_owned,
+      onboarding_professional_email, onboarding_primary_color,
+      onboarding_secondary_color, onboarding_business_name,
+      onboarding_business_activity, onboarding_business_phone,
+      onboarding_business_address, onboarding_hosting_preference,
+      onboarding_hosting_details, onboarding_logo_provider, onboarding_logo_key,
+      onboarding_logo_url, onboarding_logo_mime_type,
+      onboarding_logo_original_name
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+    ON CONFLICT (onboarding_order_id) DO UPDATE SET
+      onboarding_domain = EXCLUDED.onboarding_domain,
+      onboarding_domain_owned = EXCLUDED.onboarding_domain_owned,
+      onboarding_professional_email = EXCLUDED.onboarding_professional_email,
+      onboarding_primary_color = EXCLUDED.onboarding_primary_color,
+      onboarding_secondary_color = EXCLUDED.onboarding_secondary_color,
+      onboarding_business_name = EXCLUDED.onboarding_business_name,
+      onboarding_business_activity = EXCLUDED.onboarding_business_activity,
+      onboarding_business_phone = EXCLUDED.onboarding_business_phone,
+      onboarding_business_address = EXCLUDED.onboarding_business_address,
+      onboarding_hosting_preference = EXCLUDED.onboarding_hosting_preference,
+      onboarding_hosting_details = EXCLUDED.onboarding_hosting_details,
+      onboarding_logo_provider = COALESCE(EXCLUDED.onboarding_logo_provider, admin.order_onboarding.onboarding_logo_provider),
+      onboarding_logo_key = COALESCE(EXCLUDED.onboarding_logo_key, admin.order_onboarding.onboarding_logo_key),
+      onboarding_logo_url = COALESCE(EXCLUDED.onboarding_logo_url, admin.order_onboarding.onboarding_logo_url),
+      onboarding_logo_mime_type = COALESCE(EXCLUDED.onboarding_logo_mime_type, admin.order_onboarding.onboarding_logo_mime_type),
+      onboarding_logo_original_name = COALESCE(EXCLUDED.onboarding_logo_original_name, admin.order_onboarding.onboarding_logo_original_name),
+      onboarding_updated = NOW()
+    RETURNING ${ONBOARDING_COLUMNS}`,
+    [
+      orderId,
+      data.domain || null,
+      Boolean(data.domainOwned),
+      data.professionalEmail || null,
+      data.primaryColor || null,
+      data.secondaryColor || null,
+      data.businessName || null,
+      data.businessActivity || null,
+      data.businessPhone || null,
+      data.businessAddress || null,
+      data.hostingPreference || null,
+      data.hostingDetails || null,
+      logo?.provider || null,
+      logo?.key || null,
+      logo?.url || null,
+      logo?.mimeType || null,
+      logo?.name || null,
+    ],
+  );
+
+  return {
+    onboarding: mapOnboarding(result.rows[0]),
+    replacedLogo,
+  };
+}
+
+/**
+ * Marque la fiche comme complète
+ *
+ * @returns {Promise<boolean>} true uniquement la première fois (notification unique)
+ */
+export async function markOnboardingCompleted(client, orderId) {
+  const result = await client.query(
+    `UPDATE admin.order_onboarding
+    SET onboarding_completed_at = NOW()
+    WHERE onboarding_order_id = $1 AND onboarding_completed_at IS NULL`,
+    [orderId],
+  );
+
+  return result.rowCount > 0;
+}
@@ -0,0 +1,240 @@
+// backend/orderRisk.js
+// Score de risque des commandes : addition de signaux pondérés
+// Une commande à risque est signalée pour vérification manuelle, jamais refusée
+// (les requêtes sont paramétrées, le contenu des champs n'est pas un risque en soi)
+
+import { createHash } from 'crypto';
+import { normalizePhoneNumber } from '../utils/phone.js';
+
+const CONFIG = {
+  velocityWindowHours: 24, // Fenêtre de comptage des commandes d'un même client
+  failedAttemptsWindowMinutes: 60, // Fenêtre de comptage des tentatives refusées
+  reviewThreshold: 50, // Score à partir duquel la commande est à vérifier
+  mediumThreshold: 25,
+};
+
+// Points attribués par signal (paliers : le plus élevé atteint s'applique)
+const SIGNAL_WEIGHTS = {
+  EMAIL_VELOCITY: [
+    { min: 3, points: 25 },
+    { min: 5, points: 40 },
+  ],
+  PHONE_VELOCITY: [
+    { min: 3, points: 20 },
+    { min: 5, points: 35 },
+  ],
+  FAILED_ATTEMPTS: [
+    { min: 3, points: 20 },
+    { min: 6, points: 35 },
+  ],
+  DISPOSABLE_EMAIL: 35,
+  NAME_MISMATCH: 15,
+};
+
+export const RISK_LEVELS = {
+  LOW: 'low',
+  MEDIUM: 'medium',
+  HIGH: 'high',
+};
+
+// Domaines d'adresses jetables les plus courants
+const DISPOSABLE_EMAIL_DOMAINS = new Set([
+  '10minutemail.com',
+  'dispostable.com',
+  'emailondeck.com',
+  'fakeinbox.com',
+  'getnada.com',
+  'guerrillamail.com',
+  'guerrillamail.net',
+  'maildrop.cc',
+  'mailinator.com',
+  'mailnesia.com',
+  'mintemail.com',
+  'mohmal.com',
+  'sharklasers.com',
+  'temp-mail.org',
+  'tempmail.com',
+  'tempmailo.com',
+  'throwawaymail.com',
+  'trashmail.com',
+  'yopmail.com',
+  'yopmail.fr',
+]);
+
+// =============================================
+// UTILITAIRES
+// =============================================
+
+export function hashIp(ip) {
+  return ip ? createHash('sha256').update(ip).digest('hex') : null;
+}
+
+// Chiffres du numéro E.164 : "77 12 34 56" et "+253 77 12 34 56" se confondent
+const phoneDigits = (phone) =>
+  (normalizePhoneNumber(phone) || String(phone || '')).replace(/\D/g, '');
+
+// Mots d'un nom, sans accents ni casse ("Élodie Saïd" → ["elodie", "said"])
+function nameTokens(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter((token) => token.length >= 2);
+}
+
+function tieredPoints(tiers, count) {
+  return tiers.reduce(
+    (points, tier) => (count >= tier.min ? tier.points : points),
+    0,
+  );
+}
+
+export function isDisposableEmail(email) {
+  const domain = String(email || '')
+    .split('@')[1]
+    ?.toLowerCase();
+  return !!domain && DISPOSABLE_EMAIL_DOMAINS.has(domain);
+}
+
+/**
+ * Le titulaire du compte de paiement ne partage aucun mot avec le nom du client
+ * Signal faible : un proche peut payer pour le client
+ */
+export function isNameMismatch({ firstName, lastName, accountName }) {
+  const customer = new Set([...nameTokens(firstName), ...nameTokens(lastName)]);
+  const holder = nameTokens(accountName);
+
+  return (
+    customer.size > 0 &&
+    holder.length > 0 &&
+    !holder.some((token) => customer.has(token))
+  );
+}
+
+// =============================================
+// TENTATIVES REFUSÉES
+// =============================================
+
+/**
+ * Enregistre une tentative de commande refusée
+ * Ignorée si l'IP est inconnue : toutes ces tentatives partageraient un compteur
+ */
+export async function recordFailedOrderAttempt(
+  client,
+  { email, phone, ip, code },
+) {
+  if (!ip) return;
+
+  await client.query(
+    `INSERT INTO admin.order_attempts (
+      attempt_email, attempt_phone, attempt_ip_hash, attempt_code
+    ) VALUES ($1, $2, $3, $4)`,
+    [
+      email ? email.toLowerCase().slice(0, 255) : null,
+      phoneDigits(phone).slice(0, 30) || null,
+      hashIp(ip),
+      code,
+    ],
+  );
+}
+
+// =============================================
+// ÉVALUATION
+// =============================================
+
+/**
+ * Calcule le score de risque d'une commande avant son insertion
+ *
+ * @param {Object} order - email, phone, firstName, lastName, accountName, ip
+ * @returns {Promise<{score: number, level: string, needsReview: boolean, signals: Array<{code: string, points: number, detail: string}>}>}
+ */
+export async function assessOrderRisk(client, order) {
+  const email = order.email.toLowerCase();
+  const phone = phoneDigits(order.phone);
+  // IP inconnue : hash null, le signal IP ne correspond à aucune tentative
+  const ipHash = hashIp(order.ip);
+
+  const [velocity, attempts] = await Promise.all([
+    client.query(
+      `SELECT
+        COUNT(*) FILTER (WHERE LOWER(order_client[3]) = $1) AS email_orders,
+        COUNT(*) FILTER (
+          WHERE regexp_replace(order_client[4], '\\D', '', 'g') = $2
+        ) AS phone_orders
+      FROM admin.orders
+      WHERE order_created > NOW() - make_interval(hours => $3)
+        AND (LOWER(order_client[3]) = $1
+          OR regexp_replace(order_client[4], '\\D', '', 'g') = $2)`,
+      [email, phone, CONFIG.velocityWindowHours],
+    ),
+    client.query(
+      `SELECT COUNT(*) AS failed_attempts
+      FROM admin.order_attempts
+      WHERE attempt_created > NOW() - make_interval(mins => $4)
+        AND (attempt_email = $1 OR attempt_phone = $2 OR attempt_ip_hash = $3)`,
+      [email, phone, ipHash, CONFIG.failedAttemptsWindowMinutes],
+    ),
+  ]);
+
+  // La commande en cours compte dans la vélocité
+  const emailOrders = Number(velocity.rows[0].email_orders) + 1;
+  const phoneOrders = Number(velocity.rows[0].phone_orders) + 1;
+  const failedAttempts = Number(attempts.rows[0].failed_attempts);
+
+  const signals = [];
+  const addSignal = (code, points, detail) => {
+    if (points > 0) signals.push({ code, points, detail });
+  };
+
+  addSignal(
+    'EMAIL_VELOCITY',
+    tieredPoints(SIGNAL_WEIGHTS.EMAIL_VELOCITY, emailOrders),
+    `${emailOrders} commandes avec cet email en ${CONFIG.velocityWindowHours} h`,
+  );
+  addSignal(
+    'PHONE_VELOCITY',
+    tieredPoints(SIGNAL_WEIGHTS.PHONE_VELOCITY, phoneOrders),
+    `${phoneOrders} commandes avec ce téléphone en ${CONFIG.velocityWindowHours} h`,
+  );
+  addSignal(
+    'FAILED_ATTEMPTS',
+    tieredPoints(SIGNAL_WEIGHTS.FAILED_ATTEMPTS, failedAttempts),
+    `${failedAttempts} tentatives refusées en ${CONFIG.failedAttemptsWindowMinutes} min`,
+  );
+
+  if (isDisposableEmail(email)) {
+    addSignal(
+      'DISPOSABLE_EMAIL',
+      SIGNAL_WEIGHTS.DISPOSABLE_EMAIL,
+      'Adresse email jetable',
+    );
+  }
+
+  if (isNameMismatch(order)) {
+    addSignal(
+      'NAME_MISMATCH',
+      SIGNAL_WEIGHTS.NAME_MISMATCH,
+      'Titulaire du compte différent du client',
+    );
+  }
+
+  const score = Math.min(
+    signals.reduce((sum, signal) => sum + signal.points, 0),
+    100,
+  );
+
+  let level = RISK_LEVELS.LOW;
+  if (score >= CONFIG.reviewThreshold) {
+    level = RISK_LEVELS.HIGH;
+  } else if (score >= CONFIG.mediumThreshold) {
+    level = RISK_LEVELS.MEDIUM;
+  }
+
+  return {
+    score,
+    level,
+    needsReview: score >= CONFIG.reviewThreshold,
+    signals,
+  };
+}
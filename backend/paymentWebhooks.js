@@ -0,0 +1,177 @@
+// backend/paymentWebhooks.js
+// Confirmations de paiement envoyées par les plateformes (webhooks signés)
+// Chaque événement est enregistré une seule fois ; la commande passe en "paid"
+// si la référence, la plateforme et le montant correspondent
+// Une fois la commande réglée, la même référence sert aux frais de gestion :
+// le paiement solde la plus ancienne facture ouverte de ce montant
+
+import { withTransaction } from './dbConnect.js';
+import {
+  ORDER_STATUSES,
+  ORDER_ACTORS,
+  transitionOrder,
+} from './orderLifecycle.js';
+import { getOpenRentInvoices, markInvoicePaid } from './rentBilling.js';
+import { captureMessage } from '../instrumentation.js';
+
+// Écart toléré entre le montant reçu et le montant attendu (arrondis de la plateforme)
+const AMOUNT_TOLERANCE = 0.01;
+
+export const WEBHOOK_RESULTS = {
+  PAID: 'paid',
+  ALREADY_PAID: 'already_paid',
+  RENT_PAID: 'rent_paid',
+  IGNORED: 'ignored',
+  ORDER_NOT_FOUND: 'order_not_found',
+  PLATFORM_MISMATCH: 'platform_mismatch',
+  AMOUNT_MISMATCH: 'amount_mismatch',
+  INVALID_TRANSITION: 'invalid_transition',
+};
+
+const R = WEBHOOK_RESULTS;
+
+// Statuts où le paiement reçu règle la commande elle-même
+const AWAITING_PAYMENT = [
+  ORDER_STATUSES.UNPAID,
+  ORDER_STATUSES.PAYMENT_SUBMITTED,
+];
+
+// Résultats nécessitant une vérification manuelle
+const ANOMALIES = [
+  R.ORDER_NOT_FOUND,
+  R.PLATFORM_MISMATCH,
+  R.AMOUNT_MISMATCH,
+  R.INVALID_TRANSITION,
+];
+
+/**
+ * Plateforme active associée à un segment d'URL de webhook
+ */
+export async function getWebhookPlatform(client, slug) {
+  const result = await client.query(
+    `SELECT platform_id, platform_name
+    FROM admin.platforms
+    WHERE platform_webhook_slug = $1 AND is_active = true`,
+    [slug],
+  );
+
+  return result.rows[0] || null;
+}
+
+// Rapproche l'événement de la commande et applique le paiement
+async function applyPaymentEvent(client, platform, event) {
+  if (event.status !== 'succeeded') {
+    return { result: R.IGNORED, orderId: null };
+  }
+
+  const orderResult = await client.query(
+    `SELECT order_id, order_price, order_platform_id, order_payment_status
+    FROM admin.orders
+    WHERE order_id = $1`,
+    [event.reference],
+  );
+
+  if (orderResult.rows.length === 0) {
+    return { result: R.ORDER_NOT_FOUND, orderId: null };
+  }
+
+  const order = orderResult.rows[0];
+
+  if (order.order_platform_id !== platform.platform_id) {
+    return { result: R.PLATFORM_MISMATCH, orderId: order.order_id };
+  }
+
+  if (!AWAITING_PAYMENT.includes(order.order_payment_status)) {
+    const invoices = await getOpenRentInvoices(client, order.order_id);
+    const invoice = invoices.find(
+      (row) =>
+        Math.abs(parseFloat(row.invoice_amount) - event.amount) <=
+        AMOUNT_TOLERANCE,
+    );
+
+    if (invoice && (await markInvoicePaid(client, invoice.invoice_id))) {
+      return { result: R.RENT_PAID, orderId: order.order_id };
+    }
+  }
+
+  if (
+    Math.abs(parseFloat(order.order_price) - event.amount) > AMOUNT_TOLERANCE
+  ) {
+    return { result: R.AMOUNT_MISMATCH, orderId: order.order_id };
+  }
+
+  const transition = await transitionOrder(
+    client,
+    order.order_id,
+    ORDER_STATUSES.PAID,
+    {
+      actor: ORDER_ACTORS.SYSTEM,
+      note: `Paiement confirmé par ${platform.platform_name} (événement ${event.id})`,
+    },
+  );
+
+  if (!transition.success) {
+    return { result: R.INVALID_TRANSITION, orderId: order.order_id };
+  }
+
+  return {
+    result: transition.unchanged ? R.ALREADY_PAID : R.PAID,
+    orderId: order.order_id,
+  };
+}
+
+/**
+ * Traite un événement de paiement validé
+ * Un événement déjà reçu renvoie le résultat enregistré sans nouveau traitement
+ *
+ * @param {Object} platform - platform_id, platform_name
+ * @param {Object} event - id, reference, amount, status (validatePaymentWebhook)
+ * @returns {Promise<{result: string, orderId: string|null, duplicate: boolean}>}
+ */
+export async function processPaymentWebhook(client, platform, event) {
+  const outcome = await withTransaction(client, async (tx) => {
+    const inserted = await tx.query(
+      `INSERT INTO admin.payment_webhook_events (
+        webhook_platform_id, webhook_external_id, webhook_payload
+      ) VALUES ($1, $2, $3)
+      ON CONFLICT (webhook_platform_id, webhook_external_id) DO NOTHING
+      RETURNING webhook_event_id`,
+      [platform.platform_id, event.id, JSON.stringify(event)],
+    );
+
+    if (inserted.rows.length === 0) {
+      const previous = await tx.query(
+        `SELECT webhook_result, webhook_order_id
+        FROM admin.payment_webhook_events
+        WHERE webhook_platform_id = $1 AND webhook_external_id = $2`,
+        [platform.platform_id, event.id],
+      );
+
+      return {
+        result: previous.rows[0].webhook_result,
+        orderId: previous.rows[0].webhook_order_id,
+        duplicate: true,
+      };
+    }
+
+    const { result, orderId } = await applyPaymentEvent(tx, platform, event);
+
+    await tx.query(
+      `UPDATE admin.payment_webhook_events
+      SET webhook_result = $1, webhook_order_id = $2
+      WHERE webhook_event_id = $3`,
+      [result, orderId, inserted.rows[0].webhook_event_id],
+    );
+
+    return { result, orderId, duplicate: false };
+  });
+
+  if (!outcome.duplicate && ANOMALIES.includes(outcome.result)) {
+    captureMessage(
+      `Webhook de paiement ${platform.platform_name} non appliqué : ${outcome.result} (référence ${event.reference}, événement ${event.id})`,
+      'warning',
+    );
+  }
+
+  return outcome;
+}
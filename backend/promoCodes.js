@@ -0,0 +1,257 @@
+// backend/promoCodes.js
+// Codes promo : vérification des conditions et calcul de la remise
+// Utilisé par createOrder (prix définitif) et par l'aperçu dans OrderModal
+
+import { ORDER_STATUSES } from './orderLifecycle.js';
+
+export const PROMO_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed',
+};
+
+// Message générique pour ne pas permettre de deviner les codes existants
+const INVALID_CODE = {
+  valid: false,
+  code: 'PROMO_INVALID',
+  message: 'Code promo invalide.',
+};
+
+/**
+ * Normalise la saisie : majuscules, sans espaces
+ */
+export function normalizePromoCode(code) {
+  return String(code || '')
+    .replace(/\s+/g, '')
+    .toUpperCase();
+}
+
+/**
+ * Calcule la remise (arrondie au franc) sans jamais dépasser le montant
+ */
+export function computeDiscount(promo, amount) {
+  const value = parseFloat(promo.promo_value);
+  const raw =
+    promo.promo_type === PROMO_TYPES.PERCENTAGE
+      ? Math.round((amount * value) / 100)
+      : value;
+
+  const discount = Math.min(Math.max(raw, 0), amount);
+
+  return {
+    discount,
+    finalPrice: amount - discount,
+  };
+}
+
+/**
+ * Indique si le code s'applique à une application (restrictions optionnelles)
+ */
+function isApplicableTo(promo, item) {
+  const allowedApps = promo.promo_application_ids;
+  const allowedLevels = promo.promo_application_levels;
+
+  return !(
+    (allowedApps?.length && !allowedApps.includes(item.applicationId)) ||
+    (allowedLevels?.length &&
+      !allowedLevels.includes(Number(item.applicationLevel)))
+  );
+}
+
+/**
+ * Répartit la remise entre les lignes éligibles
+ * Pourcentage : appliqué à chaque ligne éligible
+ * Montant fixe : appliqué une seule fois par commande, ligne après ligne
+ */
+function computeItemDiscounts(promo, items) {
+  let remaining = parseFloat(promo.promo_value);
+
+  return items.map((item) => {
+    if (!isApplicableTo(promo, item)) return 0;
+
+    if (promo.promo_type === PROMO_TYPES.PERCENTAGE) {
+      return computeDiscount(promo, item.amount).discount;
+    }
+
+    const discount = Math.min(remaining, item.amount);
+    remaining -= discount;
+    return discount;
+  });
+}
+
+/**
+ * Utilisations du code par une adresse email
+ * Les commandes annulées ou remboursées ne comptent pas (utilisation rendue)
+ *
+ * @param {string|null} excludeOrderId - Commande en cours de création
+ */
+async function countEmailUses(client, promoCode, email, excludeOrderId = null) {
+  const usage = await client.query(
+    `SELECT COUNT(*)::int AS uses FROM admin.orders
+    WHERE order_promo_code = $1
+      AND LOWER(order_client[3]) = $2
+      AND order_payment_status NOT IN ($3, $4)
+      AND ($5::uuid IS NULL OR order_id <> $5)`,
+    [
+      promoCode,
+      email.toLowerCase(),
+      ORDER_STATUSES.CANCELLED,
+      ORDER_STATUSES.REFUNDED,
+      excludeOrderId,
+    ],
+  );
+
+  return usage.rows[0].uses;
+}
+
+/**
+ * Vérifie qu'un code promo s'applique aux applications commandées
+ * et calcule la remise ligne par ligne
+ * L'email (optionnel) permet de vérifier la limite par client
+ *
+ * @param {Object} params
+ * @param {Array<{applicationId, applicationLevel, amount}>} params.items - Prix catalogue
+ * @returns {Promise<{valid: boolean, code?: string, message?: string, promo?: Object, itemDiscounts?: number[], discount?: number, finalPrice?: number}>}
+ */
+export async function evaluatePromoCode(client, { code, items, email = null }) {
+  const normalized = normalizePromoCode(code);
+
+  if (!normalized || !items?.length) {
+    return INVALID_CODE;
+  }
+
+  const result = await client.query(
+    `SELECT
+      promo_id, promo_code, promo_description, promo_type, promo_value,
+      promo_max_uses, promo_max_uses_per_email, promo_uses_count,
+      promo_application_ids, promo_application_levels,
+      (promo_starts_at IS NOT NULL AND promo_starts_at > NOW()) AS not_started,
+      (promo_ends_at IS NOT NULL AND promo_ends_at <= NOW()) AS expired
+    FROM admin.promo_codes
+    WHERE promo_code = $1 AND is_active = true`,
+    [normalized],
+  );
+
+  if (result.rows.length === 0) {
+    return INVALID_CODE;
+  }
+
+  const promo = result.rows[0];
+
+  if (promo.not_started || promo.expired) {
+    return {
+      valid: false,
+      code: 'PROMO_EXPIRED',
+      message: "Ce code promo n'est pas valide actuellement.",
+    };
+  }
+
+  if (promo.promo_max_uses && promo.promo_uses_count >= promo.promo_max_uses) {
+    return {
+      valid: false,
+      code: 'PROMO_EXHAUSTED',
+      message: "Ce code promo a atteint sa limite d'utilisation.",
+    };
+  }
+
+  if (!items.some((item) => isApplicableTo(promo, item))) {
+    return {
+      valid: false,
+      code: 'PROMO_NOT_APPLICABLE',
+      message:
+        items.length > 1
+          ? 'Ce code promo ne s’applique à aucune application du panier.'
+          : 'Ce code promo ne s’applique pas à cette application.',
+    };
+  }
+
+  if (
+    email &&
+    promo.promo_max_uses_per_email &&
+    (await countEmailUses(client, promo.promo_code, email)) >=
+      promo.promo_max_uses_per_email
+  ) {
+    return {
+      valid: false,
+      code: 'PROMO_ALREADY_USED',
+      message: 'Vous avez déjà utilisé ce code promo.',
+    };
+  }
+
+  const itemDiscounts = computeItemDiscounts(promo, items);
+  const discount = itemDiscounts.reduce((sum, value) => sum + value, 0);
+  const total = items.reduce((sum, item) => sum + item.amount, 0);
+
+  return {
+    valid: true,
+    promo: {
+      id: promo.promo_id,
+      code: promo.promo_code,
+      description: promo.promo_description,
+      type: promo.promo_type,
+      value: parseFloat(promo.promo_value),
+    },
+    itemDiscounts,
+    discount,
+    finalPrice: total - discount,
+  };
+}
+
+/**
+ * Comptabilise une utilisation du code (dans la transaction de la commande,
+ * après son insertion)
+ * Le code est verrouillé jusqu'au COMMIT : les commandes concurrentes qui
+ * l'utilisent revérifient les limites l'une après l'autre
+ *
+ * @param {Object} params - email du client, orderId de la commande créée
+ * @returns {Promise<{success: boolean, code?: 'PROMO_EXHAUSTED'|'PROMO_ALREADY_USED'}>}
+ */
+export async function redeemPromoCode(client, promoId, { email, orderId }) {
+  const locked = await client.query(
+    `SELECT promo_code, promo_max_uses, promo_max_uses_per_email, promo_uses_count
+    FROM admin.promo_codes
+    WHERE promo_id = $1
+    FOR UPDATE`,
+    [promoId],
+  );
+
+  const promo = locked.rows[0];
+
+  if (
+    !promo ||
+    (promo.promo_max_uses && promo.promo_uses_count >= promo.promo_max_uses)
+  ) {
+    return { success: false, code: 'PROMO_EXHAUSTED' };
+  }
+
+  // Compté après le verrou : inclut les commandes validées entre-temps
+  if (
+    promo.promo_max_uses_per_email &&
+    (await countEmailUses(client, promo.promo_code, email, orderId)) >=
+      promo.promo_max_uses_per_email
+  ) {
+    return { success: false, code: 'PROMO_ALREADY_USED' };
+  }
+
+  await client.query(
+    `UPDATE admin.promo_codes
+    SET promo_uses_count = promo_uses_count + 1
+    WHERE promo_id = $1`,
+    [promoId],
+  );
+
+  return { success: true };
+}
+
+/**
+ * Rend l'utilisation du code d'une commande annulée ou remboursée
+ * Appelé par transitionOrder, dans la transaction du changement de statut
+ */
+export async function releasePromoCode(client, orderId) {
+  await client.query(
+    `UPDATE admin.promo_codes p
+    SET promo_uses_count = GREATEST(p.promo_uses_count - 1, 0)
+    FROM admin.orders o
+    WHERE o.order_id = $1 AND p.promo_code = o.order_promo_code`,
+    [orderId],
+  );
+}
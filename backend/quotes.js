@@ -0,0 +1,347 @@
+// backend/quotes.js
+// Devis : prix du catalogue figés, numérotation séquentielle et rendu PDF
+// Un devis valide peut être converti une seule fois en commande (actions/orderActions.js)
+
+import { PDFDocument, StandardFonts, rgb } from 'pdf-lib';
+import { toPdfText } from './orderInvoice.js';
+import { formatPhoneNumber } from '../utils/phone.js';
+import { computePrepaidRent, getAvailablePlans } from '../utils/orderPlans.js';
+
+const CONFIG = {
+  validityDays: 30, // Durée de validité des prix d'un devis
+  timeZone: 'Africa/Djibouti',
+};
+
+export const QUOTE_STATUSES = {
+  PENDING: 'pending',
+  CONVERTED: 'converted',
+  EXPIRED: 'expired',
+};
+
+const SELLER = {
+  name: 'Benew',
+  address: 'Djibouti, République de Djibouti',
+};
+
+const PAGE = { width: 595.28, height: 841.89, margin: 50 }; // A4 en points
+
+const COLORS = {
+  text: rgb(0.13, 0.13, 0.13),
+  muted: rgb(0.45, 0.45, 0.45),
+  accent: rgb(0.96, 0.55, 0.13),
+  line: rgb(0.85, 0.85, 0.85),
+};
+
+// Colonnes lues pour un devis, avec son expiration (date de Djibouti)
+const QUOTE_COLUMNS = `
+  quote_id, quote_number, quote_company_name, quote_company_tax_id,
+  quote_company_address, quote_contact_name, quote_email, quote_phone,
+  quote_application_id, quote_application_name, quote_application_fee,
+  quote_application_rent, quote_valid_until, quote_order_id, quote_created,
+  quote_valid_until < (NOW() AT TIME ZONE '${CONFIG.timeZone}')::date AS quote_expired`;
+
+// =============================================
+// DONNÉES
+// =============================================
+
+/**
+ * Numéro affiché : DEV-2025-000042
+ */
+export function formatQuoteNumber(number, created) {
+  // Année de création à Djibouti, indépendante du fuseau du serveur
+  const year = new Date(created).toLocaleDateString('fr-FR', {
+    timeZone: CONFIG.timeZone,
+    year: 'numeric',
+  });
+  return `DEV-${year}-${String(number).padStart(6, '0')}`;
+}
+
+function mapQuote(row) {
+  let status = QUOTE_STATUSES.PENDING;
+  if (row.quote_order_id) status = QUOTE_STATUSES.CONVERTED;
+  else if (row.quote_expired) status = QUOTE_STATUSES.EXPIRED;
+
+  return {
+    id: row.quote_id,
+    number: formatQuoteNumber(row.quote_number, row.quote_created),
+    status,
+    company: {
+      name: row.quote_company_name,
+      taxId: row.quote_company_tax_id,
+      address: row.quote_company_address,
+    },
+    contact: {
+      name: row.quote_contact_name,
+      email: row.quote_email,
+      phone: row.quote_phone,
+    },
+    applicationId: row.quote_application_id,
+    applicationName: row.quote_application_name,
+    applicationFee: parseFloat(row.quote_application_fee),
+    applicationRent: parseFloat(row.quote_application_rent) || 0,
+    validUntil: row.quote_valid_until,
+    orderId: row.quote_order_id,
+    created: row.quote_created,
+  };
+}
+
+/**
+ * Crée un devis aux prix actuels du catalogue
+ *
+ * @returns {Promise<Object|null>} null si l'application n'est pas disponible
+ */
+export async function createQuote(client, request) {
+  const result = await client.query(
+    `INSERT INTO admin.quotes (
+      quote_company_name, quote_company_tax_id, quote_company_address,
+      quote_contact_name, quote_email, quote_phone,
+      quote_application_id, quote_application_name,
+      quote_application_fee, quote_application_rent, quote_valid_until
+    )
+    SELECT $1, $2, $3, $4, $5, $6,
+      application_id, application_name,
+      application_fee, COALESCE(application_rent, 0),
+      (NOW() AT TIME ZONE '${CONFIG.timeZone}')::date + $8::integer
+    FROM catalog.applications
+    WHERE application_id = $7 AND is_active = true
+    RETURNING ${QUOTE_COLUMNS}`,
+    [
+      request.companyName,
+      request.taxId || null,
+      request.address || null,
+      request.contactName,
+      request.email.toLowerCase(),
+      request.phone,
+      request.applicationId,
+      CONFIG.validityDays,
+    ],
+  );
+
+  return result.rows[0] ? mapQuote(result.rows[0]) : null;
+}
+
+/**
+ * Devis par identifiant
+ */
+export async function getQuote(client, quoteId) {
+  const result = await client.query(
+    `SELECT ${QUOTE_COLUMNS}
+    FROM admin.quotes
+    WHERE quote_id = $1`,
+    [quoteId],
+  );
+
+  return result.rows[0] ? mapQuote(result.rows[0]) : null;
+}
+
+/**
+ * Rattache la commande au devis (dans la transaction de création)
+ *
+ * @returns {Promise<boolean>} false si le devis a déjà été converti
+ */
+export async function markQuoteConverted(client, quoteId, orderId) {
+  const result = await client.query(
+    `UPDATE admin.quotes
+    SET quote_order_id = $2, quote_converted_at = NOW()
+    WHERE quote_id = $1 AND quote_order_id IS NULL`,
+    [quoteId, orderId],
+  );
+
+  return result.rowCount > 0;
+}
+
+// =============================================
+// RENDU PDF
+// =============================================
+
+const formatAmount = (value) =>
+  `${Number(value).toLocaleString('fr-FR', { maximumFractionDigits: 2 })} FDJ`;
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('fr-FR', {
+    timeZone: CONFIG.timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  });
+
+/**
+ * Génère le PDF d'un devis
+ *
+ * @param {Object} quote - Devis renvoyé par getQuote ou createQuote
+ * @returns {Promise<Buffer>}
+ */
+export async function renderQuotePdf(quote) {
+  const pdf = await PDFDocument.create();
+  pdf.setTitle(`Devis ${quote.number}`);
+  pdf.setAuthor(SELLER.name);
+  pdf.setCreator(SELLER.name);
+
+  const page = pdf.addPage([PAGE.width, PAGE.height]);
+  const regular = await pdf.embedFont(StandardFonts.Helvetica);
+  const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+
+  const left = PAGE.margin;
+  const right = PAGE.width - PAGE.margin;
+  let y = PAGE.height - PAGE.margin;
+
+  const text = (value, x, options = {}) => {
+    const { font = regular, size = 10, color = COLORS.text } = options;
+    page.drawText(toPdfText(value), { x, y, font, size, color });
+  };
+
+  const textRight = (value, x, options = {}) => {
+    const { font = regular, size = 10 } = options;
+    const width = font.widthOfTextAtSize(toPdfText(value), size);
+    text(value, x - width, options);
+  };
+
+  const line = () => {
+    page.drawLine({
+      start: { x: left, y },
+      end: { x: right, y },
+      thickness: 0.5,
+      color: COLORS.line,
+    });
+  };
+
+  // En-tête vendeur / devis
+  text(SELLER.name, left, { font: bold, size: 22, color: COLORS.accent });
+  textRight('DEVIS', right, { font: bold, size: 18 });
+  y -= 18;
+  text(SELLER.address, left, { color: COLORS.muted });
+  textRight(`N° ${quote.number}`, right, { font: bold });
+  y -= 14;
+  if (process.env.NEXT_PUBLIC_SITE_URL) {
+    text(process.env.NEXT_PUBLIC_SITE_URL, left, { color: COLORS.muted });
+  }
+  textRight(`Date : ${formatDate(quote.created)}`, right);
+  y -= 14;
+  textRight(`Valable jusqu'au : ${formatDate(quote.validUntil)}`, right, {
+    font: bold,
+    color: COLORS.accent,
+  });
+
+  // Client
+  y -= 40;
+  text('DESTINATAIRE', left, { font: bold, size: 9, color: COLORS.muted });
+  y -= 16;
+  text(quote.company.name, left, { font: bold });
+  if (quote.company.address) {
+    y -= 14;
+    text(quote.company.address, left);
+  }
+  if (quote.company.taxId) {
+    y -= 14;
+    text(`NIF : ${quote.company.taxId}`, left);
+  }
+  y -= 14;
+  text(`À l'attention de ${quote.contact.name}`, left);
+  y -= 14;
+  text(quote.contact.email, left);
+  y -= 14;
+  text(formatPhoneNumber(quote.contact.phone), left);
+
+  // Lignes du devis
+  y -= 36;
+  text('DÉSIGNATION', left, { font: bold, size: 9, color: COLORS.muted });
+  textRight('MONTANT', right, { font: bold, size: 9, color: COLORS.muted });
+  y -= 8;
+  line();
+
+  y -= 20;
+  text(`Acquisition de l'application ${quote.applicationName}`, left);
+  textRight(formatAmount(quote.applicationFee), right);
+  y -= 14;
+  text('Paiement unique à la commande', left, {
+    color: COLORS.muted,
+    size: 9,
+  });
+
+  y -= 10;
+  line();
+
+  y -= 24;
+  text('Total à la commande', right - 220, { font: bold, size: 12 });
+  textRight(formatAmount(quote.applicationFee), right, {
+    font: bold,
+    size: 12,
+  });
+
+  // Frais de gestion et formules prépayées
+  if (quote.applicationRent > 0) {
+    y -= 36;
+    text('FRAIS DE GESTION', left, {
+      font: bold,
+      size: 9,
+      color: COLORS.muted,
+    });
+    y -= 16;
+    text(
+      `Frais de gestion mensuels : ${formatAmount(quote.applicationRent)} / mois`,
+      left,
+    );
+    y -= 14;
+    text(
+      'Facturés séparément chaque mois à compter du paiement de la commande.',
+      left,
+      { color: COLORS.muted, size: 9 },
+    );
+
+    const prepaidPlans = getAvailablePlans(quote.applicationRent).filter(
+      (plan) => plan.prepaidMonths > 0,
+    );
+
+    for (const plan of prepaidPlans) {
+      const prepaid = computePrepaidRent(quote.applicationRent, plan.id);
+      y -= 14;
+      text(
+        `Option : ${plan.prepaidMonths} mois prépayés à la commande, ${formatAmount(prepaid.prepaidAmount)} (-${Math.round(plan.rentDiscountRate * 100)} %)`,
+        left,
+      );
+    }
+  }
+
+  // Conditions
+  y -= 36;
+  text('CONDITIONS', left, { font: bold, size: 9, color: COLORS.muted });
+  y -= 16;
+  text(
+    `Prix garantis jusqu'au ${formatDate(quote.validUntil)} pour une commande passée depuis ce devis.`,
+    left,
+  );
+  y -= 14;
+  text(
+    'Pour commander au prix du devis, utilisez le lien reçu par email avec ce devis.',
+    left,
+    { color: COLORS.muted, size: 9 },
+  );
+
+  // Pied de page
+  y = PAGE.margin;
+  text(`${SELLER.name} - Montants exprimés en francs Djibouti (FDJ)`, left, {
+    color: COLORS.muted,
+    size: 8,
+  });
+
+  return Buffer.from(await pdf.save());
+}
+
+/**
+ * Génère le PDF d'un devis
+ *
+ * @returns {Promise<{number: string, filename: string, buffer: Buffer}|null>}
+ */
+export async function generateQuotePdf(client, quoteId) {
+  const quote = await getQuote(client, quoteId);
+
+  if (!quote) {
+    return null;
+  }
+
+  return {
+    number: quote.number,
+    filename: `devis-${quote.number}.pdf`,
+    buffer: await renderQuotePdf(quote),
+  };
+}
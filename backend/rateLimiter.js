@@ -11,7 +11,18 @@ const CONFIG = {
     public: { requests: 30, window: 60 * 1000 }, // 30 req/minute pour pages publiques
     api: { requests: 20, window: 60 * 1000 }, // 20 req/minute pour API
     contact: { requests: 3, window: 10 * 60 * 1000 }, // 3 req/10min pour contact
+    contactAck: { requests: 3, window: 24 * 60 * 60 * 1000 }, // 3 req/jour pour accusés de réception
+    ticketLookup: { requests: 10, window: 10 * 60 * 1000 }, // 10 req/10min pour suivi des tickets
     order: { requests: 2, window: 5 * 60 * 1000 }, // 2 req/5min pour commandes
+    orderReplay: { requests: 20, window: 5 * 60 * 1000 }, // 20 req/5min pour rejeux de commande (clé d'idempotence)
+    orderLookup: { requests: 10, window: 10 * 60 * 1000 }, // 10 req/10min pour suivi de commande
+    upload: { requests: 5, window: 10 * 60 * 1000 }, // 5 req/10min pour envois de fichiers
+    promo: { requests: 10, window: 10 * 60 * 1000 }, // 10 req/10min pour codes promo
+    checkout: { requests: 20, window: 10 * 60 * 1000 }, // 20 req/10min pour brouillons de commande
+    login: { requests: 5, window: 15 * 60 * 1000 }, // 5 req/15min pour liens de connexion
+    loginVerify: { requests: 10, window: 15 * 60 * 1000 }, // 10 req/15min pour ouvertures de lien de connexion
+    quote: { requests: 5, window: 60 * 60 * 1000 }, // 5 req/heure pour demandes de devis
+    onboarding: { requests: 20, window: 10 * 60 * 1000 }, // 20 req/10min pour fiches de mise en service
   },
 
   // Cache simple - pas besoin de milliers d'entrées
@@ -36,9 +47,10 @@ const WHITELIST_IPS = new Set(['127.0.0.1', '::1']);
 // =============================================
 
 /**
- * Extraction d'IP simplifiée
+ * IP transmise par le proxy, null si aucun en-tête ne la fournit
+ * Exportée pour les traitements qui s'appuient sur l'IP (score de risque)
  */
-function getClientIP(request) {
+export function getForwardedIP(request) {
   // Priorité aux headers de proxy les plus courants
   const forwarded = request.headers.get('x-forwarded-for');
   if (forwarded) {
@@ -50,8 +62,15 @@ function getClientIP(request) {
     return realIP;
   }
 
+  return null;
+}
+
+/**
+ * Extraction d'IP simplifiée
+ */
+function getClientIP(request) {
   // Fallback
-  return '127.0.0.1';
+  return getForwardedIP(request) || '127.0.0.1';
 }
 
 /**
@@ -85,15 +104,15 @@ function log(message, data = {}) {
 /**
  * Vérification de rate limit simple
  */
-function checkRateLimit(ip, limit) {
+function checkRateLimit(ip, limit, cacheKey = ip) {
   const now = Date.now();
   const windowStart = now - limit.window;
 
-  // Récupérer ou créer l'entrée pour cette IP
-  let userData = requestsCache.get(ip);
+  // Récupérer ou créer l'entrée pour cette IP (une entrée par type de limite)
+  let userData = requestsCache.get(cacheKey);
   if (!userData) {
     userData = { requests: [], blocked: false };
-    requestsCache.set(ip, userData);
+    requestsCache.set(cacheKey, userData);
   }
 
   // Nettoyer les requêtes expirées
@@ -160,6 +179,7 @@ export function createRateLimit(limitType = 'public') {
   return async function rateLimit(request) {
     const ip = getClientIP(request);
     const path = request.nextUrl?.pathname || request.url || '';
+    const cacheKey = `${limitType}:${ip}`;
 
     try {
       // Vérifier la whitelist
@@ -193,8 +213,8 @@ export function createRateLimit(limitType = 'public') {
       }
 
       // Vérifier le rate limit
-      if (!checkRateLimit(ip, limit)) {
-        const userData = requestsCache.get(ip);
+      if (!checkRateLimit(ip, limit, cacheKey)) {
+        const userData = requestsCache.get(cacheKey);
 
         // Si c'est un récidiviste, le bloquer temporairement
         if (userData && userData.requests.length > limit.requests * 2) {
@@ -230,7 +250,7 @@ export function createRateLimit(limitType = 'public') {
       }
 
       // Requête autorisée
-      const userData = requestsCache.get(ip);
+      const userData = requestsCache.get(cacheKey);
       const remaining = Math.max(0, limit.requests - userData.requests.length);
 
       log(`Request allowed: ${anonymizeIP(ip)} -> ${path}`, {
@@ -252,10 +272,46 @@ export function createRateLimit(limitType = 'public') {
  * Messages contextualisés selon l'endpoint
  */
 function getContextualMessage(path) {
+  if (path.includes('/contact/ticket')) {
+    return 'Trop de recherches de ticket. Veuillez patienter.';
+  }
+
+  if (path.includes('/contact/acknowledgement')) {
+    return "Trop d'accusés de réception demandés. Veuillez patienter.";
+  }
+
   if (path.includes('/contact')) {
     return 'Trop de messages envoyés. Veuillez patienter avant de renvoyer.';
   }
 
+  if (path.includes('/order/promo')) {
+    return 'Trop de codes promo essayés. Veuillez patienter.';
+  }
+
+  if (path.includes('/order/checkout')) {
+    return 'Trop de sauvegardes de commande. Veuillez patienter.';
+  }
+
+  if (path.includes('/quote')) {
+    return 'Trop de demandes de devis. Veuillez patienter.';
+  }
+
+  if (path.includes('/account/onboarding')) {
+    return "Trop d'enregistrements de la fiche de mise en service. Veuillez patienter.";
+  }
+
+  if (path.includes('/account/login/verify')) {
+    return 'Trop de tentatives de connexion. Veuillez patienter.';
+  }
+
+  if (path.includes('/account/login')) {
+    return 'Trop de demandes de connexion. Veuillez patienter.';
+  }
+
+  if (path.includes('/order/lookup')) {
+    return 'Trop de recherches de commande. Veuillez patienter.';
+  }
+
   if (path.includes('/order') || path.includes('order')) {
     return 'Trop de tentatives de commande. Veuillez patienter.';
   }
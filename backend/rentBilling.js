@@ -0,0 +1,401 @@
+// backend/rentBilling.js
+// Facturation mensuelle des frais de gestion (application_rent)
+// Abonnement créé au paiement de la commande, factures et relances générées
+// par le job planifié scripts/rent-billing.mjs
+
+import { getClient, withTransaction } from './dbConnect.js';
+import { isEmailConfigured, sendEmailWithRetry } from './emailService.js';
+import { renderEmail } from './emailTemplates/index.js';
+import { getOrderItems } from './orderItems.js';
+import { captureException } from '../instrumentation.js';
+
+const CONFIG = {
+  dueDays: 7, // Délai de paiement après le début de la période
+  upcomingReminderDays: 3, // Rappel avant échéance
+  overdueReminderInterval: 7, // Jours entre deux relances d'impayé
+  maxReminders: 4, // 1 rappel + 3 relances maximum par facture
+  maxCatchUpPeriods: 12, // Rattrapage maximum si le job n'a pas tourné
+  timeZone: 'Africa/Djibouti',
+};
+
+export const SUBSCRIPTION_STATUSES = {
+  ACTIVE: 'active',
+  SUSPENDED: 'suspended',
+  CANCELLED: 'cancelled',
+};
+
+export const INVOICE_STATUSES = {
+  DUE: 'due',
+  OVERDUE: 'overdue',
+  PAID: 'paid',
+  CANCELLED: 'cancelled',
+};
+
+// =============================================
+// UTILITAIRES
+// =============================================
+
+// Date du jour à Djibouti au format YYYY-MM-DD (indépendante du fuseau du serveur)
+function getBillingDate(date = new Date()) {
+  return date.toLocaleDateString('en-CA', { timeZone: CONFIG.timeZone });
+}
+
+// =============================================
+// ABONNEMENTS
+// =============================================
+
+/**
+ * Crée les abonnements d'une commande qui vient d'être payée
+ * Un abonnement par application commandée ayant des frais de gestion
+ * Gestion prépayée : une facture déjà réglée couvre la période prépayée,
+ * la facturation mensuelle reprend ensuite
+ * À appeler dans la transaction qui fait passer la commande en "paid"
+ * Sans effet pour les abonnements déjà existants
+ */
+export async function createSubscriptionsForOrder(client, orderId) {
+  const items = await getOrderItems(client, orderId);
+  const created = [];
+
+  for (const item of items) {
+    if (item.monthlyRent <= 0) continue;
+
+    // Frais de gestion figés au prix de la commande
+    const result = await client.query(
+      `INSERT INTO admin.subscriptions (
+        subscription_order_id,
+        subscription_application_id,
+        subscription_customer_email,
+        subscription_monthly_rent,
+        subscription_start_date,
+        subscription_periods_billed
+      )
+      SELECT order_id, $2, LOWER(order_client[3]), $3, $4::date, $5
+      FROM admin.orders
+      WHERE order_id = $1
+      ON CONFLICT (subscription_order_id, subscription_application_id) DO NOTHING
+      RETURNING subscription_id, subscription_start_date`,
+      [
+        orderId,
+        item.applicationId,
+        item.monthlyRent,
+        getBillingDate(),
+        item.prepaidMonths,
+      ],
+    );
+
+    if (result.rows.length > 0 && item.prepaidMonths > 0) {
+      await client.query(
+        `INSERT INTO admin.rent_invoices (
+          invoice_subscription_id, invoice_period_start, invoice_period_end,
+          invoice_amount, invoice_due_date, invoice_status, invoice_paid_at
+        ) VALUES (
+          $1, $2::date,
+          ($2::date + make_interval(months => $3) - INTERVAL '1 day')::date,
+          $4, $2::date, $5, NOW()
+        )`,
+        [
+          result.rows[0].subscription_id,
+          result.rows[0].subscription_start_date,
+          item.prepaidMonths,
+          item.prepaidAmount,
+          INVOICE_STATUSES.PAID,
+        ],
+      );
+    }
+
+    created.push(...result.rows);
+  }
+
+  return created;
+}
+
+/**
+ * Annule les abonnements d'une commande remboursée et leurs factures impayées
+ */
+export async function cancelSubscriptionsForOrder(client, orderId) {
+  const result = await client.query(
+    `UPDATE admin.subscriptions
+    SET subscription_status = $2, subscription_updated = NOW()
+    WHERE subscription_order_id = $1 AND subscription_status <> $2
+    RETURNING subscription_id`,
+    [orderId, SUBSCRIPTION_STATUSES.CANCELLED],
+  );
+
+  if (result.rows.length === 0) return [];
+
+  await client.query(
+    `UPDATE admin.rent_invoices
+    SET invoice_status = $2
+    WHERE invoice_subscription_id = ANY($1::uuid[]) AND invoice_status IN ($3, $4)`,
+    [
+      result.rows.map((row) => row.subscription_id),
+      INVOICE_STATUSES.CANCELLED,
+      INVOICE_STATUSES.DUE,
+      INVOICE_STATUSES.OVERDUE,
+    ],
+  );
+
+  return result.rows;
+}
+
+// =============================================
+// FACTURES
+// =============================================
+
+/**
+ * Génère les factures des périodes commencées à la date donnée
+ * Une période = un mois à partir de la date de début de l'abonnement
+ * Idempotent : contrainte unique (abonnement, début de période)
+ *
+ * @returns {Promise<number>} Nombre de factures créées
+ */
+export async function generateDueInvoices(client, billingDate) {
+  let created = 0;
+
+  // Une itération par mois en retard (job arrêté plusieurs mois)
+  for (let i = 0; i < CONFIG.maxCatchUpPeriods; i++) {
+    const inserted = await withTransaction(client, async (tx) => {
+      const due = await tx.query(
+        `SELECT subscription_id, subscription_monthly_rent,
+          (subscription_start_date
+            + subscription_periods_billed * INTERVAL '1 month')::date AS period_start,
+          (subscription_start_date
+            + (subscription_periods_billed + 1) * INTERVAL '1 month'
+            - INTERVAL '1 day')::date AS period_end
+        FROM admin.subscriptions
+        WHERE subscription_status = $1
+          AND subscription_start_date
+            + subscription_periods_billed * INTERVAL '1 month' <= $2::date
+        FOR UPDATE SKIP LOCKED`,
+        [SUBSCRIPTION_STATUSES.ACTIVE, billingDate],
+      );
+
+      for (const row of due.rows) {
+        await tx.query(
+          `INSERT INTO admin.rent_invoices (
+            invoice_subscription_id, invoice_period_start, invoice_period_end,
+            invoice_amount, invoice_due_date
+          ) VALUES ($1, $2, $3, $4, $2::date + $5::integer)
+          ON CONFLICT (invoice_subscription_id, invoice_period_start) DO NOTHING`,
+          [
+            row.subscription_id,
+            row.period_start,
+            row.period_end,
+            row.subscription_monthly_rent,
+            CONFIG.dueDays,
+          ],
+        );
+
+        await tx.query(
+          `UPDATE admin.subscriptions
+          SET subscription_periods_billed = subscription_periods_billed + 1,
+            subscription_updated = NOW()
+          WHERE subscription_id = $1`,
+          [row.subscription_id],
+        );
+      }
+
+      return due.rows.length;
+    });
+
+    if (inserted === 0) break;
+    created += inserted;
+  }
+
+  return created;
+}
+
+/**
+ * Passe en "overdue" les factures dont l'échéance est dépassée
+ *
+ * @returns {Promise<number>} Nombre de factures passées en retard
+ */
+export async function markOverdueInvoices(client, billingDate) {
+  const result = await client.query(
+    `UPDATE admin.rent_invoices
+    SET invoice_status = $1
+    WHERE invoice_status = $2 AND invoice_due_date < $3::date`,
+    [INVOICE_STATUSES.OVERDUE, INVOICE_STATUSES.DUE, billingDate],
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Factures impayées d'une commande, la plus ancienne échéance en premier
+ * Verrouillées jusqu'à la fin de la transaction appelante
+ */
+export async function getOpenRentInvoices(client, orderId) {
+  const result = await client.query(
+    `SELECT i.invoice_id, i.invoice_amount, i.invoice_due_date
+    FROM admin.rent_invoices i
+    JOIN admin.subscriptions s ON s.subscription_id = i.invoice_subscription_id
+    WHERE s.subscription_order_id = $1 AND i.invoice_status IN ($2, $3)
+    ORDER BY i.invoice_due_date ASC, i.invoice_period_start ASC
+    FOR UPDATE OF i`,
+    [orderId, INVOICE_STATUSES.DUE, INVOICE_STATUSES.OVERDUE],
+  );
+
+  return result.rows;
+}
+
+/**
+ * Marque une facture comme payée
+ * Appelée par le webhook de paiement (backend/paymentWebhooks.js) quand le
+ * montant reçu pour une commande déjà réglée correspond à une facture ouverte
+ */
+export async function markInvoicePaid(client, invoiceId) {
+  const result = await client.query(
+    `UPDATE admin.rent_invoices
+    SET invoice_status = $2, invoice_paid_at = NOW()
+    WHERE invoice_id = $1 AND invoice_status IN ($3, $4)
+    RETURNING invoice_id`,
+    [
+      invoiceId,
+      INVOICE_STATUSES.PAID,
+      INVOICE_STATUSES.DUE,
+      INVOICE_STATUSES.OVERDUE,
+    ],
+  );
+
+  return result.rowCount > 0;
+}
+
+// =============================================
+// RELANCES
+// =============================================
+
+/**
+ * Envoie les rappels avant échéance et les relances d'impayés
+ * Le compteur de relances n'est incrémenté qu'après un envoi réussi
+ *
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+export async function sendRentReminders(client, billingDate) {
+  const stats = { sent: 0, failed: 0 };
+
+  if (!isEmailConfigured()) {
+    captureException(new Error('Configuration email manquante'), {
+      tags: { component: 'rent_billing', operation: 'reminders' },
+    });
+    return stats;
+  }
+
+  const result = await client.query(
+    `SELECT
+      i.invoice_id, i.invoice_period_start, i.invoice_period_end,
+      i.invoice_amount, i.invoice_due_date, i.invoice_status,
+      s.subscription_customer_email AS email,
+      o.order_id, o.order_client[1] AS last_name, o.order_client[2] AS first_name,
+      a.application_name, p.platform_name, p.platform_number
+    FROM admin.rent_invoices i
+    JOIN admin.subscriptions s ON s.subscription_id = i.invoice_subscription_id
+    JOIN admin.orders o ON o.order_id = s.subscription_order_id
+    JOIN catalog.applications a ON a.application_id = s.subscription_application_id
+    JOIN admin.platforms p ON p.platform_id = o.order_platform_id
+    WHERE s.subscription_status = $1
+      AND i.invoice_reminder_count < $2
+      AND (
+        (i.invoice_status = $3
+          AND i.invoice_reminder_count = 0
+          AND i.invoice_due_date <= $4::date + $5::integer)
+        OR
+        (i.invoice_status = $6
+          AND (i.invoice_last_reminder_at IS NULL
+            OR i.invoice_last_reminder_at < NOW() - $7::integer * INTERVAL '1 day'))
+      )
+    ORDER BY i.invoice_due_date ASC`,
+    [
+      SUBSCRIPTION_STATUSES.ACTIVE,
+      CONFIG.maxReminders,
+      INVOICE_STATUSES.DUE,
+      billingDate,
+      CONFIG.upcomingReminderDays,
+      INVOICE_STATUSES.OVERDUE,
+      CONFIG.overdueReminderInterval,
+    ],
+  );
+
+  // Envois séquentiels : volume faible, évite de saturer Resend
+  for (const invoice of result.rows) {
+    const isOverdue = invoice.invoice_status === INVOICE_STATUSES.OVERDUE;
+
+    const emailResult = await sendEmailWithRetry(
+      {
+        to: [invoice.email],
+        ...renderEmail('rentReminder', {
+          overdue: isOverdue,
+          firstName: invoice.first_name,
+          lastName: invoice.last_name,
+          applicationName: invoice.application_name,
+          periodStart: invoice.invoice_period_start,
+          periodEnd: invoice.invoice_period_end,
+          amount: invoice.invoice_amount,
+          dueDate: invoice.invoice_due_date,
+          platformName: invoice.platform_name,
+          platformNumber: invoice.platform_number,
+          orderId: invoice.order_id,
+        }),
+        replyTo: process.env.RESEND_TO_EMAIL,
+        headers: {
+          'X-Order-Id': String(invoice.order_id),
+          'X-Invoice-Id': String(invoice.invoice_id),
+        },
+      },
+      { emailType: isOverdue ? 'rent_overdue' : 'rent_reminder' },
+    );
+
+    if (!emailResult.success) {
+      stats.failed++;
+      continue;
+    }
+
+    await client.query(
+      `UPDATE admin.rent_invoices
+      SET invoice_reminder_count = invoice_reminder_count + 1,
+        invoice_last_reminder_at = NOW()
+      WHERE invoice_id = $1`,
+      [invoice.invoice_id],
+    );
+    stats.sent++;
+  }
+
+  return stats;
+}
+
+// =============================================
+// JOB PLANIFIÉ
+// =============================================
+
+/**
+ * Exécute un passage complet de facturation : factures, retards, relances
+ * Peut être relancé sans risque plusieurs fois par jour
+ */
+export async function runRentBillingJob({ date = new Date() } = {}) {
+  const billingDate = getBillingDate(date);
+  let client = null;
+
+  try {
+    client = await getClient();
+    const invoicesCreated = await generateDueInvoices(client, billingDate);
+    const invoicesOverdue = await markOverdueInvoices(client, billingDate);
+    const reminders = await sendRentReminders(client, billingDate);
+
+    return {
+      success: true,
+      billingDate,
+      invoicesCreated,
+      invoicesOverdue,
+      reminders,
+    };
+  } catch (error) {
+    captureException(error, {
+      tags: { component: 'rent_billing', operation: 'billing_job' },
+      extra: { billingDate },
+    });
+
+    return { success: false, billingDate, error: error.message };
+  } finally {
+    if (client) client.release();
+  }
+}
@@ -0,0 +1,76 @@
+// backend/webhookSignature.js
+// Signature HMAC des webhooks de paiement
+// En-tête : x-webhook-signature: t=<timestamp unix>,v1=<hex HMAC-SHA256 de "<t>.<corps brut>">
+// Sans dépendance à la base : utilisé aussi par scripts/fake-payment-provider.mjs
+
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const SIGNATURE_HEADER = 'x-webhook-signature';
+
+// Écart maximum entre l'horodatage signé et l'heure du serveur (rejeu)
+const TOLERANCE_SECONDS = 300;
+
+/**
+ * Secret partagé avec la plateforme : PAYMENT_WEBHOOK_SECRET_<SLUG>
+ * ("d-money" → PAYMENT_WEBHOOK_SECRET_D_MONEY)
+ */
+export function getWebhookSecret(slug) {
+  const name = `PAYMENT_WEBHOOK_SECRET_${String(slug).toUpperCase().replace(/-/g, '_')}`;
+  return process.env[name] || null;
+}
+
+function computeSignature(secret, timestamp, rawBody) {
+  return createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+}
+
+/**
+ * Construit la valeur de l'en-tête de signature
+ */
+export function signWebhookPayload(
+  secret,
+  rawBody,
+  timestamp = Math.floor(Date.now() / 1000),
+) {
+  return `t=${timestamp},v1=${computeSignature(secret, timestamp, rawBody)}`;
+}
+
+/**
+ * Vérifie la signature et la fraîcheur d'un webhook
+ *
+ * @returns {{valid: boolean, reason?: string}}
+ */
+export function verifyWebhookSignature(secret, rawBody, header) {
+  if (!header) {
+    return { valid: false, reason: 'MISSING_SIGNATURE' };
+  }
+
+  const parts = Object.fromEntries(
+    header.split(',').map((part) => {
+      const [key, ...value] = part.trim().split('=');
+      return [key, value.join('=')];
+    }),
+  );
+
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/i.test(parts.v1 || '')) {
+    return { valid: false, reason: 'MALFORMED_SIGNATURE' };
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    return { valid: false, reason: 'TIMESTAMP_OUT_OF_WINDOW' };
+  }
+
+  const expected = Buffer.from(
+    computeSignature(secret, timestamp, rawBody),
+    'hex',
+  );
+  const received = Buffer.from(parts.v1, 'hex');
+
+  if (!timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'INVALID_SIGNATURE' };
+  }
+
+  return { valid: true };
+}
@@ -0,0 +1,266 @@
+'use client';
+
+import { useState, useCallback } from 'react';
+import Link from 'next/link';
+
+import './accountStyles/index.scss';
+import Parallax from '../layouts/parallax';
+import { downloadAccountInvoice, logout } from '@/actions/accountActions';
+import { formatPrice, getOrderStatusLabel } from '@/utils/helpers';
+import { trackEvent } from '@/utils/analytics';
+
+const SUBSCRIPTION_STATUS_LABELS = {
+  active: 'Actif',
+  suspended: 'Suspendu',
+  cancelled: 'Résilié',
+};
+
+const RENT_INVOICE_STATUS_LABELS = {
+  due: 'À payer',
+  overdue: 'En retard',
+  paid: 'Payée',
+  cancelled: 'Annulée',
+};
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('fr-FR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+
+// Téléchargement de la facture PDF (renvoyée en base64 par la Server Action)
+const InvoiceButton = ({ orderId, invoiceNumber }) => {
+  const [state, setState] = useState({ loading: false, error: '' });
+
+  const handleDownload = useCallback(async () => {
+    setState({ loading: true, error: '' });
+
+    try {
+      const formData = new FormData();
+      formData.append('orderId', orderId);
+
+      const result = await downloadAccountInvoice(formData);
+
+      if (!result.success) {
+        setState({ loading: false, error: result.message });
+        return;
+      }
+
+      const bytes = Uint8Array.from(atob(result.content), (c) =>
+        c.charCodeAt(0),
+      );
+      const url = URL.createObjectURL(
+        new Blob([bytes], { type: 'application/pdf' }),
+      );
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = result.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      setState({ loading: false, error: '' });
+      trackEvent('order_invoice_downloaded', {
+        event_category: 'ecommerce',
+        event_label: 'account',
+      });
+    } catch {
+      setState({
+        loading: false,
+        error: 'Erreur de connexion. Veuillez réessayer.',
+      });
+    }
+  }, [orderId]);
+
+  return (
+    <div className="account-invoice">
+      <button
+        type="button"
+        className="account-link-button"
+        onClick={handleDownload}
+        disabled={state.loading}
+      >
+        {state.loading
+          ? 'Génération...'
+          : `Facture${invoiceNumber ? ` ${invoiceNumber}` : ''} (PDF)`}
+      </button>
+      {state.error && (
+        <span className="account-invoice-error" role="alert">
+          {state.error}
+        </span>
+      )}
+    </div>
+  );
+};
+
+const OrderCard = ({ order }) => {
+  const status = getOrderStatusLabel(order.status);
+
+  return (
+    <li className="account-card">
+      <div className="account-card-header">
+        <span className="account-card-title">
+          {order.applications.join(', ')}
+        </span>
+        <span className={`account-status status-${status.tone}`}>
+          {status.label}
+        </span>
+      </div>
+      <dl className="account-card-details">
+        <dt>Commande</dt>
+        <dd className="account-order-id">{order.id}</dd>
+        <dt>Date</dt>
+        <dd>{formatDate(order.created)}</dd>
+        <dt>Montant</dt>
+        <dd>FDJ {formatPrice(order.amount)}</dd>
+        <dt>Paiement</dt>
+        <dd>{order.platform || '—'}</dd>
+      </dl>
+      {order.onboarding && (
+        <div className="account-onboarding">
+          <div className="onboarding-progress-label">
+            <span>Mise en service</span>
+            <span>
+              {order.onboarding.completed} / {order.onboarding.total} étapes
+            </span>
+          </div>
+          <progress
+            className="onboarding-progress-bar"
+            value={order.onboarding.percent}
+            max={100}
+            aria-label="Progression de la mise en service"
+          />
+          <Link
+            href={`/account/orders/${order.id}/onboarding`}
+            className="account-link"
+          >
+            {order.onboarding.isComplete
+              ? 'Voir ma fiche de mise en service'
+              : 'Compléter ma fiche de mise en service'}
+          </Link>
+        </div>
+      )}
+      <div className="account-card-actions">
+        <InvoiceButton orderId={order.id} invoiceNumber={order.invoiceNumber} />
+        <Link href={`/orders/${order.id}`} className="account-link">
+          Suivi de commande
+        </Link>
+      </div>
+    </li>
+  );
+};
+
+const SubscriptionCard = ({ subscription }) => (
+  <li className="account-card">
+    <div className="account-card-header">
+      <span className="account-card-title">{subscription.applicationName}</span>
+      <span
+        className={`account-status status-${subscription.status === 'active' ? 'success' : 'neutral'}`}
+      >
+        {SUBSCRIPTION_STATUS_LABELS[subscription.status] || subscription.status}
+      </span>
+    </div>
+    <p className="account-hint">
+      Frais de gestion : FDJ {formatPrice(subscription.monthlyRent)} / mois,
+      depuis le {formatDate(subscription.startDate)}
+    </p>
+
+    {subscription.invoices.length > 0 ? (
+      <table className="account-table">
+        <thead>
+          <tr>
+            <th>Période</th>
+            <th>Échéance</th>
+            <th>Montant</th>
+            <th>Statut</th>
+          </tr>
+        </thead>
+        <tbody>
+          {subscription.invoices.map((invoice) => (
+            <tr key={invoice.id} className={`invoice-${invoice.status}`}>
+              <td>
+                {formatDate(invoice.periodStart)} –{' '}
+                {formatDate(invoice.periodEnd)}
+              </td>
+              <td>{formatDate(invoice.dueDate)}</td>
+              <td>FDJ {formatPrice(invoice.amount)}</td>
+              <td>
+                {RENT_INVOICE_STATUS_LABELS[invoice.status] || invoice.status}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    ) : (
+      <p className="account-empty">Aucune facture pour le moment.</p>
+    )}
+  </li>
+);
+
+// Espace client : commandes, factures et abonnements
+const AccountPage = ({ email, overview }) => {
+  return (
+    <div>
+      <section className="first">
+        <Parallax bgColor="#0c0c1d" title="Mon compte" planets="/sun.png" />
+      </section>
+
+      <section className="others account-section">
+        <div className="account account-wide">
+          <div className="account-header">
+            <div>
+              <h2 className="account-title">Mon espace client</h2>
+              <p className="account-hint">{email}</p>
+            </div>
+            <form action={logout}>
+              <button type="submit" className="account-link-button">
+                Se déconnecter
+              </button>
+            </form>
+          </div>
+
+          {!overview ? (
+            <div className="account-error" role="alert">
+              Impossible de charger vos commandes pour le moment. Veuillez
+              réessayer plus tard.
+            </div>
+          ) : (
+            <>
+              <h3 className="account-subtitle">Mes commandes</h3>
+              {overview.orders.length > 0 ? (
+                <ul className="account-list">
+                  {overview.orders.map((order) => (
+                    <OrderCard key={order.id} order={order} />
+                  ))}
+                </ul>
+              ) : (
+                <p className="account-empty">
+                  Aucune commande associée à cette adresse email.{' '}
+                  <Link href="/templates" className="account-link">
+                    Découvrir nos templates
+                  </Link>
+                </p>
+              )}
+
+              {overview.subscriptions.length > 0 && (
+                <>
+                  <h3 className="account-subtitle">Mes abonnements</h3>
+                  <ul className="account-list">
+                    {overview.subscriptions.map((subscription) => (
+                      <SubscriptionCard
+                        key={subscription.id}
+                        subscription={subscription}
+                      />
+                    ))}
+                  </ul>
+                </>
+              )}
+            </>
+          )}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default AccountPage;
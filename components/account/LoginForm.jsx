@@ -0,0 +1,116 @@
+'use client';
+
+import { useState, useCallback } from 'react';
+
+import './accountStyles/index.scss';
+import Parallax from '../layouts/parallax';
+import { requestLoginLink } from '@/actions/accountActions';
+import { trackEvent } from '@/utils/analytics';
+
+// Connexion sans mot de passe : demande d'un lien par email
+const LoginForm = ({ initialError = '' }) => {
+  const [email, setEmail] = useState('');
+  const [state, setState] = useState({
+    loading: false,
+    error: initialError,
+    sent: false,
+  });
+
+  const handleSubmit = useCallback(
+    async (e) => {
+      e.preventDefault();
+      setState({ loading: true, error: '', sent: false });
+
+      try {
+        const formData = new FormData();
+        formData.append('email', email);
+
+        const result = await requestLoginLink(formData);
+
+        if (!result.success) {
+          setState({ loading: false, error: result.message, sent: false });
+          return;
+        }
+
+        setState({ loading: false, error: '', sent: true });
+        trackEvent('login_link_requested', { event_category: 'account' });
+      } catch {
+        setState({
+          loading: false,
+          error: 'Erreur de connexion. Veuillez réessayer.',
+          sent: false,
+        });
+      }
+    },
+    [email],
+  );
+
+  return (
+    <div>
+      <section className="first">
+        <Parallax bgColor="#0c0c1d" title="Mon compte" planets="/sun.png" />
+      </section>
+
+      <section className="others account-section">
+        <div className="account">
+          <h2 className="account-title">Connexion</h2>
+
+          {state.sent ? (
+            <div className="account-notice" role="status">
+              <p>
+                Un lien de connexion a été envoyé à <strong>{email}</strong>.
+              </p>
+              <p>
+                Ouvrez-le depuis cet appareil pour accéder à votre espace.
+                Pensez à vérifier vos courriers indésirables.
+              </p>
+              <button
+                type="button"
+                className="account-link-button"
+                onClick={() => setState({ ...state, sent: false })}
+              >
+                Utiliser une autre adresse
+              </button>
+            </div>
+          ) : (
+            <>
+              <p className="account-hint">
+                Saisissez l&apos;adresse email utilisée pour vos commandes :
+                vous recevrez un lien de connexion, sans mot de passe.
+              </p>
+
+              <form className="account-form" onSubmit={handleSubmit}>
+                <input
+                  type="email"
+                  name="email"
+                  placeholder="Adresse email"
+                  aria-label="Adresse email"
+                  autoComplete="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  disabled={state.loading}
+                  required
+                />
+                <button
+                  type="submit"
+                  className="account-button-primary"
+                  disabled={state.loading}
+                >
+                  {state.loading ? 'Envoi...' : 'Recevoir mon lien'}
+                </button>
+              </form>
+            </>
+          )}
+
+          {state.error && (
+            <div className="account-error" role="alert">
+              {state.error}
+            </div>
+          )}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default LoginForm;
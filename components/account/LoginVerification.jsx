@@ -0,0 +1,80 @@
+'use client';
+
+import { useState, useCallback } from 'react';
+import Link from 'next/link';
+
+import './accountStyles/index.scss';
+import Parallax from '../layouts/parallax';
+import { verifyLoginLink } from '@/actions/accountActions';
+import { trackEvent } from '@/utils/analytics';
+
+// Confirmation de connexion ouverte depuis le lien reçu par email
+const LoginVerification = ({ token }) => {
+  const [state, setState] = useState({ loading: false, error: '' });
+
+  const handleConfirm = useCallback(async () => {
+    setState({ loading: true, error: '' });
+
+    try {
+      const formData = new FormData();
+      formData.append('token', token);
+
+      // En cas de succès, l'action redirige vers /account
+      const result = await verifyLoginLink(formData);
+
+      if (result?.success === false) {
+        setState({ loading: false, error: result.message });
+        trackEvent('login_link_failed', {
+          event_category: 'account',
+          event_label: result.code,
+        });
+      }
+    } catch {
+      setState({
+        loading: false,
+        error: 'Erreur de connexion. Veuillez réessayer.',
+      });
+    }
+  }, [token]);
+
+  return (
+    <div>
+      <section className="first">
+        <Parallax bgColor="#0c0c1d" title="Mon compte" planets="/sun.png" />
+      </section>
+
+      <section className="others account-section">
+        <div className="account">
+          <h2 className="account-title">Connexion</h2>
+
+          <p className="account-hint">
+            Confirmez la connexion à votre espace client Benew. Ce lien ne peut
+            être utilisé qu&apos;une fois.
+          </p>
+
+          <button
+            type="button"
+            className="account-button-primary"
+            onClick={handleConfirm}
+            disabled={state.loading}
+          >
+            {state.loading ? 'Connexion...' : 'Me connecter'}
+          </button>
+
+          {state.error && (
+            <>
+              <div className="account-error" role="alert">
+                {state.error}
+              </div>
+              <Link href="/account/login" className="account-link">
+                Recevoir un nouveau lien
+              </Link>
+            </>
+          )}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default LoginVerification;
@@ -0,0 +1,480 @@
+'use client';
+
+import { useRef, useState, useMemo } from 'react';
+import Link from 'next/link';
+
+import './accountStyles/index.scss';
+import Parallax from '../layouts/parallax';
+import { saveOnboarding } from '@/actions/onboardingActions';
+import {
+  HOSTING_PREFERENCES,
+  computeOnboardingProgress,
+  isOnboardingEditable,
+} from '@/utils/orderOnboarding';
+import {
+  ONBOARDING_LOGO_CONFIG,
+  validateOnboardingLogoFile,
+} from '@/utils/schemas/onboardingLogoSchema';
+import { validateOnboarding } from '@/utils/schemas/schema';
+import { formatPhoneAsYouType, formatPhoneNumber } from '@/utils/phone';
+import { trackEvent } from '@/utils/analytics';
+
+const ACCEPTED_LOGO_TYPES = Object.keys(
+  ONBOARDING_LOGO_CONFIG.allowedTypes,
+).join(',');
+
+const DEFAULT_COLOR_PICKER = '#f68b1f';
+
+const toFormState = (onboarding) => ({
+  domain: onboarding?.domain || '',
+  domainOwned: onboarding?.domainOwned || false,
+  professionalEmail: onboarding?.professionalEmail || '',
+  primaryColor: onboarding?.primaryColor || '',
+  secondaryColor: onboarding?.secondaryColor || '',
+  businessName: onboarding?.businessName || '',
+  businessActivity: onboarding?.businessActivity || '',
+  businessPhone: onboarding?.businessPhone
+    ? formatPhoneNumber(onboarding.businessPhone)
+    : '',
+  businessAddress: onboarding?.businessAddress || '',
+  hostingPreference: onboarding?.hostingPreference || '',
+  hostingDetails: onboarding?.hostingDetails || '',
+});
+
+const fieldErrorId = (field) => `onboarding-${field}-error`;
+
+const FieldError = ({ field, message }) =>
+  message ? (
+    <p id={fieldErrorId(field)} className="onboarding-field-error" role="alert">
+      {message}
+    </p>
+  ) : null;
+
+const SectionHeader = ({ title, complete }) => (
+  <legend className="onboarding-section-title">
+    {title}
+    <span
+      className={`onboarding-section-status ${complete ? 'is-complete' : ''}`}
+    >
+      {complete ? 'Complété' : 'À compléter'}
+    </span>
+  </legend>
+);
+
+// Couleur de la marque : sélecteur + valeur saisie, vide tant que non choisie
+const ColorField = ({ name, label, value, onChange, error }) => (
+  <div className="onboarding-color">
+    <label htmlFor={`onboarding-${name}`}>{label}</label>
+    <div className="onboarding-color-inputs">
+      <input
+        type="color"
+        aria-label={`${label} (sélecteur)`}
+        value={value || DEFAULT_COLOR_PICKER}
+        onChange={(e) => onChange(name, e.target.value)}
+      />
+      <input
+        id={`onboarding-${name}`}
+        type="text"
+        placeholder="#000000"
+        maxLength={7}
+        value={value}
+        onChange={(e) => onChange(name, e.target.value)}
+        aria-invalid={error ? true : undefined}
+        aria-describedby={error ? fieldErrorId(name) : undefined}
+      />
+    </div>
+    <FieldError field={name} message={error} />
+  </div>
+);
+
+// Fiche de mise en service : ce dont l'équipe a besoin pour installer l'application
+const OnboardingPage = ({ order, onboarding, loadError }) => {
+  const logoRef = useRef();
+  const [saved, setSaved] = useState(onboarding);
+  const [formData, setFormData] = useState(() => toFormState(onboarding));
+  const [logoFile, setLogoFile] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [state, setState] = useState({
+    loading: false,
+    error: '',
+    success: '',
+  });
+
+  // Progression affichée en direct, logo compris s'il vient d'être choisi
+  const progress = useMemo(
+    () =>
+      computeOnboardingProgress({
+        ...formData,
+        logo: logoFile || saved?.logo || null,
+      }),
+    [formData, logoFile, saved],
+  );
+  const sectionComplete = (id) =>
+    progress.sections.find((section) => section.id === id)?.complete;
+
+  const editable = order ? isOnboardingEditable(order.status) : false;
+
+  const updateField = (name, value) => {
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (fieldErrors[name]) {
+      setFieldErrors((prev) => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, type, checked } = e.target;
+    let value = type === 'checkbox' ? checked : e.target.value;
+    if (name === 'businessPhone') value = formatPhoneAsYouType(value);
+
+    updateField(name, value);
+  };
+
+  const handleLogoChange = (e) => {
+    const selected = e.target.files?.[0] || null;
+    const check = validateOnboardingLogoFile(selected);
+
+    setLogoFile(check.valid ? selected : null);
+    setFieldErrors((prev) => ({
+      ...prev,
+      logo: selected && !check.valid ? check.error : undefined,
+    }));
+  };
+
+  const fieldProps = (name) => ({
+    id: `onboarding-${name}`,
+    name,
+    value: formData[name],
+    onChange: handleInputChange,
+    'aria-invalid': fieldErrors[name] ? true : undefined,
+    'aria-describedby': fieldErrors[name] ? fieldErrorId(name) : undefined,
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (state.loading || !editable) return;
+
+    // Même schéma que le serveur
+    const validation = await validateOnboarding(formData);
+    if (!validation.success) {
+      setFieldErrors(validation.errors);
+      setState({
+        loading: false,
+        error: 'Veuillez corriger les champs indiqués',
+        success: '',
+      });
+      return;
+    }
+
+    setState({ loading: true, error: '', success: '' });
+
+    try {
+      const payload = new FormData();
+      payload.append('orderId', order.id);
+      Object.entries(formData).forEach(([field, value]) =>
+        payload.append(field, String(value)),
+      );
+      if (logoFile) payload.append('logo', logoFile);
+
+      const result = await saveOnboarding(payload);
+
+      if (!result.success) {
+        setFieldErrors(result.errors || {});
+        setState({ loading: false, error: result.message, success: '' });
+        return;
+      }
+
+      setSaved(result.onboarding);
+      setFormData(toFormState(result.onboarding));
+      setLogoFile(null);
+      if (logoRef.current) logoRef.current.value = '';
+      setState({ loading: false, error: '', success: result.message });
+
+      trackEvent(
+        result.progress.isComplete
+          ? 'onboarding_completed'
+          : 'onboarding_saved',
+        {
+          event_category: 'account',
+          value: result.progress.percent,
+        },
+      );
+    } catch {
+      setState({
+        loading: false,
+        error: 'Erreur de connexion. Veuillez réessayer.',
+        success: '',
+      });
+    }
+  };
+
+  const renderContent = () => {
+    if (loadError || !order) {
+      return (
+        <div className="account-error" role="alert">
+          Impossible de charger votre fiche pour le moment. Veuillez réessayer
+          plus tard.
+        </div>
+      );
+    }
+
+    return (
+      <>
+        <div className="onboarding-progress">
+          <div className="onboarding-progress-label">
+            <span>
+              {progress.completed} / {progress.total} étapes complétées
+            </span>
+            <span>{progress.percent} %</span>
+          </div>
+          <progress
+            className="onboarding-progress-bar"
+            value={progress.percent}
+            max={100}
+            aria-label="Progression de la mise en service"
+          />
+          {saved?.completedAt && (
+            <p className="account-hint">
+              Fiche transmise à notre équipe. Vous pouvez encore la modifier
+              pendant l&apos;installation.
+            </p>
+          )}
+        </div>
+
+        {!editable && (
+          <div className="account-notice" role="status">
+            Cette commande n&apos;est plus en cours d&apos;installation : la
+            fiche est affichée en lecture seule.
+          </div>
+        )}
+
+        {/* Fieldsets désactivés en lecture seule */}
+        <form className="account-form onboarding-form" onSubmit={handleSubmit}>
+          <fieldset className="onboarding-section" disabled={!editable}>
+            <SectionHeader
+              title="Nom de domaine"
+              complete={sectionComplete('domain')}
+            />
+            <label htmlFor="onboarding-domain">Domaine souhaité</label>
+            <input
+              type="text"
+              placeholder="maboutique.dj"
+              autoComplete="off"
+              {...fieldProps('domain')}
+            />
+            <FieldError field="domain" message={fieldErrors.domain} />
+            <label className="onboarding-checkbox">
+              <input
+                type="checkbox"
+                name="domainOwned"
+                checked={formData.domainOwned}
+                onChange={handleInputChange}
+              />
+              Je possède déjà ce nom de domaine
+            </label>
+            <label htmlFor="onboarding-professionalEmail">
+              Email professionnel souhaité (facultatif)
+            </label>
+            <input
+              type="email"
+              placeholder="contact@maboutique.dj"
+              {...fieldProps('professionalEmail')}
+            />
+            <FieldError
+              field="professionalEmail"
+              message={fieldErrors.professionalEmail}
+            />
+          </fieldset>
+
+          <fieldset className="onboarding-section" disabled={!editable}>
+            <SectionHeader title="Logo" complete={sectionComplete('logo')} />
+            {saved?.logo && (
+              <p className="account-hint">
+                Logo actuel : {saved.logo.name || 'envoyé'}. Choisissez un
+                fichier pour le remplacer.
+              </p>
+            )}
+            <input
+              ref={logoRef}
+              id="onboarding-logo"
+              type="file"
+              accept={ACCEPTED_LOGO_TYPES}
+              onChange={handleLogoChange}
+              aria-label="Logo de l'entreprise"
+              aria-describedby="onboarding-logo-hint"
+            />
+            <small id="onboarding-logo-hint" className="account-hint">
+              JPG, PNG ou WEBP — 2 Mo maximum
+            </small>
+            <FieldError field="logo" message={fieldErrors.logo} />
+          </fieldset>
+
+          <fieldset className="onboarding-section" disabled={!editable}>
+            <SectionHeader
+              title="Couleurs de la marque"
+              complete={sectionComplete('colors')}
+            />
+            <div className="onboarding-colors">
+              <ColorField
+                name="primaryColor"
+                label="Couleur principale"
+                value={formData.primaryColor}
+                onChange={updateField}
+                error={fieldErrors.primaryColor}
+              />
+              <ColorField
+                name="secondaryColor"
+                label="Couleur secondaire (facultatif)"
+                value={formData.secondaryColor}
+                onChange={updateField}
+                error={fieldErrors.secondaryColor}
+              />
+            </div>
+          </fieldset>
+
+          <fieldset className="onboarding-section" disabled={!editable}>
+            <SectionHeader
+              title="Votre entreprise"
+              complete={sectionComplete('business')}
+            />
+            <label htmlFor="onboarding-businessName">Nom affiché</label>
+            <input type="text" {...fieldProps('businessName')} />
+            <FieldError
+              field="businessName"
+              message={fieldErrors.businessName}
+            />
+            <label htmlFor="onboarding-businessActivity">Activité</label>
+            <textarea
+              rows={3}
+              placeholder="Ce que vous vendez, à qui, en quelques lignes"
+              {...fieldProps('businessActivity')}
+            />
+            <FieldError
+              field="businessActivity"
+              message={fieldErrors.businessActivity}
+            />
+            <label htmlFor="onboarding-businessPhone">
+              Téléphone affiché sur le site
+            </label>
+            <input
+              type="tel"
+              placeholder="77 12 34 56"
+              {...fieldProps('businessPhone')}
+            />
+            <FieldError
+              field="businessPhone"
+              message={fieldErrors.businessPhone}
+            />
+            <label htmlFor="onboarding-businessAddress">
+              Adresse (facultatif)
+            </label>
+            <input type="text" {...fieldProps('businessAddress')} />
+            <FieldError
+              field="businessAddress"
+              message={fieldErrors.businessAddress}
+            />
+          </fieldset>
+
+          <fieldset className="onboarding-section" disabled={!editable}>
+            <SectionHeader
+              title="Hébergement"
+              complete={sectionComplete('hosting')}
+            />
+            <div className="onboarding-options" role="radiogroup">
+              {Object.values(HOSTING_PREFERENCES).map((preference) => (
+                <label
+                  key={preference.id}
+                  className={`onboarding-option ${formData.hostingPreference === preference.id ? 'selected' : ''}`}
+                >
+                  <input
+                    type="radio"
+                    name="hostingPreference"
+                    value={preference.id}
+                    checked={formData.hostingPreference === preference.id}
+                    onChange={handleInputChange}
+                  />
+                  <span className="onboarding-option-label">
+                    {preference.label}
+                  </span>
+                  <span className="account-hint">{preference.description}</span>
+                </label>
+              ))}
+            </div>
+            <FieldError
+              field="hostingPreference"
+              message={fieldErrors.hostingPreference}
+            />
+            {formData.hostingPreference === 'own' && (
+              <>
+                <label htmlFor="onboarding-hostingDetails">
+                  Hébergeur et accès
+                </label>
+                <textarea
+                  rows={3}
+                  placeholder="Nom de l'hébergeur, type d'offre, base de données disponible..."
+                  {...fieldProps('hostingDetails')}
+                />
+                <FieldError
+                  field="hostingDetails"
+                  message={fieldErrors.hostingDetails}
+                />
+              </>
+            )}
+          </fieldset>
+
+          {state.error && (
+            <div className="account-error" role="alert">
+              {state.error}
+            </div>
+          )}
+          {state.success && (
+            <div className="account-notice" role="status">
+              {state.success}
+            </div>
+          )}
+
+          {editable && (
+            <button
+              type="submit"
+              className="account-button-primary"
+              disabled={state.loading}
+            >
+              {state.loading ? 'Enregistrement...' : 'Enregistrer la fiche'}
+            </button>
+          )}
+        </form>
+      </>
+    );
+  };
+
+  return (
+    <div>
+      <section className="first">
+        <Parallax
+          bgColor="#0c0c1d"
+          title="Mise en service"
+          planets="/sun.png"
+        />
+      </section>
+
+      <section className="others account-section">
+        <div className="account account-wide">
+          <div className="account-header">
+            <div>
+              <h2 className="account-title">Mise en service</h2>
+              {order && (
+                <p className="account-hint">{order.applications.join(', ')}</p>
+              )}
+            </div>
+            <Link href="/account" className="account-link">
+              Retour à mon espace
+            </Link>
+          </div>
+
+          {renderContent()}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default OnboardingPage;
@@ -0,0 +1,171 @@
+'use client';
+
+import { useState, useCallback } from 'react';
+import Link from 'next/link';
+import { CldImage } from 'next-cloudinary';
+import { MdDeleteOutline } from 'react-icons/md';
+
+import './cartStyles/index.scss';
+import Parallax from '../layouts/parallax';
+import OrderModal from '../modal/OrderModal';
+import { useCart } from '../../contexts/CartContext';
+import { formatPrice, getApplicationLevelLabel } from '@/utils/helpers';
+import { trackEvent } from '@/utils/analytics';
+
+// Ligne du panier
+const CartLine = ({ item, onRemove }) => (
+  <li className="cart-line">
+    {item.image && (
+      <CldImage
+        src={item.image}
+        alt={item.name}
+        width={96}
+        height={64}
+        className="cart-line-image"
+        loading="lazy"
+        quality="auto"
+        format="auto"
+      />
+    )}
+    <div className="cart-line-details">
+      {item.templateId ? (
+        <Link
+          href={`/templates/${item.templateId}/applications/${item.applicationId}`}
+          className="cart-line-name"
+        >
+          {item.name}
+        </Link>
+      ) : (
+        <span className="cart-line-name">{item.name}</span>
+      )}
+      <span className="cart-line-meta">
+        {getApplicationLevelLabel(item.level).long} • {item.category}
+      </span>
+    </div>
+    <div className="cart-line-prices">
+      <span className="cart-line-fee">{formatPrice(item.fee)} FDJ</span>
+      <span className="cart-line-rent">{formatPrice(item.rent)} FDJ/mois</span>
+    </div>
+    <button
+      type="button"
+      className="cart-line-remove"
+      onClick={() => onRemove(item)}
+      aria-label={`Retirer ${item.name} du panier`}
+    >
+      <MdDeleteOutline />
+    </button>
+  </li>
+);
+
+// Page panier : récapitulatif et commande groupée
+const CartPage = ({ platforms = [] }) => {
+  const { items, totals, isHydrated, removeItem, clearCart } = useCart();
+  // Contenu figé à l'ouverture de la modal : le panier est vidé dès la
+  // création de la commande sans perturber l'étape de confirmation
+  const [checkoutItems, setCheckoutItems] = useState(null);
+
+  const hasPaymentMethods = platforms.length > 0;
+
+  const handleRemove = useCallback(
+    (item) => {
+      removeItem(item.applicationId);
+      trackEvent('remove_from_cart', {
+        event_category: 'ecommerce',
+        event_label: item.name,
+        application_id: item.applicationId,
+      });
+    },
+    [removeItem],
+  );
+
+  const handleCheckout = useCallback(() => {
+    trackEvent('cart_checkout_start', {
+      event_category: 'ecommerce',
+      items_count: items.length,
+      value: totals.fee,
+    });
+    setCheckoutItems(items);
+  }, [items, totals.fee]);
+
+  const handleModalClose = useCallback(() => setCheckoutItems(null), []);
+
+  return (
+    <div>
+      <section className="first">
+        <Parallax bgColor="#0c0c1d" title="Mon panier" planets="/sun.png" />
+      </section>
+
+      <section className="others cart-section">
+        <div className="cart">
+          <h2 className="cart-title">Mon panier</h2>
+
+          {!isHydrated ? (
+            <p className="cart-hint">Chargement du panier...</p>
+          ) : items.length === 0 ? (
+            <div className="cart-empty">
+              <p className="cart-hint">Votre panier est vide.</p>
+              <Link href="/templates" className="cart-link">
+                Voir nos templates
+              </Link>
+            </div>
+          ) : (
+            <>
+              <ul className="cart-lines">
+                {items.map((item) => (
+                  <CartLine
+                    key={item.applicationId}
+                    item={item}
+                    onRemove={handleRemove}
+                  />
+                ))}
+              </ul>
+
+              <div className="cart-totals">
+                <p>
+                  Frais d&apos;acquisition :{' '}
+                  <strong>{formatPrice(totals.fee)} FDJ</strong>
+                </p>
+                <p className="cart-totals-rent">
+                  Frais de gestion : {formatPrice(totals.rent)} FDJ/mois,
+                  facturés après le paiement
+                </p>
+              </div>
+
+              <div className="cart-actions">
+                <button
+                  type="button"
+                  className="cart-clear"
+                  onClick={clearCart}
+                >
+                  Vider le panier
+                </button>
+                <button
+                  type="button"
+                  className="cart-checkout"
+                  onClick={handleCheckout}
+                  disabled={!hasPaymentMethods}
+                >
+                  {hasPaymentMethods
+                    ? 'Commander le panier'
+                    : 'Paiement indisponible'}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </section>
+
+      {checkoutItems && (
+        <OrderModal
+          isOpen
+          onClose={handleModalClose}
+          platforms={platforms}
+          items={checkoutItems}
+          onOrderCreated={clearCart}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CartPage;
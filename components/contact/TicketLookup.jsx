@@ -0,0 +1,188 @@
+'use client';
+
+import { useState, useCallback } from 'react';
+import Link from 'next/link';
+
+import '../orders/trackingStyles/index.scss';
+import Parallax from '../layouts/parallax';
+import { lookupContactTicket } from '@/actions/contactTicketActions';
+import { getTicketStatusLabel } from '@/utils/helpers';
+import { trackEvent } from '@/utils/analytics';
+
+const formatTicketDate = (value) =>
+  new Date(value).toLocaleString('fr-FR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+// Fil du ticket : message d'origine puis réponses de l'équipe
+const TicketDetails = ({ ticket }) => {
+  const status = getTicketStatusLabel(ticket.status);
+
+  return (
+    <div className="order-details">
+      <div className={`order-status status-${status.tone}`}>{status.label}</div>
+      <table className="order-table">
+        <tbody>
+          <tr>
+            <td className="order-label">Ticket</td>
+            <td className="order-value order-id">{ticket.reference}</td>
+          </tr>
+          <tr>
+            <td className="order-label">Sujet</td>
+            <td className="order-value">{ticket.subject}</td>
+          </tr>
+          <tr>
+            <td className="order-label">Envoyé le</td>
+            <td className="order-value">{formatTicketDate(ticket.created)}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <ol className="ticket-thread">
+        <li className="ticket-entry">
+          <div className="ticket-entry-meta">
+            <span>Votre message</span>
+            <span>{formatTicketDate(ticket.created)}</span>
+          </div>
+          <p className="ticket-entry-content">{ticket.content}</p>
+        </li>
+        {ticket.replies.map((reply) => (
+          <li key={reply.id} className="ticket-entry ticket-entry-team">
+            <div className="ticket-entry-meta">
+              <span>{reply.author} · Benew</span>
+              <span>{formatTicketDate(reply.created)}</span>
+            </div>
+            <p className="ticket-entry-content">{reply.content}</p>
+          </li>
+        ))}
+      </ol>
+
+      {ticket.replies.length === 0 && (
+        <p className="order-proof-note">
+          Votre message a bien été reçu, notre équipe vous répondra par email.
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Suivi d'un ticket de contact (numéro + email de l'expéditeur)
+const TicketLookup = ({ initialReference = '' }) => {
+  const [values, setValues] = useState({
+    reference: initialReference,
+    email: '',
+  });
+  const [state, setState] = useState({
+    loading: false,
+    error: '',
+    ticket: null,
+  });
+
+  const handleChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setValues((prev) => ({ ...prev, [name]: value }));
+  }, []);
+
+  const handleSubmit = useCallback(
+    async (e) => {
+      e.preventDefault();
+      setState({ loading: true, error: '', ticket: null });
+
+      try {
+        const formData = new FormData();
+        formData.append('reference', values.reference);
+        formData.append('email', values.email);
+
+        const result = await lookupContactTicket(formData);
+
+        if (!result.success) {
+          setState({ loading: false, error: result.message, ticket: null });
+          trackEvent('ticket_lookup_failed', {
+            event_category: 'contact',
+            event_label: result.code,
+          });
+          return;
+        }
+
+        setState({ loading: false, error: '', ticket: result.ticket });
+        trackEvent('ticket_lookup_success', {
+          event_category: 'contact',
+          event_label: result.ticket.status,
+        });
+      } catch {
+        setState({
+          loading: false,
+          error: 'Erreur de connexion. Veuillez réessayer.',
+          ticket: null,
+        });
+      }
+    },
+    [values],
+  );
+
+  return (
+    <div>
+      <section className="first">
+        <Parallax bgColor="#0c0c1d" title="Mon message" planets="/sun.png" />
+      </section>
+
+      <section className="others order-tracking-section">
+        <div className="order-tracking">
+          <h2 className="order-tracking-title">Suivre ma demande</h2>
+          <p className="order-tracking-hint">
+            Saisissez le numéro de ticket reçu après l&apos;envoi de votre
+            message (TKT-…) et l&apos;adresse email utilisée.
+          </p>
+
+          <form className="order-tracking-form" onSubmit={handleSubmit}>
+            <input
+              type="text"
+              name="reference"
+              placeholder="Numéro de ticket"
+              aria-label="Numéro de ticket"
+              value={values.reference}
+              onChange={handleChange}
+              disabled={state.loading}
+              required
+            />
+            <input
+              type="email"
+              name="email"
+              placeholder="Adresse email"
+              aria-label="Adresse email"
+              value={values.email}
+              onChange={handleChange}
+              disabled={state.loading}
+              required
+            />
+            <button
+              type="submit"
+              className="order-tracking-button"
+              disabled={state.loading}
+            >
+              {state.loading ? 'Recherche...' : 'Voir ma demande'}
+            </button>
+          </form>
+
+          {state.error && (
+            <div className="order-tracking-error" role="alert">
+              {state.error}
+            </div>
+          )}
+
+          {state.ticket && <TicketDetails ticket={state.ticket} />}
+
+          <Link href="/contact" className="order-tracking-link">
+            Nous écrire
+          </Link>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default TicketLookup;
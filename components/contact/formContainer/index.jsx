@@ -1,9 +1,14 @@
 'use client';
 
-import { useRef, useState, useCallback, memo } from 'react';
+import { useRef, useState, useCallback, useEffect, memo } from 'react';
+import Link from 'next/link';
 import { motion, useInView } from 'framer-motion';
-import { sendContactEmail } from '@/actions/sendContactEmail';
+import {
+  getContactFormToken,
+  sendContactEmail,
+} from '@/actions/sendContactEmail';
 import { trackEvent } from '@/utils/analytics';
+import { formatPhoneAsYouType } from '@/utils/phone';
 import './index.scss';
 
 // Composant de SVG animé mémorisé
@@ -78,6 +83,26 @@ const FormField = memo(
 
 FormField.displayName = 'FormField';
 
+// Téléphone facultatif, mis en forme pendant la saisie (77 12 34 56)
+const PhoneField = memo(({ disabled }) => {
+  const [value, setValue] = useState('');
+
+  return (
+    <input
+      type="tel"
+      name="phone"
+      placeholder="Téléphone (facultatif)"
+      aria-label="Téléphone (facultatif)"
+      autoComplete="tel"
+      value={value}
+      onChange={(e) => setValue(formatPhoneAsYouType(e.target.value))}
+      disabled={disabled}
+    />
+  );
+});
+
+PhoneField.displayName = 'PhoneField';
+
 // Composant de message de statut mémorisé
 const StatusMessage = memo(({ type, message }) => (
   <div className={`${type}-message`}>{message}</div>
@@ -85,6 +110,18 @@ const StatusMessage = memo(({ type, message }) => (
 
 StatusMessage.displayName = 'StatusMessage';
 
+// Piège à robots : champ masqué aux visiteurs, rempli par les robots
+const HoneypotField = memo(() => (
+  <div className="contact-trap" aria-hidden="true">
+    <label>
+      Ne pas remplir ce champ
+      <input type="text" name="website" tabIndex={-1} autoComplete="off" />
+    </label>
+  </div>
+));
+
+HoneypotField.displayName = 'HoneypotField';
+
 // Composant principal simplifié
 const FormContainer = ({ ref }) => {
   const formRef = useRef();
@@ -94,74 +131,112 @@ const FormContainer = ({ ref }) => {
     loading: false,
   });
 
+  // Remonte le champ téléphone (contrôlé) après un envoi réussi
+  const [formKey, setFormKey] = useState(0);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const [ticketReference, setTicketReference] = useState('');
+
+  // Jeton signé par le serveur : mesure le délai de remplissage (anti-spam)
+  const [formToken, setFormToken] = useState('');
+
   const isInView = useInView(ref, { margin: '-100px' });
 
+  const refreshFormToken = useCallback(() => {
+    getContactFormToken()
+      .then((token) => setFormToken(token || ''))
+      .catch(() => setFormToken(''));
+  }, []);
+
+  useEffect(() => {
+    refreshFormToken();
+  }, [refreshFormToken]);
+
   // Handler de soumission optimisé
-  const handleSubmit = useCallback(async (e) => {
-    e.preventDefault();
-
-    // Réinitialiser les états
-    setFormState({
-      error: false,
-      success: false,
-      loading: true,
-    });
-
-    // Tracker le début de soumission
-    trackEvent('contact_form_submit_start', {
-      event_category: 'contact',
-      event_label: 'form_submission_started',
-    });
-
-    try {
-      const formData = new FormData(formRef.current);
-      const result = await sendContactEmail(formData);
-
-      if (result.success) {
-        setFormState({
-          error: false,
-          success: true,
-          loading: false,
-        });
+  const handleSubmit = useCallback(
+    async (e) => {
+      e.preventDefault();
 
-        // Tracker le succès
-        trackEvent('contact_form_submit_success', {
-          event_category: 'contact',
-          event_label: 'form_submission_successful',
-          conversion: true,
-        });
+      // Réinitialiser les états
+      setFormState({
+        error: false,
+        success: false,
+        loading: true,
+      });
+      setErrorMessage('');
+      setSuccessMessage('');
+      setTicketReference('');
 
-        formRef.current.reset();
-      } else {
+      // Tracker le début de soumission
+      trackEvent('contact_form_submit_start', {
+        event_category: 'contact',
+        event_label: 'form_submission_started',
+      });
+
+      try {
+        const formData = new FormData(formRef.current);
+        const result = await sendContactEmail(formData);
+
+        if (result.success) {
+          setFormState({
+            error: false,
+            success: true,
+            loading: false,
+          });
+          setSuccessMessage(
+            `Message envoyé avec succès ! Numéro de ticket : ${result.reference}.${
+              result.acknowledgement
+                ? ' Une copie va vous être envoyée par email.'
+                : ''
+            }`,
+          );
+          setTicketReference(result.reference);
+
+          // Tracker le succès
+          trackEvent('contact_form_submit_success', {
+            event_category: 'contact',
+            event_label: 'form_submission_successful',
+            conversion: true,
+          });
+
+          formRef.current.reset();
+          setFormKey((key) => key + 1);
+          refreshFormToken();
+        } else {
+          setFormState({
+            error: true,
+            success: false,
+            loading: false,
+          });
+          // Erreur de saisie (ex. téléphone invalide) : message précis
+          setErrorMessage(
+            result.code === 'VALIDATION_FAILED' ? result.message : '',
+          );
+
+          // Tracker l'erreur
+          trackEvent('contact_form_submit_error', {
+            event_category: 'contact',
+            event_label: 'form_submission_failed',
+            error_type: 'server_error',
+          });
+        }
+      } catch {
         setFormState({
           error: true,
           success: false,
           loading: false,
         });
 
-        // Tracker l'erreur
+        // Tracker l'erreur technique
         trackEvent('contact_form_submit_error', {
           event_category: 'contact',
           event_label: 'form_submission_failed',
-          error_type: 'server_error',
+          error_type: 'network_error',
         });
       }
-      // eslint-disable-next-line no-unused-vars
-    } catch (err) {
-      setFormState({
-        error: true,
-        success: false,
-        loading: false,
-      });
-
-      // Tracker l'erreur technique
-      trackEvent('contact_form_submit_error', {
-        event_category: 'contact',
-        event_label: 'form_submission_failed',
-        error_type: 'network_error',
-      });
-    }
-  }, []);
+    },
+    [refreshFormToken],
+  );
 
   return (
     <div className="formContainer">
@@ -190,6 +265,8 @@ const FormContainer = ({ ref }) => {
           disabled={formState.loading}
         />
 
+        <PhoneField key={formKey} disabled={formState.loading} />
+
         <FormField
           type="text"
           name="subject"
@@ -207,6 +284,14 @@ const FormContainer = ({ ref }) => {
           rows={8}
         />
 
+        <HoneypotField />
+        <input type="hidden" name="_formToken" value={formToken} />
+
+        <label className="contact-copy">
+          <input type="checkbox" name="sendCopy" disabled={formState.loading} />
+          Recevoir une copie de mon message par email
+        </label>
+
         <button
           type="submit"
           className="contact-form-button" // ← Ajouter cette classe
@@ -221,16 +306,25 @@ const FormContainer = ({ ref }) => {
         {formState.error && (
           <StatusMessage
             type="error"
-            message="Erreur lors de l'envoi du message"
+            message={errorMessage || "Erreur lors de l'envoi du message"}
           />
         )}
 
         {formState.success && (
           <StatusMessage
             type="success"
-            message="Message envoyé avec succès !"
+            message={successMessage || 'Message envoyé avec succès !'}
           />
         )}
+
+        {formState.success && ticketReference && (
+          <Link
+            href={`/contact/ticket?ref=${encodeURIComponent(ticketReference)}`}
+            className="contact-ticket-link"
+          >
+            Suivre ma demande
+          </Link>
+        )}
       </motion.form>
     </div>
   );
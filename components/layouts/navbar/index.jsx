@@ -7,13 +7,25 @@ import './index.scss';
 import Sidebar from '../sidebar';
 import AudioPlayer from '../audio';
 import Image from 'next/image';
-import { MdKeyboardArrowDown, MdMusicNote } from 'react-icons/md';
+import {
+  MdAccountCircle,
+  MdKeyboardArrowDown,
+  MdMusicNote,
+  MdShoppingCart,
+} from 'react-icons/md';
 import { useAudio } from '../../../contexts/AudioContext';
+import { useCart } from '../../../contexts/CartContext';
 
 function Navbar() {
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
   const [isAudioPlayerOpen, setIsAudioPlayerOpen] = useState(false);
   const { isPlaying } = useAudio();
+  const { itemCount } = useCart();
+
+  const cartLabel =
+    itemCount > 0
+      ? `Panier (${itemCount} application${itemCount > 1 ? 's' : ''})`
+      : 'Panier';
 
   const toggleDropdown = () => {
     setIsDropdownOpen(!isDropdownOpen);
@@ -73,6 +85,25 @@ function Navbar() {
               <MdMusicNote className="music-icon" />
             </button>
 
+            <Link
+              href="/cart"
+              className="cart-button"
+              aria-label={cartLabel}
+              title={cartLabel}
+            >
+              <MdShoppingCart className="cart-icon" />
+              {itemCount > 0 && <span className="cart-badge">{itemCount}</span>}
+            </Link>
+
+            <Link
+              href="/account"
+              className="account-button"
+              aria-label="Mon compte"
+              title="Mon compte"
+            >
+              <MdAccountCircle className="account-icon" />
+            </Link>
+
             <Link href="#">
               <Image
                 src="/facebook.png"
@@ -148,6 +179,29 @@ function Navbar() {
             </button>
           </div>
 
+          <div className="mobile-cart-container">
+            <Link
+              href="/cart"
+              className="cart-button"
+              aria-label={cartLabel}
+              title={cartLabel}
+            >
+              <MdShoppingCart className="cart-icon" />
+              {itemCount > 0 && <span className="cart-badge">{itemCount}</span>}
+            </Link>
+          </div>
+
+          <div className="mobile-account-container">
+            <Link
+              href="/account"
+              className="account-button"
+              aria-label="Mon compte"
+              title="Mon compte"
+            >
+              <MdAccountCircle className="account-icon" />
+            </Link>
+          </div>
+
           <div className="mobile-social-container">
             <button
               className="social-dropdown-trigger"
@@ -1,110 +1,524 @@
 'use client';
 
-import { useEffect, useState } from 'react';
-import { createOrder } from '../../actions/orderActions';
+import { useEffect, useRef, useState } from 'react';
+import Link from 'next/link';
+import { createOrder, createCartOrder } from '../../actions/orderActions';
+import { checkPromoCode } from '../../actions/promoActions';
+import { recordAbandonedCheckout } from '../../actions/checkoutActions';
+import PaymentProofUpload from '../orders/PaymentProofUpload';
+import {
+  ORDER_FIELD_STEPS,
+  validateOrderStep,
+  validateOrderField,
+} from '@/utils/schemas/schema';
+import {
+  validatePaymentAccount,
+  getAccountNumberHint,
+} from '@/utils/schemas/paymentAccountSchema';
+import { formatPhoneAsYouType } from '@/utils/phone';
+import {
+  DEFAULT_ORDER_PLAN,
+  ORDER_PLANS,
+  computePlanTotals,
+  getAvailablePlans,
+} from '@/utils/orderPlans';
 import './orderStyles/index.scss'; // Importer les styles
 
 // Ajouter ces imports
 import {
+  trackOrderStart,
   trackPurchase,
+  trackCheckoutAbandonment,
   trackModalOpen,
   trackModalClose,
+  trackEvent,
 } from '@/utils/analytics';
 
+// Montant complet en FDJ (pas d'abréviation K dans le récapitulatif)
+const formatAmount = (value) =>
+  `${Number(value).toLocaleString('fr-FR', { maximumFractionDigits: 2 })} FDJ`;
+
+// Champs validés à chaque étape (le code promo est vérifié séparément)
+const STEP_FIELDS = {
+  1: ['lastName', 'firstName', 'email', 'phone'],
+  2: ['paymentMethod', 'accountName', 'accountNumber'],
+};
+
+const fieldErrorId = (field) => `order-${field}-error`;
+const fieldHintId = (field) => `order-${field}-hint`;
+
+// Champs soumis aux règles de la plateforme de paiement choisie
+const PLATFORM_FIELDS = ['accountName', 'accountNumber'];
+
+// =============================
+// BROUILLONS (localStorage)
+// =============================
+// Un brouillon par application (ou pour le panier), sans le numéro de compte
+
+const DRAFT_KEY_PREFIX = 'benew_order_draft_';
+const DRAFT_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 jours
+
+const EMPTY_FORM = {
+  lastName: '',
+  firstName: '',
+  email: '',
+  phone: '',
+  paymentMethod: '',
+  accountName: '',
+  accountNumber: '',
+};
+
+function readDraft(key) {
+  try {
+    const draft = JSON.parse(localStorage.getItem(key));
+    if (!draft?.savedAt || Date.now() - draft.savedAt > DRAFT_MAX_AGE) {
+      localStorage.removeItem(key);
+      return null;
+    }
+    return draft;
+  } catch {
+    return null;
+  }
+}
+
+function writeDraft(key, draft) {
+  try {
+    localStorage.setItem(
+      key,
+      JSON.stringify({ ...draft, savedAt: Date.now() }),
+    );
+  } catch {
+    // Stockage indisponible (navigation privée) : pas de brouillon
+  }
+}
+
+function removeDraft(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch {
+    // Stockage indisponible
+  }
+}
+
+// Message d'erreur affiché sous un champ
+const FieldError = ({ field, message }) =>
+  message ? (
+    <p id={fieldErrorId(field)} className="fieldError" role="alert">
+      {message}
+    </p>
+  ) : null;
+
 const OrderModal = ({
   isOpen,
   onClose,
   platforms,
   applicationId,
   applicationFee,
+  applicationRent = 0,
+  // Panier : plusieurs applications commandées en une seule fois
+  items = null,
+  // Commande depuis un devis : lien signé {id, expires, signature}
+  quote = null,
+  onOrderCreated,
+  // Contexte analytics (facultatif)
+  applicationName,
+  templateId,
 }) => {
+  const isCart = Array.isArray(items) && items.length > 0;
+  const totalFee = isCart
+    ? items.reduce((sum, item) => sum + item.fee, 0)
+    : applicationFee;
+  const draftKey = `${DRAFT_KEY_PREFIX}${isCart ? 'cart' : applicationId}`;
+  const applicationIds = isCart
+    ? items.map((item) => item.applicationId)
+    : [applicationId];
+  // Prix catalogue utilisés pour l'aperçu des formules
+  const planItems = isCart
+    ? items.map((item) => ({ fee: item.fee, rent: item.rent }))
+    : [{ fee: applicationFee, rent: applicationRent }];
+  const availablePlans = getAvailablePlans(
+    planItems.reduce((sum, item) => sum + (Number(item.rent) || 0), 0),
+  );
+
+  // Application décrite pour les événements analytics de commande
+  const checkoutApplication = isCart
+    ? {
+        application_id: 'cart',
+        application_name: `Panier (${items.length} applications)`,
+        application_fee: totalFee,
+      }
+    : {
+        application_id: applicationId,
+        application_name: applicationName,
+        application_fee: applicationFee,
+        template_id: templateId,
+      };
+
   const [step, setStep] = useState(1);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [error, setError] = useState('');
-  const [formData, setFormData] = useState({
-    lastName: '',
-    firstName: '',
-    email: '',
-    phone: '',
-    paymentMethod: '',
-    accountName: '',
-    accountNumber: '',
+  const [orderId, setOrderId] = useState(null);
+  // Clé d'idempotence : une par ouverture de la modal
+  const [idempotencyKey, setIdempotencyKey] = useState(null);
+  const submittingRef = useRef(false);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  // Saisie précédente restaurée à l'ouverture
+  const [draftRestored, setDraftRestored] = useState(false);
+  const draftLoadedRef = useRef(false);
+  // Suivi d'abandon : ouverture, commande aboutie, dernier état connu
+  const openedAtRef = useRef(null);
+  const completedRef = useRef(false);
+  const checkoutRef = useRef({});
+  // Erreurs par champ (validation locale ou renvoyées par le serveur)
+  const [fieldErrors, setFieldErrors] = useState({});
+  // Code promo : saisie, vérification et remise appliquée (aperçu serveur)
+  const [promo, setPromo] = useState({
+    input: '',
+    checking: false,
+    error: '',
+    applied: null,
   });
+  // Formule : gestion mensuelle ou prépayée
+  const [plan, setPlan] = useState(DEFAULT_ORDER_PLAN);
+
+  // État lu par les gestionnaires d'abandon (fermeture, onglet quitté)
+  checkoutRef.current = {
+    step,
+    formData,
+    idempotencyKey,
+    applicationIds,
+    checkoutApplication,
+  };
 
   // Tracker l'ouverture/fermeture de la modal
   useEffect(() => {
     if (isOpen) {
-      trackModalOpen('order_modal', `application_${applicationId}`);
+      trackModalOpen(
+        'order_modal',
+        isCart ? `cart_${items.length}` : `application_${applicationId}`,
+      );
+      trackOrderStart(checkoutRef.current.checkoutApplication);
+      setIdempotencyKey(crypto.randomUUID());
+      openedAtRef.current = Date.now();
+      completedRef.current = false;
+    }
+  }, [isOpen, applicationId, isCart, items]);
+
+  // Reprise du brouillon à l'ouverture
+  useEffect(() => {
+    if (!isOpen) {
+      draftLoadedRef.current = false;
+      return;
+    }
+
+    const draft = readDraft(draftKey);
+    if (draft) {
+      setFormData({ ...EMPTY_FORM, ...draft.formData, accountNumber: '' });
+      setPromo((prev) => ({ ...prev, input: draft.promoCode || '' }));
+      setPlan(ORDER_PLANS[draft.plan] ? draft.plan : DEFAULT_ORDER_PLAN);
+      setStep(draft.step === 2 ? 2 : 1);
+      setDraftRestored(true);
     }
-  }, [isOpen, applicationId]);
+    draftLoadedRef.current = true;
+  }, [isOpen, draftKey]);
 
-  const closeModal = () => {
-    trackModalClose('order_modal', 'user_close');
+  // Sauvegarde du brouillon à chaque saisie (jamais le numéro de compte)
+  useEffect(() => {
+    if (!isOpen || !draftLoadedRef.current || step === 3) return;
+
+    const draftData = { ...formData };
+    delete draftData.accountNumber;
+    if (!Object.values(draftData).some(Boolean) && !promo.input) return;
+
+    writeDraft(draftKey, {
+      formData: draftData,
+      promoCode: promo.input,
+      plan,
+      step,
+    });
+  }, [isOpen, draftKey, formData, promo.input, plan, step]);
+
+  const discardDraft = () => {
+    removeDraft(draftKey);
+    setFormData(EMPTY_FORM);
+    setPromo({ input: '', checking: false, error: '', applied: null });
+    setPlan(DEFAULT_ORDER_PLAN);
+    setFieldErrors({});
+    setStep(1);
+    setDraftRestored(false);
+  };
+
+  /**
+   * Enregistre l'abandon côté serveur si le client a saisi un email valide
+   * (relance commerciale), sans jamais bloquer l'interface
+   */
+  const saveAbandonedCheckout = async () => {
+    const current = checkoutRef.current;
+    if (completedRef.current || !current.idempotencyKey) return;
+    if (await validateOrderField('email', current.formData)) return;
+
+    const payload = new FormData();
+    payload.append('sessionKey', current.idempotencyKey);
+    payload.append('email', current.formData.email);
+    payload.append('firstName', current.formData.firstName);
+    payload.append('lastName', current.formData.lastName);
+    payload.append('phone', current.formData.phone);
+    current.applicationIds.forEach((id) => payload.append('applicationId', id));
+    payload.append('step', String(current.step));
+    payload.append(
+      'timeSpentSeconds',
+      String(Math.round((Date.now() - openedAtRef.current) / 1000)),
+    );
+
+    recordAbandonedCheckout(payload).catch(() => {});
+  };
+
+  // Abandon : événement analytics (étape atteinte, temps passé) + enregistrement
+  const reportAbandonment = (reason) => {
+    const current = checkoutRef.current;
+    if (completedRef.current || !openedAtRef.current) return;
+
+    trackCheckoutAbandonment(
+      current.checkoutApplication,
+      current.step,
+      reason,
+      Math.round((Date.now() - openedAtRef.current) / 1000),
+    );
+    saveAbandonedCheckout();
+  };
+
+  // Onglet masqué : l'abandon est enregistré (le client peut encore revenir),
+  // fermeture de la page : abandon définitif
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') {
+        saveAbandonedCheckout();
+      }
+    };
+    const handlePageHide = () => reportAbandonment('page_exit');
+
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', handlePageHide);
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      window.removeEventListener('pagehide', handlePageHide);
+    };
+  }, [isOpen]); // Gestionnaires lisant l'état via checkoutRef
+
+  const closeModal = (reason = 'user_close') => {
+    trackModalClose('order_modal', reason);
+    reportAbandonment(reason);
+    // Une fois l'abandon signalé, une réouverture démarre un nouveau suivi
+    openedAtRef.current = null;
     onClose();
   };
 
+  const findPlatform = (platformId) =>
+    platforms?.find((platform) => platform?.platform_id === platformId);
+
+  // Formule indisponible (brouillon d'une autre commande) : formule standard
+  const selectedPlan = availablePlans.some((option) => option.id === plan)
+    ? plan
+    : DEFAULT_ORDER_PLAN;
+  // La remise du code promo porte sur les frais d'acquisition uniquement
+  const planTotals = computePlanTotals(planItems, selectedPlan);
+  const amountDue = promo.applied
+    ? promo.applied.finalPrice + planTotals.prepaidAmount
+    : planTotals.total;
+
+  const selectedPlatform = findPlatform(formData.paymentMethod);
+  const accountNumberHint = getAccountNumberHint(selectedPlatform);
+  const accountNameHint = selectedPlatform?.platform_account_name_hint;
+
+  const setFieldError = (field, message) => {
+    setFieldErrors((prev) => ({ ...prev, [field]: message || undefined }));
+  };
+
+  // Schéma commun puis règles de la plateforme (mêmes règles que createOrder)
+  const validateField = async (name, data) => {
+    const message = await validateOrderField(name, data);
+    if (message || !PLATFORM_FIELDS.includes(name)) return message;
+
+    return (
+      validatePaymentAccount(findPlatform(data.paymentMethod), data).errors[
+        name
+      ] || null
+    );
+  };
+
   const handleInputChange = (e) => {
-    setFormData({
-      ...formData,
-      [e.target.name]: e.target.value,
+    const { name } = e.target;
+    // Téléphone mis en forme pendant la saisie (77 12 34 56, +33612345678)
+    const value =
+      name === 'phone' ? formatPhoneAsYouType(e.target.value) : e.target.value;
+    const nextData = { ...formData, [name]: value };
+    setFormData(nextData);
+
+    // Un champ en erreur est revalidé à chaque frappe pour effacer le message
+    if (fieldErrors[name] || name === 'paymentMethod') {
+      validateField(name, nextData).then((message) =>
+        setFieldError(name, message),
+      );
+    }
+
+    // Nouvelle plateforme : le compte déjà saisi est revérifié avec ses règles
+    if (name === 'paymentMethod') {
+      PLATFORM_FIELDS.filter((field) => nextData[field]).forEach((field) =>
+        validateField(field, nextData).then((message) =>
+          setFieldError(field, message),
+        ),
+      );
+    }
+  };
+
+  // Première validation d'un champ à la sortie de celui-ci
+  const handleInputBlur = (e) => {
+    const { name } = e.target;
+    if (!formData[name]) return;
+
+    validateField(name, formData).then((message) =>
+      setFieldError(name, message),
+    );
+  };
+
+  // Attributs communs des champs du formulaire
+  const fieldProps = (name, hasHint = false) => ({
+    name,
+    value: formData[name],
+    onChange: handleInputChange,
+    onBlur: handleInputBlur,
+    'aria-invalid': fieldErrors[name] ? true : undefined,
+    'aria-describedby':
+      [hasHint && fieldHintId(name), fieldErrors[name] && fieldErrorId(name)]
+        .filter(Boolean)
+        .join(' ') || undefined,
+  });
+
+  const handlePromoChange = (e) => {
+    // Toute modification invalide la remise déjà appliquée
+    setPromo({
+      input: e.target.value,
+      checking: false,
+      error: '',
+      applied: null,
     });
   };
 
-  const validateStep1 = () => {
-    if (
-      !formData.lastName ||
-      !formData.firstName ||
-      !formData.email ||
-      !formData.phone
-    ) {
-      setError('Veuillez remplir tous les champs requis');
-      return false;
-    }
+  const applyPromoCode = async () => {
+    if (!promo.input.trim() || promo.checking) return;
+
+    setPromo((prev) => ({ ...prev, checking: true, error: '' }));
 
-    // Basic email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(formData.email)) {
-      setError('Veuillez fournir une adresse email valide');
-      return false;
+    try {
+      const promoData = new FormData();
+      promoData.append('promoCode', promo.input);
+      if (isCart) {
+        items.forEach((item) =>
+          promoData.append('applicationId', item.applicationId),
+        );
+      } else {
+        promoData.append('applicationId', applicationId);
+      }
+      promoData.append('email', formData.email);
+
+      const result = await checkPromoCode(promoData);
+
+      setPromo((prev) => ({
+        ...prev,
+        checking: false,
+        error: result.success ? '' : result.message,
+        applied: result.success ? result : null,
+      }));
+
+      trackEvent(
+        result.success ? 'promo_code_applied' : 'promo_code_rejected',
+        {
+          event_category: 'ecommerce',
+          event_label: result.success ? result.promoCode : result.code,
+        },
+      );
+    } catch {
+      setPromo((prev) => ({
+        ...prev,
+        checking: false,
+        error: 'Erreur de connexion. Veuillez réessayer.',
+      }));
     }
+  };
+
+  // Validation d'une étape avec le schéma partagé avec le serveur
+  const validateStep = async (stepNumber) => {
+    const stepData = Object.fromEntries(
+      STEP_FIELDS[stepNumber].map((field) => [field, formData[field]]),
+    );
+    const result = await validateOrderStep(stepNumber, stepData);
 
-    // Basic phone validation
-    const phoneRegex = /^\d{8,}$/; // At least 8 digits
-    if (!phoneRegex.test(formData.phone.replace(/\D/g, ''))) {
-      setError('Veuillez fournir un numéro de téléphone valide');
-      return false;
+    // Règles de la plateforme pour les champs valides selon le schéma commun
+    if (stepNumber === 2) {
+      const accountCheck = validatePaymentAccount(selectedPlatform, stepData);
+      PLATFORM_FIELDS.forEach((field) => {
+        if (!result.errors[field] && accountCheck.errors[field]) {
+          result.errors[field] = accountCheck.errors[field];
+          result.success = false;
+        }
+      });
     }
 
-    setError('');
-    return true;
+    setFieldErrors((prev) => ({
+      ...prev,
+      ...Object.fromEntries(
+        STEP_FIELDS[stepNumber].map((field) => [field, result.errors[field]]),
+      ),
+    }));
+    setError(result.success ? '' : 'Veuillez corriger les champs indiqués');
+
+    return result.success;
   };
 
-  const validateStep2 = () => {
-    if (
-      !formData.paymentMethod ||
-      !formData.accountName ||
-      !formData.accountNumber
-    ) {
-      setError('Veuillez remplir tous les champs requis');
-      return false;
+  /**
+   * Replace les erreurs du serveur sur les champs concernés
+   * et revient à la première étape en erreur
+   * @returns {boolean} true si au moins une erreur concerne un champ
+   */
+  const applyServerErrors = (errors = {}) => {
+    const { promoCode, ...rest } = errors;
+
+    // Code refusé au moment de la commande (expiré, limite atteinte...)
+    if (promoCode) {
+      setPromo((prev) => ({ ...prev, error: promoCode, applied: null }));
     }
-    setError('');
+
+    const fields = Object.keys(rest).filter(
+      (field) => ORDER_FIELD_STEPS[field],
+    );
+    if (fields.length === 0) return false;
+
+    setFieldErrors((prev) => ({
+      ...prev,
+      ...Object.fromEntries(fields.map((field) => [field, rest[field]])),
+    }));
+    setStep(Math.min(...fields.map((field) => ORDER_FIELD_STEPS[field])));
     return true;
   };
 
-  const handleNext = () => {
+  const handleNext = async () => {
+    if (!(await validateStep(step))) return;
+
     if (step === 1) {
-      if (validateStep1()) {
-        setStep(2);
-      }
+      setStep(2);
     } else if (step === 2) {
-      if (validateStep2()) {
-        submitOrder();
-      }
+      submitOrder();
     }
   };
 
   const submitOrder = async () => {
+    // Empêcher une double soumission pendant le traitement
+    if (submittingRef.current) return;
+    submittingRef.current = true;
+
     setIsSubmitting(true);
     setError('');
 
@@ -118,37 +532,83 @@ const OrderModal = ({
       formDataToSubmit.append('paymentMethod', formData.paymentMethod);
       formDataToSubmit.append('accountName', formData.accountName);
       formDataToSubmit.append('accountNumber', formData.accountNumber);
+      formDataToSubmit.append('idempotencyKey', idempotencyKey);
+      formDataToSubmit.append('promoCode', promo.applied?.promoCode || '');
+      formDataToSubmit.append('plan', selectedPlan);
+      formDataToSubmit.append('expectedAmount', String(amountDue));
+      if (quote) {
+        formDataToSubmit.append('quoteId', quote.id);
+        formDataToSubmit.append('quoteExpires', quote.expires);
+        formDataToSubmit.append('quoteSignature', quote.signature);
+      }
 
-      // Appeler le server action
-      const result = await createOrder(
-        formDataToSubmit,
-        applicationId,
-        applicationFee,
-      );
+      // Appeler le server action (les prix sont revérifiés côté serveur)
+      let result;
+      if (isCart) {
+        formDataToSubmit.append(
+          'items',
+          JSON.stringify(
+            items.map((item) => ({
+              applicationId: item.applicationId,
+              applicationFee: item.fee,
+            })),
+          ),
+        );
+        result = await createCartOrder(formDataToSubmit);
+      } else {
+        result = await createOrder(
+          formDataToSubmit,
+          applicationId,
+          applicationFee,
+        );
+      }
 
       if (!result.success) {
+        if (applyServerErrors(result.errors)) {
+          throw new Error('Veuillez corriger les champs indiqués');
+        }
+
         throw new Error(
           result.message || 'Erreur lors de la création de la commande',
         );
       }
 
       // Tracker la commande réussie
-      trackPurchase(
-        {
-          application_id: applicationId,
-          application_fee: applicationFee,
-          application_name: `Application ${applicationId}`, // ou récupérer le vrai nom
-          application_category: 'web', // ou récupérer la vraie catégorie
-        },
-        result.orderId || Date.now().toString(), // ID de transaction
-        formData.paymentMethod,
-      );
+      if (isCart) {
+        trackEvent('cart_purchase', {
+          event_category: 'ecommerce',
+          transaction_id: result.orderId,
+          value: amountDue,
+          items_count: items.length,
+          payment_type: formData.paymentMethod,
+        });
+      } else {
+        trackPurchase(
+          {
+            application_id: applicationId,
+            application_fee: applicationFee,
+            application_name: `Application ${applicationId}`, // ou récupérer le vrai nom
+            application_category: 'web', // ou récupérer la vraie catégorie
+          },
+          result.orderId || Date.now().toString(), // ID de transaction
+          formData.paymentMethod,
+        );
+      }
+
+      // Commande aboutie : le brouillon n'a plus lieu d'être
+      completedRef.current = true;
+      removeDraft(draftKey);
+      setDraftRestored(false);
+
+      onOrderCreated?.(result);
 
       // Move to confirmation step
+      setOrderId(result.orderId || null);
       setStep(3);
     } catch (err) {
       setError(err.message);
     } finally {
+      submittingRef.current = false;
       setIsSubmitting(false);
     }
   };
@@ -168,38 +628,47 @@ const OrderModal = ({
         {step === 1 && (
           <div className="step">
             <h2>Étape 1: Informations personnelles</h2>
+            {draftRestored && (
+              <p className="draftNotice">
+                Nous avons repris votre saisie précédente.{' '}
+                <button type="button" onClick={discardDraft}>
+                  Recommencer
+                </button>
+              </p>
+            )}
             <input
               type="text"
-              name="lastName"
               placeholder="Nom de famille"
-              value={formData.lastName}
-              onChange={handleInputChange}
+              aria-label="Nom de famille"
+              {...fieldProps('lastName')}
               required
             />
+            <FieldError field="lastName" message={fieldErrors.lastName} />
             <input
               type="text"
-              name="firstName"
               placeholder="Prénom"
-              value={formData.firstName}
-              onChange={handleInputChange}
+              aria-label="Prénom"
+              {...fieldProps('firstName')}
               required
             />
+            <FieldError field="firstName" message={fieldErrors.firstName} />
             <input
               type="email"
-              name="email"
               placeholder="Adresse email"
-              value={formData.email}
-              onChange={handleInputChange}
+              aria-label="Adresse email"
+              {...fieldProps('email')}
               required
             />
+            <FieldError field="email" message={fieldErrors.email} />
             <input
               type="tel"
-              name="phone"
-              placeholder="Numéro de téléphone"
-              value={formData.phone}
-              onChange={handleInputChange}
+              placeholder="Numéro de téléphone (77 12 34 56)"
+              aria-label="Numéro de téléphone"
+              autoComplete="tel"
+              {...fieldProps('phone')}
               required
             />
+            <FieldError field="phone" message={fieldErrors.phone} />
             <div className="buttonContainer">
               <button
                 onClick={() => closeModal('user_cancel_step1')}
@@ -217,13 +686,34 @@ const OrderModal = ({
         {step === 2 && (
           <div className="step">
             <h2>Étape 2: Méthode de paiement</h2>
-            <div className="checkboxGroup">
+            {isCart && (
+              <ul className="orderItems">
+                {items.map((item) => (
+                  <li key={item.applicationId}>
+                    <span>{item.name}</span>
+                    <span>{formatAmount(item.fee)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <div
+              className="checkboxGroup"
+              role="radiogroup"
+              aria-label="Méthode de paiement"
+              aria-invalid={fieldErrors.paymentMethod ? true : undefined}
+              aria-describedby={
+                fieldErrors.paymentMethod
+                  ? fieldErrorId('paymentMethod')
+                  : undefined
+              }
+            >
               {platforms?.map((platform) => (
                 <label key={platform?.platform_id} className="radioLabel">
                   <input
                     type="radio"
                     name="paymentMethod"
                     value={platform?.platform_id}
+                    checked={formData.paymentMethod === platform?.platform_id}
                     onChange={handleInputChange}
                     required
                   />
@@ -231,22 +721,124 @@ const OrderModal = ({
                 </label>
               ))}
             </div>
+            <FieldError
+              field="paymentMethod"
+              message={fieldErrors.paymentMethod}
+            />
+            {selectedPlatform?.platform_instructions && (
+              <p className="platformInstructions">
+                {selectedPlatform.platform_instructions}
+              </p>
+            )}
             <input
               type="text"
-              name="accountName"
               placeholder="Nom du compte"
-              value={formData.accountName}
-              onChange={handleInputChange}
+              aria-label="Nom du compte"
+              {...fieldProps('accountName', !!accountNameHint)}
               required
             />
+            {accountNameHint && (
+              <p id={fieldHintId('accountName')} className="fieldHint">
+                {accountNameHint}
+              </p>
+            )}
+            <FieldError field="accountName" message={fieldErrors.accountName} />
             <input
               type="text"
-              name="accountNumber"
+              inputMode={
+                selectedPlatform?.platform_account_format === 'digits'
+                  ? 'numeric'
+                  : undefined
+              }
               placeholder="Numéro du compte"
-              value={formData.accountNumber}
-              onChange={handleInputChange}
+              aria-label="Numéro du compte"
+              {...fieldProps('accountNumber', !!accountNumberHint)}
               required
             />
+            {accountNumberHint && (
+              <p id={fieldHintId('accountNumber')} className="fieldHint">
+                {accountNumberHint}
+              </p>
+            )}
+            <FieldError
+              field="accountNumber"
+              message={fieldErrors.accountNumber}
+            />
+            {availablePlans.length > 1 && (
+              <div
+                className="planOptions"
+                role="radiogroup"
+                aria-label="Formule"
+              >
+                {availablePlans.map((option) => {
+                  const totals = computePlanTotals(planItems, option.id);
+
+                  return (
+                    <label
+                      key={option.id}
+                      className={`planOption${selectedPlan === option.id ? ' selected' : ''}`}
+                    >
+                      <input
+                        type="radio"
+                        name="plan"
+                        value={option.id}
+                        checked={selectedPlan === option.id}
+                        onChange={() => setPlan(option.id)}
+                      />
+                      <span className="planLabel">{option.label}</span>
+                      <span className="planDetail">
+                        {option.prepaidMonths > 0
+                          ? `${formatAmount(totals.total)} aujourd'hui, dont ${formatAmount(totals.prepaidAmount)} de gestion (-${formatAmount(totals.prepaidDiscount)}), puis ${formatAmount(totals.monthlyRent)} / mois après ${option.prepaidMonths} mois`
+                          : `${formatAmount(totals.total)} aujourd'hui, puis ${formatAmount(totals.monthlyRent)} / mois`}
+                      </span>
+                    </label>
+                  );
+                })}
+              </div>
+            )}
+            <div className="promoCode">
+              <div className="promoCodeRow">
+                <input
+                  type="text"
+                  name="promoCode"
+                  placeholder="Code promo (optionnel)"
+                  aria-label="Code promo"
+                  value={promo.input}
+                  onChange={handlePromoChange}
+                  maxLength={30}
+                />
+                <button
+                  type="button"
+                  onClick={applyPromoCode}
+                  className="promoButton"
+                  disabled={promo.checking || !promo.input.trim()}
+                >
+                  {promo.checking ? 'Vérification...' : 'Appliquer'}
+                </button>
+              </div>
+              {promo.error && (
+                <p className="promoError" role="alert">
+                  {promo.error}
+                </p>
+              )}
+              {promo.applied && (
+                <p className="promoApplied">
+                  Code {promo.applied.promoCode} appliqué : -
+                  {formatAmount(promo.applied.discount)}
+                </p>
+              )}
+            </div>
+            <p className="orderAmount">
+              Montant à payer :{' '}
+              {promo.applied ? (
+                <>
+                  <s>{formatAmount(planTotals.total)}</s>{' '}
+                  <strong>{formatAmount(amountDue)}</strong>
+                </>
+              ) : (
+                <strong>{formatAmount(amountDue)}</strong>
+              )}
+            </p>
             <div className="buttonContainer">
               <button onClick={handleBack} className="backButton">
                 Retour
@@ -271,6 +863,19 @@ const OrderModal = ({
               finaliser votre commande. Un email de confirmation vous sera
               envoyé à l&apos;adresse fournie.
             </p>
+            {orderId && (
+              <div className="orderReference">
+                <p>
+                  Numéro de commande : <strong>{orderId}</strong>
+                </p>
+                <Link href={`/orders/${orderId}`} className="trackingLink">
+                  Suivre ma commande
+                </Link>
+              </div>
+            )}
+            {orderId && (
+              <PaymentProofUpload orderId={orderId} email={formData.email} />
+            )}
             <button
               onClick={() => closeModal('purchase_complete')}
               className="closeButton"
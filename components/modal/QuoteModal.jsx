@@ -0,0 +1,219 @@
+'use client';
+
+import { useState } from 'react';
+import { requestQuote } from '../../actions/quoteActions';
+import { validateQuoteRequest } from '@/utils/schemas/schema';
+import { formatPhoneAsYouType } from '@/utils/phone';
+import { trackEvent } from '@/utils/analytics';
+import './orderStyles/index.scss'; // Styles partagés avec OrderModal
+
+const EMPTY_FORM = {
+  companyName: '',
+  taxId: '',
+  address: '',
+  contactName: '',
+  email: '',
+  phone: '',
+};
+
+const fieldErrorId = (field) => `quote-${field}-error`;
+
+const FieldError = ({ field, message }) =>
+  message ? (
+    <p id={fieldErrorId(field)} className="fieldError" role="alert">
+      {message}
+    </p>
+  ) : null;
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('fr-FR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+
+// Demande de devis : coordonnées de l'entreprise, devis PDF envoyé par email
+const QuoteModal = ({ isOpen, onClose, applicationId, applicationName }) => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const closeModal = () => {
+    setFormData(EMPTY_FORM);
+    setFieldErrors({});
+    setError('');
+    setResult(null);
+    onClose();
+  };
+
+  const handleInputChange = (e) => {
+    const { name } = e.target;
+    const value =
+      name === 'phone' ? formatPhoneAsYouType(e.target.value) : e.target.value;
+
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    if (fieldErrors[name]) {
+      setFieldErrors((prev) => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  const fieldProps = (name) => ({
+    name,
+    value: formData[name],
+    onChange: handleInputChange,
+    'aria-invalid': fieldErrors[name] ? true : undefined,
+    'aria-describedby': fieldErrors[name] ? fieldErrorId(name) : undefined,
+  });
+
+  const handleSubmit = async () => {
+    if (isSubmitting) return;
+
+    // Même schéma que le serveur
+    const validation = await validateQuoteRequest({
+      ...formData,
+      applicationId,
+    });
+    if (!validation.success) {
+      setFieldErrors(validation.errors);
+      setError('Veuillez corriger les champs indiqués');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const payload = new FormData();
+      Object.entries(formData).forEach(([field, value]) =>
+        payload.append(field, value),
+      );
+      payload.append('applicationId', applicationId);
+
+      const response = await requestQuote(payload);
+
+      if (!response.success) {
+        setFieldErrors(response.errors || {});
+        setError(response.message);
+        return;
+      }
+
+      setResult(response);
+      trackEvent('quote_requested', {
+        event_category: 'ecommerce',
+        event_label: applicationName,
+        application_id: applicationId,
+      });
+    } catch {
+      setError('Erreur de connexion. Veuillez réessayer.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modalOverlay">
+      <div className="modal">
+        {error && <div className="errorMessage">{error}</div>}
+
+        {result ? (
+          <div className="step confirmationStep">
+            <h2>Devis envoyé</h2>
+            <p>
+              Votre devis <strong>{result.quoteNumber}</strong> vient de vous
+              être envoyé par email au format PDF. Ses prix sont garantis
+              jusqu&apos;au {formatDate(result.validUntil)}.
+            </p>
+            {result.quoteUrl && (
+              <div className="orderReference">
+                <a href={result.quoteUrl} className="trackingLink">
+                  Voir mon devis
+                </a>
+              </div>
+            )}
+            <button onClick={closeModal} className="closeButton">
+              Fermer
+            </button>
+          </div>
+        ) : (
+          <div className="step">
+            <h2>Demander un devis</h2>
+            {applicationName && (
+              <p className="fieldHint">
+                Application : <strong>{applicationName}</strong>
+              </p>
+            )}
+            <input
+              type="text"
+              placeholder="Raison sociale"
+              aria-label="Raison sociale"
+              autoComplete="organization"
+              {...fieldProps('companyName')}
+              required
+            />
+            <FieldError field="companyName" message={fieldErrors.companyName} />
+            <input
+              type="text"
+              placeholder="NIF (facultatif)"
+              aria-label="Numéro d'identification fiscale"
+              {...fieldProps('taxId')}
+            />
+            <FieldError field="taxId" message={fieldErrors.taxId} />
+            <input
+              type="text"
+              placeholder="Adresse (facultatif)"
+              aria-label="Adresse de l'entreprise"
+              autoComplete="street-address"
+              {...fieldProps('address')}
+            />
+            <FieldError field="address" message={fieldErrors.address} />
+            <input
+              type="text"
+              placeholder="Nom du contact"
+              aria-label="Nom du contact"
+              autoComplete="name"
+              {...fieldProps('contactName')}
+              required
+            />
+            <FieldError field="contactName" message={fieldErrors.contactName} />
+            <input
+              type="email"
+              placeholder="Adresse email"
+              aria-label="Adresse email"
+              autoComplete="email"
+              {...fieldProps('email')}
+              required
+            />
+            <FieldError field="email" message={fieldErrors.email} />
+            <input
+              type="tel"
+              placeholder="Numéro de téléphone (77 12 34 56)"
+              aria-label="Numéro de téléphone"
+              autoComplete="tel"
+              {...fieldProps('phone')}
+              required
+            />
+            <FieldError field="phone" message={fieldErrors.phone} />
+            <div className="buttonContainer">
+              <button onClick={closeModal} className="cancelButton">
+                Annuler
+              </button>
+              <button
+                onClick={handleSubmit}
+                className="nextButton"
+                disabled={isSubmitting}
+              >
+                {isSubmitting ? 'Envoi...' : 'Recevoir mon devis'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuoteModal;
@@ -0,0 +1,189 @@
+'use client';
+
+import { useState, useCallback } from 'react';
+import Link from 'next/link';
+
+import './trackingStyles/index.scss';
+import Parallax from '../layouts/parallax';
+import { cancelOrderWithLink } from '@/actions/orderActions';
+import { formatPrice, getOrderStatusLabel } from '@/utils/helpers';
+import { trackEvent } from '@/utils/analytics';
+
+const LINK_ERRORS = {
+  LINK_EXPIRED:
+    "Ce lien d'annulation a expiré. Contactez-nous en indiquant votre numéro de commande si vous souhaitez toujours annuler.",
+  INVALID_LINK:
+    "Ce lien d'annulation n'est pas valide. Vérifiez que vous avez copié le lien complet reçu par email.",
+};
+
+// Paiement envoyé ou reçu : remboursement sur demande
+const RefundNotice = ({ orderId, status }) => (
+  <div className="order-cancel-notice">
+    <p>
+      {status === 'payment_submitted'
+        ? 'Votre paiement a déjà été envoyé et est en cours de vérification : '
+        : 'Votre paiement a déjà été reçu : '}
+      la commande ne peut plus être annulée en ligne.
+    </p>
+    <p>
+      Pour demander un remboursement, écrivez-nous depuis la page contact en
+      indiquant votre numéro de commande <strong>{orderId}</strong> et le motif
+      de votre demande.
+    </p>
+    <Link href="/contact" className="order-cancel-cta">
+      Demander un remboursement
+    </Link>
+  </div>
+);
+
+// Page d'annulation ouverte depuis l'email de confirmation
+const OrderCancellation = ({
+  orderId,
+  expires,
+  signature,
+  linkError,
+  order,
+}) => {
+  const [state, setState] = useState({
+    loading: false,
+    error: '',
+    status: order?.status || null,
+  });
+
+  const handleCancel = useCallback(async () => {
+    setState((prev) => ({ ...prev, loading: true, error: '' }));
+
+    try {
+      const formData = new FormData();
+      formData.append('orderId', orderId);
+      formData.append('expires', expires);
+      formData.append('signature', signature);
+
+      const result = await cancelOrderWithLink(formData);
+
+      if (result.success) {
+        setState({ loading: false, error: '', status: 'cancelled' });
+        trackEvent('order_cancelled', {
+          event_category: 'ecommerce',
+          event_label: 'email_link',
+        });
+        return;
+      }
+
+      // Paiement envoyé entre l'affichage de la page et la confirmation
+      setState((prev) => ({
+        loading: false,
+        error: result.code === 'ORDER_NOT_CANCELLABLE' ? '' : result.message,
+        status: result.status || prev.status,
+      }));
+    } catch {
+      setState((prev) => ({
+        ...prev,
+        loading: false,
+        error: 'Erreur de connexion. Veuillez réessayer.',
+      }));
+    }
+  }, [orderId, expires, signature]);
+
+  const renderContent = () => {
+    if (linkError) {
+      return (
+        <div className="order-tracking-error" role="alert">
+          {LINK_ERRORS[linkError] || LINK_ERRORS.INVALID_LINK}
+        </div>
+      );
+    }
+
+    if (state.status === 'cancelled') {
+      return (
+        <div className="order-cancel-notice" role="status">
+          <p>
+            Votre commande est annulée. Aucun paiement ne vous sera demandé.
+          </p>
+        </div>
+      );
+    }
+
+    if (state.status && state.status !== 'unpaid') {
+      return <RefundNotice orderId={orderId} status={state.status} />;
+    }
+
+    return (
+      <>
+        <p className="order-tracking-hint">
+          Vous vous êtes trompé d&apos;application ? Tant que votre paiement
+          n&apos;est pas envoyé, vous pouvez annuler votre commande.
+        </p>
+
+        {order && (
+          <div className="order-details">
+            <div
+              className={`order-status status-${getOrderStatusLabel(order.status).tone}`}
+            >
+              {getOrderStatusLabel(order.status).label}
+            </div>
+            <table className="order-table">
+              <tbody>
+                <tr>
+                  <td className="order-label">Commande</td>
+                  <td className="order-value order-id">{orderId}</td>
+                </tr>
+                <tr>
+                  <td className="order-label">Application</td>
+                  <td className="order-value">{order.applicationName}</td>
+                </tr>
+                <tr>
+                  <td className="order-label">Montant</td>
+                  <td className="order-value">
+                    FDJ {formatPrice(order.amount)}
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {state.error && (
+          <div className="order-tracking-error" role="alert">
+            {state.error}
+          </div>
+        )}
+
+        <button
+          type="button"
+          className="order-cancel-button"
+          onClick={handleCancel}
+          disabled={state.loading}
+        >
+          {state.loading ? 'Annulation...' : 'Annuler ma commande'}
+        </button>
+      </>
+    );
+  };
+
+  return (
+    <div>
+      <section className="first">
+        <Parallax
+          bgColor="#0c0c1d"
+          title="Annuler ma commande"
+          planets="/sun.png"
+        />
+      </section>
+
+      <section className="others order-tracking-section">
+        <div className="order-tracking">
+          <h2 className="order-tracking-title">Annulation de commande</h2>
+
+          {renderContent()}
+
+          <Link href={`/orders/${orderId}`} className="order-tracking-link">
+            Suivre ma commande
+          </Link>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default OrderCancellation;
@@ -0,0 +1,277 @@
+'use client';
+
+import { useState, useCallback } from 'react';
+import Link from 'next/link';
+
+import './trackingStyles/index.scss';
+import Parallax from '../layouts/parallax';
+import PaymentProofUpload from './PaymentProofUpload';
+import { lookupOrder, downloadOrderInvoice } from '@/actions/orderActions';
+import { formatPrice, getOrderStatusLabel } from '@/utils/helpers';
+import { trackEvent } from '@/utils/analytics';
+
+// Statuts pour lesquels un justificatif de paiement peut être envoyé
+const AWAITING_PAYMENT_STATUSES = ['unpaid', 'payment_submitted'];
+
+// Formatage de la date de création
+const formatOrderDate = (value) =>
+  new Date(value).toLocaleDateString('fr-FR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+
+// Téléchargement de la facture PDF (renvoyée en base64 par la Server Action)
+const InvoiceDownload = ({ orderId, email }) => {
+  const [state, setState] = useState({ loading: false, error: '' });
+
+  const handleDownload = useCallback(async () => {
+    setState({ loading: true, error: '' });
+
+    try {
+      const formData = new FormData();
+      formData.append('orderId', orderId);
+      formData.append('email', email);
+
+      const result = await downloadOrderInvoice(formData);
+
+      if (!result.success) {
+        setState({ loading: false, error: result.message });
+        return;
+      }
+
+      const bytes = Uint8Array.from(atob(result.content), (c) =>
+        c.charCodeAt(0),
+      );
+      const url = URL.createObjectURL(
+        new Blob([bytes], { type: 'application/pdf' }),
+      );
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = result.filename;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      setState({ loading: false, error: '' });
+      trackEvent('order_invoice_downloaded', {
+        event_category: 'ecommerce',
+      });
+    } catch {
+      setState({
+        loading: false,
+        error: 'Erreur de connexion. Veuillez réessayer.',
+      });
+    }
+  }, [orderId, email]);
+
+  return (
+    <div className="order-invoice">
+      <button
+        type="button"
+        className="order-invoice-button"
+        onClick={handleDownload}
+        disabled={state.loading}
+      >
+        {state.loading ? 'Génération...' : 'Télécharger la facture (PDF)'}
+      </button>
+      {state.error && (
+        <p className="order-invoice-error" role="alert">
+          {state.error}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// Détails d'une commande retrouvée
+const OrderDetails = ({ order, email }) => {
+  const status = getOrderStatusLabel(order.status);
+
+  return (
+    <div className="order-details">
+      <div className={`order-status status-${status.tone}`}>{status.label}</div>
+      <table className="order-table">
+        <tbody>
+          <tr>
+            <td className="order-label">Commande</td>
+            <td className="order-value order-id">{order.id}</td>
+          </tr>
+          <tr>
+            <td className="order-label">Application</td>
+            <td className="order-value">{order.applicationName}</td>
+          </tr>
+          <tr>
+            <td className="order-label">Montant</td>
+            <td className="order-value">FDJ {formatPrice(order.amount)}</td>
+          </tr>
+          <tr>
+            <td className="order-label">Paiement</td>
+            <td className="order-value">{order.platform || '—'}</td>
+          </tr>
+          <tr>
+            <td className="order-label">Date</td>
+            <td className="order-value">{formatOrderDate(order.created)}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <InvoiceDownload orderId={order.id} email={email} />
+
+      {order.paymentProofsCount > 0 && (
+        <p className="order-proof-note">
+          Justificatif de paiement reçu, vérification en cours.
+        </p>
+      )}
+
+      {order.history?.length > 0 && (
+        <ol className="order-history">
+          {order.history.map((event) => (
+            <li key={`${event.status}-${event.date}`}>
+              <span className="order-history-status">
+                {getOrderStatusLabel(event.status).label}
+              </span>
+              <span className="order-history-date">
+                {formatOrderDate(event.date)}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {AWAITING_PAYMENT_STATUSES.includes(order.status) && (
+        <PaymentProofUpload orderId={order.id} email={email} />
+      )}
+    </div>
+  );
+};
+
+// Composant principal de suivi de commande
+const OrderTracking = ({ initialOrderId = '' }) => {
+  const [values, setValues] = useState({
+    orderId: initialOrderId,
+    email: '',
+  });
+  const [state, setState] = useState({
+    loading: false,
+    error: '',
+    order: null,
+    email: '',
+  });
+
+  const handleChange = useCallback((e) => {
+    const { name, value } = e.target;
+    setValues((prev) => ({ ...prev, [name]: value }));
+  }, []);
+
+  const handleSubmit = useCallback(
+    async (e) => {
+      e.preventDefault();
+      setState({ loading: true, error: '', order: null, email: '' });
+
+      try {
+        const formData = new FormData();
+        formData.append('orderId', values.orderId);
+        formData.append('email', values.email);
+
+        const result = await lookupOrder(formData);
+
+        if (!result.success) {
+          setState({
+            loading: false,
+            error: result.message,
+            order: null,
+            email: '',
+          });
+          trackEvent('order_lookup_failed', {
+            event_category: 'ecommerce',
+            event_label: result.code,
+          });
+          return;
+        }
+
+        setState({
+          loading: false,
+          error: '',
+          order: result.order,
+          email: values.email,
+        });
+        trackEvent('order_lookup_success', {
+          event_category: 'ecommerce',
+          event_label: result.order.status,
+        });
+      } catch {
+        setState({
+          loading: false,
+          error: 'Erreur de connexion. Veuillez réessayer.',
+          order: null,
+          email: '',
+        });
+      }
+    },
+    [values],
+  );
+
+  return (
+    <div>
+      <section className="first">
+        <Parallax bgColor="#0c0c1d" title="Ma commande" planets="/sun.png" />
+      </section>
+
+      <section className="others order-tracking-section">
+        <div className="order-tracking">
+          <h2 className="order-tracking-title">Suivre ma commande</h2>
+          <p className="order-tracking-hint">
+            Saisissez le numéro de commande reçu lors de votre achat et
+            l&apos;adresse email utilisée pour la commande.
+          </p>
+
+          <form className="order-tracking-form" onSubmit={handleSubmit}>
+            <input
+              type="text"
+              name="orderId"
+              placeholder="Numéro de commande"
+              aria-label="Numéro de commande"
+              value={values.orderId}
+              onChange={handleChange}
+              disabled={state.loading}
+              required
+            />
+            <input
+              type="email"
+              name="email"
+              placeholder="Adresse email"
+              aria-label="Adresse email"
+              value={values.email}
+              onChange={handleChange}
+              disabled={state.loading}
+              required
+            />
+            <button
+              type="submit"
+              className="order-tracking-button"
+              disabled={state.loading}
+            >
+              {state.loading ? 'Recherche...' : 'Voir ma commande'}
+            </button>
+          </form>
+
+          {state.error && (
+            <div className="order-tracking-error" role="alert">
+              {state.error}
+            </div>
+          )}
+
+          {state.order && (
+            <OrderDetails order={state.order} email={state.email} />
+          )}
+
+          <Link href="/templates" className="order-tracking-link">
+            Voir nos templates
+          </Link>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default OrderTracking;
@@ -0,0 +1,125 @@
+'use client';
+
+import { useRef, useState, useCallback } from 'react';
+
+import './paymentProof.scss';
+import { uploadPaymentProof } from '@/actions/paymentProofActions';
+import {
+  PAYMENT_PROOF_CONFIG,
+  validatePaymentProofFile,
+} from '@/utils/schemas/paymentProofSchema';
+import { trackEvent } from '@/utils/analytics';
+
+const ACCEPTED_TYPES = Object.keys(PAYMENT_PROOF_CONFIG.allowedTypes).join(',');
+
+// Envoi d'une capture ou d'un reçu de transfert mobile money
+const PaymentProofUpload = ({ orderId, email, onUploaded }) => {
+  const inputRef = useRef();
+  const [file, setFile] = useState(null);
+  const [state, setState] = useState({
+    loading: false,
+    error: '',
+    success: '',
+  });
+
+  const handleFileChange = useCallback((e) => {
+    const selected = e.target.files?.[0] || null;
+    const check = validatePaymentProofFile(selected);
+
+    setFile(check.valid ? selected : null);
+    setState({
+      loading: false,
+      error: selected && !check.valid ? check.error : '',
+      success: '',
+    });
+  }, []);
+
+  const handleUpload = useCallback(async () => {
+    if (!file) return;
+
+    setState({ loading: true, error: '', success: '' });
+
+    try {
+      const formData = new FormData();
+      formData.append('orderId', orderId);
+      formData.append('email', email);
+      formData.append('proof', file);
+
+      const result = await uploadPaymentProof(formData);
+
+      if (!result.success) {
+        setState({ loading: false, error: result.message, success: '' });
+        trackEvent('payment_proof_upload_failed', {
+          event_category: 'ecommerce',
+          event_label: result.code,
+        });
+        return;
+      }
+
+      setState({ loading: false, error: '', success: result.message });
+      setFile(null);
+      if (inputRef.current) inputRef.current.value = '';
+
+      trackEvent('payment_proof_uploaded', {
+        event_category: 'ecommerce',
+        event_label: file.type,
+      });
+
+      onUploaded?.(result);
+    } catch {
+      setState({
+        loading: false,
+        error: 'Erreur de connexion. Veuillez réessayer.',
+        success: '',
+      });
+    }
+  }, [file, orderId, email, onUploaded]);
+
+  return (
+    <div className="payment-proof">
+      <label
+        htmlFor={`payment-proof-${orderId}`}
+        className="payment-proof-label"
+      >
+        Justificatif de paiement (capture ou reçu du transfert)
+      </label>
+      <input
+        ref={inputRef}
+        id={`payment-proof-${orderId}`}
+        type="file"
+        accept={ACCEPTED_TYPES}
+        onChange={handleFileChange}
+        disabled={state.loading}
+        aria-describedby={`payment-proof-hint-${orderId}`}
+      />
+      <small
+        id={`payment-proof-hint-${orderId}`}
+        className="payment-proof-hint"
+      >
+        JPG, PNG, WEBP ou PDF — 5 Mo maximum
+      </small>
+
+      <button
+        type="button"
+        className="payment-proof-button"
+        onClick={handleUpload}
+        disabled={!file || state.loading}
+      >
+        {state.loading ? 'Envoi...' : 'Envoyer le justificatif'}
+      </button>
+
+      {state.error && (
+        <div className="payment-proof-error" role="alert">
+          {state.error}
+        </div>
+      )}
+      {state.success && (
+        <div className="payment-proof-success" role="status">
+          {state.success}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PaymentProofUpload;
@@ -0,0 +1,225 @@
+'use client';
+
+import { useState, useCallback } from 'react';
+import Link from 'next/link';
+
+import '../orders/trackingStyles/index.scss';
+import './quoteStyles/index.scss';
+import Parallax from '../layouts/parallax';
+import OrderModal from '../modal/OrderModal';
+import { downloadQuote } from '@/actions/quoteActions';
+import { formatPrice } from '@/utils/helpers';
+import { trackEvent } from '@/utils/analytics';
+
+const LINK_ERRORS = {
+  LINK_EXPIRED:
+    'Ce devis a expiré. Demandez un nouveau devis depuis la page de l’application pour bénéficier des prix actuels.',
+  INVALID_LINK:
+    "Ce lien de devis n'est pas valide. Vérifiez que vous avez copié le lien complet reçu par email.",
+};
+
+const QUOTE_STATUS_LABELS = {
+  pending: { label: 'Valable', tone: 'pending' },
+  converted: { label: 'Commandé', tone: 'success' },
+  expired: { label: 'Expiré', tone: 'neutral' },
+};
+
+const formatDate = (value) =>
+  new Date(value).toLocaleDateString('fr-FR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+  });
+
+// Page de devis ouverte depuis l'email : PDF et commande au prix du devis
+const QuotePage = ({ link, linkError, quote, platforms, loadError }) => {
+  const [status, setStatus] = useState(quote?.status || null);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [download, setDownload] = useState({ loading: false, error: '' });
+
+  const handleDownload = useCallback(async () => {
+    setDownload({ loading: true, error: '' });
+
+    try {
+      const formData = new FormData();
+      formData.append('quoteId', link.id);
+      formData.append('expires', link.expires);
+      formData.append('signature', link.signature);
+
+      const result = await downloadQuote(formData);
+
+      if (!result.success) {
+        setDownload({ loading: false, error: result.message });
+        return;
+      }
+
+      const bytes = Uint8Array.from(atob(result.content), (c) =>
+        c.charCodeAt(0),
+      );
+      const url = URL.createObjectURL(
+        new Blob([bytes], { type: 'application/pdf' }),
+      );
+      const anchor = document.createElement('a');
+      anchor.href = url;
+      anchor.download = result.filename;
+      anchor.click();
+      URL.revokeObjectURL(url);
+
+      setDownload({ loading: false, error: '' });
+      trackEvent('quote_downloaded', { event_category: 'ecommerce' });
+    } catch {
+      setDownload({
+        loading: false,
+        error: 'Erreur de connexion. Veuillez réessayer.',
+      });
+    }
+  }, [link]);
+
+  const handleOrderOpen = useCallback(() => {
+    trackEvent('quote_order_start', {
+      event_category: 'ecommerce',
+      event_label: quote.applicationName,
+      application_id: quote.applicationId,
+    });
+    setIsModalOpen(true);
+  }, [quote]);
+
+  const renderContent = () => {
+    if (linkError) {
+      return (
+        <div className="order-tracking-error" role="alert">
+          {LINK_ERRORS[linkError] || LINK_ERRORS.INVALID_LINK}
+        </div>
+      );
+    }
+
+    if (loadError || !quote) {
+      return (
+        <div className="order-tracking-error" role="alert">
+          Impossible de charger votre devis pour le moment. Veuillez réessayer
+          plus tard.
+        </div>
+      );
+    }
+
+    const statusLabel =
+      QUOTE_STATUS_LABELS[status] || QUOTE_STATUS_LABELS.pending;
+
+    return (
+      <>
+        <div className="order-details">
+          <div className={`order-status status-${statusLabel.tone}`}>
+            {statusLabel.label}
+          </div>
+          <table className="order-table">
+            <tbody>
+              <tr>
+                <td className="order-label">Devis</td>
+                <td className="order-value">{quote.number}</td>
+              </tr>
+              <tr>
+                <td className="order-label">Entreprise</td>
+                <td className="order-value">{quote.company.name}</td>
+              </tr>
+              <tr>
+                <td className="order-label">Application</td>
+                <td className="order-value">{quote.applicationName}</td>
+              </tr>
+              <tr>
+                <td className="order-label">Frais d&apos;acquisition</td>
+                <td className="order-value">
+                  FDJ {formatPrice(quote.applicationFee)}
+                </td>
+              </tr>
+              {quote.applicationRent > 0 && (
+                <tr>
+                  <td className="order-label">Frais de gestion</td>
+                  <td className="order-value">
+                    FDJ {formatPrice(quote.applicationRent)} / mois
+                  </td>
+                </tr>
+              )}
+              <tr>
+                <td className="order-label">Valable jusqu&apos;au</td>
+                <td className="order-value">{formatDate(quote.validUntil)}</td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+
+        <div className="quote-actions">
+          <button
+            type="button"
+            className="quote-download-button"
+            onClick={handleDownload}
+            disabled={download.loading}
+          >
+            {download.loading ? 'Génération...' : 'Télécharger le devis (PDF)'}
+          </button>
+
+          {status === 'pending' && (
+            <button
+              type="button"
+              className="quote-order-button"
+              onClick={handleOrderOpen}
+              disabled={platforms.length === 0}
+            >
+              {platforms.length === 0
+                ? 'Paiement indisponible'
+                : 'Commander au prix du devis'}
+            </button>
+          )}
+        </div>
+
+        {download.error && (
+          <div className="order-tracking-error" role="alert">
+            {download.error}
+          </div>
+        )}
+
+        {status === 'converted' && (
+          <p className="order-tracking-hint">
+            Ce devis a déjà donné lieu à une commande. Retrouvez-la dans votre{' '}
+            <Link href="/account" className="quote-link">
+              espace client
+            </Link>
+            .
+          </p>
+        )}
+
+        {/* Reste monté après la commande pour afficher la confirmation */}
+        {quote.status === 'pending' && (
+          <OrderModal
+            isOpen={isModalOpen}
+            onClose={() => setIsModalOpen(false)}
+            platforms={platforms}
+            applicationId={quote.applicationId}
+            applicationFee={quote.applicationFee}
+            applicationRent={quote.applicationRent}
+            applicationName={quote.applicationName}
+            quote={link}
+            onOrderCreated={() => setStatus('converted')}
+          />
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div>
+      <section className="first">
+        <Parallax bgColor="#0c0c1d" title="Mon devis" planets="/sun.png" />
+      </section>
+
+      <section className="others order-tracking-section">
+        <div className="order-tracking">
+          <h2 className="order-tracking-title">Devis</h2>
+
+          {renderContent()}
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default QuotePage;
@@ -17,9 +17,12 @@ const Parallax = dynamic(() => import('components/layouts/parallax'), {
 });
 
 import OrderModal from '../modal/OrderModal';
+import QuoteModal from '../modal/QuoteModal';
 import { formatPrice, getApplicationLevelLabel } from '@/utils/helpers';
+import { getAvailablePlans } from '@/utils/orderPlans';
 import { trackEvent } from '@/utils/analytics';
 import PageTracker from '../analytics/PageTracker';
+import { useCart } from '../../contexts/CartContext';
 
 // Composant de navigation de galerie mémorisé
 const GalleryNavigation = memo(
@@ -262,6 +265,10 @@ SpecificNeeds.displayName = 'SpecificNeeds';
 // Composant de tarification mémorisé
 const PricingSection = memo(({ application }) => {
   const formatCurrency = (value) => `FDJ ${formatPrice(value)}`;
+  // Formules prépayées proposées à la commande
+  const prepaidPlans = getAvailablePlans(application.application_rent).filter(
+    (plan) => plan.prepaidMonths > 0,
+  );
 
   return (
     <div className="pricing-section">
@@ -292,6 +299,19 @@ const PricingSection = memo(({ application }) => {
           </tbody>
         </table>
         <div className="pricing-note">
+          {prepaidPlans.length > 0 && (
+            <small>
+              Frais de gestion prépayables à la commande :{' '}
+              {prepaidPlans
+                .map(
+                  (plan) =>
+                    `${plan.prepaidMonths} mois (-${Math.round(plan.rentDiscountRate * 100)} %)`,
+                )
+                .join(', ')}
+              .
+              <br />
+            </small>
+          )}
           <small>Tous les prix sont en Francs Djiboutiens (FDJ)</small>
         </div>
       </div>
@@ -312,9 +332,12 @@ const SingleApplication = ({
   const images = application?.application_images || [];
   const [selectedImage, setSelectedImage] = useState(images[0] || '');
   const [isModalOpen, setIsModalOpen] = useState(false);
+  const [isQuoteModalOpen, setIsQuoteModalOpen] = useState(false);
   const [activeContentSection, setActiveContentSection] =
     useState('description');
   const [activePricingSection, setActivePricingSection] = useState('needs');
+  const { addItem, hasItem } = useCart();
+  const inCart = application ? hasItem(application.application_id) : false;
 
   // Tracking de la page view (une seule fois)
   useEffect(() => {
@@ -427,6 +450,22 @@ const SingleApplication = ({
     setIsModalOpen(true);
   }, [platforms, context, application]);
 
+  // Handler pour l'ajout au panier
+  const handleAddToCart = useCallback(() => {
+    if (!addItem(application, context?.templateId)) {
+      alert('Votre panier est plein. Finalisez votre commande en cours.');
+      return;
+    }
+
+    trackEvent('add_to_cart', {
+      event_category: 'ecommerce',
+      event_label: application.application_name,
+      application_id: context?.applicationId,
+      template_id: context?.templateId,
+      application_fee: application.application_fee,
+    });
+  }, [addItem, application, context]);
+
   // Handler pour fermer la modal
   const handleModalClose = useCallback(() => {
     trackEvent('order_modal_close', {
@@ -438,6 +477,18 @@ const SingleApplication = ({
     setIsModalOpen(false);
   }, [context?.applicationId]);
 
+  // Handler pour la demande de devis (indépendante des moyens de paiement)
+  const handleQuoteModalOpen = useCallback(() => {
+    trackEvent('quote_modal_open', {
+      event_category: 'ecommerce',
+      event_label: application.application_name,
+      application_id: context?.applicationId,
+      template_id: context?.templateId,
+    });
+
+    setIsQuoteModalOpen(true);
+  }, [context, application]);
+
   // Gestion de l'état vide
   if (
     !application ||
@@ -628,6 +679,23 @@ const SingleApplication = ({
                   : 'Commander maintenant'}
               </span>
             </button>
+            <button
+              onClick={handleAddToCart}
+              className={`btn btn-secondary add-cart-btn ${inCart ? 'in-cart' : ''}`}
+              disabled={inCart}
+            >
+              <span className="btn-icon">🛒</span>
+              <span className="btn-text">
+                {inCart ? 'Dans le panier' : 'Ajouter au panier'}
+              </span>
+            </button>
+            <button
+              onClick={handleQuoteModalOpen}
+              className="btn btn-secondary quote-btn"
+            >
+              <span className="btn-icon">📄</span>
+              <span className="btn-text">Demander un devis</span>
+            </button>
           </div>
         </div>
       </section>
@@ -639,6 +707,17 @@ const SingleApplication = ({
         platforms={platforms}
         applicationId={application.application_id}
         applicationFee={application.application_fee}
+        applicationRent={application.application_rent}
+        applicationName={application.application_name}
+        templateId={context?.templateId}
+      />
+
+      {/* Modal de demande de devis */}
+      <QuoteModal
+        isOpen={isQuoteModalOpen}
+        onClose={() => setIsQuoteModalOpen(false)}
+        applicationId={application.application_id}
+        applicationName={application.application_name}
       />
     </div>
   );
@@ -5,7 +5,12 @@ import dynamic from 'next/dynamic';
 import { useState, useEffect, useCallback, memo } from 'react';
 import { CldImage } from 'next-cloudinary';
 import Link from 'next/link';
-import { FaDollarSign } from 'react-icons/fa';
+import {
+  FaDollarSign,
+  FaCartPlus,
+  FaCheck,
+  FaFileInvoice,
+} from 'react-icons/fa';
 import { IoEye } from 'react-icons/io5';
 import './shopsStyles/index.scss';
 
@@ -17,13 +22,24 @@ const Parallax = dynamic(() => import('components/layouts/parallax'), {
 });
 
 import OrderModal from '../modal/OrderModal';
+import QuoteModal from '../modal/QuoteModal';
 import { formatPrice, getApplicationLevelLabel } from '@/utils/helpers';
 import { trackEvent } from '@/utils/analytics';
 import PageTracker from '../analytics/PageTracker';
+import { useCart } from '../../contexts/CartContext';
 
 // Composant de carte d'application mémorisé
 const ApplicationCard = memo(
-  ({ app, templateID, onOrderClick, onViewClick, hasPaymentMethods }) => {
+  ({
+    app,
+    templateID,
+    onOrderClick,
+    onViewClick,
+    onAddToCart,
+    onQuoteClick,
+    inCart,
+    hasPaymentMethods,
+  }) => {
     return (
       <div
         className="application-card"
@@ -79,6 +95,29 @@ const ApplicationCard = memo(
               <FaDollarSign size={16} />
               <span className="btn-text">Commander</span>
             </button>
+            <button
+              className={`btn btn-add-cart ${inCart ? 'in-cart' : ''}`}
+              onClick={() => onAddToCart(app)}
+              disabled={inCart}
+              aria-label={
+                inCart
+                  ? `${app.application_name} est dans le panier`
+                  : `Ajouter ${app.application_name} au panier`
+              }
+            >
+              {inCart ? <FaCheck size={16} /> : <FaCartPlus size={16} />}
+              <span className="btn-text">
+                {inCart ? 'Dans le panier' : 'Panier'}
+              </span>
+            </button>
+            <button
+              className="btn btn-quote"
+              onClick={() => onQuoteClick(app)}
+              aria-label={`Demander un devis pour ${app.application_name}`}
+            >
+              <FaFileInvoice size={16} />
+              <span className="btn-text">Devis</span>
+            </button>
             <Link
               href={`/templates/${templateID}/applications/${app.application_id}`}
               className="btn btn-preview"
@@ -105,7 +144,10 @@ const SingleTemplateShops = ({
 }) => {
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [selectedApp, setSelectedApp] = useState(null);
+  // Application dont le devis est demandé
+  const [quoteApp, setQuoteApp] = useState(null);
   const [viewedApps, setViewedApps] = useState(new Set());
+  const { addItem, hasItem } = useCart();
 
   // Tracking de la vue de la page (une seule fois)
   useEffect(() => {
@@ -148,6 +190,40 @@ const SingleTemplateShops = ({
     [platforms, templateID],
   );
 
+  // Handler pour la demande de devis (indépendante des moyens de paiement)
+  const handleQuoteClick = useCallback(
+    (app) => {
+      trackEvent('quote_modal_open', {
+        event_category: 'ecommerce',
+        event_label: app.application_name,
+        application_id: app.application_id,
+        template_id: templateID,
+      });
+
+      setQuoteApp(app);
+    },
+    [templateID],
+  );
+
+  // Handler pour l'ajout au panier
+  const handleAddToCart = useCallback(
+    (app) => {
+      if (!addItem(app, templateID)) {
+        alert('Votre panier est plein. Finalisez votre commande en cours.');
+        return;
+      }
+
+      trackEvent('add_to_cart', {
+        event_category: 'ecommerce',
+        event_label: app.application_name,
+        application_id: app.application_id,
+        template_id: templateID,
+        application_fee: app.application_fee,
+      });
+    },
+    [addItem, templateID],
+  );
+
   // Handler pour voir les détails
   const handleApplicationView = useCallback(
     (app) => {
@@ -226,6 +302,9 @@ const SingleTemplateShops = ({
               templateID={templateID}
               onOrderClick={handleOrderClick}
               onViewClick={handleApplicationView}
+              onAddToCart={handleAddToCart}
+              onQuoteClick={handleQuoteClick}
+              inCart={hasItem(app.application_id)}
               hasPaymentMethods={hasPaymentMethods}
             />
           </section>
@@ -240,6 +319,19 @@ const SingleTemplateShops = ({
           platforms={platforms}
           applicationId={selectedApp.application_id}
           applicationFee={selectedApp.application_fee}
+          applicationRent={selectedApp.application_rent}
+          applicationName={selectedApp.application_name}
+          templateId={templateID}
+        />
+      )}
+
+      {/* Modal de demande de devis */}
+      {quoteApp && (
+        <QuoteModal
+          isOpen
+          onClose={() => setQuoteApp(null)}
+          applicationId={quoteApp.application_id}
+          applicationName={quoteApp.application_name}
         />
       )}
     </div>
@@ -0,0 +1,137 @@
+'use client';
+
+import {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+} from 'react';
+
+import { CART_MAX_ITEMS } from '@/utils/schemas/schema';
+
+const CartContext = createContext();
+
+// Clé de persistance locale du panier
+const CART_STORAGE_KEY = 'benew_cart';
+
+export const useCart = () => {
+  const context = useContext(CartContext);
+  if (!context) {
+    throw new Error('useCart must be used within a CartProvider');
+  }
+  return context;
+};
+
+// Lecture défensive : un contenu corrompu donne un panier vide
+function readStoredCart() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CART_STORAGE_KEY));
+    return Array.isArray(stored) ? stored.slice(0, CART_MAX_ITEMS) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Panier persisté côté client
+ * Les prix stockés servent uniquement à l'affichage : ils sont recalculés
+ * côté serveur par createCartOrder
+ */
+export const CartProvider = ({ children }) => {
+  const [items, setItems] = useState([]);
+  const [isHydrated, setIsHydrated] = useState(false);
+
+  // Chargement après le montage pour éviter les écarts d'hydratation
+  useEffect(() => {
+    setItems(readStoredCart());
+    setIsHydrated(true);
+
+    // Synchronisation entre onglets
+    const handleStorage = (event) => {
+      if (event.key === CART_STORAGE_KEY) {
+        setItems(readStoredCart());
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
+
+  useEffect(() => {
+    if (!isHydrated) return;
+
+    try {
+      localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(items));
+    } catch {
+      // Stockage indisponible (navigation privée) : panier en mémoire seulement
+    }
+  }, [items, isHydrated]);
+
+  const hasItem = useCallback(
+    (applicationId) =>
+      items.some((item) => item.applicationId === applicationId),
+    [items],
+  );
+
+  /**
+   * Ajoute une application (sans doublon, dans la limite du panier)
+   * @param {Object} application - Ligne catalog.applications
+   * @param {string} templateId - Template parent
+   * @returns {boolean} false si le panier est plein
+   */
+  const addItem = useCallback(
+    (application, templateId = null) => {
+      if (hasItem(application.application_id)) return true;
+      if (items.length >= CART_MAX_ITEMS) return false;
+
+      setItems((prev) => [
+        ...prev,
+        {
+          applicationId: application.application_id,
+          name: application.application_name,
+          fee: Number(application.application_fee) || 0,
+          rent: Number(application.application_rent) || 0,
+          level: application.application_level,
+          category: application.application_category,
+          image: application.application_images?.[0] || null,
+          // Lien de retour vers la fiche de l'application
+          templateId: templateId || application.template_id || null,
+        },
+      ]);
+      return true;
+    },
+    [items, hasItem],
+  );
+
+  const removeItem = useCallback((applicationId) => {
+    setItems((prev) =>
+      prev.filter((item) => item.applicationId !== applicationId),
+    );
+  }, []);
+
+  const clearCart = useCallback(() => setItems([]), []);
+
+  const totals = useMemo(
+    () => ({
+      fee: items.reduce((sum, item) => sum + item.fee, 0),
+      rent: items.reduce((sum, item) => sum + item.rent, 0),
+    }),
+    [items],
+  );
+
+  const value = {
+    items,
+    itemCount: items.length,
+    totals,
+    isHydrated,
+    isFull: items.length >= CART_MAX_ITEMS,
+    hasItem,
+    addItem,
+    removeItem,
+    clearCart,
+  };
+
+  return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
+};
@@ -139,12 +139,22 @@ function initSentryServer() {
 // API DÉVELOPPEUR SIMPLIFIÉE
 // =============================================
 
+// Hors de Next (scripts/*.mjs lancés avec node), @sentry/nextjs n'expose pas
+// l'API de capture : les erreurs sont alors écrites dans la console
+const isSentryAvailable = () => typeof Sentry.withScope === 'function';
+
 /**
  * Capture une exception simple
  * @param {Error} error - L'erreur à capturer
  * @param {Object} context - Contexte optionnel
  */
 export const captureException = (error, context = {}) => {
+  if (!isSentryAvailable()) {
+    const log = context.level === 'warning' ? console.warn : console.error;
+    log('[Sentry indisponible]', error, context.tags || {});
+    return;
+  }
+
   Sentry.withScope((scope) => {
     // Tags basiques
     if (context.tags) {
@@ -172,6 +182,19 @@ export const captureMessage = (message, level = 'info') => {
     ? filterMessage(message)
     : message;
 
+  if (!isSentryAvailable()) {
+    // level peut aussi être un contexte { level, tags }
+    const severity = typeof level === 'string' ? level : level?.level;
+    const log =
+      severity === 'error'
+        ? console.error
+        : severity === 'warning'
+          ? console.warn
+          : console.log;
+    log('[Sentry indisponible]', filteredMessage);
+    return;
+  }
+
   Sentry.captureMessage(filteredMessage, level);
 };
 
@@ -180,6 +203,8 @@ export const captureMessage = (message, level = 'info') => {
  * @param {Object} user - Données utilisateur
  */
 export const setUser = (user) => {
+  if (!isSentryAvailable()) return;
+
   if (!user) {
     Sentry.setUser(null);
     return;
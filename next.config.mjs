@@ -54,6 +54,8 @@ const validateEnv = () => {
     'RESEND_FROM_EMAIL',
     'RESEND_TO_EMAIL',
     'SOCKET_SECURITY_API_TOKEN',
+    'ORDER_LINK_SECRET',
+    'CONTACT_FORM_SECRET',
   ];
 
   const ALWAYS_REQUIRED = ['NODE_ENV'];
@@ -167,6 +169,13 @@ const nextConfig = {
   // Timeout pour la génération de pages statiques
   staticPageGenerationTimeout: 60,
 
+  // Server Actions : justificatifs de paiement jusqu'à 5 Mo (+ marge FormData)
+  experimental: {
+    serverActions: {
+      bodySizeLimit: '6mb',
+    },
+  },
+
   // Configuration des en-têtes HTTP - AVEC CSP CORRIGÉ POUR NEXT.JS 15
   async headers() {
     // ===== DÉTECTION D'ENVIRONNEMENT =====
@@ -356,6 +365,75 @@ const nextConfig = {
         ],
       },
 
+      // ===== SUIVI DE COMMANDE (DONNÉES PERSONNELLES) =====
+      {
+        source: '/orders/:path*',
+        headers: [
+          // Jamais de cache pour les données de commande
+          {
+            key: 'Cache-Control',
+            value: 'no-store, max-age=0',
+          },
+          {
+            key: 'X-Robots-Tag',
+            value: 'noindex, nofollow',
+          },
+          {
+            key: 'Content-Security-Policy',
+            value: [
+              "default-src 'self'",
+              `script-src 'self' ${isDev ? "'unsafe-eval'" : ''} 'unsafe-inline'`,
+              "style-src 'self' 'unsafe-inline' https://fonts.googleapis.com",
+              "img-src 'self' data:",
+              "font-src 'self' https://fonts.gstatic.com",
+              "connect-src 'self'", // Server Actions seulement
+              "form-action 'self'",
+              "frame-ancestors 'none'",
+            ].join('; '),
+          },
+        ],
+      },
+
+      // ===== ESPACE CLIENT (SESSION) =====
+      {
+        source: '/account/:path*',
+        headers: [
+          {
+            key: 'Cache-Control',
+            value: 'no-store, max-age=0',
+          },
+          {
+            key: 'X-Robots-Tag',
+            value: 'noindex, nofollow',
+          },
+          // Le jeton de connexion ne doit pas fuiter vers un site tiers
+          {
+            key: 'Referrer-Policy',
+            value: 'no-referrer',
+          },
+        ],
+      },
+
+      // ===== DEVIS (LIEN SIGNÉ) =====
+      {
+        source: '/quotes/:path*',
+        headers: [
+          {
+            key: 'Cache-Control',
+            value: 'no-store, max-age=0',
+          },
+          {
+            key: 'X-Robots-Tag',
+            value: 'noindex, nofollow',
+          },
+          // La signature du lien ne doit pas fuiter vers un site tiers
+          {
+            key: 'Referrer-Policy',
+            value: 'no-referrer',
+          },
+        ],
+      },
+
       // ===== CACHE OPTIMISÉ - ASSETS NEXT.JS =====
       {
         source: '/_next/static/:path*',
@@ -0,0 +1,22 @@
+// scripts/contact-outbox.mjs
+// Relance des messages de contact non livrés, à lancer toutes les 5 minutes
+// Local : npm run outbox:contact
+// Cron  : */5 * * * * cd /chemin/vers/benew && npm run outbox:contact
+
+// Variables d'environnement chargées avant l'import des modules backend
+for (const file of ['.env.local', '.env']) {
+  try {
+    process.loadEnvFile(file);
+  } catch {
+    // Fichier absent : variables déjà fournies par l'environnement
+  }
+}
+
+const { runContactOutboxJob } = await import('../backend/contactMessages.js');
+const { shutdown } = await import('../backend/dbConnect.js');
+
+const result = await runContactOutboxJob();
+console.log('[Contact outbox]', JSON.stringify(result));
+
+await shutdown();
+process.exit(result.success ? 0 : 1);
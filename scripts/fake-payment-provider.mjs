@@ -0,0 +1,85 @@
+// scripts/fake-payment-provider.mjs
+// Fausse plateforme de paiement : envoie un webhook signé au serveur local
+// npm run webhook:fake -- --platform=waafi --order=<id commande> --amount=15000
+// Options : --status=succeeded|failed|pending, --event=<id>, --url=<base>,
+//           --stale (horodatage hors fenêtre), --bad-signature
+
+import { randomUUID } from 'crypto';
+import { parseArgs } from 'util';
+
+// Variables d'environnement chargées avant l'import des modules backend
+for (const file of ['.env.local', '.env']) {
+  try {
+    process.loadEnvFile(file);
+  } catch {
+    // Fichier absent : variables déjà fournies par l'environnement
+  }
+}
+
+const { getWebhookSecret, signWebhookPayload, SIGNATURE_HEADER } = await import(
+  '../backend/webhookSignature.js'
+);
+
+const { values: args } = parseArgs({
+  options: {
+    platform: { type: 'string' },
+    order: { type: 'string' },
+    amount: { type: 'string' },
+    status: { type: 'string', default: 'succeeded' },
+    event: { type: 'string' },
+    url: { type: 'string', default: 'http://localhost:3000' },
+    stale: { type: 'boolean', default: false },
+    'bad-signature': { type: 'boolean', default: false },
+  },
+});
+
+if (!args.platform || !args.order || !args.amount) {
+  console.error(
+    'Usage : npm run webhook:fake -- --platform=<slug> --order=<id> --amount=<montant>',
+  );
+  process.exit(1);
+}
+
+const secret = getWebhookSecret(args.platform);
+if (!secret) {
+  console.error(
+    `[Fake provider] Secret absent : définir PAYMENT_WEBHOOK_SECRET_${args.platform.toUpperCase().replace(/-/g, '_')}`,
+  );
+  process.exit(1);
+}
+
+const body = JSON.stringify({
+  id: args.event || `evt_${randomUUID()}`,
+  reference: args.order,
+  amount: Number(args.amount),
+  status: args.status,
+});
+
+// 10 minutes dans le passé : hors de la fenêtre acceptée par le serveur
+const timestamp = Math.floor(Date.now() / 1000) - (args.stale ? 600 : 0);
+const signature = signWebhookPayload(
+  args['bad-signature'] ? `${secret}-invalide` : secret,
+  body,
+  timestamp,
+);
+
+const endpoint = `${args.url}/api/webhooks/payments/${args.platform}`;
+console.log('[Fake provider] POST', endpoint, body);
+
+let response;
+try {
+  response = await fetch(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      [SIGNATURE_HEADER]: signature,
+    },
+    body,
+  });
+} catch (error) {
+  console.error('[Fake provider] Serveur injoignable :', error.cause || error);
+  process.exit(1);
+}
+
+console.log('[Fake provider]', response.status, await response.text());
+process.exit(response.ok ? 0 : 1);
@@ -0,0 +1,22 @@
+// scripts/rent-billing.mjs
+// Job de facturation des frais de gestion, à lancer une fois par jour
+// Local : npm run billing:rent
+// Cron  : 0 6 * * * cd /chemin/vers/benew && npm run billing:rent
+
+// Variables d'environnement chargées avant l'import des modules backend
+for (const file of ['.env.local', '.env']) {
+  try {
+    process.loadEnvFile(file);
+  } catch {
+    // Fichier absent : variables déjà fournies par l'environnement
+  }
+}
+
+const { runRentBillingJob } = await import('../backend/rentBilling.js');
+const { shutdown } = await import('../backend/dbConnect.js');
+
+const result = await runRentBillingJob();
+console.log('[Rent billing]', JSON.stringify(result));
+
+await shutdown();
+process.exit(result.success ? 0 : 1);
@@ -0,0 +1,46 @@
+// scripts/ticket-reply.mjs
+// Réponse de l'équipe à un ticket de contact : enregistrée sur le ticket,
+// puis envoyée par email au visiteur
+// npm run ticket:reply -- --ticket=TKT-2025-000042 --author="Moussa" --file=reponse.txt
+// Options : --close (clôt le ticket)
+
+import { readFileSync } from 'fs';
+import { parseArgs } from 'util';
+
+// Variables d'environnement chargées avant l'import des modules backend
+for (const file of ['.env.local', '.env']) {
+  try {
+    process.loadEnvFile(file);
+  } catch {
+    // Fichier absent : variables déjà fournies par l'environnement
+  }
+}
+
+const { values: args } = parseArgs({
+  options: {
+    ticket: { type: 'string' },
+    author: { type: 'string' },
+    file: { type: 'string' },
+    close: { type: 'boolean', default: false },
+  },
+});
+
+if (!args.ticket || !args.author || !args.file) {
+  console.error(
+    'Usage : npm run ticket:reply -- --ticket=<TKT-…> --author=<nom> --file=<réponse.txt> [--close]',
+  );
+  process.exit(1);
+}
+
+const { replyToTicket } = await import('../backend/contactTickets.js');
+const { shutdown } = await import('../backend/dbConnect.js');
+
+const result = await replyToTicket(args.ticket, {
+  author: args.author,
+  content: readFileSync(args.file, 'utf8'),
+  close: args.close,
+});
+console.log('[Ticket reply]', JSON.stringify(result));
+
+await shutdown();
+process.exit(result.success ? 0 : 1);
@@ -348,6 +348,7 @@ export const trackCheckoutAbandonment = (
   application,
   abandonStep,
   reason = 'unknown',
+  timeSpentSeconds = null,
 ) => {
   if (!application?.application_id) {
     console.error(
@@ -359,6 +360,7 @@ export const trackCheckoutAbandonment = (
   trackEvent('checkout_abandon', {
     abandon_step: abandonStep,
     abandon_reason: reason,
+    time_spent_seconds: timeSpentSeconds,
     application_id: application.application_id,
     template_id: application.template_id || 'unknown',
     value: application.application_fee || 0,
@@ -34,3 +34,39 @@ export const formatPrice = (price) => {
     return numPrice.toString();
   }
 };
+
+// Méthode pour convertir le statut d'une commande en libellé
+export const getOrderStatusLabel = (status) => {
+  switch (status) {
+    case 'unpaid':
+      return { label: 'En attente de paiement', tone: 'pending' };
+    case 'payment_submitted':
+      return { label: 'Paiement en cours de vérification', tone: 'pending' };
+    case 'paid':
+      return { label: 'Payée', tone: 'success' };
+    case 'in_setup':
+      return { label: 'Installation en cours', tone: 'success' };
+    case 'delivered':
+      return { label: 'Livrée', tone: 'success' };
+    case 'cancelled':
+      return { label: 'Annulée', tone: 'neutral' };
+    case 'refunded':
+      return { label: 'Remboursée', tone: 'neutral' };
+    default:
+      return { label: status || 'Inconnu', tone: 'neutral' };
+  }
+};
+
+// Méthode pour convertir le statut d'un ticket de contact en libellé
+export const getTicketStatusLabel = (status) => {
+  switch (status) {
+    case 'open':
+      return { label: 'En attente de réponse', tone: 'pending' };
+    case 'answered':
+      return { label: 'Répondu', tone: 'success' };
+    case 'closed':
+      return { label: 'Clos', tone: 'neutral' };
+    default:
+      return { label: status || 'Inconnu', tone: 'neutral' };
+  }
+};
@@ -0,0 +1,89 @@
+// utils/orderOnboarding.js
+// Étapes de mise en service d'une commande payée
+// Partagé entre l'espace client (progression affichée) et saveOnboarding
+// (notification de l'équipe quand toutes les étapes sont remplies)
+
+// Commandes dont la fiche de mise en service est modifiable
+export const ONBOARDING_ORDER_STATUSES = ['paid', 'in_setup'];
+
+export const HOSTING_PREFERENCES = {
+  managed: {
+    id: 'managed',
+    label: 'Hébergement géré par Benew',
+    description: 'Nous hébergeons votre site et sa base de données.',
+  },
+  own: {
+    id: 'own',
+    label: "J'ai déjà un hébergement",
+    description: 'Précisez votre hébergeur et vos accès.',
+  },
+};
+
+export const HOSTING_PREFERENCE_IDS = Object.keys(HOSTING_PREFERENCES);
+
+export const ONBOARDING_SECTIONS = [
+  {
+    id: 'domain',
+    label: 'Nom de domaine',
+    isComplete: (onboarding) => Boolean(onboarding.domain),
+  },
+  {
+    id: 'logo',
+    label: 'Logo',
+    isComplete: (onboarding) => Boolean(onboarding.logo),
+  },
+  {
+    id: 'colors',
+    label: 'Couleurs de la marque',
+    isComplete: (onboarding) => Boolean(onboarding.primaryColor),
+  },
+  {
+    id: 'business',
+    label: "Informations sur l'entreprise",
+    isComplete: (onboarding) =>
+      Boolean(
+        onboarding.businessName &&
+          onboarding.businessActivity &&
+          onboarding.businessPhone,
+      ),
+  },
+  {
+    id: 'hosting',
+    label: 'Hébergement',
+    // Un hébergement existant doit être décrit pour être repris
+    isComplete: (onboarding) =>
+      onboarding.hostingPreference === 'managed' ||
+      (onboarding.hostingPreference === 'own' &&
+        Boolean(onboarding.hostingDetails)),
+  },
+];
+
+export function isOnboardingEditable(orderStatus) {
+  return ONBOARDING_ORDER_STATUSES.includes(orderStatus);
+}
+
+/**
+ * Progression de la mise en service
+ *
+ * @param {Object|null} onboarding - Fiche renvoyée par getOrderOnboarding
+ * @returns {{sections: Array<{id: string, label: string, complete: boolean}>,
+ *   completed: number, total: number, percent: number, isComplete: boolean}}
+ */
+export function computeOnboardingProgress(onboarding) {
+  const sections = ONBOARDING_SECTIONS.map((section) => ({
+    id: section.id,
+    label: section.label,
+    complete: Boolean(onboarding) && section.isComplete(onboarding),
+  }));
+
+  const completed = sections.filter((section) => section.complete).length;
+  const total = sections.length;
+
+  return {
+    sections,
+    completed,
+    total,
+    percent: Math.round((completed / total) * 100),
+    isComplete: completed === total,
+  };
+}
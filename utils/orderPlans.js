@@ -0,0 +1,94 @@
+// utils/orderPlans.js
+// Formules de commande : acquisition + frais de gestion mensuels, ou gestion prépayée
+// Partagé entre OrderModal (aperçu du montant) et createOrder (montant recalculé
+// à partir du catalogue)
+
+export const DEFAULT_ORDER_PLAN = 'standard';
+
+export const ORDER_PLANS = {
+  standard: {
+    id: 'standard',
+    label: 'Acquisition + gestion mensuelle',
+    prepaidMonths: 0,
+    rentDiscountRate: 0,
+  },
+  prepaid_6: {
+    id: 'prepaid_6',
+    label: 'Acquisition + 6 mois de gestion prépayés',
+    prepaidMonths: 6,
+    rentDiscountRate: 0.05,
+  },
+  prepaid_12: {
+    id: 'prepaid_12',
+    label: 'Acquisition + 12 mois de gestion prépayés',
+    prepaidMonths: 12,
+    rentDiscountRate: 0.1,
+  },
+};
+
+export const ORDER_PLAN_IDS = Object.keys(ORDER_PLANS);
+
+export function getOrderPlan(planId) {
+  return ORDER_PLANS[planId] || ORDER_PLANS[DEFAULT_ORDER_PLAN];
+}
+
+/**
+ * Formules proposées pour une commande
+ * Le prépaiement n'a de sens que si une application a des frais de gestion
+ */
+export function getAvailablePlans(monthlyRent) {
+  return monthlyRent > 0
+    ? Object.values(ORDER_PLANS)
+    : [ORDER_PLANS[DEFAULT_ORDER_PLAN]];
+}
+
+/**
+ * Gestion prépayée d'une ligne selon la formule
+ * La remise porte uniquement sur les frais de gestion, arrondie au franc
+ *
+ * @returns {{prepaidMonths: number, prepaidAmount: number, prepaidDiscount: number}}
+ */
+export function computePrepaidRent(monthlyRent, planId) {
+  const plan = getOrderPlan(planId);
+  const rent = Number(monthlyRent) || 0;
+
+  if (!plan.prepaidMonths || rent <= 0) {
+    return { prepaidMonths: 0, prepaidAmount: 0, prepaidDiscount: 0 };
+  }
+
+  const fullPrice = rent * plan.prepaidMonths;
+  const prepaidAmount = Math.round(fullPrice * (1 - plan.rentDiscountRate));
+
+  return {
+    prepaidMonths: plan.prepaidMonths,
+    prepaidAmount,
+    prepaidDiscount: fullPrice - prepaidAmount,
+  };
+}
+
+/**
+ * Montants d'une commande selon la formule
+ *
+ * @param {Array<{fee: number, rent: number}>} items - Prix catalogue des lignes
+ * @returns {{acquisition: number, monthlyRent: number, prepaidMonths: number,
+ *   prepaidAmount: number, prepaidDiscount: number, total: number}}
+ */
+export function computePlanTotals(items, planId) {
+  const totals = {
+    acquisition: 0,
+    monthlyRent: 0,
+    prepaidMonths: getOrderPlan(planId).prepaidMonths,
+    prepaidAmount: 0,
+    prepaidDiscount: 0,
+  };
+
+  for (const item of items) {
+    const prepaid = computePrepaidRent(item.rent, planId);
+    totals.acquisition += Number(item.fee) || 0;
+    totals.monthlyRent += Number(item.rent) || 0;
+    totals.prepaidAmount += prepaid.prepaidAmount;
+    totals.prepaidDiscount += prepaid.prepaidDiscount;
+  }
+
+  return { ...totals, total: totals.acquisition + totals.prepaidAmount };
+}
@@ -0,0 +1,135 @@
+// utils/phone.js
+// Numéros de téléphone : analyse, normalisation E.164 et affichage (client + serveur)
+// Sans indicatif, un numéro est considéré comme djiboutien (+253)
+
+const DEFAULT_COUNTRY = {
+  code: '253',
+  nationalLength: 8, // 77 12 34 56 (mobile), 21 35 12 34 (fixe)
+};
+
+// Longueur E.164 hors "+" : indicatif + numéro national
+const E164_MIN_DIGITS = 8;
+const E164_MAX_DIGITS = 15;
+
+// Séparateurs acceptés à la saisie
+const SEPARATORS = /[\s.\-()/]/g;
+
+/**
+ * Analyse un numéro saisi librement
+ * "77 12 34 56", "+253 77 12 34 56", "0025377123456" et "25377123456"
+ * donnent tous +25377123456
+ *
+ * @returns {{valid: boolean, e164?: string, countryCode?: string, national?: string}}
+ */
+export function parsePhoneNumber(input) {
+  const compact = String(input || '')
+    .trim()
+    .replace(SEPARATORS, '');
+
+  if (!compact) return { valid: false };
+
+  let digits;
+  let international;
+
+  if (compact.startsWith('+')) {
+    digits = compact.slice(1);
+    international = true;
+  } else if (compact.startsWith('00')) {
+    digits = compact.slice(2);
+    international = true;
+  } else {
+    digits = compact;
+    international = false;
+  }
+
+  if (!/^\d+$/.test(digits)) return { valid: false };
+
+  const { code, nationalLength } = DEFAULT_COUNTRY;
+
+  // Numéro national, avec ou sans indicatif local tapé sans "+"
+  if (!international) {
+    if (digits.length === nationalLength) {
+      digits = `${code}${digits}`;
+    } else if (
+      !(
+        digits.startsWith(code) &&
+        digits.length === code.length + nationalLength
+      )
+    ) {
+      return { valid: false };
+    }
+  }
+
+  if (digits.startsWith(code)) {
+    const national = digits.slice(code.length);
+    return national.length === nationalLength
+      ? { valid: true, e164: `+${digits}`, countryCode: code, national }
+      : { valid: false };
+  }
+
+  // Autre pays : seule la longueur E.164 est vérifiée
+  if (digits.length < E164_MIN_DIGITS || digits.length > E164_MAX_DIGITS) {
+    return { valid: false };
+  }
+
+  return { valid: true, e164: `+${digits}`, countryCode: null, national: null };
+}
+
+export function isValidPhoneNumber(input) {
+  return parsePhoneNumber(input).valid;
+}
+
+/**
+ * Numéro au format E.164 (+25377123456), null si invalide
+ */
+export function normalizePhoneNumber(input) {
+  return parsePhoneNumber(input).e164 || null;
+}
+
+// Groupes de deux chiffres : "77123456" → "77 12 34 56"
+const groupPairs = (digits) => digits.replace(/(\d{2})(?=\d)/g, '$1 ');
+
+/**
+ * Affichage lisible d'un numéro enregistré
+ * Les numéros non analysables (anciennes commandes) sont renvoyés tels quels
+ */
+export function formatPhoneNumber(value) {
+  const parsed = parsePhoneNumber(value);
+
+  if (!parsed.valid) return String(value || '');
+
+  return parsed.countryCode
+    ? `+${parsed.countryCode} ${groupPairs(parsed.national)}`
+    : parsed.e164;
+}
+
+/**
+ * Mise en forme pendant la saisie, sans jamais bloquer un caractère utile
+ * "771234" → "77 12 34", "+25377" → "+253 77", "0033612" → "+33612"
+ */
+export function formatPhoneAsYouType(input) {
+  const value = String(input || '');
+  const international = /^\s*(\+|00)/.test(value);
+  let digits = value.replace(/\D/g, '');
+
+  const { code, nationalLength } = DEFAULT_COUNTRY;
+
+  if (!international) {
+    digits = digits.slice(0, code.length + nationalLength);
+    return digits.length > nationalLength && digits.startsWith(code)
+      ? `${code} ${groupPairs(digits.slice(code.length))}`
+      : groupPairs(digits);
+  }
+
+  if (value.trim().startsWith('00')) {
+    digits = digits.slice(2);
+  }
+
+  digits = digits.slice(0, E164_MAX_DIGITS);
+
+  if (digits.startsWith(code) && digits.length > code.length) {
+    return `+${code} ${groupPairs(digits.slice(code.length))}`;
+  }
+
+  return `+${digits}`;
+}
@@ -3,6 +3,7 @@
 // On arrête la paranoia !
 
 import { captureException } from '../../instrumentation';
+import { isValidPhoneNumber, normalizePhoneNumber } from '../phone';
 
 // =============================
 // SANITIZATION DE BASE
@@ -36,7 +37,10 @@ export function sanitizeOrderData(orderData) {
       lastName: cleanString(orderData.lastName),
       firstName: cleanString(orderData.firstName),
       email: cleanString(orderData.email)?.toLowerCase(),
-      phone: cleanString(orderData.phone),
+      // Format E.164 (+25377123456) ; saisie conservée si invalide pour que
+      // la validation Yup renvoie l'erreur sur le champ
+      phone:
+        normalizePhoneNumber(orderData.phone) || cleanString(orderData.phone),
       paymentMethod: cleanString(orderData.paymentMethod),
       accountName: cleanString(orderData.accountName),
       accountNumber: cleanString(orderData.accountNumber),
@@ -49,6 +53,16 @@ export function sanitizeOrderData(orderData) {
       (value) => value !== '' && value !== 0,
     );
 
+    // Champs optionnels, ajoutés après la vérification
+    sanitized.promoCode = cleanString(orderData.promoCode)
+      .replace(/\s+/g, '')
+      .toUpperCase();
+    sanitized.plan = cleanString(orderData.plan);
+    sanitized.expectedAmount =
+      orderData.expectedAmount != null && orderData.expectedAmount !== ''
+        ? Number(orderData.expectedAmount)
+        : null;
+
     return {
       success: hasAllFields,
       sanitized: hasAllFields ? sanitized : null,
@@ -87,8 +101,8 @@ export function validateBusinessRules(sanitizedData) {
     violations.push('Email invalide');
   }
 
-  if (sanitizedData.phone.replace(/\D/g, '').length < 8) {
-    violations.push('Téléphone trop court');
+  if (!isValidPhoneNumber(sanitizedData.phone)) {
+    violations.push('Téléphone invalide');
   }
 
   return {
@@ -96,21 +110,3 @@ export function validateBusinessRules(sanitizedData) {
     violations,
   };
 }
-
-/**
- * Vérification de sécurité finale
- */
-export function validateSanitizedDataSafety(sanitizedData) {
-  if (!sanitizedData) {
-    return { safe: false };
-  }
-
-  // Vérification simple - pas d'injection évidente
-  const allValues = Object.values(sanitizedData).join(' ');
-  const hasScript = allValues.toLowerCase().includes('script');
-  const hasSql = /drop|delete|insert|update/i.test(allValues);
-
-  return {
-    safe: !hasScript && !hasSql,
-  };
-}
@@ -4,6 +4,8 @@
 
 import * as yup from 'yup';
 
+import { isValidPhoneNumber, normalizePhoneNumber } from '../phone';
+
 // Schema Yup basique - juste les validations essentielles
 export const contactEmailSchema = yup.object({
   name: yup
@@ -20,6 +22,17 @@ export const contactEmailSchema = yup.object({
     .max(100, "L'email ne peut pas dépasser 100 caractères")
     .trim(),
 
+  // Facultatif, enregistré au format E.164 (+25377123456)
+  phone: yup
+    .string()
+    .trim()
+    .test(
+      'phone-format',
+      'Numéro invalide : 8 chiffres pour Djibouti, ou indicatif international (+33…)',
+      (value) => !value || isValidPhoneNumber(value),
+    )
+    .transform((value) => normalizePhoneNumber(value) || value),
+
   subject: yup
     .string()
     .required('Le sujet est obligatoire')
@@ -33,6 +46,9 @@ export const contactEmailSchema = yup.object({
     .min(10, 'Le message doit contenir au moins 10 caractères')
     .max(1000, 'Le message ne peut pas dépasser 1000 caractères')
     .trim(),
+
+  // Accusé de réception avec copie du message (case à cocher)
+  sendCopy: yup.boolean().default(false),
 });
 
 // Fonction simple pour préparer les données du FormData
@@ -40,8 +56,10 @@ export function prepareContactDataFromFormData(formData) {
   return {
     name: formData.get('name') || '',
     email: formData.get('email') || '',
+    phone: formData.get('phone') || '',
     subject: formData.get('subject') || '',
     message: formData.get('message') || '',
+    sendCopy: formData.get('sendCopy') === 'on',
   };
 }
 
@@ -81,23 +99,3 @@ export function formatContactValidationErrors(errors) {
 
   return Object.values(errors).join(', ');
 }
-
-// Bot detection basique (optionnel)
-export function detectBotBehavior(data, metadata = {}) {
-  let riskScore = 0;
-
-  // Remplissage trop rapide (moins de 3 secondes)
-  if (metadata.fillTime && metadata.fillTime < 3000) {
-    riskScore += 5;
-  }
-
-  // Email suspect
-  if (data.email.includes('test@test') || data.email.includes('admin@admin')) {
-    riskScore += 3;
-  }
-
-  return {
-    riskScore,
-    isSuspicious: riskScore >= 5,
-  };
-}
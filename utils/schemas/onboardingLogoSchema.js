@@ -0,0 +1,42 @@
+// utils/schemas/onboardingLogoSchema.js
+// Validation du logo envoyé avec la fiche de mise en service (client + serveur)
+// Contenu réel vérifié côté serveur avec matchesFileSignature (paymentProofSchema)
+
+export const ONBOARDING_LOGO_CONFIG = {
+  maxSize: 2 * 1024 * 1024, // 2 Mo
+  // SVG exclu : il peut embarquer du script
+  allowedTypes: {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+  },
+};
+
+/**
+ * Valide le type et la taille déclarés du logo
+ * Utilisable côté client avant l'envoi
+ */
+export function validateOnboardingLogoFile(file) {
+  if (!file || typeof file.size !== 'number' || file.size === 0) {
+    return {
+      valid: false,
+      error: 'Veuillez sélectionner un fichier.',
+    };
+  }
+
+  if (!ONBOARDING_LOGO_CONFIG.allowedTypes[file.type]) {
+    return {
+      valid: false,
+      error: 'Format non accepté. Formats autorisés : JPG, PNG ou WEBP.',
+    };
+  }
+
+  if (file.size > ONBOARDING_LOGO_CONFIG.maxSize) {
+    return {
+      valid: false,
+      error: 'Le logo ne doit pas dépasser 2 Mo.',
+    };
+  }
+
+  return { valid: true };
+}
@@ -0,0 +1,161 @@
+// utils/schemas/paymentAccountSchema.js
+// Règles du compte de paiement propres à chaque plateforme (client + serveur)
+// Les règles viennent des colonnes platform_account_* de admin.platforms
+
+// Colonnes à sélectionner avec la plateforme
+export const PLATFORM_RULE_COLUMNS = `platform_account_format,
+  platform_account_min_length,
+  platform_account_max_length,
+  platform_account_prefixes,
+  platform_account_pattern,
+  platform_account_name_pattern,
+  platform_account_hint,
+  platform_account_name_hint,
+  platform_instructions`;
+
+const ACCOUNT_FORMATS = {
+  digits: { regex: /^\d+$/, label: 'chiffres uniquement' },
+  alphanumeric: { regex: /^[A-Za-z0-9]+$/, label: 'lettres et chiffres' },
+};
+
+// =============================
+// FONCTIONS UTILITAIRES
+// =============================
+
+/**
+ * Numéro sans séparateurs de saisie (espaces, tirets, points)
+ */
+export function normalizeAccountNumber(value) {
+  return String(value || '').replace(/[\s.-]/g, '');
+}
+
+// Une expression invalide en base est ignorée plutôt que de bloquer les commandes
+function compilePattern(source) {
+  if (!source) return null;
+
+  try {
+    return new RegExp(`^(?:${source})$`);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Valide le numéro de compte selon les règles de la plateforme
+ * @returns {string|null} Message d'erreur ou null
+ */
+export function validateAccountNumberForPlatform(platform, value) {
+  if (!platform || !value) return null;
+
+  const name = platform.platform_name;
+  const number = normalizeAccountNumber(value);
+  const format = ACCOUNT_FORMATS[platform.platform_account_format];
+  const minLength = platform.platform_account_min_length;
+  const maxLength = platform.platform_account_max_length;
+  const prefixes = platform.platform_account_prefixes || [];
+
+  if (format && !format.regex.test(number)) {
+    return `Le numéro ${name} doit contenir des ${format.label}`;
+  }
+
+  if (minLength && maxLength && minLength === maxLength) {
+    if (number.length !== minLength) {
+      return `Le numéro ${name} doit contenir ${minLength} caractères`;
+    }
+  } else if (minLength && number.length < minLength) {
+    return `Le numéro ${name} doit contenir au moins ${minLength} caractères`;
+  } else if (maxLength && number.length > maxLength) {
+    return `Le numéro ${name} ne peut pas dépasser ${maxLength} caractères`;
+  }
+
+  if (
+    prefixes.length > 0 &&
+    !prefixes.some((prefix) => number.startsWith(prefix))
+  ) {
+    return `Le numéro ${name} doit commencer par ${prefixes.join(' ou ')}`;
+  }
+
+  const pattern = compilePattern(platform.platform_account_pattern);
+  if (pattern && !pattern.test(number)) {
+    return (
+      platform.platform_account_hint ||
+      `Le numéro ne correspond pas au format ${name}`
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Valide le nom du titulaire selon les règles de la plateforme
+ * @returns {string|null} Message d'erreur ou null
+ */
+export function validateAccountNameForPlatform(platform, value) {
+  if (!platform || !value) return null;
+
+  const pattern = compilePattern(platform.platform_account_name_pattern);
+  if (pattern && !pattern.test(String(value).trim())) {
+    return (
+      platform.platform_account_name_hint ||
+      `Le nom du compte ne correspond pas au format ${platform.platform_name}`
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Erreurs du compte de paiement indexées par champ
+ * @returns {{valid: boolean, errors: Object}}
+ */
+export function validatePaymentAccount(
+  platform,
+  { accountName, accountNumber },
+) {
+  const errors = {};
+
+  const numberError = validateAccountNumberForPlatform(platform, accountNumber);
+  if (numberError) errors.accountNumber = numberError;
+
+  const nameError = validateAccountNameForPlatform(platform, accountName);
+  if (nameError) errors.accountName = nameError;
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
+
+/**
+ * Aide affichée sous le numéro de compte (règle saisie en base ou déduite)
+ */
+export function getAccountNumberHint(platform) {
+  if (!platform) return '';
+  if (platform.platform_account_hint) return platform.platform_account_hint;
+
+  const parts = [];
+  const format = ACCOUNT_FORMATS[platform.platform_account_format];
+  const minLength = platform.platform_account_min_length;
+  const maxLength = platform.platform_account_max_length;
+
+  if (minLength && minLength === maxLength) {
+    parts.push(`${minLength} caractères`);
+  } else if (minLength || maxLength) {
+    parts.push(
+      [
+        minLength && `au moins ${minLength}`,
+        maxLength && `au plus ${maxLength}`,
+      ]
+        .filter(Boolean)
+        .join(', ') + ' caractères',
+    );
+  }
+  if (format) parts.push(format.label);
+  if (platform.platform_account_prefixes?.length) {
+    parts.push(
+      `commence par ${platform.platform_account_prefixes.join(' ou ')}`,
+    );
+  }
+
+  return parts.join(' • ');
+}
@@ -0,0 +1,80 @@
+// utils/schemas/paymentProofSchema.js
+// Validation des justificatifs de paiement (client + serveur)
+
+// =============================
+// CONFIGURATION
+// =============================
+
+export const PAYMENT_PROOF_CONFIG = {
+  maxSize: 5 * 1024 * 1024, // 5 Mo
+  maxFilesPerOrder: 3,
+  allowedTypes: {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'application/pdf': 'pdf',
+  },
+};
+
+// Signatures binaires (magic bytes) des formats acceptés
+const FILE_SIGNATURES = {
+  'image/jpeg': [[0xff, 0xd8, 0xff]],
+  'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  'image/webp': [[0x52, 0x49, 0x46, 0x46]], // RIFF....WEBP
+  'application/pdf': [[0x25, 0x50, 0x44, 0x46]], // %PDF
+};
+
+// =============================
+// FONCTIONS UTILITAIRES
+// =============================
+
+/**
+ * Valide le type et la taille déclarés d'un fichier
+ * Utilisable côté client avant l'envoi
+ */
+export function validatePaymentProofFile(file) {
+  if (!file || typeof file.size !== 'number' || file.size === 0) {
+    return {
+      valid: false,
+      error: 'Veuillez sélectionner un fichier.',
+    };
+  }
+
+  if (!PAYMENT_PROOF_CONFIG.allowedTypes[file.type]) {
+    return {
+      valid: false,
+      error: 'Format non accepté. Formats autorisés : JPG, PNG, WEBP ou PDF.',
+    };
+  }
+
+  if (file.size > PAYMENT_PROOF_CONFIG.maxSize) {
+    return {
+      valid: false,
+      error: 'Le fichier ne doit pas dépasser 5 Mo.',
+    };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Vérifie que le contenu du fichier correspond au type déclaré
+ * Côté serveur uniquement, sur le contenu réel
+ */
+export function matchesFileSignature(buffer, mimeType) {
+  const signatures = FILE_SIGNATURES[mimeType];
+  if (!signatures || !buffer) return false;
+
+  const bytes = new Uint8Array(buffer);
+
+  const matches = signatures.some((signature) =>
+    signature.every((byte, index) => bytes[index] === byte),
+  );
+
+  // Les fichiers WEBP sont des conteneurs RIFF avec "WEBP" à l'offset 8
+  if (matches && mimeType === 'image/webp') {
+    return String.fromCharCode(...bytes.slice(8, 12)) === 'WEBP';
+  }
+
+  return matches;
+}
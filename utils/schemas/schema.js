@@ -4,12 +4,17 @@
 
 import * as yup from 'yup';
 
+import { isValidPhoneNumber, normalizePhoneNumber } from '../phone';
+import { DEFAULT_ORDER_PLAN, ORDER_PLAN_IDS } from '../orderPlans';
+import { HOSTING_PREFERENCE_IDS } from '../orderOnboarding';
+
 // =============================
 // SCHEMA COMMANDE SIMPLIFIÉ
 // =============================
+// Partagé entre OrderModal (validation par étape) et les server actions
 
-export const orderServerSchema = yup.object().shape({
-  // Informations personnelles
+// Étape 1 : informations personnelles
+const orderCustomerFields = {
   lastName: yup
     .string()
     .required('Le nom est requis')
@@ -34,11 +39,17 @@ export const orderServerSchema = yup.object().shape({
   phone: yup
     .string()
     .required('Le numéro de téléphone est requis')
-    .min(8, 'Le numéro doit contenir au moins 8 chiffres')
     .max(20, 'Le numéro ne peut pas dépasser 20 caractères')
+    .test(
+      'phone-format',
+      'Numéro invalide : 8 chiffres pour Djibouti, ou indicatif international (+33…)',
+      (value) => !value || isValidPhoneNumber(value),
+    )
     .trim(),
+};
 
-  // Informations de paiement
+// Étape 2 : paiement et code promo
+const orderPaymentFields = {
   paymentMethod: yup
     .string()
     .required('La méthode de paiement est requise')
@@ -58,6 +69,18 @@ export const orderServerSchema = yup.object().shape({
     .max(50, 'Le numéro de compte ne peut pas dépasser 50 caractères')
     .trim(),
 
+  // Code promo optionnel
+  promoCode: yup
+    .string()
+    .max(30, 'Le code promo ne peut pas dépasser 30 caractères')
+    .matches(/^[A-Za-z0-9_-]*$/, 'Code promo invalide')
+    .trim(),
+};
+
+export const orderServerSchema = yup.object().shape({
+  ...orderCustomerFields,
+  ...orderPaymentFields,
+
   // IDs et montant
   applicationId: yup
     .string()
@@ -70,6 +93,324 @@ export const orderServerSchema = yup.object().shape({
     .positive('Le montant doit être positif')
     .min(1, 'Le montant minimum est de 1')
     .max(100000, 'Le montant maximum est de 100,000'),
+
+  // Formule : gestion mensuelle ou prépayée (montant recalculé côté serveur)
+  plan: yup
+    .string()
+    .oneOf(ORDER_PLAN_IDS, 'Formule de commande invalide')
+    .default(DEFAULT_ORDER_PLAN),
+
+  // Montant affiché au client, comparé au montant recalculé (facultatif)
+  expectedAmount: yup.number().min(0).nullable(),
+});
+
+// Schémas des étapes de OrderModal
+export const orderStepSchemas = {
+  1: yup.object().shape(orderCustomerFields),
+  2: yup.object().shape(orderPaymentFields),
+};
+
+// Étape du formulaire où se trouve chaque champ (erreurs renvoyées par le serveur)
+export const ORDER_FIELD_STEPS = Object.fromEntries([
+  ...Object.keys(orderCustomerFields).map((field) => [field, 1]),
+  ...Object.keys(orderPaymentFields).map((field) => [field, 2]),
+]);
+
+// =============================
+// SCHEMA PANIER (LIGNES DE COMMANDE)
+// =============================
+
+export const CART_MAX_ITEMS = 10;
+
+export const orderItemsSchema = yup
+  .array()
+  .of(
+    yup.object().shape({
+      applicationId: yup
+        .string()
+        .required("L'ID de l'application est requis")
+        .uuid("L'ID de l'application est invalide")
+        .trim()
+        .lowercase(),
+
+      applicationFee: yup
+        .number()
+        .required("Le montant de l'application est requis")
+        .positive('Le montant doit être positif')
+        .min(1, 'Le montant minimum est de 1')
+        .max(100000, 'Le montant maximum est de 100,000'),
+    }),
+  )
+  .required('Votre panier est vide')
+  .min(1, 'Votre panier est vide')
+  .max(CART_MAX_ITEMS, `Le panier est limité à ${CART_MAX_ITEMS} applications`)
+  .test(
+    'unique-applications',
+    'Une application ne peut figurer qu’une fois dans le panier',
+    (items) =>
+      !items ||
+      new Set(items.map((item) => item.applicationId)).size === items.length,
+  );
+
+// =============================
+// SCHEMA COMMANDE ABANDONNÉE
+// =============================
+
+export const abandonedCheckoutSchema = yup.object().shape({
+  sessionKey: yup.string().required().uuid().trim(),
+
+  email: yup
+    .string()
+    .required("L'adresse email est requise")
+    .email("Format d'email invalide")
+    .max(100)
+    .trim()
+    .lowercase(),
+
+  // Champs facultatifs : tronqués plutôt que refusés
+  firstName: yup
+    .string()
+    .trim()
+    .transform((value) => value.slice(0, 50)),
+  lastName: yup
+    .string()
+    .trim()
+    .transform((value) => value.slice(0, 50)),
+  phone: yup
+    .string()
+    .trim()
+    .transform((value) => normalizePhoneNumber(value) || value.slice(0, 20)),
+
+  applicationIds: yup
+    .array()
+    .of(yup.string().uuid().lowercase())
+    .min(1)
+    .max(CART_MAX_ITEMS)
+    .required(),
+
+  step: yup.number().integer().min(1).max(2).required(),
+
+  // Plafonné à 24 h
+  timeSpentSeconds: yup
+    .number()
+    .integer()
+    .min(0)
+    .transform((value) => Math.min(value, 24 * 3600))
+    .default(0),
+});
+
+// =============================
+// SCHEMA SUIVI DE COMMANDE
+// =============================
+
+export const orderLookupSchema = yup.object().shape({
+  orderId: yup
+    .string()
+    .required('Le numéro de commande est requis')
+    .uuid('Numéro de commande invalide')
+    .trim(),
+
+  email: yup
+    .string()
+    .required("L'adresse email est requise")
+    .email("Format d'email invalide")
+    .max(100, "L'email ne peut pas dépasser 100 caractères")
+    .trim()
+    .lowercase(),
+});
+
+// =============================
+// SCHEMA SUIVI DE TICKET (CONTACT)
+// =============================
+
+export const ticketLookupSchema = yup.object().shape({
+  reference: yup
+    .string()
+    .required('Le numéro de ticket est requis')
+    .trim()
+    .uppercase()
+    .matches(
+      /^TKT-\d{4}-\d{1,12}$/,
+      'Numéro de ticket invalide (TKT-AAAA-000000)',
+    ),
+
+  email: yup
+    .string()
+    .required("L'adresse email est requise")
+    .email("Format d'email invalide")
+    .max(100, "L'email ne peut pas dépasser 100 caractères")
+    .trim()
+    .lowercase(),
+});
+
+// =============================
+// SCHEMA CONNEXION CLIENT
+// =============================
+
+export const loginRequestSchema = yup.object().shape({
+  email: yup
+    .string()
+    .required("L'adresse email est requise")
+    .email("Format d'email invalide")
+    .max(100, "L'email ne peut pas dépasser 100 caractères")
+    .trim()
+    .lowercase(),
+});
+
+// =============================
+// SCHEMA DEMANDE DE DEVIS
+// =============================
+// Partagé entre QuoteModal et requestQuote
+
+export const quoteRequestSchema = yup.object().shape({
+  companyName: yup
+    .string()
+    .required("Le nom de l'entreprise est requis")
+    .min(2, "Le nom de l'entreprise doit contenir au moins 2 caractères")
+    .max(100, "Le nom de l'entreprise ne peut pas dépasser 100 caractères")
+    .trim(),
+
+  // Numéro d'identification fiscale (facultatif)
+  taxId: yup
+    .string()
+    .max(30, 'Le NIF ne peut pas dépasser 30 caractères')
+    .matches(/^[A-Za-z0-9 ./-]*$/, 'NIF invalide')
+    .trim(),
+
+  address: yup
+    .string()
+    .max(200, "L'adresse ne peut pas dépasser 200 caractères")
+    .trim(),
+
+  contactName: yup
+    .string()
+    .required('Le nom du contact est requis')
+    .min(2, 'Le nom du contact doit contenir au moins 2 caractères')
+    .max(100, 'Le nom du contact ne peut pas dépasser 100 caractères')
+    .trim(),
+
+  email: yup
+    .string()
+    .required("L'adresse email est requise")
+    .email("Format d'email invalide")
+    .max(100, "L'email ne peut pas dépasser 100 caractères")
+    .trim()
+    .lowercase(),
+
+  phone: yup
+    .string()
+    .required('Le numéro de téléphone est requis')
+    .max(20, 'Le numéro ne peut pas dépasser 20 caractères')
+    .test(
+      'phone-format',
+      'Numéro invalide : 8 chiffres pour Djibouti, ou indicatif international (+33…)',
+      (value) => !value || isValidPhoneNumber(value),
+    )
+    .trim(),
+
+  applicationId: yup
+    .string()
+    .required("L'ID de l'application est requis")
+    .uuid("L'ID de l'application est invalide")
+    .trim()
+    .lowercase(),
+});
+
+// =============================
+// SCHEMA MISE EN SERVICE
+// =============================
+// Partagé entre OnboardingPage et saveOnboarding
+// Tous les champs sont facultatifs : la fiche se remplit en plusieurs fois,
+// la progression est calculée par utils/orderOnboarding.js
+
+const DOMAIN_REGEX =
+  /^(?=.{4,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const HEX_COLOR_REGEX = /^#[0-9a-f]{6}$/;
+
+export const onboardingSchema = yup.object().shape({
+  domain: yup
+    .string()
+    .max(253, 'Le nom de domaine est trop long')
+    .trim()
+    .lowercase()
+    .matches(DOMAIN_REGEX, {
+      message: 'Nom de domaine invalide (ex : maboutique.dj)',
+      excludeEmptyString: true,
+    }),
+
+  domainOwned: yup.boolean().default(false),
+
+  professionalEmail: yup
+    .string()
+    .email("Format d'email invalide")
+    .max(100, "L'email ne peut pas dépasser 100 caractères")
+    .trim()
+    .lowercase(),
+
+  primaryColor: yup.string().trim().lowercase().matches(HEX_COLOR_REGEX, {
+    message: 'Couleur invalide',
+    excludeEmptyString: true,
+  }),
+
+  secondaryColor: yup.string().trim().lowercase().matches(HEX_COLOR_REGEX, {
+    message: 'Couleur invalide',
+    excludeEmptyString: true,
+  }),
+
+  businessName: yup
+    .string()
+    .max(100, "Le nom de l'entreprise ne peut pas dépasser 100 caractères")
+    .trim(),
+
+  businessActivity: yup
+    .string()
+    .max(
+      500,
+      "La description de l'activité ne peut pas dépasser 500 caractères",
+    )
+    .trim(),
+
+  businessPhone: yup
+    .string()
+    .max(20, 'Le numéro ne peut pas dépasser 20 caractères')
+    .test(
+      'phone-format',
+      'Numéro invalide : 8 chiffres pour Djibouti, ou indicatif international (+33…)',
+      (value) => !value || isValidPhoneNumber(value),
+    )
+    .trim(),
+
+  businessAddress: yup
+    .string()
+    .max(200, "L'adresse ne peut pas dépasser 200 caractères")
+    .trim(),
+
+  hostingPreference: yup
+    .string()
+    .oneOf(['', ...HOSTING_PREFERENCE_IDS], "Choix d'hébergement invalide"),
+
+  hostingDetails: yup
+    .string()
+    .max(500, 'Les précisions ne peuvent pas dépasser 500 caractères')
+    .trim(),
+});
+
+// =============================
+// SCHEMA WEBHOOK DE PAIEMENT
+// =============================
+
+export const PAYMENT_WEBHOOK_STATUSES = ['succeeded', 'failed', 'pending'];
+
+export const paymentWebhookSchema = yup.object().shape({
+  // Identifiant de l'événement côté plateforme (idempotence)
+  id: yup.string().required().trim().max(100),
+
+  // Référence de paiement communiquée au client : le numéro de commande
+  reference: yup.string().required().uuid().trim().lowercase(),
+
+  amount: yup.number().required().positive(),
+
+  status: yup.string().required().oneOf(PAYMENT_WEBHOOK_STATUSES),
 });
 
 // =============================
@@ -77,11 +418,27 @@ export const orderServerSchema = yup.object().shape({
 // =============================
 
 /**
- * Valide les données du server action
+ * Erreurs Yup indexées par champ (premier message de chaque champ)
  */
-export async function validateOrderServer(data) {
+function collectFieldErrors(error) {
+  const errors = {};
+
+  error.inner?.forEach((err) => {
+    if (err.path && !errors[err.path]) {
+      errors[err.path] = err.message;
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Valide un formulaire complet : toutes les erreurs, champs inconnus retirés
+ * @returns {Promise<{success: boolean, data?: Object, errors?: Object}>}
+ */
+async function validateWithSchema(schema, data) {
   try {
-    const validatedData = await orderServerSchema.validate(data, {
+    const validatedData = await schema.validate(data, {
       abortEarly: false,
       stripUnknown: true,
     });
@@ -91,23 +448,51 @@ export async function validateOrderServer(data) {
       data: validatedData,
     };
   } catch (error) {
-    const errors = {};
-
-    if (error.inner) {
-      error.inner.forEach((err) => {
-        if (err.path) {
-          errors[err.path] = err.message;
-        }
-      });
-    }
+    return {
+      success: false,
+      errors: collectFieldErrors(error),
+    };
+  }
+}
+
+/**
+ * Valide les données du server action
+ */
+export async function validateOrderServer(data) {
+  return validateWithSchema(orderServerSchema, data);
+}
 
+/**
+ * Valide une étape de OrderModal
+ */
+export async function validateOrderStep(step, data) {
+  try {
+    await orderStepSchemas[step].validate(data, { abortEarly: false });
+    return { success: true, errors: {} };
+  } catch (error) {
     return {
       success: false,
-      errors,
+      errors: collectFieldErrors(error),
     };
   }
 }
 
+/**
+ * Valide un seul champ (saisie en direct)
+ * @returns {Promise<string|null>} Message d'erreur ou null
+ */
+export async function validateOrderField(field, data) {
+  const step = ORDER_FIELD_STEPS[field];
+  if (!step) return null;
+
+  try {
+    await orderStepSchemas[step].validateAt(field, data);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
 /**
  * Prépare les données du FormData
  */
@@ -126,6 +511,9 @@ export function prepareOrderDataFromFormData(
     accountNumber: formData.get('accountNumber') || '',
     applicationId: applicationId || '',
     applicationFee: Number(applicationFee) || 0,
+    promoCode: formData.get('promoCode') || '',
+    plan: formData.get('plan') || DEFAULT_ORDER_PLAN,
+    expectedAmount: formData.get('expectedAmount') || null,
   };
 }
 
@@ -137,3 +525,96 @@ export function formatValidationErrors(errors) {
 
   return Object.values(errors).join(', ');
 }
+
+/**
+ * Valide les lignes d'une commande (panier ou application seule)
+ */
+export async function validateOrderItems(items) {
+  try {
+    const validatedItems = await orderItemsSchema.validate(items, {
+      abortEarly: true,
+      stripUnknown: true,
+    });
+
+    return {
+      success: true,
+      data: validatedItems,
+    };
+  } catch (error) {
+    return {
+      success: false,
+      errors: { items: error.message },
+    };
+  }
+}
+
+/**
+ * Valide un enregistrement de commande abandonnée
+ */
+export async function validateAbandonedCheckout(data) {
+  return validateWithSchema(abandonedCheckoutSchema, data);
+}
+
+/**
+ * Valide les données de recherche d'une commande
+ */
+export async function validateOrderLookup(data) {
+  return validateWithSchema(orderLookupSchema, data);
+}
+
+/**
+ * Valide les données de recherche d'un ticket de contact
+ */
+export async function validateTicketLookup(data) {
+  return validateWithSchema(ticketLookupSchema, data);
+}
+
+/**
+ * Valide une demande de lien de connexion
+ */
+export async function validateLoginRequest(data) {
+  return validateWithSchema(loginRequestSchema, data);
+}
+
+/**
+ * Valide une demande de devis
+ * Téléphone renvoyé au format E.164
+ */
+export async function validateQuoteRequest(data) {
+  const result = await validateWithSchema(quoteRequestSchema, data);
+  if (!result.success) return result;
+
+  return {
+    success: true,
+    data: {
+      ...result.data,
+      phone: normalizePhoneNumber(result.data.phone),
+    },
+  };
+}
+
+/**
+ * Valide une fiche de mise en service
+ * Téléphone renvoyé au format E.164
+ */
+export async function validateOnboarding(data) {
+  const result = await validateWithSchema(onboardingSchema, data);
+  if (!result.success) return result;
+
+  return {
+    success: true,
+    data: {
+      ...result.data,
+      businessPhone: result.data.businessPhone
+        ? normalizePhoneNumber(result.data.businessPhone)
+        : '',
+    },
+  };
+}
+
+/**
+ * Valide le contenu d'un webhook de paiement (signature déjà vérifiée)
+ */
+export async function validatePaymentWebhook(data) {
+  return validateWithSchema(paymentWebhookSchema, data);
+}